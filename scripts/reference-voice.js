@@ -0,0 +1,312 @@
+/**
+ * Synthesize the reference voice the bundled default classifier model is
+ * trained on.
+ *
+ * A source-filter (formant) synthesizer speaks a random sequence of the 14
+ * non-silent visemes: vowels, R and nasals as a glottal pulse train through
+ * formant resonators; fricatives as shaped noise; plosives as a closure,
+ * a burst and a voiced release. Each phone's formants, length, pitch and
+ * level vary a little, so the model learns the phone rather than one exact
+ * sound. Writes a 16-bit WAV and the matching native viseme track, ready
+ * for train-classifier.js. The same seed always gives the same recording.
+ *
+ * Usage:
+ *   node scripts/reference-voice.js [options]
+ *
+ * Options:
+ *   --out <dir>        Output directory (default: reference-voice)
+ *   --seconds <n>      Length of the recording (default: 120)
+ *   --rate <hz>        Sample rate (default: 24000, the engine's default)
+ *   --seed <n>         Random seed (default: 1)
+ *
+ * The bundled model (src/analyzers/models/default.json) is rebuilt with
+ * `npm run train:default-model`.
+ */
+
+import { mkdirSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { toNativeJSON } from '../src/tracks/formats.js';
+
+/**
+ * Phones per viseme. Voiced phones list their formants (Hz, adult male
+ * averages); noise gives a fricative band [lowHz, highHz] and level; burst
+ * marks a plosive with its release band.
+ */
+const PHONES = {
+  aa: { formants: [730, 1090, 2440], gain: 1 },
+  E:  { formants: [530, 1840, 2480], gain: 0.9 },
+  I:  { formants: [300, 2200, 2950], gain: 0.8 },
+  O:  { formants: [570, 840, 2410], gain: 0.9 },
+  U:  { formants: [320, 900, 2250], gain: 0.7 },
+  RR: { formants: [420, 1100, 1600], gain: 0.6 },
+  nn: { formants: [270, 1000, 2300], gain: 0.35, nasal: true },
+  FF: { noise: [1500, 9000], gain: 0.25 },
+  TH: { noise: [1000, 7000], gain: 0.2 },
+  SS: { noise: [4500, 10000], gain: 0.2 },
+  CH: { noise: [2000, 5500], gain: 0.25 },
+  PP: { burst: [300, 6000], formants: [450, 1000, 2300], gain: 0.5 },
+  DD: { burst: [3000, 6000], formants: [420, 1700, 2600], gain: 0.5 },
+  kk: { burst: [1500, 3000], formants: [400, 1900, 2500], gain: 0.5 },
+};
+
+const VOWELS = ['aa', 'E', 'I', 'O', 'U'];
+const CONSONANTS = ['PP', 'FF', 'TH', 'DD', 'kk', 'CH', 'SS', 'nn', 'RR'];
+
+/** Formant bandwidths (Hz) for F1–F4; F4 is fixed. */
+const BANDWIDTHS = [80, 100, 140, 200];
+const F4_HZ = 3400;
+
+/** Overlap between neighbouring phones (ms). */
+const CROSSFADE_MS = 15;
+
+// ════════════════════════════════════════════════════════════════
+//  ARGUMENTS
+// ════════════════════════════════════════════════════════════════
+
+function parseArgs(argv) {
+  const opts = { out: 'reference-voice', seconds: 120, rate: 24000, seed: 1 };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) fail(`${arg} needs a value`);
+      return argv[++i];
+    };
+    switch (arg) {
+      case '--out': opts.out = value(); break;
+      case '--seconds': opts.seconds = Number(value()); break;
+      case '--rate': opts.rate = Number(value()); break;
+      case '--seed': opts.seed = Number(value()); break;
+      case '-h':
+      case '--help':
+        console.error('Usage: node scripts/reference-voice.js [--out dir] [--seconds n] [--rate hz] [--seed n]');
+        process.exit(0);
+        break;
+      default:
+        fail(`Unknown option: ${arg}`);
+    }
+  }
+  return opts;
+}
+
+function fail(message) {
+  console.error(`Error: ${message}`);
+  process.exit(1);
+}
+
+// ════════════════════════════════════════════════════════════════
+//  SYNTHESIS
+// ════════════════════════════════════════════════════════════════
+
+/** Seeded uniform random numbers in [0, 1) (mulberry32). */
+function createRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/** Two-pole resonator at freq with the given bandwidth, in place. */
+function resonate(x, freq, bandwidth, rate) {
+  const r = Math.exp((-Math.PI * bandwidth) / rate);
+  const c = 2 * r * Math.cos((2 * Math.PI * freq) / rate);
+  const gain = 1 - r; // keeps the cascade's level in a sane range
+  let y1 = 0;
+  let y2 = 0;
+  for (let i = 0; i < x.length; i++) {
+    const y = gain * x[i] + c * y1 - r * r * y2;
+    y2 = y1;
+    y1 = y;
+    x[i] = y;
+  }
+}
+
+/** Band-pass filter (two cascaded RBJ biquads), in place. */
+function bandpass(x, lowHz, highHz, rate) {
+  const centre = Math.sqrt(lowHz * highHz);
+  const q = centre / (highHz - lowHz);
+  const w = (2 * Math.PI * centre) / rate;
+  const alpha = Math.sin(w) / (2 * q);
+  const a0 = 1 + alpha;
+  const b0 = alpha / a0;
+  const a1 = (-2 * Math.cos(w)) / a0;
+  const a2 = (1 - alpha) / a0;
+  for (let pass = 0; pass < 2; pass++) {
+    let x1 = 0, x2 = 0, y1 = 0, y2 = 0;
+    for (let i = 0; i < x.length; i++) {
+      const y = b0 * x[i] - b0 * x2 - a1 * y1 - a2 * y2;
+      x2 = x1;
+      x1 = x[i];
+      y2 = y1;
+      y1 = y;
+      x[i] = y;
+    }
+  }
+}
+
+/** Glottal pulse train with slight jitter and a -6 dB/octave tilt. */
+function glottalSource(length, f0, rate, random) {
+  const out = new Float64Array(length);
+  let next = 0;
+  for (let i = 0; i < length; i++) {
+    if (i >= next) {
+      out[i] = 1;
+      next = i + (rate / f0) * (1 + (random() - 0.5) * 0.04);
+    }
+  }
+  let y = 0;
+  for (let i = 0; i < length; i++) {
+    y = out[i] + 0.9 * y;
+    out[i] = y + (random() - 0.5) * 0.02; // a little breath
+  }
+  return out;
+}
+
+function noise(length, random) {
+  return Float64Array.from({ length }, () => random() * 2 - 1);
+}
+
+/** Scale to a target RMS. */
+function normalize(x, rms) {
+  let sum = 0;
+  for (const v of x) sum += v * v;
+  const current = Math.sqrt(sum / Math.max(1, x.length));
+  if (current > 0) for (let i = 0; i < x.length; i++) x[i] *= rms / current;
+  return x;
+}
+
+/** Voiced sound through formant resonators. */
+function voiced(length, formants, f0, rate, random, nasal = false) {
+  const x = glottalSource(length, f0, rate, random);
+  [...formants, F4_HZ].forEach((f, k) => {
+    const bandwidth = BANDWIDTHS[k] * (nasal && k > 0 ? 3 : 1); // nasals damp the upper formants
+    resonate(x, f, bandwidth, rate);
+  });
+  return x;
+}
+
+/**
+ * Samples of one phone, RMS `level` before fades.
+ * @returns {Float64Array}
+ */
+function synthesizePhone(viseme, length, f0, level, rate, random) {
+  const phone = PHONES[viseme];
+  const jitter = () => 1 + (random() - 0.5) * 0.12; // ±6 % per formant
+  const formants = phone.formants?.map((f) => f * jitter());
+
+  if (phone.noise) {
+    const x = noise(length, random);
+    bandpass(x, phone.noise[0] * jitter(), Math.min(phone.noise[1] * jitter(), rate * 0.45), rate);
+    return normalize(x, phone.gain * level);
+  }
+
+  if (phone.burst) {
+    // Closure (silence), a short noise burst, then the voiced release
+    const closure = Math.round(length * 0.3);
+    const burst = Math.round(rate * 0.02);
+    const out = new Float64Array(length);
+    const b = noise(burst, random);
+    bandpass(b, phone.burst[0], Math.min(phone.burst[1], rate * 0.45), rate);
+    normalize(b, phone.gain * level);
+    out.set(b.subarray(0, Math.max(0, Math.min(burst, length - closure))), closure);
+    const releaseStart = closure + burst;
+    if (releaseStart < length) {
+      const v = normalize(voiced(length - releaseStart, formants, f0, rate, random), phone.gain * level * 0.6);
+      out.set(v, releaseStart);
+    }
+    return out;
+  }
+
+  return normalize(voiced(length, formants, f0, rate, random, phone.nasal), phone.gain * level);
+}
+
+/**
+ * Random syllables (consonant + vowel, sometimes a closing consonant),
+ * grouped into words separated by pauses.
+ * @returns {{samples: Float32Array, cues: Array<{viseme: string, startMs: number, endMs: number}>}}
+ */
+function synthesize({ seconds, rate, seed }) {
+  const random = createRandom(seed);
+  const pick = (list) => list[Math.floor(random() * list.length)];
+  const total = Math.round(seconds * rate);
+  const samples = new Float64Array(total + rate);
+  const cues = [];
+  const fade = Math.round((CROSSFADE_MS / 1000) * rate);
+
+  let pos = Math.round(rate * 0.3);
+  let f0 = 120;
+  while (pos < total) {
+    const syllables = 1 + Math.floor(random() * 3);
+    const sequence = [];
+    for (let s = 0; s < syllables; s++) {
+      sequence.push(pick(CONSONANTS), pick(VOWELS));
+      if (random() < 0.3) sequence.push(pick(CONSONANTS));
+    }
+
+    const level = 0.1 * Math.pow(10, (random() - 0.5) * 0.6); // ±3 dB per word
+    for (const viseme of sequence) {
+      const isVowel = VOWELS.includes(viseme);
+      const ms = isVowel ? 110 + random() * 120 : 70 + random() * 70;
+      const length = Math.round((ms / 1000) * rate);
+      f0 = Math.max(90, Math.min(160, f0 + (random() - 0.5) * 20));
+
+      const x = synthesizePhone(viseme, length + fade, f0, level, rate, random);
+      for (let i = 0; i < x.length && pos + i < samples.length; i++) {
+        const inGain = i < fade ? i / fade : 1;
+        const outGain = i >= x.length - fade ? (x.length - i) / fade : 1;
+        samples[pos + i] += x[i] * inGain * outGain;
+      }
+      // Label from the middle of the crossfade in to the middle of the one out
+      const startMs = ((pos + fade / 2) / rate) * 1000;
+      cues.push({ viseme, startMs, endMs: startMs + (length / rate) * 1000 });
+      pos += length;
+    }
+    pos += fade + Math.round(rate * (0.12 + random() * 0.3)); // pause between words
+  }
+
+  const out = Float32Array.from(samples.subarray(0, pos), (v) => Math.max(-1, Math.min(1, v)));
+  return { samples: out, cues };
+}
+
+// ════════════════════════════════════════════════════════════════
+//  OUTPUT
+// ════════════════════════════════════════════════════════════════
+
+/** 16-bit mono PCM WAV. */
+function encodeWav(samples, rate) {
+  const buf = Buffer.alloc(44 + samples.length * 2);
+  buf.write('RIFF', 0, 'ascii');
+  buf.writeUInt32LE(36 + samples.length * 2, 4);
+  buf.write('WAVE', 8, 'ascii');
+  buf.write('fmt ', 12, 'ascii');
+  buf.writeUInt32LE(16, 16);
+  buf.writeUInt16LE(1, 20);         // PCM
+  buf.writeUInt16LE(1, 22);         // mono
+  buf.writeUInt32LE(rate, 24);
+  buf.writeUInt32LE(rate * 2, 28);  // byte rate
+  buf.writeUInt16LE(2, 32);         // block align
+  buf.writeUInt16LE(16, 34);
+  buf.write('data', 36, 'ascii');
+  buf.writeUInt32LE(samples.length * 2, 40);
+  for (let i = 0; i < samples.length; i++) {
+    buf.writeInt16LE(Math.round(samples[i] * 32767), 44 + i * 2);
+  }
+  return buf;
+}
+
+// ════════════════════════════════════════════════════════════════
+//  MAIN
+// ════════════════════════════════════════════════════════════════
+
+const opts = parseArgs(process.argv.slice(2));
+const { samples, cues } = synthesize(opts);
+
+mkdirSync(opts.out, { recursive: true });
+const wavPath = join(opts.out, 'voice.wav');
+const trackPath = join(opts.out, 'voice.json');
+writeFileSync(wavPath, encodeWav(samples, opts.rate));
+writeFileSync(trackPath, toNativeJSON(cues, { source: 'scripts/reference-voice.js', seed: opts.seed }) + '\n');
+console.log(`Wrote ${wavPath} (${(samples.length / opts.rate).toFixed(1)} s) and ${trackPath} (${cues.length} cues)`);
@@ -0,0 +1,295 @@
+/**
+ * Fit a SoftmaxClassifier model from labeled recordings.
+ *
+ * Each recording is a WAV file plus a viseme track of the same speech
+ * (native JSON, Rhubarb JSON/TSV or Papagayo .dat — anything parseTrack()
+ * reads). The audio runs through the same OfflineAnalyserNode +
+ * FrequencyAnalyzer pipeline the engine uses, so the features match what the
+ * classifier sees at runtime; every voiced frame is labeled with the cue
+ * active at its time.
+ *
+ * Usage:
+ *   node scripts/train-classifier.js [options] <audio.wav> <track> [<audio.wav> <track> ...]
+ *
+ * Options:
+ *   --out <file>          Model output path (default: classifier.json)
+ *   --fft <n>             FFT size; use the same fftSize at runtime (default: 512)
+ *   --rate <hz>           Resample before analysis, e.g. your AudioContext rate
+ *   --frame-rate <fps>    Analysis frames per second (default: 60)
+ *   --mfcc <n>            MFCCs per frame, 0 to disable (default: 13)
+ *   --no-zcr              Leave out the zero-crossing rate
+ *   --epochs <n>          Gradient descent iterations (default: 500)
+ *   --learning-rate <x>   (default: 0.5)
+ *   --l2 <x>              Weight decay (default: 0.001)
+ *   --no-balance          Don't weight classes by inverse frequency
+ *   --fps <n>             Frame rate of Papagayo tracks (default: 24)
+ *
+ * Example:
+ *   npm run train:classifier -- --out models/anna.json --rate 48000 \
+ *     anna-01.wav anna-01.json anna-02.wav anna-02.tsv
+ */
+
+import { readFileSync, writeFileSync } from 'fs';
+import { FrequencyAnalyzer } from '../src/analyzers/FrequencyAnalyzer.js';
+import { OfflineAnalyserNode } from '../src/analyzers/OfflineAnalyzer.js';
+import {
+  SoftmaxClassifier,
+  DEFAULT_FEATURE_SPEC,
+  featureVector,
+  trainSoftmax,
+} from '../src/analyzers/SoftmaxClassifier.js';
+import { parseTrack } from '../src/tracks/formats.js';
+import { VISEME_SHAPES } from '../src/core/visemes.js';
+import { resample } from '../src/utils/audio-utils.js';
+
+const ANALYSER_SMOOTHING = 0.5; // LipSyncEngine's analyserSmoothing default
+
+// ════════════════════════════════════════════════════════════════
+//  ARGUMENTS
+// ════════════════════════════════════════════════════════════════
+
+function parseArgs(argv) {
+  const opts = {
+    out: 'classifier.json',
+    fft: 512,
+    rate: null,
+    frameRate: 60,
+    mfcc: DEFAULT_FEATURE_SPEC.mfcc,
+    zcr: true,
+    epochs: 500,
+    learningRate: 0.5,
+    l2: 1e-3,
+    balance: true,
+    fps: 24,
+    pairs: [],
+  };
+  const files = [];
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    const value = () => {
+      if (i + 1 >= argv.length) fail(`${arg} needs a value`);
+      return argv[++i];
+    };
+    switch (arg) {
+      case '--out': opts.out = value(); break;
+      case '--fft': opts.fft = Number(value()); break;
+      case '--rate': opts.rate = Number(value()); break;
+      case '--frame-rate': opts.frameRate = Number(value()); break;
+      case '--mfcc': opts.mfcc = Number(value()); break;
+      case '--no-zcr': opts.zcr = false; break;
+      case '--epochs': opts.epochs = Number(value()); break;
+      case '--learning-rate': opts.learningRate = Number(value()); break;
+      case '--l2': opts.l2 = Number(value()); break;
+      case '--no-balance': opts.balance = false; break;
+      case '--fps': opts.fps = Number(value()); break;
+      case '-h':
+      case '--help':
+        usage(0);
+        break;
+      default:
+        if (arg.startsWith('--')) fail(`Unknown option: ${arg}`);
+        files.push(arg);
+    }
+  }
+
+  if (files.length === 0 || files.length % 2 !== 0) usage(1);
+  for (let i = 0; i < files.length; i += 2) opts.pairs.push({ audio: files[i], track: files[i + 1] });
+  return opts;
+}
+
+function usage(code) {
+  console.error('Usage: node scripts/train-classifier.js [options] <audio.wav> <track> [<audio.wav> <track> ...]');
+  console.error('Run with --help or see the header of this file for options.');
+  process.exit(code);
+}
+
+function fail(message) {
+  console.error(`Error: ${message}`);
+  process.exit(1);
+}
+
+// ════════════════════════════════════════════════════════════════
+//  WAV
+// ════════════════════════════════════════════════════════════════
+
+/**
+ * Decode a PCM (8/16/24/32-bit) or IEEE float WAV file, mixed down to mono.
+ * @param {Buffer} buf
+ * @returns {{samples: Float32Array, sampleRate: number}}
+ */
+function readWav(buf) {
+  const view = new DataView(buf.buffer, buf.byteOffset, buf.byteLength);
+  const tag = (offset) => buf.toString('ascii', offset, offset + 4);
+  if (tag(0) !== 'RIFF' || tag(8) !== 'WAVE') throw new Error('not a RIFF/WAVE file');
+
+  let fmt = null;
+  let data = null;
+  for (let offset = 12; offset + 8 <= buf.length;) {
+    const id = tag(offset);
+    const size = view.getUint32(offset + 4, true);
+    const body = offset + 8;
+    if (id === 'fmt ') {
+      let format = view.getUint16(body, true);
+      if (format === 0xfffe) format = view.getUint16(body + 24, true); // WAVE_FORMAT_EXTENSIBLE
+      fmt = {
+        format,
+        channels: view.getUint16(body + 2, true),
+        sampleRate: view.getUint32(body + 4, true),
+        bits: view.getUint16(body + 14, true),
+      };
+    } else if (id === 'data') {
+      data = { offset: body, size: Math.min(size, buf.length - body) };
+    }
+    offset = body + size + (size & 1);
+  }
+  if (!fmt || !data) throw new Error('missing fmt or data chunk');
+
+  const { format, channels, sampleRate, bits } = fmt;
+  const width = bits / 8;
+  let read;
+  if (format === 3 && bits === 32) read = (o) => view.getFloat32(o, true);
+  else if (format === 3 && bits === 64) read = (o) => view.getFloat64(o, true);
+  else if (format === 1 && bits === 8) read = (o) => (view.getUint8(o) - 128) / 128;
+  else if (format === 1 && bits === 16) read = (o) => view.getInt16(o, true) / 32768;
+  else if (format === 1 && bits === 24) {
+    read = (o) => ((view.getUint8(o) | (view.getUint8(o + 1) << 8) | (view.getInt8(o + 2) << 16)) / 8388608);
+  } else if (format === 1 && bits === 32) read = (o) => view.getInt32(o, true) / 2147483648;
+  else throw new Error(`unsupported WAV encoding (format ${format}, ${bits}-bit)`);
+
+  const length = Math.floor(data.size / (width * channels));
+  const samples = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    let sum = 0;
+    for (let c = 0; c < channels; c++) sum += read(data.offset + (i * channels + c) * width);
+    samples[i] = sum / channels;
+  }
+  return { samples, sampleRate };
+}
+
+// ════════════════════════════════════════════════════════════════
+//  FEATURES
+// ════════════════════════════════════════════════════════════════
+
+/**
+ * Run one recording through the analyzer and label each voiced frame.
+ * @returns {{inputs: Float64Array[], targets: string[]}}
+ */
+function collect({ samples, sampleRate }, cues, spec, opts) {
+  let rate = sampleRate;
+  if (opts.rate && opts.rate !== sampleRate) {
+    samples = resample(samples, sampleRate, opts.rate);
+    rate = opts.rate;
+  }
+
+  // Records the features instead of classifying; returning null lets the
+  // rules run so smoothing and hold-off behave as they would at runtime.
+  let captured = null;
+  const recorder = {
+    features: spec,
+    classify(features) {
+      captured = featureVector(features, spec);
+      return null;
+    },
+  };
+
+  const node = new OfflineAnalyserNode(samples, { fftSize: opts.fft, smoothingTimeConstant: ANALYSER_SMOOTHING });
+  const analyzer = new FrequencyAnalyzer(node, rate, {
+    fftSize: opts.fft,
+    energySmoothing: ANALYSER_SMOOTHING,
+    classifier: recorder,
+  });
+
+  const sorted = [...cues].sort((a, b) => a.startMs - b.startMs);
+  const inputs = [];
+  const targets = [];
+  const frameMs = 1000 / opts.frameRate;
+  const durationMs = (samples.length / rate) * 1000;
+  let cue = 0;
+
+  for (let timeMs = 0; timeMs <= durationMs; timeMs += frameMs) {
+    captured = null;
+    node.seek(Math.round((timeMs / 1000) * rate));
+    analyzer.analyze(timeMs);
+    if (!captured) continue;
+
+    while (cue < sorted.length && sorted[cue].endMs <= timeMs) cue++;
+    const active = sorted[cue];
+    if (!active || active.startMs > timeMs || !(active.viseme in VISEME_SHAPES)) continue;
+    inputs.push(captured);
+    targets.push(active.viseme);
+  }
+  return { inputs, targets };
+}
+
+// ════════════════════════════════════════════════════════════════
+//  MAIN
+// ════════════════════════════════════════════════════════════════
+
+const opts = parseArgs(process.argv.slice(2));
+const spec = {
+  bands: DEFAULT_FEATURE_SPEC.bands,
+  rms: true,
+  zcr: opts.zcr,
+  mfcc: opts.mfcc,
+};
+
+const inputs = [];
+const targets = [];
+for (const { audio, track } of opts.pairs) {
+  let wav, cues;
+  try {
+    wav = readWav(readFileSync(audio));
+  } catch (err) {
+    fail(`${audio}: ${err.message}`);
+  }
+  try {
+    cues = parseTrack(readFileSync(track, 'utf8'), { fps: opts.fps });
+  } catch (err) {
+    fail(`${track}: ${err.message}`);
+  }
+  const set = collect(wav, cues, spec, opts);
+  console.log(`${audio}: ${set.inputs.length} voiced frames labeled`);
+  inputs.push(...set.inputs);
+  targets.push(...set.targets);
+}
+if (inputs.length === 0) fail('no labeled voiced frames — check that tracks line up with the audio');
+
+const model = trainSoftmax(inputs, targets, {
+  features: spec,
+  epochs: opts.epochs,
+  learningRate: opts.learningRate,
+  l2: opts.l2,
+  balance: opts.balance,
+  metadata: {
+    fftSize: opts.fft,
+    analysisSampleRate: opts.rate,
+    frameRate: opts.frameRate,
+    frames: inputs.length,
+  },
+});
+
+// ── Report (training set) ─────────────────────────────────────────
+const classifier = new SoftmaxClassifier(model);
+const perClass = {};
+let correct = 0;
+for (let i = 0; i < inputs.length; i++) {
+  const probs = classifier.classifyVector(inputs[i]);
+  const best = Object.keys(probs).reduce((a, b) => (probs[b] > probs[a] ? b : a));
+  const stats = (perClass[targets[i]] ??= { frames: 0, correct: 0 });
+  stats.frames++;
+  if (best === targets[i]) {
+    stats.correct++;
+    correct++;
+  }
+}
+
+console.log(`\nTraining accuracy: ${((correct / inputs.length) * 100).toFixed(1)}% over ${inputs.length} frames`);
+for (const label of model.labels) {
+  const { frames, correct: hits } = perClass[label];
+  console.log(`  ${label.padEnd(4)} ${String(frames).padStart(6)} frames  ${((hits / frames) * 100).toFixed(1).padStart(5)}%`);
+}
+
+model.metadata.trainingAccuracy = correct / inputs.length;
+writeFileSync(opts.out, JSON.stringify(model, null, 2) + '\n');
+console.log(`\nWrote ${opts.out}`);
@@ -0,0 +1,278 @@
+/**
+ * FeatureExtractor — Per-frame spectral features for classifiers and debug views.
+ *
+ * Computes, from one analysis frame:
+ *
+ *   mel        log mel filterbank energies (natural log)
+ *   mfcc       mel-frequency cepstral coefficients (c0 first)
+ *   deltaMfcc  MFCC slope per frame: least-squares over the last
+ *              `deltaWidth + 1` frames (causal, so it lags by deltaWidth / 2)
+ *   centroid   magnitude-weighted mean frequency (Hz)
+ *   flatness   geometric / arithmetic mean of the power spectrum [0, 1]
+ *              (≈1 for noise such as fricatives, ≈0 for tonal vowels)
+ *   rolloff    frequency below which `rolloffPercent` of the power lies (Hz)
+ *   flux       spectral change since the previous frame: half-wave rectified
+ *              difference of unit-sum magnitude spectra [0, 1]
+ *   rms, zcr   time-domain level and zero-crossing rate (when samples are given)
+ *
+ * Frames can come from an AnalyserNode (or OfflineAnalyserNode) — byte
+ * spectra are mapped back to power between its min/maxDecibels — or from raw
+ * Float32 samples, which are Blackman-windowed and transformed the way the
+ * AnalyserNode does, so both paths produce the same values for the same audio.
+ *
+ * FrequencyAnalyzer uses one of these for classifier plugins and for
+ * `spectralFeatures: true` (VisemeFrame.features).
+ *
+ * @module FeatureExtractor
+ *
+ * @example
+ *   const fx = new FeatureExtractor({ sampleRate: ctx.sampleRate, fftSize: analyser.fftSize });
+ *   const { mfcc, flatness } = fx.fromAnalyser(analyser);
+ *
+ *   // Raw frames (Node, tests): length = fftSize
+ *   const features = fx.fromSamples(frame);
+ */
+
+import { calculateRMS, zeroCrossingRate } from '../utils/audio-utils.js';
+import { blackmanWindow, magnitudeSpectrum } from '../utils/fft.js';
+import { createMelFilterbank, bytePower, melEnergies, mfcc } from '../utils/mel.js';
+
+/** Default extractor configuration. */
+const DEFAULTS = {
+  melBands: 26,            // Mel filters
+  mfccCount: 13,           // Cepstral coefficients kept (c0 first)
+  deltaWidth: 2,           // Past frames in the MFCC delta regression (0 = no deltas)
+  rolloffPercent: 0.85,    // Power fraction for spectral rolloff
+  minHz: 20,               // Mel filterbank range
+  maxHz: null,             // null = Nyquist
+  minDecibels: -100,       // Byte spectrum range when not read from a node
+  maxDecibels: -30,
+};
+
+/**
+ * Spectral centroid.
+ * @param {Float32Array} power - Power per bin.
+ * @param {number} binHz - Bin spacing.
+ * @returns {number} Hz (0 for an empty spectrum).
+ */
+export function spectralCentroid(power, binHz) {
+  let weighted = 0;
+  let total = 0;
+  for (let k = 0; k < power.length; k++) {
+    const mag = Math.sqrt(power[k]);
+    weighted += k * mag;
+    total += mag;
+  }
+  return total > 0 ? (weighted / total) * binHz : 0;
+}
+
+/**
+ * Spectral flatness (Wiener entropy).
+ * @param {Float32Array} power - Power per bin.
+ * @returns {number} [0, 1]
+ */
+export function spectralFlatness(power) {
+  let logSum = 0;
+  let sum = 0;
+  for (let k = 0; k < power.length; k++) {
+    const p = power[k] + 1e-20;
+    logSum += Math.log(p);
+    sum += p;
+  }
+  const n = power.length;
+  return n > 0 && sum > 0 ? Math.min(1, Math.exp(logSum / n) / (sum / n)) : 0;
+}
+
+/**
+ * Spectral rolloff.
+ * @param {Float32Array} power - Power per bin.
+ * @param {number} binHz - Bin spacing.
+ * @param {number} [percent=0.85]
+ * @returns {number} Hz
+ */
+export function spectralRolloff(power, binHz, percent = 0.85) {
+  let total = 0;
+  for (let k = 0; k < power.length; k++) total += power[k];
+  const target = total * percent;
+  let sum = 0;
+  for (let k = 0; k < power.length; k++) {
+    sum += power[k];
+    if (sum >= target) return k * binHz;
+  }
+  return 0;
+}
+
+export class FeatureExtractor {
+  /**
+   * @param {Object} options
+   * @param {number} options.sampleRate
+   * @param {number} options.fftSize - Frame length (power of 2).
+   * @param {number} [options.melBands=26]
+   * @param {number} [options.mfccCount=13]
+   * @param {number} [options.deltaWidth=2]
+   * @param {number} [options.rolloffPercent=0.85]
+   * @param {number} [options.minHz=20]
+   * @param {number|null} [options.maxHz=null]
+   * @param {number} [options.minDecibels=-100]
+   * @param {number} [options.maxDecibels=-30]
+   */
+  constructor(options) {
+    this.opts = { ...DEFAULTS, ...options };
+    const { sampleRate, fftSize } = this.opts;
+    if (!(sampleRate > 0) || !(fftSize > 0) || (fftSize & (fftSize - 1)) !== 0) {
+      throw new RangeError('FeatureExtractor needs a positive sampleRate and a power-of-2 fftSize');
+    }
+
+    this.sampleRate = sampleRate;
+    this.fftSize = fftSize;
+    this.binHz = sampleRate / fftSize;
+    this.melBank = createMelFilterbank({
+      sampleRate,
+      fftSize,
+      bands: this.opts.melBands,
+      minHz: this.opts.minHz,
+      maxHz: this.opts.maxHz ?? undefined,
+    });
+
+    const bins = fftSize / 2;
+    this._bytes = new Uint8Array(bins);
+    this._samples = new Float32Array(fftSize);
+    this._power = new Float32Array(bins);
+    this._window = null; // Blackman window, built on first fromSamples()
+
+    this.reset();
+  }
+
+  /** Forget frame history (flux and deltas restart). */
+  reset() {
+    this._prevMagnitude = null;
+    this._history = [];
+  }
+
+  /**
+   * Features of the AnalyserNode's current frame.
+   * @param {AnalyserNode|import('./OfflineAnalyzer.js').OfflineAnalyserNode} analyser
+   * @returns {SpectralFeatures}
+   */
+  fromAnalyser(analyser) {
+    analyser.getByteFrequencyData(this._bytes);
+    analyser.getFloatTimeDomainData(this._samples);
+    return this.fromBytes(this._bytes, this._samples, analyser.minDecibels, analyser.maxDecibels);
+  }
+
+  /**
+   * Features of an AnalyserNode byte spectrum.
+   * @param {Uint8Array} bytes - getByteFrequencyData() output (fftSize / 2 bins).
+   * @param {Float32Array|null} [samples] - Matching time-domain frame, for rms and zcr.
+   * @param {number} [minDecibels] - The node's minDecibels.
+   * @param {number} [maxDecibels] - The node's maxDecibels.
+   * @returns {SpectralFeatures}
+   */
+  fromBytes(bytes, samples = null, minDecibels = this.opts.minDecibels, maxDecibels = this.opts.maxDecibels) {
+    bytePower(bytes, minDecibels, maxDecibels, this._power);
+    return this.fromPower(this._power, samples);
+  }
+
+  /**
+   * Features of a raw time-domain frame (Blackman window + FFT, as the
+   * AnalyserNode computes its spectrum, without its temporal smoothing).
+   * @param {Float32Array} samples - fftSize samples.
+   * @returns {SpectralFeatures}
+   */
+  fromSamples(samples) {
+    if (samples.length !== this.fftSize) {
+      throw new RangeError(`fromSamples expects ${this.fftSize} samples, got ${samples.length}`);
+    }
+    this._window ??= blackmanWindow(this.fftSize);
+    const magnitude = magnitudeSpectrum(samples, this._window);
+    for (let k = 0; k < this._power.length; k++) this._power[k] = magnitude[k] * magnitude[k];
+    return this.fromPower(this._power, samples);
+  }
+
+  /**
+   * Features of a power spectrum (fftSize / 2 bins, |X|² / N² scaling).
+   * @param {Float32Array} power
+   * @param {Float32Array|null} [samples] - Matching time-domain frame, for rms and zcr.
+   * @returns {SpectralFeatures}
+   */
+  fromPower(power, samples = null) {
+    const energies = melEnergies(power, this.melBank);
+    const coeffs = mfcc(energies, this.opts.mfccCount);
+    const mel = energies.map((e) => Math.log(e + 1e-12));
+
+    return {
+      mel,
+      mfcc: coeffs,
+      deltaMfcc: this._delta(coeffs),
+      centroid: spectralCentroid(power, this.binHz),
+      flatness: spectralFlatness(power),
+      rolloff: spectralRolloff(power, this.binHz, this.opts.rolloffPercent),
+      flux: this._flux(power),
+      rms: samples ? calculateRMS(samples) : null,
+      zcr: samples ? zeroCrossingRate(samples) : null,
+    };
+  }
+
+  /**
+   * Positive change of the unit-sum magnitude spectrum since the last frame.
+   * @private
+   */
+  _flux(power) {
+    const magnitude = new Float32Array(power.length);
+    let total = 0;
+    for (let k = 0; k < power.length; k++) {
+      magnitude[k] = Math.sqrt(power[k]);
+      total += magnitude[k];
+    }
+    if (total > 0) for (let k = 0; k < magnitude.length; k++) magnitude[k] /= total;
+
+    const prev = this._prevMagnitude;
+    this._prevMagnitude = magnitude;
+    if (!prev) return 0;
+
+    let flux = 0;
+    for (let k = 0; k < magnitude.length; k++) {
+      const diff = magnitude[k] - prev[k];
+      if (diff > 0) flux += diff;
+    }
+    return flux;
+  }
+
+  /**
+   * Least-squares MFCC slope over the frames in history.
+   * @private
+   */
+  _delta(coeffs) {
+    const width = this.opts.deltaWidth;
+    const delta = new Float32Array(coeffs.length);
+    if (width <= 0) return delta;
+
+    this._history.push(coeffs);
+    if (this._history.length > width + 1) this._history.shift();
+    const n = this._history.length;
+    if (n < 2) return delta;
+
+    const mean = (n - 1) / 2;
+    let denom = 0;
+    for (let t = 0; t < n; t++) denom += (t - mean) ** 2;
+    for (let c = 0; c < coeffs.length; c++) {
+      let num = 0;
+      for (let t = 0; t < n; t++) num += (t - mean) * this._history[t][c];
+      delta[c] = num / denom;
+    }
+    return delta;
+  }
+}
+
+/**
+ * @typedef {Object} SpectralFeatures
+ * @property {Float32Array} mel - Log mel filterbank energies.
+ * @property {Float32Array} mfcc - Cepstral coefficients, c0 first.
+ * @property {Float32Array} deltaMfcc - MFCC change per frame.
+ * @property {number} centroid - Spectral centroid (Hz).
+ * @property {number} flatness - Spectral flatness [0, 1].
+ * @property {number} rolloff - Spectral rolloff (Hz).
+ * @property {number} flux - Spectral flux [0, 1].
+ * @property {number|null} rms - Frame RMS (null without samples).
+ * @property {number|null} zcr - Zero-crossing rate (null without samples).
+ */
@@ -0,0 +1,83 @@
+import { describe, it, expect } from 'vitest';
+import { FeatureExtractor, spectralCentroid, spectralFlatness, spectralRolloff } from './FeatureExtractor.js';
+import { OfflineAnalyserNode } from './OfflineAnalyzer.js';
+
+const SAMPLE_RATE = 16000;
+const FFT_SIZE = 512;
+
+function sine(freq, length = FFT_SIZE, offset = 0) {
+  return Float32Array.from({ length }, (_, i) => 0.5 * Math.sin((2 * Math.PI * freq * (i + offset)) / SAMPLE_RATE));
+}
+
+/** Deterministic white noise (LCG). */
+function noise(length = FFT_SIZE, seed = 1) {
+  let s = seed;
+  return Float32Array.from({ length }, () => {
+    s = (s * 1664525 + 1013904223) >>> 0;
+    return (s / 2 ** 32 - 0.5) * 0.5;
+  });
+}
+
+describe('spectral shape functions', () => {
+  it('compute centroid, flatness and rolloff of simple spectra', () => {
+    const line = new Float32Array(8);
+    line[4] = 1;
+    expect(spectralCentroid(line, 100)).toBe(400);
+    expect(spectralRolloff(line, 100)).toBe(400);
+    expect(spectralFlatness(new Float32Array(8).fill(3))).toBeCloseTo(1);
+    expect(spectralFlatness(line)).toBeLessThan(1e-6);
+    expect(spectralCentroid(new Float32Array(8), 100)).toBe(0);
+  });
+});
+
+describe('FeatureExtractor', () => {
+  it('tells a tone from noise by flatness and centroid', () => {
+    const fx = new FeatureExtractor({ sampleRate: SAMPLE_RATE, fftSize: FFT_SIZE });
+    const tone = fx.fromSamples(sine(500));
+    fx.reset();
+    const hiss = fx.fromSamples(noise());
+
+    expect(tone.flatness).toBeLessThan(0.1);
+    expect(hiss.flatness).toBeGreaterThan(0.4);
+    expect(tone.centroid).toBeGreaterThan(400);
+    expect(tone.centroid).toBeLessThan(700);
+    expect(hiss.centroid).toBeGreaterThan(3000);
+    expect(tone.mel).toHaveLength(26);
+    expect(tone.mfcc).toHaveLength(13);
+    expect(tone.rms).toBeCloseTo(0.5 / Math.SQRT2, 2);
+    expect(tone.zcr).toBeGreaterThan(0);
+  });
+
+  it('reports flux and deltas only once there is a previous frame', () => {
+    const fx = new FeatureExtractor({ sampleRate: SAMPLE_RATE, fftSize: FFT_SIZE });
+    const first = fx.fromSamples(sine(500));
+    expect(first.flux).toBe(0);
+    expect(first.deltaMfcc.every((d) => d === 0)).toBe(true);
+
+    const same = fx.fromSamples(sine(500));
+    expect(same.flux).toBeCloseTo(0, 5);
+    const changed = fx.fromSamples(sine(3000));
+    expect(changed.flux).toBeGreaterThan(0.5);
+    expect(changed.deltaMfcc.some((d) => Math.abs(d) > 0.1)).toBe(true);
+  });
+
+  it('gives matching features from an analyser node and from raw samples', () => {
+    const samples = sine(800, 4096);
+    const node = new OfflineAnalyserNode(samples, { fftSize: FFT_SIZE, smoothingTimeConstant: 0 });
+    node.seek(2048);
+    const fromNode = new FeatureExtractor({ sampleRate: SAMPLE_RATE, fftSize: FFT_SIZE }).fromAnalyser(node);
+    const fromRaw = new FeatureExtractor({ sampleRate: SAMPLE_RATE, fftSize: FFT_SIZE })
+      .fromSamples(samples.slice(2048 - FFT_SIZE, 2048));
+
+    // Bytes clip at min/maxDecibels, so the spectra agree only roughly
+    expect(Math.abs(fromNode.centroid - fromRaw.centroid)).toBeLessThan(0.15 * fromRaw.centroid);
+    expect(fromNode.flatness).toBeLessThan(0.1);
+    expect(fromNode.rms).toBeCloseTo(fromRaw.rms, 4);
+  });
+
+  it('validates its frame size', () => {
+    expect(() => new FeatureExtractor({ sampleRate: SAMPLE_RATE, fftSize: 300 })).toThrow(RangeError);
+    const fx = new FeatureExtractor({ sampleRate: SAMPLE_RATE, fftSize: FFT_SIZE });
+    expect(() => fx.fromSamples(new Float32Array(256))).toThrow(RangeError);
+  });
+});
@@ -0,0 +1,365 @@
+/**
+ * FormantTracker — F1/F2 estimation by linear prediction, and vowel lookup.
+ *
+ * FFT bands are too coarse to tell vowels apart (at fftSize 256 / 24 kHz a
+ * bin is ~94 Hz wide). The first two formants are what separates them, and
+ * LPC finds those from a single short frame:
+ *
+ *   1. Low-pass and decimate so the analysis band ends just above
+ *      `maxFormantHz` (the vocal tract has ~1 formant per kHz)
+ *   2. Pre-emphasis (+6 dB/octave) and a Hamming window
+ *   3. Autocorrelation → Levinson–Durbin → all-pole filter 1/A(z)
+ *   4. Roots of A(z): each complex pole pair is a resonance, with its
+ *      frequency from the pole's angle and bandwidth from its radius;
+ *      resonances wider than 500 Hz are spectral tilt, not formants
+ *   5. F1 = first resonance in 200–1200 Hz, F2 = the next one above it
+ *
+ * The (F1, F2) point is matched against a vowel-space table: average
+ * formants per vowel for a voice type. VOWEL_SPACE has Peterson & Barney's
+ * (1952) means for male, female and child speakers; pass your own table
+ * for a particular voice. Distances are measured on log frequency, so a
+ * 10% error costs the same for F1 as for F2.
+ *
+ * @module FormantTracker
+ *
+ * @example
+ *   const tracker = new FormantTracker(24000, { vowelSpace: 'female' });
+ *   const formants = tracker.track(timeDomainFrame); // { f1: 850, f2: 1220 } | null
+ *   const vowel = formants && tracker.classify(formants); // { viseme: 'aa', phoneme: 'AA', confidence }
+ */
+
+import { PHONEME_TO_VISEME, EXTENDED_VISEMES } from '../core/visemes.js';
+
+/**
+ * Vowel spaces: the highest formant to look for, and [F1, F2] in Hz per
+ * ARPABET vowel (or extended viseme key). Peterson & Barney (1952) means.
+ */
+export const VOWEL_SPACE = {
+  male: {
+    maxFormantHz: 5000,
+    vowels: {
+      IY: [270, 2290], IH: [390, 1990], EH: [530, 1840], AE: [660, 1720], AH: [520, 1190],
+      AA: [730, 1090], AO: [570, 840],  UH: [440, 1020], UW: [300, 870],  ER: [490, 1350],
+    },
+  },
+  female: {
+    maxFormantHz: 5500,
+    vowels: {
+      IY: [310, 2790], IH: [430, 2480], EH: [610, 2330], AE: [860, 2050], AH: [760, 1400],
+      AA: [850, 1220], AO: [590, 920],  UH: [470, 1160], UW: [370, 950],  ER: [500, 1640],
+    },
+  },
+  child: {
+    maxFormantHz: 6500,
+    vowels: {
+      IY: [370, 3200], IH: [530, 2730], EH: [690, 2610], AE: [1010, 2320], AH: [850, 1590],
+      AA: [1030, 1370], AO: [680, 1060], UH: [560, 1410], UW: [430, 1170], ER: [560, 1820],
+    },
+  },
+};
+
+/** Default tracker configuration. */
+const DEFAULTS = {
+  vowelSpace: 'male',   // VOWEL_SPACE key or a { maxFormantHz?, vowels } table
+  maxFormantHz: null,   // Highest formant searched (null = from the vowel space)
+  order: null,          // LPC order (null = 2 + analysis rate in kHz)
+  smoothing: 0.5,       // EMA retention of log-formants between frames
+  tolerance: 0.2,       // Log-distance at which confidence falls to 1/e
+};
+
+const MIN_FORMANT_HZ = 90;
+const MAX_BANDWIDTH_HZ = 500;    // Wider resonances are spectral tilt, not formants
+const F1_RANGE = [200, 1200];
+
+/**
+ * Levinson–Durbin recursion: prediction polynomial from autocorrelation.
+ * @param {Float64Array|number[]} r - Autocorrelation, lags 0..order.
+ * @param {number} order
+ * @returns {{coefficients: Float64Array, error: number}|null} A(z) = 1 + a1 z⁻¹ + …;
+ *   null when the frame is silent or the recursion becomes unstable.
+ */
+export function levinsonDurbin(r, order) {
+  const a = new Float64Array(order + 1);
+  const prev = new Float64Array(order + 1);
+  a[0] = 1;
+  let error = r[0];
+  if (!(error > 0)) return null;
+
+  for (let i = 1; i <= order; i++) {
+    let acc = r[i];
+    for (let j = 1; j < i; j++) acc += a[j] * r[i - j];
+    const k = -acc / error;
+    if (!(Math.abs(k) < 1)) return null;
+
+    prev.set(a);
+    for (let j = 1; j < i; j++) a[j] = prev[j] + k * prev[i - j];
+    a[i] = k;
+    error *= 1 - k * k;
+  }
+  return { coefficients: a, error };
+}
+
+/**
+ * LPC coefficients of a frame by the autocorrelation method.
+ * The frame is used as is: window and pre-emphasize it first.
+ * @param {Float32Array|Float64Array} frame
+ * @param {number} order
+ * @returns {{coefficients: Float64Array, error: number}|null}
+ */
+export function lpc(frame, order) {
+  const r = new Float64Array(order + 1);
+  for (let lag = 0; lag <= order; lag++) {
+    let sum = 0;
+    for (let i = lag; i < frame.length; i++) sum += frame[i] * frame[i - lag];
+    r[lag] = sum;
+  }
+  r[0] *= 1 + 1e-9; // white-noise correction keeps the recursion stable
+  return levinsonDurbin(r, order);
+}
+
+export class FormantTracker {
+  /**
+   * @param {number} sampleRate - Rate of the frames passed to track().
+   * @param {Partial<typeof DEFAULTS>} [options]
+   */
+  constructor(sampleRate, options = {}) {
+    this.sampleRate = sampleRate;
+    this.opts = { ...DEFAULTS, ...options };
+
+    const space = typeof this.opts.vowelSpace === 'string'
+      ? VOWEL_SPACE[this.opts.vowelSpace]
+      : this.opts.vowelSpace;
+    if (!space || !space.vowels) {
+      throw new Error(`Unknown vowel space: ${this.opts.vowelSpace}`);
+    }
+    this.vowelSpace = space;
+    this._vowels = Object.entries(space.vowels).map(([key, [f1, f2]]) => ({
+      phoneme: key,
+      viseme: PHONEME_TO_VISEME[key] || (key in EXTENDED_VISEMES ? key : null),
+      logF1: Math.log(f1),
+      logF2: Math.log(f2),
+    })).filter((v) => v.viseme);
+
+    // Decimate so the analysis band ends just above the highest formant
+    this.maxFormantHz = Math.min(
+      this.opts.maxFormantHz ?? space.maxFormantHz ?? 5500,
+      sampleRate / 2
+    );
+    this._decimation = Math.max(1, Math.floor(sampleRate / (2 * this.maxFormantHz)));
+    this.analysisRate = sampleRate / this._decimation;
+    this.order = this.opts.order ?? 2 + Math.round(this.analysisRate / 1000);
+    this._lowpass = this._decimation > 1 ? buildLowpass(this._decimation) : null;
+
+    this.reset();
+  }
+
+  /**
+   * Estimate F1 and F2 of a time-domain frame.
+   * @param {Float32Array} samples - At least a few pitch periods (≥ 20 ms works best).
+   * @returns {{f1: number, f2: number}|null} Smoothed formants, or null when
+   *   the frame is silent or has no clear vowel structure.
+   */
+  track(samples) {
+    const raw = this._estimate(samples);
+    if (!raw) {
+      this._logF1 = null;
+      this._logF2 = null;
+      return null;
+    }
+
+    const lf1 = Math.log(raw.f1);
+    const lf2 = Math.log(raw.f2);
+    if (this._logF1 === null) {
+      this._logF1 = lf1;
+      this._logF2 = lf2;
+    } else {
+      const s = this.opts.smoothing;
+      this._logF1 = this._logF1 * s + lf1 * (1 - s);
+      this._logF2 = this._logF2 * s + lf2 * (1 - s);
+    }
+    return { f1: Math.exp(this._logF1), f2: Math.exp(this._logF2) };
+  }
+
+  /**
+   * Nearest vowel in the vowel space.
+   * @param {{f1: number, f2: number}} formants
+   * @returns {{viseme: string, phoneme: string, confidence: number}|null}
+   */
+  classify({ f1, f2 }) {
+    const lf1 = Math.log(f1);
+    const lf2 = Math.log(f2);
+    let best = null;
+    let bestDist = Infinity;
+    for (const v of this._vowels) {
+      const d1 = lf1 - v.logF1;
+      const d2 = lf2 - v.logF2;
+      const dist = d1 * d1 + d2 * d2;
+      if (dist < bestDist) {
+        bestDist = dist;
+        best = v;
+      }
+    }
+    if (!best) return null;
+
+    const tol = this.opts.tolerance;
+    return {
+      viseme: best.viseme,
+      phoneme: best.phoneme,
+      confidence: 0.9 * Math.exp(-bestDist / (tol * tol)),
+    };
+  }
+
+  /** Forget the smoothed formants (start of a new utterance). */
+  reset() {
+    this._logF1 = null;
+    this._logF2 = null;
+  }
+
+  /**
+   * Unsmoothed F1/F2 of one frame.
+   * @private
+   */
+  _estimate(samples) {
+    if (this._lowpass && samples.length < this._lowpass.length) return null;
+    const x = this._decimate(samples);
+    const n = x.length;
+    if (n <= this.order * 2) return null;
+
+    // Pre-emphasis flattens the glottal tilt so F2 isn't buried under F1
+    const frame = new Float64Array(n);
+    let energy = 0;
+    for (let i = n - 1; i >= 0; i--) {
+      const y = x[i] - 0.97 * (i > 0 ? x[i - 1] : 0);
+      const w = 0.54 - 0.46 * Math.cos((2 * Math.PI * i) / (n - 1));
+      frame[i] = y * w;
+      energy += y * y;
+    }
+    if (energy / n < 1e-8) return null;
+
+    const model = lpc(frame, this.order);
+    if (!model) return null;
+
+    const formants = this._resonances(model.coefficients);
+    const f1 = formants.find((f) => f >= F1_RANGE[0] && f <= F1_RANGE[1]);
+    if (f1 === undefined) return null;
+    const f2 = formants.find((f) => f > f1 && f <= this.maxFormantHz);
+    if (f2 === undefined) return null;
+    return { f1, f2 };
+  }
+
+  /**
+   * Resonances of 1/A(z): the frequencies of its complex pole pairs that are
+   * narrower than MAX_BANDWIDTH_HZ, in Hz, ascending.
+   * @private
+   */
+  _resonances(a) {
+    const { re, im } = polynomialRoots(a);
+    const fs = this.analysisRate;
+    const out = [];
+    for (let i = 0; i < re.length; i++) {
+      if (im[i] <= 0) continue; // one of each conjugate pair; real poles are tilt
+      const freq = (Math.atan2(im[i], re[i]) * fs) / (2 * Math.PI);
+      const bandwidth = (-Math.log(Math.hypot(re[i], im[i])) * fs) / Math.PI;
+      if (freq > MIN_FORMANT_HZ && bandwidth < MAX_BANDWIDTH_HZ) out.push(freq);
+    }
+    return out.sort((x, y) => x - y);
+  }
+
+  /**
+   * Low-pass and keep every Nth sample.
+   * @private
+   */
+  _decimate(samples) {
+    const d = this._decimation;
+    if (d === 1) return samples;
+    const taps = this._lowpass;
+    const half = (taps.length - 1) / 2;
+    const out = new Float64Array(Math.floor((samples.length - 2 * half) / d));
+    for (let o = 0; o < out.length; o++) {
+      const base = o * d;
+      let acc = 0;
+      for (let t = 0; t < taps.length; t++) acc += samples[base + t] * taps[t];
+      out[o] = acc;
+    }
+    return out;
+  }
+}
+
+/**
+ * Complex roots of a polynomial by Durand–Kerner iteration.
+ * @param {Float64Array} a - Coefficients, highest power first (a[0] ≠ 0).
+ * @returns {{re: Float64Array, im: Float64Array}}
+ */
+export function polynomialRoots(a) {
+  const n = a.length - 1;
+  const re = new Float64Array(n);
+  const im = new Float64Array(n);
+  // Standard start: powers of a complex number that is not a root of unity
+  for (let i = 0; i < n; i++) {
+    const mag = Math.pow(0.9, i);
+    re[i] = mag * Math.cos(0.4 + i * 1.1);
+    im[i] = mag * Math.sin(0.4 + i * 1.1);
+  }
+
+  for (let iter = 0; iter < 200; iter++) {
+    let moved = 0;
+    for (let i = 0; i < n; i++) {
+      // p(z_i) by Horner, on the monic polynomial
+      let pr = 1;
+      let pi = 0;
+      for (let k = 1; k <= n; k++) {
+        const tr = pr * re[i] - pi * im[i] + a[k] / a[0];
+        pi = pr * im[i] + pi * re[i];
+        pr = tr;
+      }
+      // ∏ (z_i − z_j)
+      let qr = 1;
+      let qi = 0;
+      for (let j = 0; j < n; j++) {
+        if (j === i) continue;
+        const dr = re[i] - re[j];
+        const di = im[i] - im[j];
+        const tr = qr * dr - qi * di;
+        qi = qr * di + qi * dr;
+        qr = tr;
+      }
+      const den = qr * qr + qi * qi || 1e-300;
+      const stepR = (pr * qr + pi * qi) / den;
+      const stepI = (pi * qr - pr * qi) / den;
+      re[i] -= stepR;
+      im[i] -= stepI;
+      moved = Math.max(moved, Math.abs(stepR) + Math.abs(stepI));
+    }
+    if (moved < 1e-12) break;
+  }
+  return { re, im };
+}
+
+/**
+ * Blackman-windowed sinc low-pass at 0.9 × the decimated Nyquist.
+ * @param {number} factor - Decimation factor.
+ * @returns {Float64Array}
+ */
+function buildLowpass(factor) {
+  const half = 4 * factor;
+  const taps = new Float64Array(2 * half + 1);
+  const cutoff = 0.9 / factor;
+  let sum = 0;
+  for (let i = 0; i < taps.length; i++) {
+    const d = i - half;
+    const x = Math.PI * cutoff * d;
+    const sinc = d === 0 ? 1 : Math.sin(x) / x;
+    const win = 0.42 + 0.5 * Math.cos((Math.PI * d) / half) + 0.08 * Math.cos((2 * Math.PI * d) / half);
+    taps[i] = sinc * win;
+    sum += taps[i];
+  }
+  for (let i = 0; i < taps.length; i++) taps[i] /= sum;
+  return taps;
+}
+
+/**
+ * @typedef {Object} VowelSpace
+ * @property {number} [maxFormantHz] - Highest formant to search for.
+ * @property {Object<string, [number, number]>} vowels - [F1, F2] in Hz per
+ *   ARPABET vowel or extended viseme key.
+ */
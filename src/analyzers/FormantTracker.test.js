@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest';
+import { FormantTracker, levinsonDurbin, polynomialRoots, VOWEL_SPACE } from './FormantTracker.js';
+import { PHONEME_TO_VISEME } from '../core/visemes.js';
+
+const SAMPLE_RATE = 16000;
+
+/** Glottal pulse train at f0 through a cascade of formant resonators. */
+function vowel(formants, { f0 = 120, ms = 40, bandwidth = 80 } = {}) {
+  let x = Float64Array.from({ length: (SAMPLE_RATE * ms) / 1000 }, (_, i) => (i % Math.round(SAMPLE_RATE / f0) === 0 ? 1 : 0));
+  for (const freq of formants) {
+    const r = Math.exp((-Math.PI * bandwidth) / SAMPLE_RATE);
+    const c = 2 * r * Math.cos((2 * Math.PI * freq) / SAMPLE_RATE);
+    const y = new Float64Array(x.length);
+    for (let i = 0; i < x.length; i++) y[i] = x[i] + c * (y[i - 1] || 0) - r * r * (y[i - 2] || 0);
+    x = y;
+  }
+  const peak = x.reduce((m, v) => Math.max(m, Math.abs(v)), 0);
+  return Float32Array.from(x, (v) => (0.5 * v) / peak);
+}
+
+describe('polynomialRoots', () => {
+  it('finds real and complex roots', () => {
+    const real = polynomialRoots(Float64Array.of(1, -3, 2));
+    expect([...real.re].sort()).toEqual([expect.closeTo(1, 6), expect.closeTo(2, 6)]);
+    const complex = polynomialRoots(Float64Array.of(1, 0, 1));
+    expect([...complex.im].sort()).toEqual([expect.closeTo(-1, 6), expect.closeTo(1, 6)]);
+  });
+});
+
+describe('levinsonDurbin', () => {
+  it('recovers a first-order predictor', () => {
+    const { coefficients, error } = levinsonDurbin([1, 0.5, 0.25], 2);
+    expect(coefficients[1]).toBeCloseTo(-0.5);
+    expect(coefficients[2]).toBeCloseTo(0);
+    expect(error).toBeCloseTo(0.75);
+  });
+
+  it('returns null for a silent frame', () => {
+    expect(levinsonDurbin([0, 0, 0], 2)).toBeNull();
+  });
+});
+
+describe('FormantTracker', () => {
+  it.each(['AA', 'IY', 'UW'])('finds F1/F2 of a synthetic %s and classifies it', (phoneme) => {
+    const [f1, f2] = VOWEL_SPACE.male.vowels[phoneme];
+    const tracker = new FormantTracker(SAMPLE_RATE);
+    const formants = tracker.track(vowel([f1, f2, 2500]));
+
+    // Within 25%: a low F1 sits on only a few pitch harmonics
+    expect(Math.abs(Math.log(formants.f1 / f1))).toBeLessThan(Math.log(1.25));
+    expect(Math.abs(Math.log(formants.f2 / f2))).toBeLessThan(Math.log(1.25));
+    expect(tracker.classify(formants).viseme).toBe(PHONEME_TO_VISEME[phoneme]);
+  });
+
+  it('returns null for silence and forgets the smoothed track', () => {
+    const tracker = new FormantTracker(SAMPLE_RATE);
+    tracker.track(vowel([730, 1090, 2500]));
+    expect(tracker.track(new Float32Array(640))).toBeNull();
+    expect(tracker._logF1).toBeNull();
+  });
+
+  it('smooths formants on log frequency between frames', () => {
+    const tracker = new FormantTracker(SAMPLE_RATE, { smoothing: 0.5 });
+    const a = tracker.track(vowel([730, 1090, 2500]));
+    const raw = new FormantTracker(SAMPLE_RATE).track(vowel([300, 870, 2500]));
+    const mixed = tracker.track(vowel([300, 870, 2500]));
+    expect(mixed.f1).toBeCloseTo(Math.sqrt(a.f1 * raw.f1), 3);
+  });
+
+  it('is fully confident at a table point and decimates to the vowel space band', () => {
+    const tracker = new FormantTracker(48000, { vowelSpace: 'female' });
+    const [f1, f2] = VOWEL_SPACE.female.vowels.AE;
+    expect(tracker.classify({ f1, f2 })).toEqual({ viseme: PHONEME_TO_VISEME.AE, phoneme: 'AE', confidence: 0.9 });
+    expect(tracker.analysisRate).toBe(12000);
+    expect(tracker.order).toBe(14);
+  });
+
+  it('returns null for a frame shorter than the decimation filter', () => {
+    const tracker = new FormantTracker(96000);
+    expect(tracker.track(new Float32Array(32).fill(0.5))).toBeNull();
+  });
+
+  it('rejects unknown vowel spaces', () => {
+    expect(() => new FormantTracker(SAMPLE_RATE, { vowelSpace: 'robot' })).toThrow('Unknown vowel space');
+  });
+});
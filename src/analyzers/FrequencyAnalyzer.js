@@ -5,11 +5,25 @@
  * based on frequency band energy distribution, amplitude, and zero-crossing rate.
  *
  * Detection pipeline:
- *   1. Silence gate → sil
+ *   1. Silence gate → sil; with `vad`, also sil outside detected speech
+ *      (VoiceActivityDetector: adaptive noise floor, flatness, hangover)
  *   2. Band energy extraction (5 bands)
- *   3. Feature classification (sibilant, fricative, vowel, plosive, nasal)
- *   4. Viseme selection with confidence scoring
- *   5. Temporal smoothing (EMA + holdoff)
+ *   3. Feature classification (sibilant, fricative, vowel, plosive, nasal);
+ *      with `vowelMode: 'formants'`, vowels come from LPC F1/F2 looked up in
+ *      a vowel-space table (see FormantTracker) instead of band patterns
+ *   4. Viseme selection with confidence scoring; a `classifier` plugin
+ *      (e.g. a trained SoftmaxClassifier) replaces steps 3–4 with its own
+ *      probabilities over bands, RMS, ZCR and MFCCs
+ *   5. Temporal smoothing (EMA + holdoff), scaled by the playback rate
+ *   6. Optional coarticulation weights (dominance model over recent segments)
+ *
+ * A voice profile (see VoiceCalibrator) replaces the silence threshold and
+ * the RMS → intensity gain with values learned for one voice, and subtracts
+ * its noise floor from the bands; calibrate() learns one from live frames.
+ *
+ * With `spectralFeatures: true` each frame also carries the FeatureExtractor
+ * values (mel energies, MFCCs + deltas, centroid, flatness, rolloff, flux,
+ * ZCR) computed from the same AnalyserNode data.
  *
  * @module FrequencyAnalyzer
  */
@@ -25,6 +39,12 @@ import {
   VISEME_SHAPES,
   getTransitionWeight,
 } from '../core/visemes.js';
+import { CoarticulationModel, blendShapes } from '../core/coarticulation.js';
+import { FormantTracker } from './FormantTracker.js';
+import { loadClassifier } from './SoftmaxClassifier.js';
+import { FeatureExtractor } from './FeatureExtractor.js';
+import { VoiceCalibrator, parseVoiceProfile } from './VoiceCalibrator.js';
+import { VoiceActivityDetector } from './VoiceActivityDetector.js';
 
 /** Default analyzer configuration. */
 const DEFAULTS = {
@@ -34,8 +54,26 @@ const DEFAULTS = {
   holdFrames: 2,           // Minimum frames to hold a viseme before switching
   intensitySmoothing: 0.2,
   energySmoothing: 0.5,    // AnalyserNode smoothingTimeConstant
+  visemeWeights: false,    // Attach a normalized per-viseme weight vector to each frame
+  coarticulation: null,    // CoarticulationModel options (used when visemeWeights is on)
+  bands: null,             // Custom band ranges (see DEFAULT_BANDS; e.g. TELEPHONY_BANDS)
+  vowelMode: 'bands',      // 'bands' (band-energy patterns) or 'formants' (LPC F1/F2)
+  vowelSpace: 'male',      // Formant mode: VOWEL_SPACE key or a custom table
+  lpcOrder: null,          // Formant mode: LPC order (null = auto)
+  classifier: null,        // Classifier plugin or JSON model (null = built-in rules)
+  spectralFeatures: false, // Attach FeatureExtractor values to each frame (frame.features)
+  voiceProfile: null,      // VoiceProfile (or its JSON): calibrated threshold, gain, noise bands
+  vad: false,              // Voice activity detection: true or VoiceActivityDetector options
 };
 
+/** RMS → intensity multiplier without a voice profile. */
+const INTENSITY_GAIN = 3;
+
+/** Current time in ms for segment bookkeeping when no time is supplied. */
+function nowMs() {
+  return typeof performance !== 'undefined' ? performance.now() : Date.now();
+}
+
 export class FrequencyAnalyzer {
   /**
    * @param {AnalyserNode} analyserNode - Connected AnalyserNode.
@@ -55,6 +93,42 @@ export class FrequencyAnalyzer {
     this.timeDomainData = new Uint8Array(this.analyser.fftSize);
     this.frequencyData = new Uint8Array(this.analyser.frequencyBinCount);
 
+    // Formant tracking (vowelMode 'formants')
+    this.formantTracker = this.opts.vowelMode === 'formants'
+      ? new FormantTracker(sampleRate, { vowelSpace: this.opts.vowelSpace, order: this.opts.lpcOrder })
+      : null;
+    this._formants = null;
+
+    // Classifier plugin (replaces the rule cascade)
+    this.classifier = loadClassifier(this.opts.classifier);
+    this._probabilities = null;
+
+    // Voice activity detection (flatness comes from the feature extractor)
+    this.vad = this.opts.vad
+      ? new VoiceActivityDetector(this.opts.vad === true ? {} : this.opts.vad)
+      : null;
+    this._speaking = false;
+
+    // Spectral features (classifier input, VAD flatness and/or frame.features)
+    this.featureExtractor = this.classifier || this.opts.spectralFeatures || this.vad
+      ? new FeatureExtractor({
+        sampleRate,
+        fftSize: this.analyser.fftSize,
+        mfccCount: Math.max(13, this.classifier?.features?.mfcc || 0),
+      })
+      : null;
+    this._spectral = null;
+
+    this._floatTimeDomain = this.formantTracker || this.featureExtractor
+      ? new Float32Array(this.analyser.fftSize)
+      : null;
+
+    // Voice calibration
+    this.voiceProfile = null;
+    this.setVoiceProfile(this.opts.voiceProfile);
+    this._calibration = null; // { calibrator, resolve } while calibrate() runs
+    this._lastClockMs = null;
+
     // State
     this._currentViseme = 'sil';
     this._currentIntensity = 0;
@@ -64,52 +138,214 @@ export class FrequencyAnalyzer {
     this._previousViseme = 'sil';
     this._transitionProgress = 1; // 0..1 blend between prev → current
     this._frameCount = 0;
+
+    // Coarticulation
+    this._coarticulation = this.opts.visemeWeights
+      ? new CoarticulationModel(this.opts.coarticulation || {})
+      : null;
+    this._segments = [];
+    this._clockMs = 0;
+
+    // Playback rate: media time per wall time (see setRate())
+    this._rate = 1;
+    this._clockBase = { wallMs: 0, mediaMs: 0 };
+  }
+
+  /**
+   * Scale the per-frame smoothing to a playback rate. At 2x, speech events
+   * last half as many analysis frames, so EMAs, hold-off, transitions and
+   * the AnalyserNode smoothing advance twice as far per frame, and the
+   * default coarticulation clock runs in media time.
+   *
+   * @param {number} rate - Media seconds per wall-clock second.
+   */
+  setRate(rate) {
+    this._clockBase = { wallMs: nowMs(), mediaMs: this._mediaNow() };
+    this._rate = rate;
+    this.analyser.smoothingTimeConstant = Math.pow(this.opts.energySmoothing, rate);
+  }
+
+  /** Current playback rate. */
+  get rate() {
+    return this._rate;
+  }
+
+  /** Clock time of the last analyzed frame (ms; media time, runs in every input mode). */
+  get clockMs() {
+    return this._clockMs;
+  }
+
+  /**
+   * Use a voice profile's silence threshold, intensity gain and noise bands
+   * instead of the configured defaults.
+   * @param {import('./VoiceCalibrator.js').VoiceProfile|string|null} profile - Profile,
+   *   its JSON, or null for the defaults.
+   */
+  setVoiceProfile(profile) {
+    this.voiceProfile = profile ? parseVoiceProfile(profile) : null;
+  }
+
+  /**
+   * Learn a voice profile from the next frames of speech, then apply it.
+   * Starting a new calibration ends a running one with null.
+   *
+   * @param {Object} [options] - VoiceCalibrator options ({ name, durationMs }).
+   * @returns {Promise<import('./VoiceCalibrator.js').VoiceProfile|null>}
+   *   The applied profile, or null if cancelled.
+   */
+  calibrate(options = {}) {
+    this.cancelCalibration();
+    return new Promise((resolve) => {
+      this._calibration = { calibrator: new VoiceCalibrator(options), resolve };
+    });
+  }
+
+  /** Stop a running calibration (its promise resolves with null). */
+  cancelCalibration() {
+    const calibration = this._calibration;
+    this._calibration = null;
+    calibration?.resolve(null);
+  }
+
+  /** Whether calibrate() is collecting frames. */
+  get calibrating() {
+    return this._calibration !== null;
+  }
+
+  /**
+   * Feed one frame to the running calibration; apply the profile when done.
+   * @private
+   */
+  _observeCalibration(features, frameMs) {
+    const { calibrator, resolve } = this._calibration;
+    calibrator.observe(features, frameMs);
+    if (!calibrator.done) return;
+
+    const profile = calibrator.profile();
+    this._calibration = null;
+    if (profile) this.setVoiceProfile(profile);
+    resolve(profile ? this.voiceProfile : null);
+  }
+
+  /**
+   * EMA retention factor for one frame at the current rate.
+   * @private
+   */
+  _retention(factor) {
+    return this._rate === 1 ? factor : Math.pow(factor, this._rate);
+  }
+
+  /**
+   * Wall clock advanced at the playback rate.
+   * @private
+   */
+  _mediaNow() {
+    const { wallMs, mediaMs } = this._clockBase;
+    return mediaMs + (nowMs() - wallMs) * this._rate;
   }
 
   /**
    * Analyze the current audio frame and return viseme data.
    * Call this once per animation frame (~60fps) or at your desired analysis rate.
    *
+   * @param {number} [timeMs] - Frame time, used for coarticulation timing.
+   *   Defaults to the wall clock.
    * @returns {VisemeFrame}
    */
-  analyze() {
-    this._frameCount++;
-
+  analyze(timeMs) {
     // ── Gather raw data ──────────────────────────────────────────
     this.analyser.getByteTimeDomainData(this.timeDomainData);
     this.analyser.getByteFrequencyData(this.frequencyData);
 
-    const rawAmplitude = calculateRMS(this.timeDomainData, true);
+    if (this._floatTimeDomain) this.analyser.getFloatTimeDomainData(this._floatTimeDomain);
+
+    const features = {
+      rms: calculateRMS(this.timeDomainData, true),
+      bands: extractBandEnergies(this.frequencyData, this.sampleRate, this.opts.bands),
+    };
+    if (this.formantTracker) features.formants = this.formantTracker.track(this._floatTimeDomain);
+    if (this.featureExtractor) {
+      const { minDecibels, maxDecibels } = this.analyser;
+      features.spectral = this.featureExtractor.fromBytes(
+        this.frequencyData, this._floatTimeDomain, minDecibels, maxDecibels
+      );
+    }
+
+    return this.processFeatures(features, timeMs);
+  }
+
+  /**
+   * Classify pre-extracted features (e.g. computed in the AudioWorklet on
+   * the samples being played) instead of reading the AnalyserNode.
+   * Bands must be normalized like extractBandEnergies() over byte spectra.
+   * In formant mode, `formants` (from FormantTracker.track()) classifies
+   * vowels; without it the band patterns are used. `spectral` (from a
+   * FeatureExtractor) feeds the classifier plugin and `frame.features`;
+   * models that need MFCCs or ZCR fall back to the rules without it.
+   *
+   * @param {{rms: number, bands: Object<string, number>, formants?: {f1: number, f2: number}|null,
+   *   spectral?: import('./FeatureExtractor.js').SpectralFeatures|null}} features
+   *   Raw RMS and band energies, optionally formants and spectral features.
+   * @param {number} [timeMs] - Frame time, used for coarticulation timing.
+   *   Defaults to the wall clock.
+   * @returns {VisemeFrame}
+   */
+  processFeatures(features, timeMs) {
+    this._frameCount++;
+    this._clockMs = timeMs ?? this._mediaNow();
+    this._formants = this.formantTracker ? features.formants ?? null : null;
+    this._probabilities = null;
+    this._spectral = features.spectral ?? null;
+    const frameMs = this._lastClockMs === null
+      ? 1000 / 60
+      : clamp(this._clockMs - this._lastClockMs, 0, 100);
+    this._lastClockMs = this._clockMs;
+    if (this._calibration) this._observeCalibration(features, frameMs);
+    if (this.vad) {
+      this._speaking = this.vad.update({ rms: features.rms, flatness: this._spectral?.flatness }, frameMs).speaking;
+    }
+    const profile = this.voiceProfile;
+    const smoothing = this._retention(this.opts.smoothingFactor);
+
     this._smoothedAmplitude = smoothValue(
       this._smoothedAmplitude,
-      rawAmplitude,
-      this.opts.smoothingFactor
+      features.rms,
+      smoothing
     );
 
     // ── Band energies ────────────────────────────────────────────
-    const rawBands = extractBandEnergies(this.frequencyData, this.sampleRate);
+    const rawBands = features.bands;
     for (const key of Object.keys(rawBands)) {
+      // Lift the voice's noise floor to zero
+      const noise = profile?.noiseBands[key] || 0;
+      const value = noise > 0 ? Math.max(0, (rawBands[key] - noise) / (1 - noise)) : rawBands[key];
       this._smoothedBands[key] = smoothValue(
         this._smoothedBands[key] || 0,
-        rawBands[key],
-        this.opts.smoothingFactor
+        value,
+        smoothing
       );
     }
     const bands = this._smoothedBands;
 
     // ── Silence gate ─────────────────────────────────────────────
-    if (this._smoothedAmplitude < this.opts.silenceThreshold) {
+    if (this._smoothedAmplitude < (profile?.silenceThreshold ?? this.opts.silenceThreshold)) {
+      return this._emitViseme('sil', 0, bands);
+    }
+
+    // ── Voice activity gate ──────────────────────────────────────
+    if (this.vad && !this._speaking) {
       return this._emitViseme('sil', 0, bands);
     }
 
     // ── Feature extraction ───────────────────────────────────────
-    const intensity = clamp(this._smoothedAmplitude * 3, 0, 1);
-    const { viseme, confidence } = this._classifyViseme(bands, intensity);
+    const intensity = clamp(this._smoothedAmplitude * (profile?.intensityGain ?? INTENSITY_GAIN), 0, 1);
+    const { viseme, confidence } = (this.classifier && this._classifyWithPlugin(features, bands, intensity))
+      || this._classifyViseme(bands, intensity);
 
     // ── Hold-off: prevent rapid flickering ───────────────────────
     if (viseme !== this._currentViseme) {
       this._holdCounter++;
-      if (this._holdCounter < this.opts.holdFrames) {
+      if (this._holdCounter < Math.round(this.opts.holdFrames / this._rate)) {
         // Keep current viseme during hold period
         return this._emitViseme(this._currentViseme, intensity, bands);
       }
@@ -121,6 +357,38 @@ export class FrequencyAnalyzer {
     return this._emitViseme(viseme, intensity, bands, confidence);
   }
 
+  /**
+   * Ask the classifier plugin for viseme probabilities and take the most
+   * likely one. Returns null (→ rule cascade) when it has no answer.
+   * @private
+   */
+  _classifyWithPlugin(features, bands, intensity) {
+    const probabilities = this.classifier.classify({
+      rms: features.rms,
+      amplitude: this._smoothedAmplitude,
+      intensity,
+      bands: { ...bands },
+      zcr: this._spectral?.zcr ?? null,
+      mfcc: this._spectral?.mfcc ?? null,
+      spectral: this._spectral,
+      formants: this._formants,
+    });
+    if (!probabilities) return null;
+
+    let viseme = null;
+    let confidence = -1;
+    for (const [key, p] of Object.entries(probabilities)) {
+      if (p > confidence && key in VISEME_SHAPES) {
+        viseme = key;
+        confidence = p;
+      }
+    }
+    if (!viseme) return null;
+
+    this._probabilities = probabilities;
+    return { viseme, confidence };
+  }
+
   /**
    * Classify the current audio frame into a viseme.
    * @private
@@ -148,6 +416,13 @@ export class FrequencyAnalyzer {
       return { viseme: 'FF', confidence: fricativeScore * 0.8 };
     }
 
+    // ── Vowels — from tracked formants when available ────────────
+    // Clear formant structure means a voiced vowel, not a plosive burst
+    if (this._formants) {
+      const vowel = this.formantTracker.classify(this._formants);
+      if (vowel) return { viseme: vowel.viseme, confidence: vowel.confidence };
+    }
+
     // ── Plosives (P, B, T, D) → sudden energy burst ─────────────
     // Detected by high intensity with relatively flat spectrum
     const flatness = 1 - Math.abs(high - low) / (totalEnergy + 0.001);
@@ -164,7 +439,7 @@ export class FrequencyAnalyzer {
     }
 
     // ── Vowels — classified by formant-like band patterns ────────
-    // This is approximate; real formant tracking needs higher FFT resolution
+    // Approximate: bands are too coarse for formants (see vowelMode 'formants')
 
     // Wide open (AA/AH): strong low+mid, moderate sub
     if (low > 0.2 && mid > 0.15 && intensity > 0.5) {
@@ -208,17 +483,18 @@ export class FrequencyAnalyzer {
       this._previousViseme = this._currentViseme;
       this._currentViseme = viseme;
       this._transitionProgress = 0;
+      this._startSegment(viseme);
     } else {
       // Advance transition
       const weight = getTransitionWeight(this._previousViseme, this._currentViseme);
-      this._transitionProgress = Math.min(1, this._transitionProgress + (1 - weight) * 0.3);
+      this._transitionProgress = Math.min(1, this._transitionProgress + (1 - weight) * 0.3 * this._rate);
     }
 
     // Smooth intensity
     this._currentIntensity = smoothValue(
       this._currentIntensity,
       intensity,
-      this.opts.intensitySmoothing
+      this._retention(this.opts.intensitySmoothing)
     );
 
     // Get mouth shape parameters (interpolated during transition)
@@ -226,7 +502,7 @@ export class FrequencyAnalyzer {
     const currShape = VISEME_SHAPES[this._currentViseme] || VISEME_SHAPES.sil;
     const t = this._transitionProgress;
 
-    return {
+    const frame = {
       viseme: this._currentViseme,
       simpleViseme: EXTENDED_TO_SIMPLE[this._currentViseme] || 'A',
       intensity: this._currentIntensity,
@@ -245,6 +521,48 @@ export class FrequencyAnalyzer {
       },
       frame: this._frameCount,
     };
+
+    if (this.formantTracker) frame.formants = this._formants;
+    if (this.classifier) frame.probabilities = this._probabilities;
+    if (this.opts.spectralFeatures) frame.features = this._spectral;
+    if (this.vad) frame.speaking = this._speaking;
+
+    if (this._coarticulation) {
+      if (this._segments.length === 0) this._startSegment(this._currentViseme);
+      frame.weights = this._coarticulation.weightsAt(this._segments, this._clockMs);
+      frame.shape = blendShapes(frame.weights);
+    }
+
+    return frame;
+  }
+
+  /**
+   * Close the running segment and open a new one at the current clock.
+   * @private
+   */
+  _startSegment(viseme) {
+    if (!this._coarticulation) return;
+    const last = this._segments[this._segments.length - 1];
+    if (last) last.endMs = this._clockMs;
+    this._segments.push({ viseme, startMs: this._clockMs, endMs: null });
+    if (this._segments.length > 4) this._segments.shift();
+  }
+
+  /**
+   * Close the mouth from wherever it is. Amplitude and bands drop to zero,
+   * and the next frames transition to `sil` with the usual blend and
+   * intensity smoothing instead of snapping shut (used on barge-in).
+   */
+  release() {
+    this._smoothedAmplitude = 0;
+    this._smoothedBands = { sub: 0, low: 0, mid: 0, high: 0, veryHigh: 0 };
+    this._holdCounter = 0;
+    if (this._currentViseme !== 'sil') {
+      this._previousViseme = this._currentViseme;
+      this._currentViseme = 'sil';
+      this._transitionProgress = 0;
+      this._startSegment('sil');
+    }
   }
 
   /** Reset analyzer state. */
@@ -257,9 +575,34 @@ export class FrequencyAnalyzer {
     this._previousViseme = 'sil';
     this._transitionProgress = 1;
     this._frameCount = 0;
+    this._segments = [];
+    this._lastClockMs = null;
+    this._formants = null;
+    this._probabilities = null;
+    this._spectral = null;
+    this.formantTracker?.reset();
+    this.featureExtractor?.reset();
+    this.vad?.reset();
+    this._speaking = false;
   }
 }
 
+/**
+ * Features handed to a classifier plugin for each voiced frame (silent
+ * frames are gated to `sil` before the classifier runs).
+ *
+ * @typedef {Object} ClassifierFeatures
+ * @property {number} rms - Raw frame RMS.
+ * @property {number} amplitude - Smoothed RMS (what the silence gate sees).
+ * @property {number} intensity - Speech intensity [0, 1].
+ * @property {Object<string, number>} bands - Smoothed band energies.
+ * @property {number|null} zcr - Zero-crossing rate (null for worklet-side analysis).
+ * @property {Float32Array|null} mfcc - MFCCs, c0 first (null for worklet-side analysis).
+ * @property {import('./FeatureExtractor.js').SpectralFeatures|null} spectral - All
+ *   FeatureExtractor values (null for worklet-side analysis).
+ * @property {{f1: number, f2: number}|null} formants - Only in formant vowel mode.
+ */
+
 /**
  * @typedef {Object} VisemeFrame
  * @property {string} viseme - Extended viseme key.
@@ -271,4 +614,13 @@ export class FrequencyAnalyzer {
  * @property {Object} shape - Interpolated mouth shape {open, width, round}.
  * @property {Object} transition - Transition state {from, to, progress}.
  * @property {number} frame - Analysis frame counter.
+ * @property {Object<string, number>} [weights] - Normalized weight per extended
+ *   viseme (only with `visemeWeights: true`).
+ * @property {{f1: number, f2: number}|null} [formants] - Tracked F1/F2 in Hz
+ *   (only with `vowelMode: 'formants'`; null when unvoiced or silent).
+ * @property {Object<string, number>|null} [probabilities] - Classifier output
+ *   (only with a `classifier`; null when the rules decided the frame).
+ * @property {import('./FeatureExtractor.js').SpectralFeatures|null} [features] - Spectral
+ *   features (only with `spectralFeatures: true`; null for worklet-side analysis).
+ * @property {boolean} [speaking] - Inside detected speech (only with `vad`).
  */
@@ -0,0 +1,89 @@
+/**
+ * HybridAnalyzer — Fuses alignment visemes with live FFT loudness.
+ *
+ * The viseme identity (and its transition) comes from a VisemeTimeline fed
+ * with TTS phoneme/viseme timings, while `intensity`, `amplitude`, `bands`
+ * and the scale of `shape.open` come from the FrequencyAnalyzer running on
+ * the actual audio. When the alignment stream lags behind playback, frames
+ * fall back to pure FFT classification until timings catch up.
+ *
+ * @module HybridAnalyzer
+ */
+
+import { clamp } from '../utils/audio-utils.js';
+
+/** Default hybrid configuration. */
+const DEFAULTS = {
+  lagToleranceMs: 100,   // Keep using alignment this long past its last cue
+  openReference: 0.6,    // FFT intensity at which the aligned shape opens fully
+};
+
+export class HybridAnalyzer {
+  /**
+   * @param {import('./FrequencyAnalyzer.js').FrequencyAnalyzer} analyzer - Live FFT analyzer.
+   * @param {import('./VisemeTimeline.js').VisemeTimeline} timeline - Alignment timeline.
+   * @param {Partial<typeof DEFAULTS>} [options]
+   */
+  constructor(analyzer, timeline, options = {}) {
+    this.analyzer = analyzer;
+    this.timeline = timeline;
+    this.opts = { ...DEFAULTS, ...options };
+  }
+
+  /**
+   * Whether alignment data is available for the given playback position.
+   * @param {number} timeMs
+   * @returns {boolean}
+   */
+  hasAlignment(timeMs) {
+    const { timeline } = this;
+    return timeline.cues.length > 0 && timeMs < timeline.endMs + this.opts.lagToleranceMs;
+  }
+
+  /**
+   * Produce a fused viseme frame for a playback position.
+   * @param {number} timeMs - Playback position (e.g. worklet `timeMs`).
+   * @param {{rms: number, bands: Object<string, number>}} [features] - Pre-extracted
+   *   audio features (worklet analysis); the AnalyserNode is read when omitted.
+   * @returns {import('./FrequencyAnalyzer.js').VisemeFrame}
+   */
+  analyze(timeMs, features) {
+    // Always run the FFT analyzer so its smoothing stays warm for fallback
+    const audio = features
+      ? this.analyzer.processFeatures(features)
+      : this.analyzer.analyze();
+
+    if (!this.hasAlignment(timeMs)) {
+      audio.source = 'audio';
+      return audio;
+    }
+
+    const aligned = this.timeline.analyze(timeMs);
+    const openScale = clamp(audio.intensity / this.opts.openReference, 0, 1);
+
+    const frame = {
+      viseme: aligned.viseme,
+      simpleViseme: aligned.simpleViseme,
+      intensity: audio.intensity,
+      confidence: aligned.confidence,
+      amplitude: audio.amplitude,
+      bands: audio.bands,
+      shape: {
+        open: aligned.shape.open * openScale,
+        width: aligned.shape.width,
+        round: aligned.shape.round,
+      },
+      transition: aligned.transition,
+      frame: audio.frame,
+      source: 'alignment',
+    };
+    if (aligned.weights) frame.weights = aligned.weights;
+    return frame;
+  }
+
+  /** Reset both underlying sources. */
+  reset() {
+    this.analyzer.reset();
+    this.timeline.reset();
+  }
+}
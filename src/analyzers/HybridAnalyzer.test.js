@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { HybridAnalyzer } from './HybridAnalyzer.js';
+import { FrequencyAnalyzer } from './FrequencyAnalyzer.js';
+import { VisemeTimeline } from './VisemeTimeline.js';
+import { OfflineAnalyserNode } from './OfflineAnalyzer.js';
+
+const SAMPLE_RATE = 16000;
+
+function setup(samples, options) {
+  const node = new OfflineAnalyserNode(samples, { fftSize: 256, smoothingTimeConstant: 0.5 });
+  const analyzer = new FrequencyAnalyzer(node, SAMPLE_RATE, { fftSize: 256 });
+  const timeline = new VisemeTimeline({ intensitySmoothing: 0 });
+  timeline.addVisemes([{ viseme: 'PP', startMs: 0, endMs: 200 }, { viseme: 'O', startMs: 200, endMs: 400 }]);
+  return { node, hybrid: new HybridAnalyzer(analyzer, timeline, options) };
+}
+
+function run(node, hybrid, timeMs) {
+  node.seek(Math.round((timeMs / 1000) * SAMPLE_RATE));
+  return hybrid.analyze(timeMs);
+}
+
+const tone = Float32Array.from({ length: SAMPLE_RATE }, (_, i) => 0.4 * Math.sin((2 * Math.PI * 400 * i) / SAMPLE_RATE));
+
+describe('HybridAnalyzer', () => {
+  it('takes the viseme from alignment and loudness from the audio', () => {
+    const { node, hybrid } = setup(tone);
+    let frame;
+    for (let t = 0; t <= 300; t += 1000 / 60) frame = run(node, hybrid, t);
+    expect(frame.source).toBe('alignment');
+    expect(frame.viseme).toBe('O');
+    expect(frame.intensity).toBeGreaterThan(0.3);
+    expect(frame.amplitude).toBeGreaterThan(0);
+    expect(frame.shape.open).toBeGreaterThan(0);
+  });
+
+  it('keeps the aligned mouth closed when the audio is silent', () => {
+    const { node, hybrid } = setup(new Float32Array(SAMPLE_RATE));
+    let frame;
+    for (let t = 0; t <= 300; t += 1000 / 60) frame = run(node, hybrid, t);
+    expect(frame.viseme).toBe('O');
+    expect(frame.intensity).toBe(0);
+    expect(frame.shape.open).toBe(0);
+  });
+
+  it('falls back to the audio classifier once alignment lags behind', () => {
+    const { node, hybrid } = setup(tone, { lagToleranceMs: 50 });
+    expect(hybrid.hasAlignment(440)).toBe(true);
+    expect(hybrid.hasAlignment(460)).toBe(false);
+    const frame = run(node, hybrid, 600);
+    expect(frame.source).toBe('audio');
+  });
+
+  it('uses pre-extracted features instead of reading the node', () => {
+    const { hybrid } = setup(new Float32Array(SAMPLE_RATE));
+    const bands = { sub: 0.2, low: 0.6, mid: 0.4, high: 0.1, veryHigh: 0.05 };
+    let frame;
+    for (let i = 0; i < 10; i++) frame = hybrid.analyze(100, { rms: 0.2, zcr: 0.05, bands });
+    expect(frame.viseme).toBe('PP');
+    expect(frame.intensity).toBeGreaterThan(0);
+  });
+
+  it('resets both sources', () => {
+    const { hybrid } = setup(tone);
+    hybrid.reset();
+    expect(hybrid.timeline.cues).toHaveLength(0);
+    expect(hybrid.hasAlignment(0)).toBe(false);
+  });
+});
@@ -0,0 +1,250 @@
+/**
+ * OfflineAnalyzer — Viseme analysis of complete audio buffers, no AudioContext.
+ *
+ * Runs the exact same FrequencyAnalyzer pipeline used in the browser, but
+ * feeds it from OfflineAnalyserNode: a pure-JS stand-in for the Web Audio
+ * AnalyserNode (Blackman window, FFT, temporal smoothing, dB → byte mapping).
+ * Works in Node, in workers, and under vitest.
+ *
+ * @module OfflineAnalyzer
+ *
+ * @example
+ *   import { analyzeOffline } from '@beer-digital/lipsync-engine';
+ *
+ *   const frames = analyzeOffline(pcm16, 24000, { frameRate: 30 });
+ *   for (const frame of frames) {
+ *     console.log(frame.timeMs, frame.viseme, frame.intensity);
+ *   }
+ */
+
+import { FrequencyAnalyzer } from './FrequencyAnalyzer.js';
+import { blackmanWindow, fft } from '../utils/fft.js';
+import { int16ToFloat32, resample } from '../utils/audio-utils.js';
+
+/** Default offline analysis options. */
+const DEFAULTS = {
+  frameRate: 60,               // Frames per second of audio
+  fftSize: 256,                // FFT window size (power of 2)
+  analyserSmoothing: 0.5,      // Equivalent of AnalyserNode smoothingTimeConstant
+  analysisSampleRate: null,    // Resample before analysis (e.g. 48000 to mimic the live context)
+  silenceThreshold: 0.015,
+  smoothingFactor: 0.35,
+  holdFrames: 2,
+  intensitySmoothing: 0.2,
+  visemeWeights: false,
+  coarticulation: null,
+  bands: null,                 // Custom band ranges (e.g. TELEPHONY_BANDS for 8 kHz audio)
+  vowelMode: 'bands',          // 'bands' or 'formants' (LPC F1/F2)
+  vowelSpace: 'male',          // Formant mode: 'male' | 'female' | 'child' | custom table
+  lpcOrder: null,
+  classifier: null,            // Classifier plugin or JSON model (null = built-in rules)
+  spectralFeatures: false,     // Attach spectral features to frames (frame.features)
+  voiceProfile: null,          // VoiceProfile (or its JSON) from calibration
+  vad: false,                  // Voice activity detection (true or VoiceActivityDetector options)
+};
+
+/**
+ * Pure-JS implementation of the AnalyserNode read API over an in-memory buffer.
+ * Call seek() to move the analysis window, then read data as from a real node.
+ */
+export class OfflineAnalyserNode {
+  /**
+   * @param {Float32Array} samples - Mono audio samples.
+   * @param {Object} [options]
+   * @param {number} [options.fftSize=2048]
+   * @param {number} [options.smoothingTimeConstant=0.8]
+   * @param {number} [options.minDecibels=-100]
+   * @param {number} [options.maxDecibels=-30]
+   */
+  constructor(samples, options = {}) {
+    this.samples = samples;
+    this.smoothingTimeConstant = options.smoothingTimeConstant ?? 0.8;
+    this.minDecibels = options.minDecibels ?? -100;
+    this.maxDecibels = options.maxDecibels ?? -30;
+
+    /** Index one past the last sample of the analysis window. */
+    this.position = 0;
+
+    this._computedAt = -1;
+    this.fftSize = options.fftSize ?? 2048;
+  }
+
+  get fftSize() {
+    return this._fftSize;
+  }
+
+  set fftSize(size) {
+    if (size < 32 || size > 32768 || (size & (size - 1)) !== 0) {
+      throw new RangeError(`fftSize must be a power of 2 between 32 and 32768, got ${size}`);
+    }
+    this._fftSize = size;
+    this._window = blackmanWindow(size);
+    this._re = new Float64Array(size);
+    this._im = new Float64Array(size);
+    this._smoothed = new Float32Array(size / 2);
+    this._computedAt = -1;
+  }
+
+  get frequencyBinCount() {
+    return this._fftSize / 2;
+  }
+
+  /**
+   * Move the analysis window so it ends at the given sample index.
+   * @param {number} position
+   */
+  seek(position) {
+    this.position = Math.max(0, Math.floor(position));
+  }
+
+  /** Clear the temporal smoothing history. */
+  reset() {
+    this._smoothed.fill(0);
+    this._computedAt = -1;
+  }
+
+  /**
+   * Copy the current window into target (zero-padded before the buffer start).
+   * @private
+   */
+  _readWindow(target) {
+    const n = Math.min(target.length, this._fftSize);
+    const start = this.position - n;
+    for (let i = 0; i < n; i++) {
+      const idx = start + i;
+      target[i] = idx >= 0 && idx < this.samples.length ? this.samples[idx] : 0;
+    }
+    return n;
+  }
+
+  /**
+   * Compute the smoothed magnitude spectrum once per position.
+   * @private
+   */
+  _computeSpectrum() {
+    if (this._computedAt === this.position) return;
+    this._computedAt = this.position;
+
+    const n = this._fftSize;
+    const re = this._re;
+    const im = this._im;
+    this._readWindow(re);
+    for (let i = 0; i < n; i++) {
+      re[i] *= this._window[i];
+      im[i] = 0;
+    }
+    fft(re, im);
+
+    const tau = this.smoothingTimeConstant;
+    for (let k = 0; k < n / 2; k++) {
+      const mag = Math.sqrt(re[k] * re[k] + im[k] * im[k]) / n;
+      this._smoothed[k] = tau * this._smoothed[k] + (1 - tau) * mag;
+    }
+  }
+
+  /** @param {Float32Array} array */
+  getFloatTimeDomainData(array) {
+    const tmp = new Float32Array(Math.min(array.length, this._fftSize));
+    this._readWindow(tmp);
+    array.set(tmp);
+  }
+
+  /** @param {Uint8Array} array */
+  getByteTimeDomainData(array) {
+    const tmp = new Float32Array(Math.min(array.length, this._fftSize));
+    this._readWindow(tmp);
+    for (let i = 0; i < tmp.length; i++) {
+      array[i] = Math.max(0, Math.min(255, Math.floor(128 * (1 + tmp[i]))));
+    }
+  }
+
+  /** @param {Float32Array} array */
+  getFloatFrequencyData(array) {
+    this._computeSpectrum();
+    const n = Math.min(array.length, this._smoothed.length);
+    for (let k = 0; k < n; k++) {
+      array[k] = 20 * Math.log10(this._smoothed[k]);
+    }
+  }
+
+  /** @param {Uint8Array} array */
+  getByteFrequencyData(array) {
+    this._computeSpectrum();
+    const n = Math.min(array.length, this._smoothed.length);
+    const range = this.maxDecibels - this.minDecibels;
+    for (let k = 0; k < n; k++) {
+      const db = 20 * Math.log10(this._smoothed[k]);
+      const scaled = Math.floor((255 / range) * (db - this.minDecibels));
+      array[k] = Number.isFinite(scaled) ? Math.max(0, Math.min(255, scaled)) : 0;
+    }
+  }
+}
+
+/**
+ * Analyze a complete audio buffer into a sequence of viseme frames.
+ *
+ * @param {Float32Array|Int16Array} samples - Mono audio samples.
+ * @param {number} sampleRate - Sample rate of `samples`.
+ * @param {Partial<typeof DEFAULTS>} [options]
+ * @returns {import('./FrequencyAnalyzer.js').VisemeFrame[]} One frame per 1/frameRate seconds.
+ */
+export function analyzeOffline(samples, sampleRate, options = {}) {
+  const opts = { ...DEFAULTS, ...options };
+
+  let input;
+  if (samples instanceof Int16Array) {
+    input = int16ToFloat32(samples);
+  } else if (samples instanceof Float32Array) {
+    input = samples;
+  } else {
+    throw new TypeError('analyzeOffline expects Int16Array or Float32Array');
+  }
+  if (!(sampleRate > 0)) {
+    throw new RangeError('analyzeOffline requires a positive sampleRate');
+  }
+
+  let rate = sampleRate;
+  if (opts.analysisSampleRate && opts.analysisSampleRate !== sampleRate) {
+    input = resample(input, sampleRate, opts.analysisSampleRate);
+    rate = opts.analysisSampleRate;
+  }
+
+  const node = new OfflineAnalyserNode(input, {
+    fftSize: opts.fftSize,
+    smoothingTimeConstant: opts.analyserSmoothing,
+  });
+  const analyzer = new FrequencyAnalyzer(node, rate, {
+    fftSize: opts.fftSize,
+    silenceThreshold: opts.silenceThreshold,
+    smoothingFactor: opts.smoothingFactor,
+    holdFrames: opts.holdFrames,
+    intensitySmoothing: opts.intensitySmoothing,
+    energySmoothing: opts.analyserSmoothing,
+    visemeWeights: opts.visemeWeights,
+    coarticulation: opts.coarticulation,
+    bands: opts.bands,
+    vowelMode: opts.vowelMode,
+    vowelSpace: opts.vowelSpace,
+    lpcOrder: opts.lpcOrder,
+    classifier: opts.classifier,
+    spectralFeatures: opts.spectralFeatures,
+    voiceProfile: opts.voiceProfile,
+    vad: opts.vad,
+  });
+
+  const durationMs = (input.length / rate) * 1000;
+  const frameMs = 1000 / opts.frameRate;
+  const frameCount = Math.floor(durationMs / frameMs + 1e-9) + 1; // 1000 / (1000 / 30) < 30
+  const frames = new Array(frameCount);
+
+  for (let i = 0; i < frameCount; i++) {
+    const timeMs = i * frameMs;
+    node.seek(Math.round((timeMs / 1000) * rate));
+    const frame = analyzer.analyze(timeMs);
+    frame.timeMs = timeMs;
+    frame.bufferLevel = 0;
+    frames[i] = frame;
+  }
+
+  return frames;
+}
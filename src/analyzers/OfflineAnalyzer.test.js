@@ -0,0 +1,134 @@
+import { describe, it, expect } from 'vitest';
+import { OfflineAnalyserNode, analyzeOffline } from './OfflineAnalyzer.js';
+import { fft } from '../utils/fft.js';
+import { float32ToInt16 } from '../utils/audio-utils.js';
+
+function sine(freq, sampleRate, length, amplitude = 0.5) {
+  return Float32Array.from({ length }, (_, i) => amplitude * Math.sin((2 * Math.PI * freq * i) / sampleRate));
+}
+
+describe('fft', () => {
+  it('puts a constant signal in bin 0', () => {
+    const re = new Float64Array(8).fill(1);
+    const im = new Float64Array(8);
+    fft(re, im);
+    expect(re[0]).toBeCloseTo(8);
+    for (let k = 1; k < 8; k++) {
+      expect(Math.hypot(re[k], im[k])).toBeCloseTo(0);
+    }
+  });
+
+  it('resolves a cosine to its bin and the mirror bin', () => {
+    const n = 64;
+    const re = Float64Array.from({ length: n }, (_, i) => Math.cos((2 * Math.PI * 5 * i) / n));
+    const im = new Float64Array(n);
+    fft(re, im);
+    expect(Math.hypot(re[5], im[5])).toBeCloseTo(n / 2);
+    expect(Math.hypot(re[n - 5], im[n - 5])).toBeCloseTo(n / 2);
+    expect(Math.hypot(re[6], im[6])).toBeCloseTo(0);
+  });
+
+  it('rejects lengths that are not a power of 2', () => {
+    expect(() => fft(new Float64Array(6), new Float64Array(6))).toThrow(RangeError);
+    expect(() => fft(new Float64Array(8), new Float64Array(4))).toThrow(RangeError);
+  });
+});
+
+describe('OfflineAnalyserNode', () => {
+  it('validates fftSize like AnalyserNode', () => {
+    expect(() => new OfflineAnalyserNode(new Float32Array(10), { fftSize: 100 })).toThrow(RangeError);
+    expect(() => new OfflineAnalyserNode(new Float32Array(10), { fftSize: 16 })).toThrow(RangeError);
+    expect(new OfflineAnalyserNode(new Float32Array(10), { fftSize: 512 }).frequencyBinCount).toBe(256);
+  });
+
+  it('maps silence to byte 0 and the time domain to 128', () => {
+    const node = new OfflineAnalyserNode(new Float32Array(1024), { fftSize: 256 });
+    node.seek(512);
+    const freq = new Uint8Array(128).fill(7);
+    const time = new Uint8Array(256);
+    node.getByteFrequencyData(freq);
+    node.getByteTimeDomainData(time);
+    expect(freq.every((v) => v === 0)).toBe(true);
+    expect(time.every((v) => v === 128)).toBe(true);
+  });
+
+  it('peaks at the tone bin and maps dB to bytes between min/maxDecibels', () => {
+    const sampleRate = 8000;
+    const fftSize = 256;
+    const bin = 32; // 1000 Hz
+    const node = new OfflineAnalyserNode(sine((bin * sampleRate) / fftSize, sampleRate, 4096), {
+      fftSize,
+      smoothingTimeConstant: 0,
+    });
+    node.seek(2048);
+
+    const db = new Float32Array(fftSize / 2);
+    const bytes = new Uint8Array(fftSize / 2);
+    node.getFloatFrequencyData(db);
+    node.getByteFrequencyData(bytes);
+
+    const peak = db.indexOf(Math.max(...db));
+    expect(peak).toBe(bin);
+    const range = node.maxDecibels - node.minDecibels;
+    for (let k = 0; k < bytes.length; k++) {
+      const expected = Math.max(0, Math.min(255, Math.floor((255 / range) * (db[k] - node.minDecibels))));
+      expect(bytes[k]).toBe(expected);
+    }
+    expect(bytes[bin]).toBe(255); // a half-scale tone is above maxDecibels
+  });
+
+  it('smooths the spectrum over successive positions', () => {
+    const samples = sine(1000, 8000, 4096);
+    const node = new OfflineAnalyserNode(samples, { fftSize: 256, smoothingTimeConstant: 0.8 });
+    const db = new Float32Array(128);
+    node.seek(1024);
+    node.getFloatFrequencyData(db);
+    const first = db[32];
+    node.seek(1280);
+    node.getFloatFrequencyData(db);
+    expect(db[32]).toBeGreaterThan(first); // converging up towards the unsmoothed level
+
+    node.reset();
+    node.getFloatFrequencyData(db);
+    expect(db[32]).toBeCloseTo(first, 3);
+  });
+});
+
+describe('analyzeOffline', () => {
+  const sampleRate = 16000;
+
+  it('returns one frame per 1/frameRate seconds with timestamps', () => {
+    const frames = analyzeOffline(new Float32Array(sampleRate), sampleRate, { frameRate: 30 });
+    expect(frames).toHaveLength(31);
+    expect(frames[0].timeMs).toBe(0);
+    expect(frames[30].timeMs).toBeCloseTo(1000);
+    expect(frames.every((f) => f.bufferLevel === 0)).toBe(true);
+  });
+
+  it('keeps the mouth closed on silence and opens it for a tone', () => {
+    const silent = analyzeOffline(new Float32Array(sampleRate / 2), sampleRate);
+    expect(silent.every((f) => f.viseme === 'sil' && f.intensity === 0)).toBe(true);
+
+    const tone = analyzeOffline(sine(500, sampleRate, sampleRate / 2), sampleRate);
+    const open = tone.slice(5).filter((f) => f.viseme !== 'sil');
+    expect(open.length).toBeGreaterThan(tone.length / 2);
+    expect(Math.max(...tone.map((f) => f.intensity))).toBeGreaterThan(0.5);
+  });
+
+  it('gives the same frames for Int16 and Float32 input', () => {
+    const samples = sine(300, sampleRate, sampleRate / 4);
+    const fromFloat = analyzeOffline(samples, sampleRate);
+    const fromInt16 = analyzeOffline(float32ToInt16(samples), sampleRate);
+    expect(fromInt16.map((f) => f.viseme)).toEqual(fromFloat.map((f) => f.viseme));
+  });
+
+  it('resamples to analysisSampleRate first', () => {
+    const frames = analyzeOffline(sine(300, 8000, 8000), 8000, { analysisSampleRate: 48000, frameRate: 10 });
+    expect(frames).toHaveLength(11);
+  });
+
+  it('rejects unsupported input', () => {
+    expect(() => analyzeOffline([0, 0, 0], sampleRate)).toThrow(TypeError);
+    expect(() => analyzeOffline(new Float32Array(10), 0)).toThrow(RangeError);
+  });
+});
@@ -0,0 +1,307 @@
+/**
+ * SoftmaxClassifier — Multinomial logistic regression over frame features.
+ *
+ * A viseme classifier plugin for FrequencyAnalyzer: it maps the features
+ * of a voiced frame (band energies, RMS, zero-crossing rate, MFCCs) to a
+ * probability per viseme. Weights come from a JSON model, usually fitted
+ * to your own voices with `scripts/train-classifier.js`. One model is
+ * bundled, loadable by name (`classifier: 'default'`): it was trained on a
+ * synthetic reference voice (`scripts/reference-voice.js`) at the engine
+ * defaults, fftSize 256 and 24 kHz. The model format:
+ *
+ *   {
+ *     "type": "softmax",
+ *     "version": 1,
+ *     "labels":   ["aa", "E", "I", ...],
+ *     "features": { "bands": ["sub", "low", ...], "rms": true, "zcr": true, "mfcc": 13 },
+ *     "mean":  [...], "scale": [...],      // per-input standardization
+ *     "weights": [[...], ...],             // one row per label
+ *     "bias":    [...]
+ *   }
+ *
+ * Any object with `classify(features) → { viseme: probability } | null`
+ * can be used instead (see ClassifierFeatures in FrequencyAnalyzer.js).
+ *
+ * @module SoftmaxClassifier
+ *
+ * @example
+ *   const model = await (await fetch('/models/my-voice.json')).json();
+ *   const engine = new LipSyncEngine({ classifier: model, fftSize: 512 });
+ */
+
+import defaultModel from './models/default.json' with { type: 'json' };
+
+/** Current model file version. */
+export const SOFTMAX_MODEL_VERSION = 1;
+
+/** Feature set used when training without one. */
+export const DEFAULT_FEATURE_SPEC = {
+  bands: ['sub', 'low', 'mid', 'high', 'veryHigh'],
+  rms: true,
+  zcr: true,
+  mfcc: 13,
+};
+
+/**
+ * Flatten frame features into the model's input order.
+ * @param {import('./FrequencyAnalyzer.js').ClassifierFeatures} features
+ * @param {FeatureSpec} spec
+ * @returns {Float64Array|null} null when a required feature is unavailable
+ *   (e.g. MFCCs with worklet-side analysis).
+ */
+export function featureVector(features, spec) {
+  const size = featureVectorSize(spec);
+  const out = new Float64Array(size);
+  let i = 0;
+
+  for (const name of spec.bands || []) out[i++] = features.bands?.[name] ?? 0;
+  if (spec.rms) out[i++] = features.rms;
+  if (spec.zcr) {
+    if (features.zcr == null) return null;
+    out[i++] = features.zcr;
+  }
+  if (spec.mfcc) {
+    if (!features.mfcc || features.mfcc.length < spec.mfcc) return null;
+    for (let c = 0; c < spec.mfcc; c++) out[i++] = features.mfcc[c];
+  }
+  return out;
+}
+
+/**
+ * Inputs a feature spec produces.
+ * @param {FeatureSpec} spec
+ * @returns {number}
+ */
+export function featureVectorSize(spec) {
+  return (spec.bands?.length || 0) + (spec.rms ? 1 : 0) + (spec.zcr ? 1 : 0) + (spec.mfcc || 0);
+}
+
+export class SoftmaxClassifier {
+  /**
+   * @param {SoftmaxModel} model
+   */
+  constructor(model) {
+    if (model?.type !== 'softmax') {
+      throw new TypeError(`Not a softmax model: ${model?.type}`);
+    }
+    if (model.version > SOFTMAX_MODEL_VERSION) {
+      throw new Error(`Unsupported softmax model version: ${model.version}`);
+    }
+    const inputs = featureVectorSize(model.features);
+    if (model.weights.length !== model.labels.length || model.weights.some((row) => row.length !== inputs)) {
+      throw new RangeError(`Model weights must be ${model.labels.length} × ${inputs}`);
+    }
+
+    this.model = model;
+    this.labels = model.labels;
+    this.features = model.features;
+
+    this._mean = Float64Array.from(model.mean);
+    this._scale = Float64Array.from(model.scale);
+    this._weights = model.weights.map((row) => Float64Array.from(row));
+    this._bias = Float64Array.from(model.bias);
+  }
+
+  /**
+   * @param {SoftmaxModel|string} json - Model object or its JSON text.
+   * @returns {SoftmaxClassifier}
+   */
+  static fromJSON(json) {
+    return new SoftmaxClassifier(typeof json === 'string' ? JSON.parse(json) : json);
+  }
+
+  /**
+   * Probability per viseme label.
+   * @param {import('./FrequencyAnalyzer.js').ClassifierFeatures} features
+   * @returns {Object<string, number>|null}
+   */
+  classify(features) {
+    const x = featureVector(features, this.features);
+    return x ? this.classifyVector(x) : null;
+  }
+
+  /**
+   * Probability per viseme label for an already flattened input.
+   * @param {Float64Array|number[]} vector - From featureVector() with this model's spec.
+   * @returns {Object<string, number>}
+   */
+  classifyVector(vector) {
+    const x = Float64Array.from(vector, (v, i) => (v - this._mean[i]) * this._scale[i]);
+    const probs = softmax(this._weights.map((w, k) => dot(w, x) + this._bias[k]));
+    const out = {};
+    for (let k = 0; k < this.labels.length; k++) out[this.labels[k]] = probs[k];
+    return out;
+  }
+
+  /** @returns {SoftmaxModel} */
+  toJSON() {
+    return this.model;
+  }
+}
+
+/**
+ * Fit a softmax model by full-batch gradient descent (with momentum) on
+ * standardized inputs. Classes are weighted by inverse frequency unless
+ * `balance` is off, so rare visemes aren't swamped by vowels.
+ *
+ * @param {Array<Float64Array|number[]>} inputs - Feature vectors (see featureVector()).
+ * @param {string[]} targets - Viseme label per vector.
+ * @param {Object} [options]
+ * @param {FeatureSpec} [options.features=DEFAULT_FEATURE_SPEC] - Spec the vectors were built with.
+ * @param {number} [options.epochs=500]
+ * @param {number} [options.learningRate=0.5]
+ * @param {number} [options.l2=1e-3] - Weight decay.
+ * @param {boolean} [options.balance=true]
+ * @param {Object} [options.metadata] - Stored with the model (e.g. analysis settings).
+ * @returns {SoftmaxModel}
+ */
+export function trainSoftmax(inputs, targets, options = {}) {
+  const {
+    features = DEFAULT_FEATURE_SPEC,
+    epochs = 500,
+    learningRate = 0.5,
+    l2 = 1e-3,
+    balance = true,
+    metadata = {},
+  } = options;
+
+  const n = inputs.length;
+  if (n === 0 || n !== targets.length) {
+    throw new RangeError('trainSoftmax needs one target per input');
+  }
+  const dims = featureVectorSize(features);
+  const labels = [...new Set(targets)].sort();
+  const index = new Map(labels.map((l, k) => [l, k]));
+  const classes = labels.length;
+
+  // Standardize
+  const mean = new Float64Array(dims);
+  const scale = new Float64Array(dims);
+  for (const x of inputs) for (let d = 0; d < dims; d++) mean[d] += x[d] / n;
+  for (const x of inputs) for (let d = 0; d < dims; d++) scale[d] += (x[d] - mean[d]) ** 2 / n;
+  for (let d = 0; d < dims; d++) scale[d] = scale[d] > 1e-12 ? 1 / Math.sqrt(scale[d]) : 0;
+  const xs = inputs.map((x) => Float64Array.from(x, (v, d) => (v - mean[d]) * scale[d]));
+  const ys = targets.map((t) => index.get(t));
+
+  // Inverse-frequency sample weights, normalized to mean 1
+  const counts = new Float64Array(classes);
+  for (const y of ys) counts[y]++;
+  const sampleWeight = ys.map((y) => (balance ? n / (classes * counts[y]) : 1));
+
+  const weights = Array.from({ length: classes }, () => new Float64Array(dims));
+  const bias = new Float64Array(classes);
+  const vW = Array.from({ length: classes }, () => new Float64Array(dims));
+  const vB = new Float64Array(classes);
+  const gW = Array.from({ length: classes }, () => new Float64Array(dims));
+  const gB = new Float64Array(classes);
+
+  for (let epoch = 0; epoch < epochs; epoch++) {
+    for (let k = 0; k < classes; k++) gW[k].fill(0);
+    gB.fill(0);
+
+    for (let i = 0; i < n; i++) {
+      const x = xs[i];
+      const probs = softmax(weights.map((w, k) => dot(w, x) + bias[k]));
+      for (let k = 0; k < classes; k++) {
+        const err = (probs[k] - (k === ys[i] ? 1 : 0)) * sampleWeight[i];
+        if (err === 0) continue;
+        const g = gW[k];
+        for (let d = 0; d < dims; d++) g[d] += err * x[d];
+        gB[k] += err;
+      }
+    }
+
+    for (let k = 0; k < classes; k++) {
+      for (let d = 0; d < dims; d++) {
+        vW[k][d] = 0.9 * vW[k][d] - learningRate * (gW[k][d] / n + l2 * weights[k][d]);
+        weights[k][d] += vW[k][d];
+      }
+      vB[k] = 0.9 * vB[k] - learningRate * (gB[k] / n);
+      bias[k] += vB[k];
+    }
+  }
+
+  return {
+    type: 'softmax',
+    version: SOFTMAX_MODEL_VERSION,
+    labels,
+    features,
+    mean: Array.from(mean),
+    scale: Array.from(scale),
+    weights: weights.map((w) => Array.from(w)),
+    bias: Array.from(bias),
+    metadata,
+  };
+}
+
+/** Models bundled with the package, by name. */
+export const BUILTIN_MODELS = {
+  default: defaultModel,
+};
+
+/**
+ * Turn a classifier option into a classifier: plugin objects pass through,
+ * model objects (or their JSON text) are loaded by type, and strings naming
+ * a bundled model load that model.
+ * @param {ClassifierPlugin|SoftmaxModel|string|null} spec
+ * @returns {ClassifierPlugin|null}
+ */
+export function loadClassifier(spec) {
+  if (!spec) return null;
+  if (typeof spec.classify === 'function') return spec;
+  const model = typeof spec !== 'string' ? spec : (BUILTIN_MODELS[spec] ?? JSON.parse(spec));
+  switch (model.type) {
+    case 'softmax':
+      return new SoftmaxClassifier(model);
+    default:
+      throw new TypeError(`Unknown classifier model type: ${model.type}`);
+  }
+}
+
+/** @private */
+function dot(w, x) {
+  let sum = 0;
+  for (let i = 0; i < x.length; i++) sum += w[i] * x[i];
+  return sum;
+}
+
+/** @private */
+function softmax(logits) {
+  let max = -Infinity;
+  for (const v of logits) if (v > max) max = v;
+  let sum = 0;
+  const out = logits.map((v) => {
+    const e = Math.exp(v - max);
+    sum += e;
+    return e;
+  });
+  for (let k = 0; k < out.length; k++) out[k] /= sum;
+  return out;
+}
+
+/**
+ * @typedef {Object} FeatureSpec
+ * @property {string[]} [bands] - Band names, in input order.
+ * @property {boolean} [rms] - Frame RMS.
+ * @property {boolean} [zcr] - Zero-crossing rate.
+ * @property {number} [mfcc] - Number of MFCCs (c0 first).
+ */
+
+/**
+ * @typedef {Object} SoftmaxModel
+ * @property {'softmax'} type
+ * @property {number} version
+ * @property {string[]} labels - Viseme per output.
+ * @property {FeatureSpec} features
+ * @property {number[]} mean - Subtracted from each input.
+ * @property {number[]} scale - Then multiplied into it.
+ * @property {number[][]} weights - labels × inputs.
+ * @property {number[]} bias
+ * @property {Object} [metadata]
+ */
+
+/**
+ * @typedef {Object} ClassifierPlugin
+ * @property {(features: import('./FrequencyAnalyzer.js').ClassifierFeatures) => (Object<string, number>|null)} classify
+ *   Probability per viseme, or null to fall back to the built-in rules.
+ */
@@ -0,0 +1,113 @@
+import { describe, it, expect } from 'vitest';
+import {
+  SoftmaxClassifier, trainSoftmax, featureVector, featureVectorSize, loadClassifier, DEFAULT_FEATURE_SPEC,
+} from './SoftmaxClassifier.js';
+import { analyzeOffline } from './OfflineAnalyzer.js';
+import { VISEME_SHAPES } from '../core/visemes.js';
+
+const SPEC = { bands: ['low', 'high'], rms: true, zcr: false, mfcc: 0 };
+
+/** Two separable clusters: open vowels are low-heavy, sibilants high-heavy. */
+function dataset() {
+  const inputs = [];
+  const targets = [];
+  for (let i = 0; i < 40; i++) {
+    const jitter = (i % 7) / 70;
+    inputs.push([0.8 - jitter, 0.1 + jitter, 0.3]);
+    targets.push('aa');
+    inputs.push([0.1 + jitter, 0.7 - jitter, 0.2]);
+    targets.push('SS');
+  }
+  return { inputs, targets };
+}
+
+describe('featureVector', () => {
+  it('flattens features in spec order', () => {
+    const features = { bands: { sub: 0.1, low: 0.5, high: 0.2 }, rms: 0.3, zcr: 0.4, mfcc: [1, 2, 3] };
+    expect([...featureVector(features, { bands: ['high', 'low'], rms: true, zcr: true, mfcc: 2 })])
+      .toEqual([0.2, 0.5, 0.3, 0.4, 1, 2]);
+    expect(featureVectorSize(DEFAULT_FEATURE_SPEC)).toBe(5 + 1 + 1 + 13);
+  });
+
+  it('returns null when the spec needs features the frame lacks', () => {
+    expect(featureVector({ bands: {}, rms: 0, zcr: null }, { zcr: true })).toBeNull();
+    expect(featureVector({ bands: {}, rms: 0, mfcc: null }, { mfcc: 13 })).toBeNull();
+  });
+});
+
+describe('trainSoftmax / SoftmaxClassifier', () => {
+  it('learns separable classes and survives a JSON round trip', () => {
+    const { inputs, targets } = dataset();
+    const model = trainSoftmax(inputs, targets, { features: SPEC, epochs: 200, metadata: { fftSize: 512 } });
+    expect(model.labels).toEqual(['SS', 'aa']);
+    expect(model.metadata).toEqual({ fftSize: 512 });
+
+    const classifier = SoftmaxClassifier.fromJSON(JSON.stringify(model));
+    const open = classifier.classify({ bands: { low: 0.75, high: 0.15 }, rms: 0.3 });
+    const hiss = classifier.classify({ bands: { low: 0.15, high: 0.65 }, rms: 0.2 });
+    expect(open.aa).toBeGreaterThan(0.9);
+    expect(hiss.SS).toBeGreaterThan(0.9);
+    expect(open.aa + open.SS).toBeCloseTo(1);
+    expect(classifier.toJSON()).toEqual(JSON.parse(JSON.stringify(model)));
+  });
+
+  it('rejects mismatched training data and malformed models', () => {
+    expect(() => trainSoftmax([[1]], [], { features: SPEC })).toThrow(RangeError);
+    const model = trainSoftmax(...Object.values(dataset()), { features: SPEC, epochs: 1 });
+    expect(() => new SoftmaxClassifier({ ...model, type: 'tree' })).toThrow(TypeError);
+    expect(() => new SoftmaxClassifier({ ...model, version: 99 })).toThrow('Unsupported');
+    expect(() => new SoftmaxClassifier({ ...model, weights: [[1, 2]] })).toThrow(RangeError);
+  });
+});
+
+describe('loadClassifier', () => {
+  it('passes plugins through and loads models by type', () => {
+    const plugin = { classify: () => null };
+    expect(loadClassifier(plugin)).toBe(plugin);
+    expect(loadClassifier(null)).toBeNull();
+
+    const model = trainSoftmax(...Object.values(dataset()), { features: SPEC, epochs: 1 });
+    expect(loadClassifier(JSON.stringify(model))).toBeInstanceOf(SoftmaxClassifier);
+    expect(() => loadClassifier({ type: 'svm' })).toThrow('Unknown classifier model type');
+  });
+});
+
+describe('bundled default model', () => {
+  const RATE = 24000;
+
+  /** Half a second of a vowel: tilted pulse train at 120 Hz through formant resonators. */
+  function vowel(formants) {
+    let pulse = 0;
+    let x = Float64Array.from({ length: RATE / 2 }, (_, i) => (pulse = (i % 200 === 0 ? 1 : 0) + 0.9 * pulse));
+    for (const freq of [...formants, 3400]) {
+      const r = Math.exp((-Math.PI * 100) / RATE);
+      const c = 2 * r * Math.cos((2 * Math.PI * freq) / RATE);
+      const y = new Float64Array(x.length);
+      for (let i = 0; i < x.length; i++) y[i] = (1 - r) * x[i] + c * (y[i - 1] || 0) - r * r * (y[i - 2] || 0);
+      x = y;
+    }
+    const peak = x.reduce((m, v) => Math.max(m, Math.abs(v)), 0);
+    return Float32Array.from(x, (v) => (0.4 * v) / peak);
+  }
+
+  function mostFrequentViseme(samples) {
+    const counts = {};
+    for (const f of analyzeOffline(samples, RATE, { classifier: 'default' }).slice(6)) {
+      counts[f.viseme] = (counts[f.viseme] || 0) + 1;
+    }
+    return Object.keys(counts).reduce((a, b) => (counts[b] > counts[a] ? b : a));
+  }
+
+  it('loads by name, for the default fftSize and sample rate', () => {
+    const classifier = loadClassifier('default');
+    expect(classifier).toBeInstanceOf(SoftmaxClassifier);
+    expect(classifier.model.metadata).toMatchObject({ fftSize: 256, analysisSampleRate: RATE });
+    expect(classifier.labels.every((label) => label in VISEME_SHAPES)).toBe(true);
+    expect(classifier.labels).toHaveLength(Object.keys(VISEME_SHAPES).length - 1); // all but sil
+  });
+
+  it('tells open and spread vowels apart', () => {
+    expect(mostFrequentViseme(vowel([730, 1090, 2440]))).toBe('aa');
+    expect(mostFrequentViseme(vowel([300, 2200, 2950]))).toBe('I');
+  });
+});
@@ -0,0 +1,471 @@
+/**
+ * VisemeTimeline — Viseme frames from TTS alignment data.
+ *
+ * Accepts timed phoneme, viseme or character events (as returned by most
+ * TTS vendors alongside their audio), keeps them as a sorted cue list, and
+ * produces VisemeFrames for any playback position. Frames have the same
+ * shape as FrequencyAnalyzer output, so renderers don't care which source
+ * drives them.
+ *
+ * Supported inputs:
+ *   - ARPABET phonemes   { phoneme, startMs, endMs? }
+ *   - Extended visemes   { viseme, startMs, endMs? }
+ *   - Characters         { char, startMs, endMs? }
+ *   - Words              { word, startMs, endMs } (via grapheme-to-phoneme rules)
+ *   - ElevenLabs `alignment` / `normalizedAlignment` objects
+ *   - Azure Speech `visemeReceived` events { visemeId, audioOffset }
+ *
+ * @module VisemeTimeline
+ *
+ * @example
+ *   const timeline = new VisemeTimeline();
+ *   timeline.addPhonemes([
+ *     { phoneme: 'HH', startMs: 0,   endMs: 80  },
+ *     { phoneme: 'AH', startMs: 80,  endMs: 190 },
+ *     { phoneme: 'L',  startMs: 190, endMs: 260 },
+ *     { phoneme: 'OW', startMs: 260, endMs: 420 },
+ *   ]);
+ *   const frame = timeline.analyze(engine.playbackTimeMs);
+ */
+
+import { smoothValue, clamp } from '../utils/audio-utils.js';
+import {
+  EXTENDED_TO_SIMPLE,
+  PHONEME_TO_VISEME,
+  interpolateShapes,
+} from '../core/visemes.js';
+import { wordToVisemeEvents } from '../core/g2p.js';
+import { CoarticulationModel, blendShapes } from '../core/coarticulation.js';
+
+/** Default timeline configuration. */
+const DEFAULTS = {
+  transitionMs: 60,          // Blend time into each new viseme
+  defaultDurationMs: 100,    // Duration of cues that carry no end time
+  defaultIntensity: 0.8,     // Intensity of voiced cues without their own
+  intensitySmoothing: 0.2,   // Intensity EMA factor
+  retentionMs: 2000,         // Keep cues this long after they end
+  dictionary: null,          // Pronunciation dictionary hook for addWords()
+  visemeWeights: false,      // Attach coarticulation weights (previous/current/upcoming)
+  coarticulation: null,      // CoarticulationModel options
+};
+
+/**
+ * Azure Speech viseme IDs (0–21, en-US) → extended visemes.
+ * @type {string[]}
+ */
+export const AZURE_VISEME_TO_VISEME = [
+  'sil', // 0  silence
+  'aa',  // 1  æ ə ʌ
+  'aa',  // 2  ɑ
+  'O',   // 3  ɔ
+  'E',   // 4  ɛ ʊ
+  'RR',  // 5  ɝ
+  'I',   // 6  j i ɪ
+  'U',   // 7  w u
+  'O',   // 8  o
+  'aa',  // 9  aʊ
+  'O',   // 10 ɔɪ
+  'aa',  // 11 aɪ
+  'aa',  // 12 h
+  'RR',  // 13 ɹ
+  'DD',  // 14 l
+  'SS',  // 15 s z
+  'CH',  // 16 ʃ tʃ dʒ ʒ
+  'TH',  // 17 ð
+  'FF',  // 18 f v
+  'DD',  // 19 d t n θ
+  'kk',  // 20 k g ŋ
+  'PP',  // 21 p b m
+];
+
+/**
+ * Rough single-letter → viseme map for character-level alignment.
+ * @type {Object<string, string>}
+ */
+export const CHARACTER_TO_VISEME = {
+  a: 'aa', e: 'E', i: 'I', o: 'O', u: 'U', y: 'I',
+  b: 'PP', m: 'PP', p: 'PP',
+  f: 'FF', v: 'FF',
+  d: 'DD', t: 'DD', l: 'DD',
+  n: 'nn',
+  c: 'kk', g: 'kk', k: 'kk', q: 'kk', x: 'kk',
+  s: 'SS', z: 'SS',
+  j: 'CH',
+  r: 'RR',
+  w: 'U',
+  h: 'aa',
+};
+
+/** Two-letter graphemes that override single-letter mapping. */
+const DIGRAPH_TO_VISEME = {
+  th: 'TH', sh: 'CH', ch: 'CH', ph: 'FF', ng: 'nn', ck: 'kk', qu: 'kk',
+};
+
+/**
+ * Strip ARPABET stress markers (AH0 → AH) and normalize case.
+ * @param {string} phoneme
+ * @returns {string}
+ */
+function normalizePhoneme(phoneme) {
+  return String(phoneme).toUpperCase().replace(/[0-9]/g, '');
+}
+
+export class VisemeTimeline {
+  /**
+   * @param {Partial<typeof DEFAULTS>} [options]
+   */
+  constructor(options = {}) {
+    this.opts = { ...DEFAULTS, ...options };
+
+    /** @type {TimelineCue[]} Sorted by startMs. */
+    this.cues = [];
+
+    this._coarticulation = this.opts.visemeWeights
+      ? new CoarticulationModel(this.opts.coarticulation || {})
+      : null;
+
+    // State
+    this._currentIntensity = 0;
+    this._frameCount = 0;
+  }
+
+  // ════════════════════════════════════════════════════════════════
+  //  INPUT
+  // ════════════════════════════════════════════════════════════════
+
+  /**
+   * Add extended-viseme cues.
+   * @param {Array<{viseme: string, startMs: number, endMs?: number, intensity?: number}>} events
+   * @param {number} [offsetMs=0] - Added to every event time.
+   */
+  addVisemes(events, offsetMs = 0) {
+    for (const e of events) {
+      this._insert({
+        viseme: e.viseme,
+        startMs: e.startMs + offsetMs,
+        endMs: e.endMs != null ? e.endMs + offsetMs : null,
+        intensity: e.intensity ?? null,
+        source: e.source ?? null,
+      });
+    }
+  }
+
+  /**
+   * Add ARPABET phoneme cues (stress digits are ignored).
+   * @param {Array<{phoneme: string, startMs: number, endMs?: number, intensity?: number}>} events
+   * @param {number} [offsetMs=0]
+   */
+  addPhonemes(events, offsetMs = 0) {
+    this.addVisemes(events.map((e) => {
+      const phoneme = normalizePhoneme(e.phoneme);
+      return {
+        viseme: PHONEME_TO_VISEME[phoneme] || 'sil',
+        startMs: e.startMs,
+        endMs: e.endMs,
+        intensity: e.intensity,
+        source: phoneme,
+      };
+    }), offsetMs);
+  }
+
+  /**
+   * Add character cues. Common English digraphs (th, sh, ch, …) are merged.
+   * Whitespace and punctuation become silence.
+   * @param {Array<{char: string, startMs: number, endMs?: number}>} events
+   * @param {number} [offsetMs=0]
+   */
+  addCharacters(events, offsetMs = 0) {
+    const visemes = [];
+    for (let i = 0; i < events.length; i++) {
+      const e = events[i];
+      const ch = String(e.char).toLowerCase();
+      const next = events[i + 1];
+      const digraph = next ? DIGRAPH_TO_VISEME[ch + String(next.char).toLowerCase()] : null;
+
+      if (digraph) {
+        visemes.push({ viseme: digraph, startMs: e.startMs, endMs: next.endMs, source: ch + next.char });
+        i++;
+        continue;
+      }
+      visemes.push({
+        viseme: CHARACTER_TO_VISEME[ch] || 'sil',
+        startMs: e.startMs,
+        endMs: e.endMs,
+        source: e.char,
+      });
+    }
+    this.addVisemes(visemes, offsetMs);
+  }
+
+  /**
+   * Add word-level timings from a plain text transcript. Each word is
+   * converted to ARPABET (pronunciation dictionary, then built-in rules)
+   * and its phonemes are spread evenly across the word.
+   *
+   * @param {Array<{word: string, startMs: number, endMs: number}>} events
+   * @param {number} [offsetMs=0]
+   */
+  addWords(events, offsetMs = 0) {
+    const options = { dictionary: this.opts.dictionary };
+    for (const e of events) {
+      this.addVisemes(wordToVisemeEvents(e.word, e.startMs, e.endMs, options), offsetMs);
+    }
+  }
+
+  /**
+   * Add an ElevenLabs alignment object. Accepts both the WebSocket shape
+   * ({ chars, charStartTimesMs, charDurationsMs }) and the HTTP
+   * with-timestamps shape ({ characters, character_start_times_seconds,
+   * character_end_times_seconds }).
+   *
+   * @param {Object} alignment
+   * @param {number} [offsetMs=0] - Start of the audio chunk this alignment belongs to.
+   */
+  addElevenLabsAlignment(alignment, offsetMs = 0) {
+    if (!alignment) return;
+    const events = [];
+
+    if (alignment.chars) {
+      const { chars, charStartTimesMs, charDurationsMs } = alignment;
+      for (let i = 0; i < chars.length; i++) {
+        events.push({
+          char: chars[i],
+          startMs: charStartTimesMs[i],
+          endMs: charStartTimesMs[i] + (charDurationsMs?.[i] ?? 0),
+        });
+      }
+    } else if (alignment.characters) {
+      const starts = alignment.character_start_times_seconds;
+      const ends = alignment.character_end_times_seconds;
+      for (let i = 0; i < alignment.characters.length; i++) {
+        events.push({
+          char: alignment.characters[i],
+          startMs: starts[i] * 1000,
+          endMs: ends?.[i] != null ? ends[i] * 1000 : null,
+        });
+      }
+    } else {
+      throw new TypeError('Unrecognized ElevenLabs alignment format');
+    }
+
+    this.addCharacters(events, offsetMs);
+  }
+
+  /**
+   * Add Azure Speech viseme events. `audioOffset` is in 100 ns ticks as
+   * delivered by the SDK; `audioOffsetMs` may be used instead. Each viseme
+   * lasts until the next one starts.
+   *
+   * @param {Array<{visemeId: number, audioOffset?: number, audioOffsetMs?: number}>} events
+   * @param {number} [offsetMs=0]
+   */
+  addAzureVisemes(events, offsetMs = 0) {
+    this.addVisemes(events.map((e) => ({
+      viseme: AZURE_VISEME_TO_VISEME[e.visemeId] || 'sil',
+      startMs: e.audioOffsetMs ?? e.audioOffset / 10000,
+      source: `azure:${e.visemeId}`,
+    })), offsetMs);
+  }
+
+  /**
+   * Insert a cue, keeping the list sorted by start time.
+   * @private
+   */
+  _insert(cue) {
+    const cues = this.cues;
+    let i = cues.length;
+    while (i > 0 && cues[i - 1].startMs > cue.startMs) i--;
+    cues.splice(i, 0, cue);
+  }
+
+  // ════════════════════════════════════════════════════════════════
+  //  QUERIES
+  // ════════════════════════════════════════════════════════════════
+
+  /** End time of the last known cue (ms), or 0 when empty. */
+  get endMs() {
+    if (this.cues.length === 0) return 0;
+    return this._cueEnd(this.cues.length - 1);
+  }
+
+  /**
+   * Resolve a cue's effective end: its own end, else the next start,
+   * else startMs + defaultDurationMs.
+   * @private
+   */
+  _cueEnd(index) {
+    const cue = this.cues[index];
+    if (cue.endMs != null) return cue.endMs;
+    const next = this.cues[index + 1];
+    return next ? next.startMs : cue.startMs + this.opts.defaultDurationMs;
+  }
+
+  /**
+   * Index of the last cue starting at or before timeMs, or -1.
+   * @private
+   */
+  _indexAt(timeMs) {
+    let lo = 0;
+    let hi = this.cues.length - 1;
+    let found = -1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (this.cues[mid].startMs <= timeMs) {
+        found = mid;
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Get the cue active at timeMs, or null during gaps/silence.
+   * @param {number} timeMs
+   * @returns {TimelineCue|null}
+   */
+  cueAt(timeMs) {
+    const i = this._indexAt(timeMs);
+    if (i < 0 || timeMs >= this._cueEnd(i)) return null;
+    return this.cues[i];
+  }
+
+  /**
+   * Whether the timeline holds cues covering timeMs (false when alignment
+   * data lags behind playback).
+   * @param {number} timeMs
+   * @returns {boolean}
+   */
+  covers(timeMs) {
+    return this.cues.length > 0 && timeMs < this.endMs;
+  }
+
+  // ════════════════════════════════════════════════════════════════
+  //  FRAME GENERATION
+  // ════════════════════════════════════════════════════════════════
+
+  /**
+   * Produce the viseme frame for a playback position.
+   * @param {number} timeMs - Playback position (e.g. worklet `timeMs`).
+   * @returns {import('./FrequencyAnalyzer.js').VisemeFrame}
+   */
+  analyze(timeMs) {
+    this._frameCount++;
+    this._prune(timeMs);
+
+    const i = this._indexAt(timeMs);
+    let viseme = 'sil';
+    let previous = 'sil';
+    let startMs = 0;
+    let targetIntensity = 0;
+    let confidence = 1;
+
+    if (i >= 0 && timeMs < this._cueEnd(i)) {
+      const cue = this.cues[i];
+      viseme = cue.viseme;
+      startMs = cue.startMs;
+      targetIntensity = viseme === 'sil' ? 0 : (cue.intensity ?? this.opts.defaultIntensity);
+      if (i > 0 && this._cueEnd(i - 1) >= cue.startMs) {
+        previous = this.cues[i - 1].viseme;
+      }
+    } else if (i >= 0) {
+      // Gap after a cue: close the mouth from the last viseme
+      previous = this.cues[i].viseme;
+      startMs = this._cueEnd(i);
+    } else {
+      confidence = 0.5;
+    }
+
+    const progress = this.opts.transitionMs > 0
+      ? clamp((timeMs - startMs) / this.opts.transitionMs, 0, 1)
+      : 1;
+
+    this._currentIntensity = smoothValue(
+      this._currentIntensity,
+      targetIntensity,
+      this.opts.intensitySmoothing
+    );
+
+    const frame = {
+      viseme,
+      simpleViseme: EXTENDED_TO_SIMPLE[viseme] || 'A',
+      intensity: this._currentIntensity,
+      confidence,
+      amplitude: 0,
+      bands: { sub: 0, low: 0, mid: 0, high: 0, veryHigh: 0 },
+      shape: interpolateShapes(previous, viseme, progress),
+      transition: { from: previous, to: viseme, progress },
+      frame: this._frameCount,
+    };
+
+    if (this._coarticulation) {
+      frame.weights = this._coarticulation.weightsAt(this._segmentsAround(i), timeMs);
+      frame.shape = blendShapes(frame.weights);
+    }
+
+    return frame;
+  }
+
+  /**
+   * Previous, current and upcoming segments around cue index i, with gaps
+   * (and the time before the first / after the last cue) filled by silence.
+   * @private
+   */
+  _segmentsAround(i) {
+    const segments = [];
+    if (this.cues.length === 0) return segments;
+
+    const first = Math.max(0, i - 2);
+    const last = Math.min(this.cues.length - 1, Math.max(i, 0) + 2);
+
+    if (first === 0) {
+      segments.push({ viseme: 'sil', startMs: -Infinity, endMs: this.cues[0].startMs });
+    }
+    for (let k = first; k <= last; k++) {
+      const cue = this.cues[k];
+      const endMs = this._cueEnd(k);
+      segments.push({ viseme: cue.viseme, startMs: cue.startMs, endMs });
+
+      const next = this.cues[k + 1];
+      if (!next) {
+        segments.push({ viseme: 'sil', startMs: endMs, endMs: null });
+      } else if (next.startMs > endMs && k < last) {
+        segments.push({ viseme: 'sil', startMs: endMs, endMs: next.startMs });
+      }
+    }
+    return segments;
+  }
+
+  /**
+   * Drop cues that ended long before timeMs.
+   * @private
+   */
+  _prune(timeMs) {
+    const cutoff = timeMs - this.opts.retentionMs;
+    let drop = 0;
+    while (drop < this.cues.length - 1 && this._cueEnd(drop) < cutoff) drop++;
+    if (drop > 0) this.cues.splice(0, drop);
+  }
+
+  /** Remove all cues. */
+  clear() {
+    this.cues = [];
+  }
+
+  /** Remove all cues and reset frame state. */
+  reset() {
+    this.clear();
+    this._currentIntensity = 0;
+    this._frameCount = 0;
+  }
+}
+
+/**
+ * @typedef {Object} TimelineCue
+ * @property {string} viseme - Extended viseme key.
+ * @property {number} startMs - Start time in playback milliseconds.
+ * @property {number|null} endMs - End time, or null to run until the next cue.
+ * @property {number|null} intensity - Optional fixed intensity [0, 1].
+ * @property {string|null} source - Originating phoneme/character, if known.
+ */
@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import { VisemeTimeline } from './VisemeTimeline.js';
+
+const HELLO = [
+  { phoneme: 'HH', startMs: 0, endMs: 80 },
+  { phoneme: 'AH0', startMs: 80, endMs: 190 },
+  { phoneme: 'L', startMs: 190, endMs: 260 },
+  { phoneme: 'OW1', startMs: 260, endMs: 420 },
+];
+
+describe('VisemeTimeline', () => {
+  it('maps ARPABET phonemes (stress ignored) to sorted cues', () => {
+    const timeline = new VisemeTimeline();
+    timeline.addPhonemes([...HELLO].reverse());
+    expect(timeline.cues.map((c) => c.viseme)).toEqual(['aa', 'aa', 'DD', 'O']);
+    expect(timeline.cues.map((c) => c.source)).toEqual(['HH', 'AH', 'L', 'OW']);
+    expect(timeline.endMs).toBe(420);
+  });
+
+  it('finds the cue at a time and null in gaps', () => {
+    const timeline = new VisemeTimeline();
+    timeline.addVisemes([
+      { viseme: 'PP', startMs: 100, endMs: 200 },
+      { viseme: 'O', startMs: 300, endMs: 400 },
+    ], 1000);
+    expect(timeline.cueAt(1050)).toBeNull();
+    expect(timeline.cueAt(1150).viseme).toBe('PP');
+    expect(timeline.cueAt(1250)).toBeNull();
+    expect(timeline.cueAt(1399).viseme).toBe('O');
+    expect(timeline.cueAt(1400)).toBeNull();
+    expect(timeline.covers(1399)).toBe(true);
+    expect(timeline.covers(1400)).toBe(false);
+  });
+
+  it('runs open-ended cues until the next one, the last for defaultDurationMs', () => {
+    const timeline = new VisemeTimeline({ defaultDurationMs: 50 });
+    timeline.addVisemes([{ viseme: 'E', startMs: 0 }, { viseme: 'I', startMs: 120 }]);
+    expect(timeline.cueAt(119).viseme).toBe('E');
+    expect(timeline.cueAt(169).viseme).toBe('I');
+    expect(timeline.endMs).toBe(170);
+  });
+
+  it('merges digraphs and silences punctuation in character alignment', () => {
+    const timeline = new VisemeTimeline();
+    const text = 'the cat.';
+    timeline.addCharacters([...text].map((char, i) => ({ char, startMs: i * 50, endMs: (i + 1) * 50 })));
+    expect(timeline.cues.map((c) => c.viseme)).toEqual(['TH', 'E', 'sil', 'kk', 'aa', 'DD', 'sil']);
+    expect(timeline.cues[0]).toMatchObject({ startMs: 0, endMs: 100, source: 'th' });
+  });
+
+  it('reads both ElevenLabs alignment shapes', () => {
+    const ws = new VisemeTimeline();
+    ws.addElevenLabsAlignment({ chars: ['m', 'a'], charStartTimesMs: [0, 100], charDurationsMs: [100, 150] }, 500);
+    expect(ws.cues.map((c) => [c.viseme, c.startMs, c.endMs])).toEqual([['PP', 500, 600], ['aa', 600, 750]]);
+
+    const http = new VisemeTimeline();
+    http.addElevenLabsAlignment({
+      characters: ['m', 'a'],
+      character_start_times_seconds: [0, 0.1],
+      character_end_times_seconds: [0.1, 0.25],
+    });
+    expect(http.cues.map((c) => [c.viseme, c.startMs, c.endMs])).toEqual([['PP', 0, 100], ['aa', 100, 250]]);
+
+    expect(() => ws.addElevenLabsAlignment({ foo: [] })).toThrow(TypeError);
+  });
+
+  it('converts Azure viseme ids and 100 ns offsets', () => {
+    const timeline = new VisemeTimeline();
+    timeline.addAzureVisemes([{ visemeId: 21, audioOffset: 500000 }, { visemeId: 2, audioOffsetMs: 120 }]);
+    expect(timeline.cues.map((c) => [c.viseme, c.startMs])).toEqual([['PP', 50], ['aa', 120]]);
+    expect(timeline.cueAt(100).viseme).toBe('PP');
+  });
+
+  it('produces frames that open on voiced cues and close in gaps', () => {
+    const timeline = new VisemeTimeline({ intensitySmoothing: 0, transitionMs: 100 });
+    timeline.addPhonemes(HELLO);
+
+    const start = timeline.analyze(-10);
+    expect(start).toMatchObject({ viseme: 'sil', intensity: 0, confidence: 0.5 });
+
+    const frame = timeline.analyze(240);
+    expect(frame.viseme).toBe('DD');
+    expect(frame.intensity).toBeCloseTo(0.8);
+    expect(frame.transition).toEqual({ from: 'aa', to: 'DD', progress: 0.5 });
+    expect(frame.simpleViseme).toBeTruthy();
+
+    const after = timeline.analyze(470);
+    expect(after.viseme).toBe('sil');
+    expect(after.transition.from).toBe('O');
+    expect(after.intensity).toBe(0);
+  });
+
+  it('drops cues older than retentionMs but keeps the last one', () => {
+    const timeline = new VisemeTimeline({ retentionMs: 100 });
+    timeline.addPhonemes(HELLO);
+    timeline.analyze(350);
+    expect(timeline.cues.map((c) => c.source)).toEqual(['L', 'OW']);
+    timeline.analyze(10000);
+    expect(timeline.cues).toHaveLength(1);
+    timeline.reset();
+    expect(timeline.cues).toHaveLength(0);
+  });
+});
@@ -0,0 +1,158 @@
+/**
+ * VoiceActivityDetector — Noise-robust speech / non-speech decisions.
+ *
+ * A fixed RMS gate lets steady background noise (fans, traffic, room tone
+ * on an open microphone) through as "speech". The detector instead
+ * compares each frame with an adaptive noise floor and checks that it
+ * looks like speech:
+ *
+ *   1. Noise floor   the lowest frame RMS of the last `noiseWindowMs`
+ *                    (minimum statistics), so a change in noise level is
+ *                    learned within one window. Sustained voicing never dips
+ *                    back to the background, so while speech goes on the
+ *                    history only gets a level that rises at most
+ *                    `noiseRiseDbPerSec` above the floor.
+ *   2. Candidate     a frame `thresholdDb` above the floor with a tonal
+ *                    spectrum (flatness below `flatnessThreshold`), or
+ *                    `strongDb` above it regardless of flatness (loud
+ *                    fricatives and plosives). Without a spectrum (worklet
+ *                    features) only energy is used.
+ *   3. Onset         speech starts after `onsetMs` of consecutive candidates,
+ *                    so clicks and bumps don't open the mouth.
+ *   4. Hangover      speech ends `hangoverMs` after the last candidate, so
+ *                    short pauses and weak consonants don't close it.
+ *
+ * FrequencyAnalyzer runs one in front of classification with `vad` set;
+ * outside speech the mouth stays at `sil`.
+ *
+ * @module VoiceActivityDetector
+ *
+ * @example
+ *   const vad = new VoiceActivityDetector({ hangoverMs: 400 });
+ *   const { speaking, changed } = vad.update({ rms, flatness }, 16.7);
+ *   if (changed && !speaking) endTurn();
+ */
+
+/** Sub-windows of the noise floor history (each keeps its minimum). */
+const NOISE_SLOTS = 8;
+
+/** Default detector configuration. */
+const DEFAULTS = {
+  thresholdDb: 6,           // Energy above the noise floor for a speech candidate
+  strongDb: 18,             // Energy above the floor that counts regardless of flatness
+  flatnessThreshold: 0.4,   // Spectral flatness below this = tonal (voiced) frame
+  onsetMs: 60,              // Consecutive candidate time before speechStart
+  hangoverMs: 300,          // Non-candidate time before speechEnd
+  noiseWindowMs: 2000,      // Noise floor = minimum RMS over this much history
+  noiseRiseDbPerSec: 1,     // Fastest the floor can rise during speech
+  minNoiseRms: 0.001,       // Lowest noise floor (keeps digital silence from dividing by 0)
+};
+
+export class VoiceActivityDetector {
+  /**
+   * @param {Partial<typeof DEFAULTS>} [options]
+   */
+  constructor(options = {}) {
+    this.opts = { ...DEFAULTS, ...options };
+    this.reset();
+  }
+
+  /** Forget the noise floor and end any speech. */
+  reset() {
+    this.noiseFloor = null;
+    this._slots = [];         // minimum RMS of each finished sub-window, oldest first
+    this._slotMin = Infinity; // minimum of the current sub-window
+    this._slotMs = 0;
+    this._zeroMs = 0;
+    this._riseLevel = null;   // rate-limited level fed to the history during speech
+    this.speaking = false;
+    this._candidateMs = 0;
+    this._quietMs = 0;
+    this._speechMs = 0;
+  }
+
+  /**
+   * Process one frame.
+   * @param {{rms: number, flatness?: number|null}} features - Raw frame RMS and
+   *   spectral flatness (null or omitted = energy only).
+   * @param {number} frameMs - Time the frame covers.
+   * @returns {VadResult}
+   */
+  update(features, frameMs) {
+    const { opts } = this;
+    const rms = Math.max(features.rms, opts.minNoiseRms);
+
+    // ── Noise floor ──────────────────────────────────────────────
+    // A few all-zero frames (analyser not filled yet, stream starting) say
+    // nothing about the background; only sustained digital silence (TTS
+    // pauses) counts, so a noisy stream doesn't start with a floor of 0.
+    this._zeroMs = features.rms > 0 ? 0 : this._zeroMs + frameMs;
+
+    // Inside speech the frames are voice, not background: without a limit
+    // the minimum would climb to speech level one window into a long phrase
+    let level = rms;
+    if (this.speaking || this._candidateMs > 0) {
+      const rise = Math.pow(10, (opts.noiseRiseDbPerSec * frameMs) / 20000);
+      this._riseLevel = Math.min(rms, (this._riseLevel ?? this.noiseFloor ?? rms) * rise);
+      level = this._riseLevel;
+    } else {
+      this._riseLevel = null;
+    }
+
+    if (features.rms > 0 || this._zeroMs >= opts.noiseWindowMs / NOISE_SLOTS) {
+      this._slotMin = Math.min(this._slotMin, level);
+      this._slotMs += frameMs;
+      if (this._slotMs >= opts.noiseWindowMs / NOISE_SLOTS) {
+        this._slots.push(this._slotMin);
+        if (this._slots.length > NOISE_SLOTS) this._slots.shift();
+        this._slotMin = Infinity;
+        this._slotMs = 0;
+      }
+    }
+    const floor = Math.min(this._slotMin, ...this._slots);
+    this.noiseFloor = Number.isFinite(floor) ? floor : opts.minNoiseRms;
+
+    const snrDb = 20 * Math.log10(rms / this.noiseFloor);
+    const flatness = features.flatness ?? null;
+    const candidate = snrDb >= opts.strongDb
+      || (snrDb >= opts.thresholdDb && (flatness === null || flatness < opts.flatnessThreshold));
+
+    // ── Onset / hangover ─────────────────────────────────────────
+    let changed = false;
+    if (candidate) {
+      this._candidateMs += frameMs;
+      this._quietMs = 0;
+      if (!this.speaking && this._candidateMs >= opts.onsetMs) {
+        this.speaking = true;
+        this._speechMs = this._candidateMs;
+        changed = true;
+      }
+    } else {
+      this._candidateMs = 0;
+      if (this.speaking) {
+        this._quietMs += frameMs;
+        if (this._quietMs >= opts.hangoverMs) {
+          this.speaking = false;
+          changed = true;
+        }
+      }
+    }
+    if (this.speaking && !changed) this._speechMs += frameMs;
+
+    return { speaking: this.speaking, changed, candidate, snrDb, noiseFloor: this.noiseFloor };
+  }
+
+  /** Length of the current (or last) speech segment in ms, onset and hangover included. */
+  get speechMs() {
+    return this._speechMs;
+  }
+}
+
+/**
+ * @typedef {Object} VadResult
+ * @property {boolean} speaking - Inside a speech segment.
+ * @property {boolean} changed - Speech started or ended on this frame.
+ * @property {boolean} candidate - This frame alone looks like speech.
+ * @property {number} snrDb - Frame level above the noise floor.
+ * @property {number} noiseFloor - Current noise floor RMS.
+ */
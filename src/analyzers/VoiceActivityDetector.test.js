@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest';
+import { VoiceActivityDetector } from './VoiceActivityDetector.js';
+
+const FRAME_MS = 20;
+const NOISE = { rms: 0.005, flatness: 0.8 };
+const VOICE = { rms: 0.05, flatness: 0.1 };
+
+/** Feed `ms` worth of identical frames; returns the results. */
+function feed(vad, features, ms) {
+  const out = [];
+  for (let t = 0; t < ms; t += FRAME_MS) out.push(vad.update(features, FRAME_MS));
+  return out;
+}
+
+describe('VoiceActivityDetector', () => {
+  it('learns the noise floor and ignores steady background', () => {
+    const vad = new VoiceActivityDetector();
+    const results = feed(vad, NOISE, 2000);
+
+    expect(results.every((r) => !r.speaking && !r.candidate)).toBe(true);
+    expect(vad.noiseFloor).toBeCloseTo(NOISE.rms);
+  });
+
+  it('starts after the onset and ends after the hangover', () => {
+    const vad = new VoiceActivityDetector({ onsetMs: 60, hangoverMs: 300 });
+    feed(vad, NOISE, 1000);
+
+    const onset = feed(vad, VOICE, 100);
+    expect(onset.findIndex((r) => r.changed)).toBe(2); // third 20 ms candidate
+    expect(vad.speaking).toBe(true);
+
+    const tail = feed(vad, NOISE, 400);
+    expect(tail.findIndex((r) => r.changed)).toBe(14); // 300 ms of quiet
+    expect(vad.speaking).toBe(false);
+    expect(vad.speechMs).toBe(100 + 280); // up to the frame that ends it
+  });
+
+  it('keeps a short burst from opening speech', () => {
+    const vad = new VoiceActivityDetector({ onsetMs: 60 });
+    feed(vad, NOISE, 1000);
+    feed(vad, { rms: 0.5, flatness: 0.9 }, 40); // click
+    const after = feed(vad, NOISE, 200);
+
+    expect(after.some((r) => r.speaking)).toBe(false);
+  });
+
+  it('stays in speech through a long phrase without pauses', () => {
+    const vad = new VoiceActivityDetector();
+    feed(vad, NOISE, 1000);
+    const phrase = feed(vad, VOICE, 4800);
+
+    expect(phrase.slice(3).every((r) => r.speaking)).toBe(true);
+    expect(vad.noiseFloor).toBeLessThan(NOISE.rms * 2);
+  });
+
+  it('learns a louder background once speech is over', () => {
+    const vad = new VoiceActivityDetector();
+    feed(vad, NOISE, 1000);
+    const louder = feed(vad, { rms: 0.02, flatness: 0.8 }, 4000);
+
+    expect(louder.at(-1).candidate).toBe(false);
+    expect(vad.noiseFloor).toBeCloseTo(0.02);
+  });
+
+  it('treats only sustained digital silence as the floor', () => {
+    const vad = new VoiceActivityDetector();
+    feed(vad, { rms: 0, flatness: null }, 100);
+    expect(vad.noiseFloor).toBe(vad.opts.minNoiseRms); // nothing learned yet
+    feed(vad, NOISE, 400);
+    expect(vad.noiseFloor).toBeCloseTo(NOISE.rms);
+
+    vad.reset();
+    feed(vad, { rms: 0, flatness: null }, 2000);
+    expect(vad.noiseFloor).toBe(vad.opts.minNoiseRms);
+    expect(vad.speaking).toBe(false);
+  });
+});
@@ -0,0 +1,233 @@
+/**
+ * VoiceCalibrator — Learns a voice's levels and builds a voice profile.
+ *
+ * The analyzer's defaults (silence below RMS 0.015, intensity = RMS × 3)
+ * suit a typical TTS voice; quiet voices barely open the mouth and loud
+ * ones pin it at 1. A calibrator watches the raw per-frame features of a
+ * few seconds of speech (live, or a reference clip) and derives:
+ *
+ *   noiseFloor        RMS of the quietest frames (10th percentile)
+ *   speechLevel       median RMS of speech frames; speechPeak its 95th percentile
+ *   silenceThreshold  geometric mean of the noise floor and quiet speech,
+ *                     so the gate sits between the two
+ *   intensityGain     RMS multiplier that maps speechPeak to 0.9 intensity
+ *   noiseBands        mean band energies of non-speech frames; subtracted
+ *                     from the bands before classification
+ *   speechBands       mean band energies of speech frames (the voice's
+ *                     typical spectral balance, for comparing voices)
+ *
+ * Profiles are plain objects; store them per TTS voice with
+ * toVoiceProfileJSON() and load them back with parseVoiceProfile().
+ *
+ * @module VoiceCalibrator
+ *
+ * @example
+ *   // Live: first 3 s of speech
+ *   const profile = await engine.calibrate({ name: 'alloy', durationMs: 3000 });
+ *   localStorage.setItem('voice:alloy', toVoiceProfileJSON(profile));
+ *
+ *   // Later
+ *   engine.setVoiceProfile(localStorage.getItem('voice:alloy'));
+ */
+
+import { calculateRMS, extractBandEnergies, int16ToFloat32 } from '../utils/audio-utils.js';
+import { OfflineAnalyserNode } from './OfflineAnalyzer.js';
+
+/** Identifier written to serialized voice profiles. */
+export const VOICE_PROFILE_FORMAT = 'lipsync-engine-voice-profile';
+
+/** Current voice profile version. */
+export const VOICE_PROFILE_VERSION = 1;
+
+/** Default calibrator configuration. */
+const DEFAULTS = {
+  name: 'default',
+  durationMs: 3000,        // Speech to observe before the profile is ready
+  minRms: 0.003,           // Frames below this never count as speech
+  maxFrames: 18000,        // Frames kept for percentiles (5 min at 60 fps)
+};
+
+/** @private */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return 0;
+  const i = Math.min(sorted.length - 1, Math.max(0, Math.round(p * (sorted.length - 1))));
+  return sorted[i];
+}
+
+/** @private */
+function meanBands(frames) {
+  const out = {};
+  if (frames.length === 0) return out;
+  for (const { bands } of frames) {
+    for (const key of Object.keys(bands)) out[key] = (out[key] || 0) + bands[key] / frames.length;
+  }
+  return out;
+}
+
+export class VoiceCalibrator {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.name='default'] - Profile name (e.g. the TTS voice id).
+   * @param {number} [options.durationMs=3000] - Speech time needed.
+   * @param {number} [options.minRms=0.003]
+   * @param {number} [options.maxFrames=18000]
+   */
+  constructor(options = {}) {
+    this.opts = { ...DEFAULTS, ...options };
+    this.reset();
+  }
+
+  /** Discard everything observed so far. */
+  reset() {
+    this._frames = [];
+    this._speechMs = 0;
+    this._durationMs = 0;
+  }
+
+  /**
+   * Add one analysis frame.
+   * @param {{rms: number, bands: Object<string, number>}} features - Raw (unsmoothed) features.
+   * @param {number} frameMs - Time the frame covers.
+   */
+  observe(features, frameMs) {
+    if (this._frames.length >= this.opts.maxFrames) return;
+    this._frames.push({ rms: features.rms, bands: { ...features.bands } });
+    this._durationMs += frameMs;
+    if (features.rms >= this.opts.minRms) this._speechMs += frameMs;
+  }
+
+  /** Speech observed so far (ms). */
+  get speechMs() {
+    return this._speechMs;
+  }
+
+  /** Enough speech has been observed for a profile. */
+  get done() {
+    return this._speechMs >= this.opts.durationMs || this._frames.length >= this.opts.maxFrames;
+  }
+
+  /**
+   * Build the profile from what was observed.
+   * @returns {VoiceProfile|null} null when there was no speech.
+   */
+  profile() {
+    const levels = this._frames.map((f) => f.rms).sort((a, b) => a - b);
+    const noiseFloor = percentile(levels, 0.1);
+    const speechGate = Math.max(noiseFloor * 2, this.opts.minRms);
+
+    const speech = this._frames.filter((f) => f.rms > speechGate);
+    if (speech.length === 0) return null;
+    const noise = this._frames.filter((f) => f.rms <= Math.max(noiseFloor * 1.5, this.opts.minRms));
+
+    const speechLevels = speech.map((f) => f.rms).sort((a, b) => a - b);
+    const speechLow = percentile(speechLevels, 0.1);
+    const speechLevel = percentile(speechLevels, 0.5);
+    const speechPeak = percentile(speechLevels, 0.95);
+
+    const silenceThreshold = Math.min(0.1, Math.max(
+      0.002,
+      noiseFloor * 1.5,
+      Math.sqrt(Math.max(noiseFloor, 0.001) * speechLow)
+    ));
+
+    return {
+      name: this.opts.name,
+      noiseFloor,
+      speechLevel,
+      speechPeak,
+      silenceThreshold,
+      intensityGain: Math.min(50, Math.max(0.5, 0.9 / speechPeak)),
+      noiseBands: meanBands(noise),
+      speechBands: meanBands(speech),
+      durationMs: this._durationMs,
+      speechMs: this._speechMs,
+    };
+  }
+}
+
+/**
+ * Calibrate from a reference clip of the voice.
+ *
+ * @param {Float32Array|Int16Array} samples - Mono audio.
+ * @param {number} sampleRate
+ * @param {Object} [options]
+ * @param {string} [options.name='default']
+ * @param {number} [options.fftSize=256] - Match the engine's fftSize.
+ * @param {number} [options.analyserSmoothing=0.5] - Match the engine's analyserSmoothing.
+ * @param {number} [options.frameRate=60]
+ * @param {Array<{name: string, min: number, max: number}>} [options.bands] - Custom analysis bands.
+ * @returns {VoiceProfile|null} null when the clip has no speech.
+ */
+export function calibrateFromClip(samples, sampleRate, options = {}) {
+  const { fftSize = 256, analyserSmoothing = 0.5, frameRate = 60, bands = null, ...rest } = options;
+  if (samples instanceof Int16Array) samples = int16ToFloat32(samples);
+  const calibrator = new VoiceCalibrator({ ...rest, durationMs: Infinity });
+  const node = new OfflineAnalyserNode(samples, { fftSize, smoothingTimeConstant: analyserSmoothing });
+  const frequency = new Uint8Array(node.frequencyBinCount);
+  const timeDomain = new Uint8Array(fftSize); // byte RMS, as FrequencyAnalyzer.analyze() measures it
+  const frameMs = 1000 / frameRate;
+
+  for (let timeMs = 0; (timeMs / 1000) * sampleRate <= samples.length; timeMs += frameMs) {
+    node.seek(Math.round((timeMs / 1000) * sampleRate));
+    node.getByteFrequencyData(frequency);
+    node.getByteTimeDomainData(timeDomain);
+    calibrator.observe({
+      rms: calculateRMS(timeDomain, true),
+      bands: extractBandEnergies(frequency, sampleRate, bands),
+    }, frameMs);
+  }
+  return calibrator.profile();
+}
+
+/**
+ * Serialize a voice profile.
+ * @param {VoiceProfile} profile
+ * @returns {string}
+ */
+export function toVoiceProfileJSON(profile) {
+  return JSON.stringify({ format: VOICE_PROFILE_FORMAT, version: VOICE_PROFILE_VERSION, ...profile });
+}
+
+/**
+ * Read a voice profile from JSON text or an object (as stored by
+ * toVoiceProfileJSON() or returned by calibrate()).
+ * @param {string|Object} input
+ * @returns {VoiceProfile}
+ */
+export function parseVoiceProfile(input) {
+  const data = typeof input === 'string' ? JSON.parse(input) : input;
+  if (!data || typeof data !== 'object') {
+    throw new TypeError('Voice profile must be an object or JSON string');
+  }
+  if (data.format !== undefined && data.format !== VOICE_PROFILE_FORMAT) {
+    throw new TypeError(`Not a voice profile: ${data.format}`);
+  }
+  if (data.version > VOICE_PROFILE_VERSION) {
+    throw new Error(`Unsupported voice profile version: ${data.version}`);
+  }
+  for (const key of ['silenceThreshold', 'intensityGain']) {
+    if (!(data[key] > 0)) throw new RangeError(`Voice profile needs a positive ${key}`);
+  }
+
+  const { format, version, ...profile } = data;
+  return {
+    name: 'default',
+    noiseBands: {},
+    speechBands: {},
+    ...profile,
+  };
+}
+
+/**
+ * @typedef {Object} VoiceProfile
+ * @property {string} name - Voice name (e.g. TTS voice id).
+ * @property {number} noiseFloor - RMS of the quietest frames.
+ * @property {number} speechLevel - Median speech RMS.
+ * @property {number} speechPeak - 95th percentile speech RMS.
+ * @property {number} silenceThreshold - Smoothed RMS below which the mouth closes.
+ * @property {number} intensityGain - Intensity = RMS × gain (clamped to 1).
+ * @property {Object<string, number>} noiseBands - Band energies subtracted before classification.
+ * @property {Object<string, number>} speechBands - Mean speech band energies.
+ * @property {number} durationMs - Audio observed.
+ * @property {number} speechMs - Speech observed.
+ */
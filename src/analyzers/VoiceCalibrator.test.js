@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest';
+import {
+  VoiceCalibrator, calibrateFromClip, toVoiceProfileJSON, parseVoiceProfile, VOICE_PROFILE_FORMAT,
+} from './VoiceCalibrator.js';
+import { float32ToInt16 } from '../utils/audio-utils.js';
+
+const SAMPLE_RATE = 16000;
+
+/** 1 s of quiet noise, then 2 s of a vowel-ish tone at `level` peak. */
+function clip(level) {
+  let s = 7;
+  return Float32Array.from({ length: SAMPLE_RATE * 3 }, (_, i) => {
+    s = (s * 1664525 + 1013904223) >>> 0;
+    const hiss = (s / 2 ** 32 - 0.5) * 0.004;
+    const voiced = i >= SAMPLE_RATE ? level * Math.sin((2 * Math.PI * 300 * i) / SAMPLE_RATE) : 0;
+    return hiss + voiced;
+  });
+}
+
+describe('VoiceCalibrator', () => {
+  it('derives floor, levels and a gate between noise and speech', () => {
+    const calibrator = new VoiceCalibrator({ name: 'test', durationMs: 100 });
+    for (let i = 0; i < 20; i++) calibrator.observe({ rms: 0.002, bands: { low: 0.1 } }, 10);
+    expect(calibrator.done).toBe(false);
+    for (let i = 0; i < 20; i++) calibrator.observe({ rms: 0.1 + i * 0.005, bands: { low: 0.6 } }, 10);
+    expect(calibrator.done).toBe(true);
+    expect(calibrator.speechMs).toBe(200);
+
+    const profile = calibrator.profile();
+    expect(profile.name).toBe('test');
+    expect(profile.noiseFloor).toBe(0.002);
+    expect(profile.silenceThreshold).toBeGreaterThan(0.002);
+    expect(profile.silenceThreshold).toBeLessThan(0.1);
+    expect(profile.intensityGain).toBeCloseTo(0.9 / profile.speechPeak);
+    expect(profile.noiseBands.low).toBeCloseTo(0.1);
+    expect(profile.speechBands.low).toBeCloseTo(0.6);
+    expect(profile.durationMs).toBe(400);
+  });
+
+  it('returns null without speech and starts over on reset', () => {
+    const calibrator = new VoiceCalibrator();
+    calibrator.observe({ rms: 0.001, bands: {} }, 16);
+    expect(calibrator.profile()).toBeNull();
+    calibrator.reset();
+    expect(calibrator.speechMs).toBe(0);
+  });
+
+  it('stops collecting at maxFrames', () => {
+    const calibrator = new VoiceCalibrator({ maxFrames: 3 });
+    for (let i = 0; i < 5; i++) calibrator.observe({ rms: 0.2, bands: {} }, 10);
+    expect(calibrator.done).toBe(true);
+    expect(calibrator.speechMs).toBe(30);
+  });
+});
+
+describe('calibrateFromClip', () => {
+  it('gives a quiet voice more gain than a loud one', () => {
+    const quiet = calibrateFromClip(clip(0.05), SAMPLE_RATE, { name: 'quiet' });
+    const loud = calibrateFromClip(float32ToInt16(clip(0.6)), SAMPLE_RATE);
+    expect(quiet.name).toBe('quiet');
+    expect(quiet.intensityGain).toBeGreaterThan(loud.intensityGain * 4);
+    expect(quiet.speechLevel).toBeLessThan(loud.speechLevel);
+    expect(quiet.silenceThreshold).toBeGreaterThan(quiet.noiseFloor);
+    expect(quiet.silenceThreshold).toBeLessThan(quiet.speechLevel);
+  });
+
+  it('returns null for a silent clip', () => {
+    expect(calibrateFromClip(new Float32Array(SAMPLE_RATE), SAMPLE_RATE)).toBeNull();
+  });
+});
+
+describe('voice profile JSON', () => {
+  it('round-trips and fills defaults', () => {
+    const json = toVoiceProfileJSON({ name: 'alloy', silenceThreshold: 0.01, intensityGain: 4 });
+    expect(JSON.parse(json).format).toBe(VOICE_PROFILE_FORMAT);
+    expect(parseVoiceProfile(json)).toEqual({
+      name: 'alloy', silenceThreshold: 0.01, intensityGain: 4, noiseBands: {}, speechBands: {},
+    });
+  });
+
+  it('rejects other formats, newer versions and missing levels', () => {
+    expect(() => parseVoiceProfile(null)).toThrow(TypeError);
+    expect(() => parseVoiceProfile({ format: 'other', silenceThreshold: 1, intensityGain: 1 })).toThrow(TypeError);
+    expect(() => parseVoiceProfile({ version: 99, silenceThreshold: 1, intensityGain: 1 })).toThrow('Unsupported');
+    expect(() => parseVoiceProfile({ silenceThreshold: 0.01 })).toThrow(RangeError);
+  });
+});
@@ -5,10 +5,30 @@
  *   AudioSource → AudioWorklet → AnalyserNode → FrequencyAnalyzer → Events
  *
  * Supports three input modes:
- *   1. Streaming PCM chunks (from TTS APIs like OpenAI Realtime, ElevenLabs)
+ *   1. Streaming PCM chunks (from TTS APIs like OpenAI Realtime, ElevenLabs),
+ *      or compressed MP3 / AAC / Ogg-Opus chunks via feedEncoded()
  *   2. MediaStream (microphone, WebRTC)
  *   3. HTMLMediaElement (audio/video element)
  *
+ * Visemes come from FFT analysis of the audio (`visemeSource: 'audio'`),
+ * from TTS alignment data scheduled against playback time
+ * (`visemeSource: 'alignment'`, see addAlignment()), or from both
+ * (`visemeSource: 'hybrid'`: alignment picks the viseme, FFT loudness
+ * drives intensity and openness).
+ *
+ * With `analysisSource: 'worklet'`, RMS and band energies of streamed audio
+ * are computed inside the AudioWorklet on the exact samples being played
+ * and timestamped in AudioContext time; each analysis tick picks the record
+ * matching `audioContext.getOutputTimestamp()`, so main-thread jank no
+ * longer lets the mouth drift from the audio.
+ *
+ * Frames analyzed from the AnalyserNode or the playback position describe
+ * audio that has left the graph but not yet been heard. Their emission is
+ * delayed by the output latency (`outputLatency + baseLatency`, or the
+ * `latencyOffsetMs` option), so Bluetooth headsets don't make the mouth
+ * lead the voice. Attached streams (microphones) are not played back and
+ * are not delayed.
+ *
  * @module LipSyncEngine
  *
  * @example
@@ -32,12 +52,30 @@
 
 import { EventEmitter } from '../utils/EventEmitter.js';
 import { FrequencyAnalyzer } from '../analyzers/FrequencyAnalyzer.js';
-import { int16ToFloat32, resample } from '../utils/audio-utils.js';
+import { VisemeTimeline } from '../analyzers/VisemeTimeline.js';
+import { HybridAnalyzer } from '../analyzers/HybridAnalyzer.js';
+import { calibrateFromClip, parseVoiceProfile } from '../analyzers/VoiceCalibrator.js';
+import { FeatureRing } from '../utils/FeatureRing.js';
+import { MetricsCollector } from './MetricsCollector.js';
+import { StreamingResampler } from '../utils/StreamingResampler.js';
+import { EncodedAudioStream } from '../decoders/EncodedAudioStream.js';
+import { PcmStreamAdapter, decodePcm, normalizePcmFormat } from '../decoders/PcmStreamAdapter.js';
+import { toBytes } from '../decoders/demuxers.js';
+import { PRESETS } from './presets.js';
+import { int16ToFloat32, base64ToUint8 } from '../utils/audio-utils.js';
 
 /** @type {Object} Default engine options. */
 const DEFAULTS = {
+  preset: null,                // Named option set from PRESETS (e.g. 'telephony')
+
   // Audio pipeline
   sampleRate: 24000,           // Expected input sample rate
+  inputEncoding: 'pcm16',      // Default feedAudio encoding: 'pcm8', 'pcm16', 'pcm24', 'pcm32', 'float32', 'mulaw', 'alaw'
+  inputEndianness: 'little',   // Byte order of raw PCM input
+  inputChannels: 1,            // Interleaved channels in feedAudio input
+  inputChannel: 'mix',         // 'mix' = average channels, or index of the channel to keep
+  audioDecoder: null,          // feedEncoded decoder factory (null = WebCodecs AudioDecoder)
+  resamplerQuality: 'medium',  // 'low' | 'medium' | 'high' (CPU vs fidelity)
   fftSize: 256,                // FFT window size (power of 2)
   analyserSmoothing: 0.5,      // AnalyserNode smoothingTimeConstant
 
@@ -46,19 +84,49 @@ const DEFAULTS = {
   smoothingFactor: 0.35,       // Viseme transition smoothing (0-1)
   holdFrames: 2,               // Min frames before viseme switch
   intensitySmoothing: 0.2,     // Intensity EMA factor
+  bands: null,                 // Custom analysis bands (null = DEFAULT_BANDS)
+  vowelMode: 'bands',          // 'bands' (band patterns) or 'formants' (LPC F1/F2; use fftSize ≥ 512)
+  vowelSpace: 'male',          // Formant mode: 'male' | 'female' | 'child' | custom VowelSpace table
+  lpcOrder: null,              // Formant mode: LPC order (null = auto)
+  classifier: null,            // Viseme classifier plugin or JSON model (null = built-in rules)
+  spectralFeatures: false,     // Attach MFCCs, centroid, flatness, … to frames (frame.features)
+  voiceProfile: null,          // VoiceProfile (or its JSON): per-voice threshold + intensity scaling
+  calibration: 'off',          // 'auto': learn a voice profile from the first calibrationMs of speech
+  calibrationMs: 3000,         // Speech observed by automatic calibration
+  vad: false,                  // Voice activity detection (true or options): sil outside speech, speechStart/End
+  visemeWeights: false,        // Attach per-viseme coarticulation weights to frames
+  coarticulation: null,        // CoarticulationModel options (dominance, transitionTable)
+  visemeSource: 'audio',       // 'audio' (FFT), 'alignment' (TTS timings) or 'hybrid'
+  alignmentTransitionMs: 60,   // Blend time into each alignment viseme
+  pronunciationDictionary: null, // Word → ARPABET lookup for 'words' alignment
+  hybridLagToleranceMs: 100,   // Hybrid: fall back to FFT this long past the last cue
+  hybridOpenReference: 0.6,    // Hybrid: FFT intensity at which the mouth opens fully
 
   // Playback
   volume: 1.0,
   startThresholdMs: 50,        // Buffer ms before auto-play
   bufferSeconds: 5,            // Ring buffer capacity
+  playbackRate: 1,             // Speech speed, 0.5–2 (time-stretched, pitch preserved)
+  jitterBuffer: 'fixed',       // 'fixed' (startThresholdMs) or 'adaptive' (sized from arrival jitter)
+  jitterMinMs: 40,             // Adaptive: smallest start/resume threshold
+  jitterMaxMs: 500,            // Adaptive: largest threshold; also how long a stall may last
 
   // Analysis timing
   analysisMode: 'raf',         // 'raf' (requestAnimationFrame) or 'interval'
   analysisIntervalMs: 16,      // Only used when analysisMode = 'interval'
+  analysisSource: 'analyser',  // 'analyser' (AnalyserNode) or 'worklet' (sample-accurate features)
+  featureRingSlots: 256,       // Worklet feature records kept for timestamp lookup
+
+  // Latency
+  latencyOffsetMs: null,       // Output latency (ms) to delay visemes by; null = from AudioContext
+
+  // Telemetry
+  metricsIntervalMs: 1000,     // Worklet stats + 'metrics' event period (0 = off)
 
   // Worklet
   workletUrl: null,            // Custom worklet URL (auto-detected if null)
   disablePlayback: false,      // If true, analyze only (no audio output)
+  destination: null,           // AudioNode to play into (defaults to audioContext.destination)
 };
 
 export class LipSyncEngine extends EventEmitter {
@@ -67,7 +135,12 @@ export class LipSyncEngine extends EventEmitter {
    */
   constructor(options = {}) {
     super();
-    this.opts = { ...DEFAULTS, ...options };
+    const preset = options.preset ? PRESETS[options.preset] : null;
+    if (options.preset && !preset) {
+      throw new Error(`Unknown preset: ${options.preset}`);
+    }
+    this.opts = { ...DEFAULTS, ...preset, ...options };
+    if (this.opts.voiceProfile) this.opts.voiceProfile = parseVoiceProfile(this.opts.voiceProfile);
 
     /** @type {AudioContext|null} */
     this.audioContext = null;
@@ -84,6 +157,34 @@ export class LipSyncEngine extends EventEmitter {
     /** @type {FrequencyAnalyzer|null} */
     this.analyzer = null;
 
+    /** @type {VisemeTimeline|null} */
+    this.timeline = null;
+
+    /** @type {HybridAnalyzer|null} */
+    this.hybrid = null;
+
+    /** @type {FeatureRing|null} Worklet feature records (analysisSource 'worklet'). */
+    this.featureRing = null;
+
+    /** @type {EncodedAudioStream|null} Current feedEncoded() stream. */
+    this._encoded = null;
+
+    /** @type {InputState} Resamplers and partial-frame bytes of untagged feedAudio() input. */
+    this._input = createInputState();
+
+    /** @type {Map<*, Utterance>} Open or playing utterances by caller id. */
+    this._utterances = new Map();
+    /** @type {Map<number, Utterance>} Same utterances by worklet key (outlive clearBuffer()). */
+    this._utteranceKeys = new Map();
+    this._utteranceSeq = 0;
+
+    /** @type {Map<number, Function>} interrupt() resolvers by request id. */
+    this._interrupts = new Map();
+    this._interruptSeq = 0;
+
+    /** @type {MetricsCollector} Pipeline and analysis telemetry (see getMetrics()). */
+    this.metrics = new MetricsCollector();
+
     /** @type {MediaStreamAudioSourceNode|null} */
     this._mediaSource = null;
 
@@ -98,7 +199,14 @@ export class LipSyncEngine extends EventEmitter {
     this._inputMode = null; // 'stream' | 'media' | 'element'
     this._playbackTimeMs = 0;
     this._bufferLevel = 0;
+    this._buffering = false;    // Adaptive jitter buffer waiting after an underrun
+    this._speaking = false;     // VAD: inside detected speech (as of the last emitted frame)
+    this._receivedMs = 0;       // Total audio fed, in playback ms
+    this._lastChunkStartMs = 0; // Playback ms at which the last fed chunk starts
+    this._latencyMs = 0;        // Current output latency compensation
+    this._frameQueue = [];      // Frames waiting for their perceived time: {dueMs, frame}
     this._destroyed = false;
+    this._ownsContext = false;  // Only close contexts we created
   }
 
   // ════════════════════════════════════════════════════════════════
@@ -115,6 +223,7 @@ export class LipSyncEngine extends EventEmitter {
     if (this._destroyed) throw new Error('Engine has been destroyed');
 
     // Create or reuse AudioContext
+    this._ownsContext = !existingContext;
     this.audioContext = existingContext || new AudioContext({
       sampleRate: this.opts.sampleRate,
     });
@@ -128,15 +237,35 @@ export class LipSyncEngine extends EventEmitter {
     const workletUrl = this.opts.workletUrl || this._resolveWorkletUrl();
     await this.audioContext.audioWorklet.addModule(workletUrl);
 
+    // Worklet-side feature extraction: shared ring when cross-origin
+    // isolated, `features` messages otherwise
+    let analysis = null;
+    if (this.opts.analysisSource === 'worklet') {
+      this.featureRing = new FeatureRing(this.opts.featureRingSlots);
+      analysis = {
+        fftSize: this.opts.fftSize,
+        smoothingTimeConstant: this.opts.analyserSmoothing,
+        bands: this.opts.bands,
+        featureBuffer: this.featureRing.shared ? this.featureRing.buffer : null,
+      };
+    }
+
     // Create worklet node
     this.workletNode = new AudioWorkletNode(
       this.audioContext,
       'streaming-processor',
       {
         processorOptions: {
-          sampleRate: this.opts.sampleRate,
+          // feedAudio() resamples to the context rate before posting
+          sampleRate: this.audioContext.sampleRate,
           bufferSeconds: this.opts.bufferSeconds,
           startThresholdMs: this.opts.startThresholdMs,
+          playbackRate: checkPlaybackRate(this.opts.playbackRate),
+          jitter: this.opts.jitterBuffer === 'adaptive'
+            ? { minMs: this.opts.jitterMinMs, maxMs: this.opts.jitterMaxMs }
+            : null,
+          statsIntervalMs: this.opts.metricsIntervalMs,
+          analysis,
         },
       }
     );
@@ -154,7 +283,7 @@ export class LipSyncEngine extends EventEmitter {
     this.workletNode.connect(this.analyserNode);
     if (!this.opts.disablePlayback) {
       this.analyserNode.connect(this.gainNode);
-      this.gainNode.connect(this.audioContext.destination);
+      this.gainNode.connect(this._destination());
     }
 
     // Create frequency analyzer
@@ -167,15 +296,47 @@ export class LipSyncEngine extends EventEmitter {
         smoothingFactor: this.opts.smoothingFactor,
         holdFrames: this.opts.holdFrames,
         intensitySmoothing: this.opts.intensitySmoothing,
+        energySmoothing: this.opts.analyserSmoothing,
+        visemeWeights: this.opts.visemeWeights,
+        coarticulation: this.opts.coarticulation,
+        bands: this.opts.bands,
+        vowelMode: this.opts.vowelMode,
+        vowelSpace: this.opts.vowelSpace,
+        lpcOrder: this.opts.lpcOrder,
+        classifier: this.opts.classifier,
+        spectralFeatures: this.opts.spectralFeatures,
+        voiceProfile: this.opts.voiceProfile,
+        vad: this.opts.vad,
       }
     );
+    if (this.opts.playbackRate !== 1) this.analyzer.setRate(this.opts.playbackRate);
+
+    // Create alignment timeline
+    this.timeline = new VisemeTimeline({
+      transitionMs: this.opts.alignmentTransitionMs,
+      intensitySmoothing: this.opts.intensitySmoothing,
+      dictionary: this.opts.pronunciationDictionary,
+      visemeWeights: this.opts.visemeWeights,
+      coarticulation: this.opts.coarticulation,
+    });
+
+    // Fuse alignment visemes with FFT loudness (used in 'hybrid' mode)
+    this.hybrid = new HybridAnalyzer(this.analyzer, this.timeline, {
+      lagToleranceMs: this.opts.hybridLagToleranceMs,
+      openReference: this.opts.hybridOpenReference,
+    });
 
     // Listen for worklet messages
     this.workletNode.port.onmessage = (e) => this._onWorkletMessage(e.data);
 
     this._initialized = true;
     this._inputMode = 'stream';
+    this._updateLatency();
     this.emit('initialized');
+
+    if (this.opts.calibration === 'auto' && !this.opts.voiceProfile) {
+      this.calibrate();
+    }
   }
 
   /**
@@ -204,40 +365,316 @@ export class LipSyncEngine extends EventEmitter {
    * Feed PCM audio chunks for streaming playback + analysis.
    * This is the primary method for TTS API integration.
    *
-   * @param {Int16Array|Float32Array|ArrayBuffer} samples - Audio samples.
-   * @param {number} [inputSampleRate] - Override sample rate for this chunk.
+   * Raw bytes (ArrayBuffer, Uint8Array, Node Buffer, base64) may be cut at any
+   * point: a sample or frame split across chunks is completed by the next one.
+   *
+   * @param {Int16Array|Float32Array|ArrayBuffer|ArrayBufferView|string} samples - Audio samples.
+   *   Strings are base64 (e.g. Twilio Media Streams payloads).
+   * With `utteranceId`, the chunk belongs to an utterance opened by
+   * beginUtterance(). Audio for an utterance that is not open (ended,
+   * cancelled, or never begun) is dropped, so late chunks of a cancelled
+   * reply are harmless.
+   *
+   * @param {number|InputFormat} [format] - Sample rate of this chunk, or a format
+   *   descriptor overriding `inputEncoding` / `inputEndianness` / `inputChannels` /
+   *   `inputChannel` / `sampleRate`, optionally with an `utteranceId`.
    */
-  feedAudio(samples, inputSampleRate) {
+  feedAudio(samples, format) {
     this._ensureInitialized();
 
-    let float32;
-
-    if (samples instanceof Int16Array) {
-      float32 = int16ToFloat32(samples);
-    } else if (samples instanceof Float32Array) {
-      float32 = samples;
-    } else if (samples instanceof ArrayBuffer) {
-      // Assume Int16 PCM
-      float32 = int16ToFloat32(new Int16Array(samples));
-    } else if (ArrayBuffer.isView(samples)) {
-      float32 = int16ToFloat32(new Int16Array(samples.buffer));
-    } else {
-      throw new TypeError('feedAudio expects Int16Array, Float32Array, or ArrayBuffer');
+    const input = typeof format === 'number' ? { sampleRate: format } : (format || {});
+    let utterance = null;
+    if (input.utteranceId !== undefined) {
+      utterance = this._utterances.get(input.utteranceId);
+      if (!utterance || utterance.ended) return;
     }
-
-    // Resample if needed
-    const srcRate = inputSampleRate || this.opts.sampleRate;
+    this.metrics.audioFed();
+    const state = utterance ? utterance.input : this._input;
+    let float32 = this._decodeInput(samples, input, state);
+
+    // Resample if needed (stateful, so chunk boundaries stay seamless). A
+    // new rate ends the old one's stream: its held-back tail goes first
+    const srcRate = input.sampleRate || this.opts.sampleRate;
+    this._flushResamplers(state, utterance, srcRate);
     if (srcRate !== this.audioContext.sampleRate) {
-      float32 = resample(float32, srcRate, this.audioContext.sampleRate);
+      float32 = this._resamplerFor(srcRate, state).process(float32);
     }
 
-    // Send to worklet
+    this._postAudio(float32, utterance);
+  }
+
+  /**
+   * Mark the end of the untagged feedAudio() stream. The resampler holds
+   * back its last few samples until more input arrives; this plays them
+   * now instead of at the start of the next stream. (endUtterance() does
+   * the same for an utterance.)
+   */
+  endAudio() {
+    this._ensureInitialized();
+    this._flushResamplers(this._input);
+  }
+
+  /**
+   * Send decoded samples to the worklet.
+   * @private
+   */
+  _postAudio(float32, utterance = null) {
+    // Track where this chunk lands on the playback timeline
+    this._lastChunkStartMs = this._receivedMs;
+    this._receivedMs += (float32.length / this.audioContext.sampleRate) * 1000;
+
     this.workletNode.port.postMessage(
-      { type: 'audio', samples: float32 },
+      { type: 'audio', samples: float32, utteranceId: utterance?.key },
       [float32.buffer] // Transfer ownership for zero-copy
     );
   }
 
+  /**
+   * Resampler carrying filter state for one input rate.
+   * @private
+   */
+  _resamplerFor(rate, state) {
+    let resampler = state.resamplers.get(rate);
+    if (!resampler) {
+      resampler = new StreamingResampler(rate, this.audioContext.sampleRate, {
+        quality: this.opts.resamplerQuality,
+      });
+      state.resamplers.set(rate, resampler);
+    }
+    return resampler;
+  }
+
+  /**
+   * Send the held-back tails of an input's resamplers and drop them, except
+   * the one for `keepRate`.
+   * @private
+   */
+  _flushResamplers(state, utterance = null, keepRate = null) {
+    for (const [rate, resampler] of state.resamplers) {
+      if (rate === keepRate) continue;
+      state.resamplers.delete(rate);
+      const tail = resampler.flush();
+      if (tail.length > 0) this._postAudio(tail, utterance);
+    }
+  }
+
+  // ════════════════════════════════════════════════════════════════
+  //  UTTERANCES
+  // ════════════════════════════════════════════════════════════════
+
+  /**
+   * Open an utterance: a reply whose audio plays as one segment, after
+   * every utterance begun before it. Its audio may arrive while earlier
+   * ones are still streaming; it waits in the worklet until they end.
+   *
+   * Emits `utteranceStart` / `utteranceEnd` at the sample where it starts
+   * and stops playing, or `utteranceCancelled`.
+   *
+   * @param {string|number} [id] - Caller id (e.g. a response id). Generated if omitted.
+   * @returns {string|number} The utterance id.
+   */
+  beginUtterance(id) {
+    this._ensureInitialized();
+    if (id === undefined) id = `utterance-${this._utteranceSeq + 1}`;
+    if (this._utterances.has(id)) {
+      throw new Error(`Utterance "${id}" is already queued`);
+    }
+
+    const utterance = { id, key: ++this._utteranceSeq, ended: false, input: createInputState() };
+    this._utterances.set(id, utterance);
+    this._utteranceKeys.set(utterance.key, utterance);
+    this.workletNode.port.postMessage({ type: 'beginUtterance', id: utterance.key });
+    return id;
+  }
+
+  /**
+   * Mark an utterance complete. It plays out, then later utterances follow.
+   * @param {string|number} id
+   */
+  endUtterance(id) {
+    const utterance = this._utterances.get(id);
+    if (!utterance || utterance.ended) return;
+    utterance.ended = true;
+
+    // The resamplers hold back their last few output samples; they belong here
+    this._flushResamplers(utterance.input, utterance);
+    this.workletNode.port.postMessage({ type: 'endUtterance', id: utterance.key });
+  }
+
+  /**
+   * Remove one utterance's audio, queued or playing. A playing utterance
+   * fades out over a few samples; the next one starts right after.
+   * @param {string|number} id
+   */
+  cancelUtterance(id) {
+    const utterance = this._utterances.get(id);
+    if (!utterance) return;
+    utterance.ended = true;
+    this.workletNode.port.postMessage({ type: 'cancelUtterance', id: utterance.key });
+  }
+
+  /** Ids of utterances not yet finished playing, in queue order. */
+  get utterances() {
+    return [...this._utterances.keys()];
+  }
+
+  /** @private */
+  _onUtteranceEvent(data) {
+    const utterance = this._utteranceKeys.get(data.id);
+    if (!utterance) return;
+    if (data.event !== 'start') {
+      this._utteranceKeys.delete(data.id);
+      if (this._utterances.get(utterance.id) === utterance) this._utterances.delete(utterance.id);
+    }
+
+    const name = {
+      start: 'utteranceStart',
+      end: 'utteranceEnd',
+      cancelled: 'utteranceCancelled',
+    }[data.event];
+    this.emit(name, { id: utterance.id, contextTime: data.contextTime, timeMs: data.timeMs });
+  }
+
+  /**
+   * Feed a chunk of a compressed audio stream. Chunks may split frames
+   * anywhere; the stream is demuxed and decoded incrementally (WebCodecs
+   * `AudioDecoder` by default) into the playback buffer, gaplessly across
+   * chunks. Call endEncoded() when the stream is complete.
+   *
+   * Decoding is asynchronous, so alignment data for encoded streams should
+   * pass an explicit `offsetMs` to addAlignment().
+   *
+   * @param {ArrayBuffer|ArrayBufferView|string} chunk - Encoded bytes (strings are base64).
+   * @param {Object} options
+   * @param {'mp3'|'aac'|'opus'} options.codec - MP3 frames, ADTS AAC, or Ogg/Opus.
+   */
+  feedEncoded(chunk, options = {}) {
+    this._ensureInitialized();
+    const { codec } = options;
+    this.metrics.audioFed();
+
+    if (!this._encoded || this._encoded.codec !== codec) {
+      this._closeEncoded();
+      this._encoded = new EncodedAudioStream(codec, {
+        decoder: this.opts.audioDecoder,
+        onOutput: (pcm, sampleRate) => {
+          // Decoded PCM is mono Float32 whatever inputChannels says
+          if (this._initialized) this.feedAudio(pcm, { sampleRate, channels: 1 });
+        },
+        onError: (error) => this.emit('decodeError', { codec, error }),
+      });
+    }
+    this._encoded.push(typeof chunk === 'string' ? base64ToUint8(chunk) : chunk);
+  }
+
+  /**
+   * Finish the current feedEncoded() stream: decode everything pushed so
+   * far, then start fresh for the next stream.
+   * @returns {Promise<void>} Rejects if the stream failed to decode (also emitted as `decodeError`).
+   */
+  async endEncoded() {
+    const stream = this._encoded;
+    this._encoded = null;
+    if (!stream) return;
+    try {
+      await stream.flush();
+    } finally {
+      stream.close();
+    }
+  }
+
+  /** @private */
+  _closeEncoded() {
+    this._encoded?.close();
+    this._encoded = null;
+  }
+
+  /**
+   * Convert feedAudio() input to mono Float32 samples.
+   * @private
+   */
+  _decodeInput(samples, input, state) {
+    const format = normalizePcmFormat({
+      encoding: input.encoding ?? this.opts.inputEncoding,
+      endianness: input.endianness ?? this.opts.inputEndianness,
+      channels: input.channels ?? this.opts.inputChannels,
+      channel: input.channel ?? this.opts.inputChannel,
+    });
+    if (typeof samples === 'string') {
+      samples = base64ToUint8(samples);
+    }
+
+    // Int16Array / Float32Array describe themselves (native byte order, whole
+    // frames); the encoding and endianness apply to raw bytes
+    const isInt16 = samples instanceof Int16Array;
+    if (isInt16 || samples instanceof Float32Array) {
+      if (format.channels === 1) return isInt16 ? int16ToFloat32(samples) : samples;
+      return decodePcm(toBytes(samples), {
+        ...format,
+        encoding: isInt16 ? 'pcm16' : 'float32',
+        endianness: 'little',
+      });
+    }
+
+    if (!(samples instanceof ArrayBuffer) && !ArrayBuffer.isView(samples)) {
+      throw new TypeError('feedAudio expects Int16Array, Float32Array, ArrayBuffer, typed array bytes, or base64 string');
+    }
+    return this._pcmAdapterFor(format, state).push(samples);
+  }
+
+  /**
+   * Adapter for raw byte input. A format change starts a new byte stream.
+   * @private
+   */
+  _pcmAdapterFor(format, state) {
+    const key = `${format.encoding}:${format.endianness}:${format.channels}:${format.channel}`;
+    if (!state.pcmAdapter || state.pcmKey !== key) {
+      state.pcmAdapter = new PcmStreamAdapter(format);
+      state.pcmKey = key;
+    }
+    return state.pcmAdapter;
+  }
+
+  /**
+   * Add TTS alignment data to the viseme timeline.
+   * Used when `visemeSource` is 'alignment' or 'hybrid'.
+   *
+   * @param {Object|Array<Object>} data - Alignment events (shape depends on format).
+   * @param {Object} [options]
+   * @param {'phonemes'|'visemes'|'characters'|'words'|'elevenlabs'|'azure'} [options.format='phonemes']
+   * @param {number} [options.offsetMs] - Playback time the event times are relative to.
+   *   Defaults to the start of the most recently fed audio chunk, which matches
+   *   vendors that send alignment alongside each chunk. Pass 0 for absolute times.
+   */
+  addAlignment(data, options = {}) {
+    this._ensureInitialized();
+    const { format = 'phonemes' } = options;
+    const offsetMs = options.offsetMs ?? this._lastChunkStartMs;
+
+    switch (format) {
+      case 'phonemes':
+        this.timeline.addPhonemes(data, offsetMs);
+        break;
+      case 'visemes':
+        this.timeline.addVisemes(data, offsetMs);
+        break;
+      case 'characters':
+        this.timeline.addCharacters(data, offsetMs);
+        break;
+      case 'words':
+        this.timeline.addWords(data, offsetMs);
+        break;
+      case 'elevenlabs':
+        this.timeline.addElevenLabsAlignment(data, offsetMs);
+        break;
+      case 'azure':
+        this.timeline.addAzureVisemes(data, offsetMs);
+        break;
+      default:
+        throw new TypeError(`Unknown alignment format: ${format}`);
+    }
+  }
+
   /**
    * Attach a MediaStream (e.g., microphone) for analysis.
    * Audio is analyzed but NOT played back (to avoid feedback).
@@ -267,12 +704,20 @@ export class LipSyncEngine extends EventEmitter {
 
     this._elementSource = this.audioContext.createMediaElementSource(element);
     this._elementSource.connect(this.analyserNode);
-    this.analyserNode.connect(this.audioContext.destination);
+    this.analyserNode.connect(this._destination());
 
     this._inputMode = 'element';
     this.emit('sourceAttached', { type: 'element' });
   }
 
+  /**
+   * Node that audible output connects to.
+   * @private
+   */
+  _destination() {
+    return this.opts.destination || this.audioContext.destination;
+  }
+
   /**
    * Disconnect any attached media sources.
    * @private
@@ -313,6 +758,8 @@ export class LipSyncEngine extends EventEmitter {
   /** Stop the viseme analysis loop. */
   stopAnalysis() {
     this._analyzing = false;
+    this._frameQueue = [];
+    this.metrics.analysisStopped();
 
     if (this._animFrameId !== null) {
       cancelAnimationFrame(this._animFrameId);
@@ -326,6 +773,16 @@ export class LipSyncEngine extends EventEmitter {
     this.emit('analysisStopped');
   }
 
+  /**
+   * Run a single analysis step and emit its frame. For driving several
+   * engines from one external loop (see VoiceManager) instead of
+   * startAnalysis().
+   */
+  tick() {
+    this._ensureInitialized();
+    this._analyzeFrame();
+  }
+
   /** @private */
   _startRAFLoop() {
     const tick = () => {
@@ -346,10 +803,105 @@ export class LipSyncEngine extends EventEmitter {
 
   /** @private */
   _analyzeFrame() {
-    const frame = this.analyzer.analyze();
-    frame.timeMs = this._playbackTimeMs;
+    const startMs = performance.now();
+    this._updateLatency();
+
+    // Worklet features carry the playback position of the audible samples
+    const features = this._currentFeatures();
+    const timeMs = features ? features.timeMs : this._playbackTimeMs;
+
+    let frame;
+    switch (this.opts.visemeSource) {
+      case 'alignment':
+        frame = this.timeline.analyze(timeMs);
+        break;
+      case 'hybrid':
+        frame = this.hybrid.analyze(timeMs, features);
+        break;
+      default:
+        frame = features
+          ? this.analyzer.processFeatures(features)
+          : this.analyzer.analyze();
+    }
+    frame.timeMs = timeMs;
     frame.bufferLevel = this._bufferLevel;
-    this.emit('viseme', frame);
+
+    // Features picked by output timestamp are already in perceived time, and
+    // an attached stream is analyzed without being played back
+    const delayMs = features || this._inputMode === 'media' ? 0 : this._latencyMs;
+    this._queueFrame(frame, delayMs);
+    this.metrics.analysisFrame(startMs, performance.now() - startMs);
+  }
+
+  /**
+   * Queue a frame for emission after delayMs and emit every frame whose
+   * perceived time has come.
+   * @private
+   */
+  _queueFrame(frame, delayMs) {
+    const now = performance.now();
+    this._frameQueue.push({
+      dueMs: now + delayMs,
+      frame,
+      clockMs: this.analyzer?.clockMs ?? 0,
+      speechMs: this.analyzer?.vad?.speechMs ?? 0,
+    });
+    while (this._frameQueue.length > 0 && this._frameQueue[0].dueMs <= now) {
+      const { frame: next, clockMs, speechMs } = this._frameQueue.shift();
+      if (next.speaking !== undefined && next.speaking !== this._speaking) {
+        this._onSpeechChange(next.speaking, clockMs, speechMs);
+      }
+      this.metrics.viseme(next);
+      this.emit('viseme', next);
+    }
+  }
+
+  /**
+   * Emit `speechStart` / `speechEnd` when the VAD state of emitted frames flips.
+   * Times come from the analyzer clock and the detector's own speech length:
+   * the playback position stands still for microphone and element input.
+   * @param {boolean} speaking
+   * @param {number} timeMs - Analyzer clock of the frame.
+   * @param {number} speechMs - Detector speech length at the frame.
+   * @private
+   */
+  _onSpeechChange(speaking, timeMs, speechMs) {
+    this._speaking = speaking;
+    const contextTime = this.audioContext?.currentTime ?? 0;
+    if (speaking) {
+      this.emit('speechStart', { timeMs, contextTime });
+    } else {
+      this.emit('speechEnd', { timeMs, contextTime, durationMs: speechMs });
+    }
+  }
+
+  /**
+   * Refresh the output latency estimate; emits `latency` when it changes.
+   * @private
+   */
+  _updateLatency() {
+    const ctx = this.audioContext;
+    const outputLatencyMs = (ctx?.outputLatency || 0) * 1000;
+    const baseLatencyMs = (ctx?.baseLatency || 0) * 1000;
+    const manual = this.opts.latencyOffsetMs != null;
+    const latencyMs = manual ? this.opts.latencyOffsetMs : outputLatencyMs + baseLatencyMs;
+
+    // Ignore sub-millisecond wobble in the reported values
+    if (Math.abs(latencyMs - this._latencyMs) < 1) return;
+    this._latencyMs = latencyMs;
+    this.emit('latency', { latencyMs, outputLatencyMs, baseLatencyMs, manual });
+  }
+
+  /**
+   * Worklet features for what is currently audible, or null when the
+   * AnalyserNode should be read instead.
+   * @private
+   */
+  _currentFeatures() {
+    if (!this.featureRing || this._inputMode !== 'stream') return null;
+    const ts = this.audioContext.getOutputTimestamp?.();
+    const contextTime = ts?.contextTime > 0 ? ts.contextTime : this.audioContext.currentTime;
+    return this.getFeaturesAt(contextTime);
   }
 
   // ════════════════════════════════════════════════════════════════
@@ -364,6 +916,8 @@ export class LipSyncEngine extends EventEmitter {
         this._bufferLevel = data.bufferLevel;
         this.emit('position', {
           timeMs: data.timeMs,
+          wallTimeMs: data.wallTimeMs,
+          playbackRate: data.playbackRate,
           bufferLevel: data.bufferLevel,
           bufferMs: data.bufferMs,
           isPlaying: data.isPlaying,
@@ -371,13 +925,26 @@ export class LipSyncEngine extends EventEmitter {
         break;
 
       case 'playbackStarted':
+        this.metrics.playbackStarted(this._latencyMs);
         this.emit('playbackStarted');
         break;
 
       case 'playbackEnded':
+        this.metrics.playbackStopped();
+        this._buffering = false;
         this.emit('playbackEnded');
         break;
 
+      case 'buffering':
+        this._buffering = true;
+        this.emit('buffering', { timeMs: data.timeMs, targetMs: data.targetMs, jitterMs: data.jitterMs });
+        break;
+
+      case 'resumed':
+        this._buffering = false;
+        this.emit('resumed', { timeMs: data.timeMs, waitedMs: data.waitedMs, targetMs: data.targetMs });
+        break;
+
       case 'bufferUnderrun':
         this.emit('bufferUnderrun', { timeMs: data.timeMs });
         break;
@@ -386,6 +953,23 @@ export class LipSyncEngine extends EventEmitter {
         this.emit('bufferOverflow', { dropped: data.dropped });
         break;
 
+      case 'stats':
+        this.metrics.workletStats(data);
+        this.emit('metrics', this.getMetrics());
+        break;
+
+      case 'features':
+        this.featureRing?.write(data.records);
+        break;
+
+      case 'utterance':
+        this._onUtteranceEvent(data);
+        break;
+
+      case 'interrupted':
+        this._onInterrupted(data);
+        break;
+
       case 'ready':
         this.emit('workletReady');
         break;
@@ -408,9 +992,106 @@ export class LipSyncEngine extends EventEmitter {
     this.workletNode?.port.postMessage({ type: 'setVolume', value: v });
   }
 
+  /**
+   * Change speech speed without changing pitch. The worklet time-stretches
+   * the stream (WSOLA); `timeMs` in frames and `position` events stays in
+   * media time, so alignment cues and utterance counts are unaffected.
+   * Analyzer smoothing and hold-off scale with the rate so the mouth keeps
+   * up with faster speech.
+   *
+   * @param {number} rate - 0.5–2 (1 = normal).
+   */
+  setPlaybackRate(rate) {
+    this.opts.playbackRate = checkPlaybackRate(rate);
+    this.analyzer?.setRate(rate);
+    this.workletNode?.port.postMessage({ type: 'setPlaybackRate', value: rate });
+  }
+
+  /**
+   * Override the output latency compensation.
+   * @param {number|null} ms - Delay in ms (0 disables), or null to follow the AudioContext.
+   */
+  setLatencyOffset(ms) {
+    this.opts.latencyOffsetMs = ms;
+    this._updateLatency();
+  }
+
   /** Clear the audio buffer (stops playback of buffered audio). */
   clearBuffer() {
     this.workletNode?.port.postMessage({ type: 'clear' });
+    this._closeEncoded();
+    this._input = createInputState();
+    this._utterances.clear(); // the worklet reports each one as cancelled
+    this._frameQueue = [];
+    this._buffering = false;
+    this.metrics.audioDropped();
+    this.timeline?.clear();
+    this._receivedMs = this._playbackTimeMs;
+    this._lastChunkStartMs = this._playbackTimeMs;
+  }
+
+  /**
+   * Barge-in: fade out what is playing, drop everything buffered, and
+   * report how much of each utterance was actually played, e.g. for
+   * OpenAI Realtime `conversation.item.truncate` (`audio_end_ms`).
+   *
+   * Pending utterances are cancelled (`utteranceCancelled`). Once the fade
+   * has played, the analyzer releases so the mouth closes smoothly. Audio
+   * fed after this call is kept and starts like a fresh stream.
+   *
+   * Counts only cover utterances still pending; audio fed without an
+   * utteranceId is summed under id `null`.
+   *
+   * @param {Object} [options]
+   * @param {number} [options.fadeMs=20] - Fade-out length (0 = cut).
+   * @returns {Promise<InterruptResult|null>} null if the engine is destroyed first.
+   */
+  interrupt({ fadeMs = 20 } = {}) {
+    this._ensureInitialized();
+    const id = ++this._interruptSeq;
+    const result = new Promise((resolve) => this._interrupts.set(id, resolve));
+
+    this.workletNode.port.postMessage({
+      type: 'interrupt',
+      id,
+      fadeSamples: Math.round((fadeMs / 1000) * this.audioContext.sampleRate),
+    });
+    this._closeEncoded();
+    this._input = createInputState();
+    this._utterances.clear(); // the worklet reports each one as cancelled
+    this.timeline?.clear();
+    return result;
+  }
+
+  /** @private */
+  _onInterrupted(data) {
+    const rate = this.audioContext.sampleRate;
+    const toMs = (samples) => (samples / rate) * 1000;
+    const result = {
+      timeMs: data.timeMs,
+      sampleRate: rate,
+      utterances: data.utterances.map((u) => ({
+        id: u.id === null ? null : this._utteranceKeys.get(u.id)?.id ?? null,
+        playedSamples: u.played,
+        receivedSamples: u.received,
+        playedMs: toMs(u.played),
+        receivedMs: toMs(u.received),
+      })),
+    };
+
+    // Stale frames would reopen the mouth; let it close from where it is
+    this._frameQueue = [];
+    this.metrics.audioDropped();
+    this.analyzer?.release();
+    this._playbackTimeMs = data.timeMs;
+    this._receivedMs = data.timeMs;
+    this._lastChunkStartMs = data.timeMs;
+
+    for (const id of data.ids) {
+      this._interrupts.get(id)?.(result);
+      this._interrupts.delete(id);
+    }
+    this.emit('interrupted', result);
   }
 
   /** Start playback (if paused). */
@@ -426,12 +1107,91 @@ export class LipSyncEngine extends EventEmitter {
   /** Reset all state (buffer, position, analyzer). */
   reset() {
     this.workletNode?.port.postMessage({ type: 'reset' });
+    this._closeEncoded();
+    this._input = createInputState();
+    this._utterances.clear(); // the worklet reports each one as cancelled
+    if (this._speaking) {
+      this._onSpeechChange(false, this.analyzer?.clockMs ?? 0, this.analyzer?.vad?.speechMs ?? 0);
+    }
     this.analyzer?.reset();
+    this.timeline?.reset();
     this._playbackTimeMs = 0;
     this._bufferLevel = 0;
+    this._buffering = false;
+    this.metrics.playbackStopped();
+    this._receivedMs = 0;
+    this._lastChunkStartMs = 0;
+    this._frameQueue = [];
     this.emit('reset');
   }
 
+  // ════════════════════════════════════════════════════════════════
+  //  VOICE CALIBRATION
+  // ════════════════════════════════════════════════════════════════
+
+  /**
+   * Learn a voice profile from the next `durationMs` of speech the
+   * analyzer sees, apply it, and emit `calibrated`. Until then the current
+   * profile (or the defaults) stays in effect.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.name='default'] - Profile name (e.g. the TTS voice id).
+   * @param {number} [options.durationMs] - Speech to observe (default: calibrationMs).
+   * @returns {Promise<import('../analyzers/VoiceCalibrator.js').VoiceProfile|null>}
+   *   null if cancelled or superseded by another calibrate().
+   */
+  async calibrate(options = {}) {
+    this._ensureInitialized();
+    const profile = await this.analyzer.calibrate({ durationMs: this.opts.calibrationMs, ...options });
+    if (profile) {
+      this.opts.voiceProfile = profile;
+      this.emit('calibrated', profile);
+    }
+    return profile;
+  }
+
+  /**
+   * Calibrate from a reference clip of the voice and apply the profile.
+   * Works before init().
+   *
+   * @param {Float32Array|Int16Array} samples - Mono audio.
+   * @param {number} sampleRate
+   * @param {Object} [options]
+   * @param {string} [options.name='default']
+   * @returns {import('../analyzers/VoiceCalibrator.js').VoiceProfile|null} null when the clip has no speech.
+   */
+  calibrateFromClip(samples, sampleRate, options = {}) {
+    const profile = calibrateFromClip(samples, sampleRate, {
+      fftSize: this.opts.fftSize,
+      analyserSmoothing: this.opts.analyserSmoothing,
+      bands: this.opts.bands,
+      ...options,
+    });
+    if (profile) {
+      this.setVoiceProfile(profile);
+      this.emit('calibrated', this.opts.voiceProfile);
+    }
+    return profile && this.opts.voiceProfile;
+  }
+
+  /**
+   * Apply a stored voice profile, or return to the default threshold and
+   * intensity scaling with null.
+   * @param {import('../analyzers/VoiceCalibrator.js').VoiceProfile|string|null} profile - Profile or its JSON.
+   */
+  setVoiceProfile(profile) {
+    this.opts.voiceProfile = profile ? parseVoiceProfile(profile) : null;
+    this.analyzer?.setVoiceProfile(this.opts.voiceProfile);
+  }
+
+  /**
+   * The voice profile in effect (serialize with toVoiceProfileJSON()).
+   * @returns {import('../analyzers/VoiceCalibrator.js').VoiceProfile|null}
+   */
+  getVoiceProfile() {
+    return this.opts.voiceProfile;
+  }
+
   // ════════════════════════════════════════════════════════════════
   //  STATE QUERIES
   // ════════════════════════════════════════════════════════════════
@@ -448,9 +1208,36 @@ export class LipSyncEngine extends EventEmitter {
   /** Current buffer fill level (0..1). */
   get bufferLevel() { return this._bufferLevel; }
 
+  /** Delay (ms) applied to viseme emission for output latency. */
+  get latencyMs() { return this._latencyMs; }
+
+  /** Current playback rate (see setPlaybackRate()). */
+  get playbackRate() { return this.opts.playbackRate; }
+
   /** Current input mode: 'stream', 'media', or 'element'. */
   get inputMode() { return this._inputMode; }
 
+  /**
+   * Worklet-computed features for the audio that reaches the output at a
+   * given AudioContext time (analysisSource 'worklet' only).
+   *
+   * @param {number} contextTime - e.g. `audioContext.getOutputTimestamp().contextTime`.
+   * @returns {import('../utils/FeatureRing.js').FeatureRecord|null}
+   */
+  getFeaturesAt(contextTime) {
+    return this.featureRing?.at(contextTime) ?? null;
+  }
+
+  /**
+   * Pipeline and analysis metrics: the latest worklet stats, time to first
+   * audio, analysis loop timing and the viseme histogram. Plain data, ready
+   * to serialize; also emitted every `metricsIntervalMs` as `metrics`.
+   * @returns {import('./MetricsCollector.js').Metrics}
+   */
+  getMetrics() {
+    return this.metrics.snapshot();
+  }
+
   /**
    * Get a snapshot of current engine state.
    * @returns {Object}
@@ -460,8 +1247,17 @@ export class LipSyncEngine extends EventEmitter {
       initialized: this._initialized,
       analyzing: this._analyzing,
       inputMode: this._inputMode,
+      visemeSource: this.opts.visemeSource,
+      analysisSource: this.opts.analysisSource,
       playbackTimeMs: this._playbackTimeMs,
       bufferLevel: this._bufferLevel,
+      latencyMs: this._latencyMs,
+      playbackRate: this.opts.playbackRate,
+      buffering: this._buffering,
+      speaking: this._speaking,
+      voiceProfile: this.opts.voiceProfile?.name ?? null,
+      calibrating: this.analyzer?.calibrating ?? false,
+      utterances: this.utterances,
       sampleRate: this.audioContext?.sampleRate,
       volume: this.gainNode?.gain.value,
     };
@@ -480,13 +1276,17 @@ export class LipSyncEngine extends EventEmitter {
 
     this.stopAnalysis();
     this._disconnectSources();
+    this._closeEncoded();
+    for (const resolve of this._interrupts.values()) resolve(null);
+    this._interrupts.clear();
+    this.analyzer?.cancelCalibration();
 
     try { this.workletNode?.disconnect(); } catch {}
     try { this.analyserNode?.disconnect(); } catch {}
     try { this.gainNode?.disconnect(); } catch {}
 
     // Only close context if we created it
-    if (this.audioContext?.state !== 'closed') {
+    if (this._ownsContext && this.audioContext?.state !== 'closed') {
       this.audioContext?.close().catch(() => {});
     }
 
@@ -494,11 +1294,14 @@ export class LipSyncEngine extends EventEmitter {
     this.analyserNode = null;
     this.gainNode = null;
     this.analyzer = null;
+    this.timeline = null;
+    this.hybrid = null;
+    this.featureRing = null;
     this.audioContext = null;
     this._initialized = false;
 
-    this.removeAllListeners();
     this.emit('destroyed');
+    this.removeAllListeners();
   }
 
   /** @private */
@@ -508,3 +1311,57 @@ export class LipSyncEngine extends EventEmitter {
     }
   }
 }
+
+/**
+ * Validate a playback rate (WSOLA quality degrades outside this range).
+ * @param {number} rate
+ * @returns {number}
+ */
+function checkPlaybackRate(rate) {
+  if (!(rate >= 0.5 && rate <= 2)) {
+    throw new RangeError(`playbackRate must be between 0.5 and 2, got ${rate}`);
+  }
+  return rate;
+}
+
+/**
+ * Per-stream input conversion state: feedAudio() carries filter history and
+ * partial frames across chunks, separately for each utterance.
+ * @returns {InputState}
+ */
+function createInputState() {
+  return { resamplers: new Map(), pcmAdapter: null, pcmKey: '' };
+}
+
+/**
+ * @typedef {Object} InputState
+ * @property {Map<number, StreamingResampler>} resamplers - One per input rate.
+ * @property {PcmStreamAdapter|null} pcmAdapter - Raw byte input with partial-frame carry-over.
+ * @property {string} pcmKey - Format the adapter was built for.
+ */
+
+/**
+ * @typedef {Object} Utterance
+ * @property {string|number} id - Caller id.
+ * @property {number} key - Worklet segment key.
+ * @property {boolean} ended - No more audio accepted (ended or cancelled).
+ * @property {InputState} input
+ */
+
+/**
+ * @typedef {Object} InterruptResult
+ * @property {number} timeMs - Playback position where audio stopped.
+ * @property {number} sampleRate - Rate of the sample counts (AudioContext rate).
+ * @property {Array<{id: string|number|null, playedSamples: number, receivedSamples: number,
+ *   playedMs: number, receivedMs: number}>} utterances - Per pending utterance; `null` = untagged audio.
+ */
+
+/**
+ * @typedef {Object} InputFormat
+ * @property {'pcm8'|'pcm16'|'pcm24'|'pcm32'|'float32'|'mulaw'|'alaw'} [encoding] - Sample encoding of the chunk.
+ * @property {'little'|'big'} [endianness] - Byte order of raw PCM.
+ * @property {number} [channels] - Interleaved channel count.
+ * @property {'mix'|number} [channel] - Average all channels, or keep one by index.
+ * @property {number} [sampleRate] - Sample rate of the chunk.
+ * @property {string|number} [utteranceId] - Utterance opened by beginUtterance().
+ */
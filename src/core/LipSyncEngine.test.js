@@ -0,0 +1,170 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { LipSyncEngine } from './LipSyncEngine.js';
+
+function frame(viseme) {
+  return { viseme, intensity: 0.5, timeMs: 0 };
+}
+
+describe('LipSyncEngine latency compensation', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('follows outputLatency + baseLatency and emits on change', () => {
+    const engine = new LipSyncEngine();
+    engine.audioContext = { outputLatency: 0.04, baseLatency: 0.01 };
+    const events = [];
+    engine.on('latency', (e) => events.push(e));
+
+    engine._updateLatency();
+    expect(engine._latencyMs).toBeCloseTo(50);
+    engine.audioContext.outputLatency = 0.0404; // sub-millisecond wobble
+    engine._updateLatency();
+    expect(events).toHaveLength(1);
+    expect(events[0]).toMatchObject({ manual: false });
+    expect(events[0].outputLatencyMs).toBeCloseTo(40);
+    expect(events[0].baseLatencyMs).toBeCloseTo(10);
+
+    engine.audioContext = null;
+    engine.destroy();
+  });
+
+  it('lets setLatencyOffset override and restore the automatic estimate', () => {
+    const engine = new LipSyncEngine();
+    engine.audioContext = { outputLatency: 0.03, baseLatency: 0 };
+    const events = [];
+    engine.on('latency', (e) => events.push(e));
+
+    engine.setLatencyOffset(120);
+    expect(engine._latencyMs).toBe(120);
+    expect(events.at(-1)).toMatchObject({ latencyMs: 120, manual: true });
+
+    engine.setLatencyOffset(null);
+    expect(engine._latencyMs).toBeCloseTo(30);
+    expect(events.at(-1).manual).toBe(false);
+
+    engine.audioContext = null;
+    engine.destroy();
+  });
+
+  it('holds frames back by the delay and emits them in order', () => {
+    let now = 1000;
+    vi.spyOn(performance, 'now').mockImplementation(() => now);
+    const engine = new LipSyncEngine();
+    const emitted = [];
+    engine.on('viseme', (f) => emitted.push(f.viseme));
+
+    engine._queueFrame(frame('PP'), 50);
+    engine._queueFrame(frame('aa'), 50);
+    expect(emitted).toEqual([]);
+
+    now = 1049;
+    engine._queueFrame(frame('O'), 50);
+    expect(emitted).toEqual([]);
+
+    now = 1050;
+    engine._queueFrame(frame('E'), 50);
+    expect(emitted).toEqual(['PP', 'aa']);
+
+    now = 1100;
+    engine._queueFrame(frame('sil'), 0);
+    expect(emitted).toEqual(['PP', 'aa', 'O', 'E', 'sil']);
+    engine.destroy();
+  });
+
+  it('does not delay frames of an attached stream, which is not played back', () => {
+    let now = 1000;
+    vi.spyOn(performance, 'now').mockImplementation(() => now);
+    const engine = new LipSyncEngine();
+    engine.audioContext = { outputLatency: 0.2, baseLatency: 0.01, currentTime: 0 };
+    engine.analyzer = { analyze: () => frame('aa') };
+    const emitted = [];
+    engine.on('viseme', (f) => emitted.push(f.viseme));
+
+    engine._analyzeFrame();
+    expect(emitted).toEqual([]); // played back: held for the output latency
+
+    engine._frameQueue = [];
+    engine._inputMode = 'media';
+    engine._analyzeFrame();
+    expect(emitted).toEqual(['aa']);
+
+    engine.audioContext = null;
+    engine.analyzer = null;
+    engine.destroy();
+  });
+});
+
+describe('LipSyncEngine input decoding', () => {
+  /** Engine wired to a stand-in worklet that records the audio it is sent. */
+  function fedEngine(options) {
+    const engine = new LipSyncEngine(options);
+    const posted = [];
+    engine.audioContext = { sampleRate: 8000 };
+    engine.workletNode = { port: { postMessage: (m) => posted.push(m) } };
+    engine._initialized = true;
+    const samples = () => posted.filter((m) => m.type === 'audio').flatMap((m) => [...m.samples]);
+    return { engine, samples };
+  }
+
+  it('does not apply inputChannels to decoded feedEncoded audio', async () => {
+    const decoder = (config, { onOutput }) => ({
+      decode() {},
+      async flush() { onOutput([new Float32Array(1152).fill(0.25)], 8000); },
+      close() {},
+    });
+    const { engine, samples } = fedEngine({ sampleRate: 8000, inputChannels: 2, audioDecoder: decoder });
+
+    const frame = new Uint8Array(417);
+    frame.set([0xff, 0xfb, 0x90, 0x00]); // MPEG-1 Layer III header
+    engine.feedEncoded(frame, { codec: 'mp3' });
+    await engine.endEncoded();
+
+    expect(samples()).toHaveLength(1152);
+    expect(samples().every((v) => v === 0.25)).toBe(true);
+    engine._initialized = false;
+  });
+
+  it('plays out the resampler tail on endAudio() and when the input rate changes', () => {
+    const { engine, samples } = fedEngine({ sampleRate: 16000 });
+
+    engine.feedAudio(new Float32Array(1600).fill(0.5));
+    const held = 800 - samples().length;
+    expect(held).toBeGreaterThan(0);
+    engine.endAudio();
+    expect(samples()).toHaveLength(800);
+
+    engine.feedAudio(new Float32Array(1600).fill(0.5));
+    engine.feedAudio(new Float32Array(100).fill(-1), 8000); // native rate, no resampler
+    const out = samples();
+    expect(out).toHaveLength(800 + 800 + 100);
+    expect(out.slice(-100).every((v) => v === -1)).toBe(true);
+    expect(engine._input.resamplers.size).toBe(0);
+    engine._initialized = false;
+  });
+});
+
+describe('LipSyncEngine speech events', () => {
+  it('times speech by the analyzer clock, not the playback position', () => {
+    const engine = new LipSyncEngine();
+    const vad = { speechMs: 0 };
+    engine.analyzer = { clockMs: 0, vad, reset() {} };
+    const events = [];
+    engine.on('speechStart', (e) => events.push(['start', e]));
+    engine.on('speechEnd', (e) => events.push(['end', e]));
+
+    engine.analyzer.clockMs = 1000;
+    vad.speechMs = 60;
+    engine._queueFrame({ ...frame('aa'), speaking: true }, 0);
+    engine.analyzer.clockMs = 2500;
+    vad.speechMs = 1560;
+    engine._queueFrame({ ...frame('sil'), speaking: false }, 0);
+
+    expect(events).toEqual([
+      ['start', { timeMs: 1000, contextTime: 0 }],
+      ['end', { timeMs: 2500, contextTime: 0, durationMs: 1560 }],
+    ]);
+    engine.analyzer = null;
+    engine.destroy();
+  });
+});
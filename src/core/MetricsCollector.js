@@ -0,0 +1,207 @@
+/**
+ * MetricsCollector — Pipeline and analysis telemetry for LipSyncEngine.
+ *
+ * Gathers, in one plain-object snapshot that can be shipped as JSON:
+ *
+ *   worklet          the latest `stats` report of the AudioWorklet
+ *                    (underruns, overflow drops, re-buffers, buffer level;
+ *                    counters run from processor creation)
+ *   timeToFirstAudio ms from the first chunk fed while idle until that
+ *                    audio is heard (playback start + output latency)
+ *   analysis         main-thread analysis loop timing: interval between
+ *                    frames, its jitter (standard deviation), and the time
+ *                    each frame takes to compute
+ *   visemes          how often each viseme was emitted and its mean confidence
+ *
+ * The engine feeds it through the hooks below; read it with
+ * `engine.getMetrics()` or the periodic `metrics` event.
+ *
+ * @module MetricsCollector
+ *
+ * @example
+ *   engine.on('metrics', (m) => telemetry.send('lipsync', m));
+ *   const { analysis } = engine.getMetrics();
+ *   if (analysis.jitterMs > 8) console.warn('analysis loop is janky');
+ */
+
+import { EXTENDED_VISEME_KEYS } from './visemes.js';
+
+/** Running count / mean / variance / max (Welford). */
+class RunningStat {
+  constructor() {
+    this.count = 0;
+    this.mean = 0;
+    this.max = 0;
+    this._m2 = 0;
+  }
+
+  add(x) {
+    this.count++;
+    const delta = x - this.mean;
+    this.mean += delta / this.count;
+    this._m2 += delta * (x - this.mean);
+    if (this.count === 1 || x > this.max) this.max = x;
+  }
+
+  get stdDev() {
+    return this.count > 1 ? Math.sqrt(this._m2 / (this.count - 1)) : 0;
+  }
+}
+
+export class MetricsCollector {
+  constructor() {
+    this.reset();
+  }
+
+  /** Start a new collection window (worklet counters keep running). */
+  reset() {
+    this._since = performance.now();
+    this._worklet = null;
+
+    this._firstFedAt = null; // performance.now() of the first chunk while idle
+    this._playing = false;
+    this._firstAudio = new RunningStat();
+    this._lastFirstAudioMs = null;
+
+    this._lastFrameAt = null;
+    this._interval = new RunningStat();
+    this._processing = new RunningStat();
+
+    this._visemeCounts = {};
+    this._confidenceSums = {};
+    for (const key of EXTENDED_VISEME_KEYS) {
+      this._visemeCounts[key] = 0;
+      this._confidenceSums[key] = 0;
+    }
+    this._visemeFrames = 0;
+  }
+
+  // ════════════════════════════════════════════════════════════════
+  //  HOOKS
+  // ════════════════════════════════════════════════════════════════
+
+  /** A worklet `stats` message arrived. */
+  workletStats(stats) {
+    const { type, ...rest } = stats;
+    this._worklet = rest;
+  }
+
+  /** Audio was fed; starts the time-to-first-audio clock when idle. */
+  audioFed() {
+    if (!this._playing && this._firstFedAt === null) this._firstFedAt = performance.now();
+  }
+
+  /**
+   * Playback started.
+   * @param {number} [latencyMs=0] - Output latency until the audio is heard.
+   */
+  playbackStarted(latencyMs = 0) {
+    this._playing = true;
+    if (this._firstFedAt === null) return; // manual play() of old audio
+    const ms = performance.now() - this._firstFedAt + latencyMs;
+    this._firstFedAt = null;
+    this._lastFirstAudioMs = ms;
+    this._firstAudio.add(ms);
+  }
+
+  /** Playback ended or was reset. */
+  playbackStopped() {
+    this._playing = false;
+    this._firstFedAt = null;
+  }
+
+  /** Buffered audio was dropped (clearBuffer, interrupt) before it could start. */
+  audioDropped() {
+    this._firstFedAt = null;
+  }
+
+  /**
+   * One analysis frame was computed.
+   * @param {number} startMs - performance.now() when the frame started.
+   * @param {number} durationMs - Time spent computing it.
+   */
+  analysisFrame(startMs, durationMs) {
+    if (this._lastFrameAt !== null) this._interval.add(startMs - this._lastFrameAt);
+    this._lastFrameAt = startMs;
+    this._processing.add(durationMs);
+  }
+
+  /** The analysis loop stopped: the next frame does not continue the interval series. */
+  analysisStopped() {
+    this._lastFrameAt = null;
+  }
+
+  /** A viseme frame was emitted. */
+  viseme(frame) {
+    if (!(frame.viseme in this._visemeCounts)) return;
+    this._visemeFrames++;
+    this._visemeCounts[frame.viseme]++;
+    this._confidenceSums[frame.viseme] += frame.confidence ?? 0;
+  }
+
+  // ════════════════════════════════════════════════════════════════
+  //  SNAPSHOT
+  // ════════════════════════════════════════════════════════════════
+
+  /**
+   * Current metrics as a plain, JSON-serializable object.
+   * @returns {Metrics}
+   */
+  snapshot() {
+    const confidence = {};
+    let confidenceSum = 0;
+    for (const key of EXTENDED_VISEME_KEYS) {
+      const n = this._visemeCounts[key];
+      confidence[key] = n > 0 ? this._confidenceSums[key] / n : null;
+      confidenceSum += this._confidenceSums[key];
+    }
+
+    return {
+      windowMs: performance.now() - this._since,
+      worklet: this._worklet ? { ...this._worklet } : null,
+      timeToFirstAudio: {
+        lastMs: this._lastFirstAudioMs,
+        meanMs: this._firstAudio.count > 0 ? this._firstAudio.mean : null,
+        maxMs: this._firstAudio.count > 0 ? this._firstAudio.max : null,
+        count: this._firstAudio.count,
+      },
+      analysis: {
+        frames: this._processing.count,
+        intervalMs: this._interval.count > 0 ? this._interval.mean : null,
+        maxIntervalMs: this._interval.count > 0 ? this._interval.max : null,
+        jitterMs: this._interval.stdDev,
+        processingMs: this._processing.count > 0 ? this._processing.mean : null,
+        maxProcessingMs: this._processing.count > 0 ? this._processing.max : null,
+      },
+      visemes: {
+        frames: this._visemeFrames,
+        histogram: { ...this._visemeCounts },
+        confidence,
+        meanConfidence: this._visemeFrames > 0 ? confidenceSum / this._visemeFrames : null,
+      },
+    };
+  }
+}
+
+/**
+ * @typedef {Object} Metrics
+ * @property {number} windowMs - Time since the collector was created or reset.
+ * @property {WorkletStats|null} worklet - Latest worklet report (null before the first).
+ * @property {{lastMs: number|null, meanMs: number|null, maxMs: number|null, count: number}} timeToFirstAudio
+ * @property {{frames: number, intervalMs: number|null, maxIntervalMs: number|null, jitterMs: number,
+ *   processingMs: number|null, maxProcessingMs: number|null}} analysis
+ * @property {{frames: number, histogram: Object<string, number>, confidence: Object<string, number|null>,
+ *   meanConfidence: number|null}} visemes
+ */
+
+/**
+ * @typedef {Object} WorkletStats
+ * @property {number} totalSamplesPlayed - Media samples played since the last reset.
+ * @property {number} totalSamplesReceived - Samples written to the ring since the last reset.
+ * @property {number} totalSamplesOutput - Output samples while playing (wall time).
+ * @property {number} underruns - Times the ring ran dry while playing.
+ * @property {number} underrunSamples - Silent output samples while starved or re-buffering.
+ * @property {number} droppedSamples - Samples overwritten by buffer overflow.
+ * @property {number} rebuffers - Adaptive jitter buffer stalls.
+ * @property {number} bufferMs - Audio buffered at the time of the report.
+ */
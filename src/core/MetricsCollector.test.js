@@ -0,0 +1,93 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { MetricsCollector } from './MetricsCollector.js';
+
+describe('MetricsCollector', () => {
+  let now = 0;
+
+  function collector() {
+    now = 1000;
+    vi.spyOn(performance, 'now').mockImplementation(() => now);
+    return new MetricsCollector();
+  }
+
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('keeps the latest worklet stats without the message type', () => {
+    const metrics = collector();
+    expect(metrics.snapshot().worklet).toBeNull();
+    metrics.workletStats({ type: 'stats', underruns: 2, bufferMs: 120 });
+    expect(metrics.snapshot().worklet).toEqual({ underruns: 2, bufferMs: 120 });
+  });
+
+  it('times first audio from the first chunk fed while idle, plus output latency', () => {
+    const metrics = collector();
+    metrics.audioFed();
+    now += 80;
+    metrics.audioFed(); // still waiting: the clock keeps its start
+    now += 40;
+    metrics.playbackStarted(30);
+
+    metrics.playbackStopped();
+    metrics.audioFed();
+    now += 50;
+    metrics.playbackStarted(30);
+
+    metrics.playbackStopped();
+    metrics.playbackStarted(); // play() of audio fed earlier: not a measurement
+
+    expect(metrics.snapshot().timeToFirstAudio).toEqual({ lastMs: 80, meanMs: 115, maxMs: 150, count: 2 });
+  });
+
+  it('drops the first-audio clock when buffered audio is discarded', () => {
+    const metrics = collector();
+    metrics.audioFed();
+    now += 500;
+    metrics.audioDropped();
+    metrics.audioFed();
+    now += 20;
+    metrics.playbackStarted();
+    expect(metrics.snapshot().timeToFirstAudio.lastMs).toBe(20);
+  });
+
+  it('measures analysis intervals, jitter and processing time', () => {
+    const metrics = collector();
+    metrics.analysisFrame(0, 1);
+    metrics.analysisFrame(16, 3);
+    metrics.analysisFrame(36, 2);
+    metrics.analysisStopped();
+    metrics.analysisFrame(5000, 2); // a restart is not a 4964 ms interval
+
+    const { analysis } = metrics.snapshot();
+    expect(analysis).toMatchObject({ frames: 4, intervalMs: 18, maxIntervalMs: 20, processingMs: 2, maxProcessingMs: 3 });
+    expect(analysis.jitterMs).toBeCloseTo(Math.SQRT2 * 2);
+  });
+
+  it('builds the viseme histogram and mean confidence', () => {
+    const metrics = collector();
+    metrics.viseme({ viseme: 'aa', confidence: 0.8 });
+    metrics.viseme({ viseme: 'aa', confidence: 0.6 });
+    metrics.viseme({ viseme: 'sil', confidence: 1 });
+    metrics.viseme({ viseme: 'unknown', confidence: 1 });
+
+    const { visemes } = metrics.snapshot();
+    expect(visemes.frames).toBe(3);
+    expect(visemes.histogram.aa).toBe(2);
+    expect(visemes.confidence.aa).toBeCloseTo(0.7);
+    expect(visemes.confidence.O).toBeNull();
+    expect(visemes.meanConfidence).toBeCloseTo(0.8);
+  });
+
+  it('starts a new window on reset and stays JSON-serializable', () => {
+    const metrics = collector();
+    metrics.viseme({ viseme: 'aa', confidence: 1 });
+    now += 250;
+    expect(metrics.snapshot().windowMs).toBe(250);
+    metrics.reset();
+    const snapshot = metrics.snapshot();
+    expect(snapshot.windowMs).toBe(0);
+    expect(snapshot.visemes.frames).toBe(0);
+    expect(JSON.parse(JSON.stringify(snapshot))).toEqual(snapshot);
+  });
+});
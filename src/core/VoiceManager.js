@@ -0,0 +1,318 @@
+/**
+ * VoiceManager — Several speakers on one shared AudioContext.
+ *
+ * Hosts N named voices, each a LipSyncEngine with its own streaming
+ * worklet node, FrequencyAnalyzer and event stream, all playing into one
+ * master gain. Analysis for every voice runs from a single tick loop
+ * instead of one rAF loop per engine.
+ *
+ * Per-voice gain and mute live on a GainNode the manager owns, after the
+ * engine's own volume, so engine.setVolume() cannot unmute a voice.
+ *
+ *   voice "alice": Worklet → Analyser → Gain → Voice gain ─┐
+ *   voice "bob":   Worklet → Analyser → Gain → Voice gain ─┼→ Master gain → Destination
+ *   ...                                                    ┘
+ *
+ * @module VoiceManager
+ *
+ * @example
+ *   const voices = new VoiceManager({ voiceDefaults: { sampleRate: 24000 } });
+ *   await voices.init();
+ *
+ *   const alice = await voices.addVoice('alice');
+ *   const bob = await voices.addVoice('bob', { visemeSource: 'hybrid' });
+ *   alice.on('viseme', (frame) => aliceMouth.render(frame));
+ *   bob.on('viseme', (frame) => bobMouth.render(frame));
+ *
+ *   voices.start();
+ *   alice.feedAudio(chunkA);
+ *   bob.feedAudio(chunkB);
+ *   voices.mute('bob');
+ */
+
+import { EventEmitter } from '../utils/EventEmitter.js';
+import { LipSyncEngine } from './LipSyncEngine.js';
+
+/** Default manager options. */
+const DEFAULTS = {
+  sampleRate: null,            // Shared context rate (null = hardware default)
+  volume: 1.0,                 // Master gain
+  analysisMode: 'raf',         // 'raf' (requestAnimationFrame) or 'interval'
+  analysisIntervalMs: 16,      // Only used when analysisMode = 'interval'
+  voiceDefaults: {},           // LipSyncEngine options applied to every voice
+};
+
+export class VoiceManager extends EventEmitter {
+  /**
+   * @param {Partial<typeof DEFAULTS>} [options]
+   */
+  constructor(options = {}) {
+    super();
+    this.opts = { ...DEFAULTS, ...options };
+
+    /** @type {AudioContext|null} */
+    this.audioContext = null;
+
+    /** @type {GainNode|null} */
+    this.masterGain = null;
+
+    /** @type {Map<string, {engine: LipSyncEngine, output: GainNode, gain: number, muted: boolean, unsubscribe: Function}>} */
+    this._voices = new Map();
+
+    this._initialized = false;
+    this._ownsContext = false;
+    this._running = false;
+    this._animFrameId = null;
+    this._intervalId = null;
+  }
+
+  // ════════════════════════════════════════════════════════════════
+  //  INITIALIZATION
+  // ════════════════════════════════════════════════════════════════
+
+  /**
+   * Create (or adopt) the shared AudioContext. Must be called after a user gesture.
+   * @param {AudioContext} [existingContext] - Reuse an existing context; it is
+   *   left open on destroy().
+   * @returns {Promise<void>}
+   */
+  async init(existingContext) {
+    if (this._initialized) return;
+
+    this._ownsContext = !existingContext;
+    this.audioContext = existingContext || new AudioContext(
+      this.opts.sampleRate ? { sampleRate: this.opts.sampleRate } : undefined
+    );
+    if (this.audioContext.state === 'suspended') {
+      await this.audioContext.resume();
+    }
+
+    this.masterGain = this.audioContext.createGain();
+    this.masterGain.gain.value = this.opts.volume;
+    this.masterGain.connect(this.audioContext.destination);
+
+    this._initialized = true;
+    this.emit('initialized');
+  }
+
+  // ════════════════════════════════════════════════════════════════
+  //  VOICES
+  // ════════════════════════════════════════════════════════════════
+
+  /**
+   * Add a named voice. Its engine's `viseme` events are also re-emitted by
+   * the manager as `viseme` (name, frame).
+   *
+   * @param {string} name - Unique voice name.
+   * @param {Object} [options] - LipSyncEngine options (merged over voiceDefaults).
+   * @returns {Promise<LipSyncEngine>}
+   */
+  async addVoice(name, options = {}) {
+    this._ensureInitialized();
+    if (this._voices.has(name)) {
+      throw new Error(`Voice "${name}" already exists`);
+    }
+
+    const output = this.audioContext.createGain();
+    output.connect(this.masterGain);
+
+    const engine = new LipSyncEngine({
+      ...this.opts.voiceDefaults,
+      ...options,
+      destination: output,
+    });
+    try {
+      await engine.init(this.audioContext);
+    } catch (err) {
+      output.disconnect();
+      throw err;
+    }
+
+    const unsubscribe = engine.on('viseme', (frame) => this.emit('viseme', name, frame));
+    this._voices.set(name, {
+      engine,
+      output,
+      gain: 1,
+      muted: false,
+      unsubscribe,
+    });
+    this.emit('voiceAdded', { name });
+    return engine;
+  }
+
+  /**
+   * Remove a voice and release its nodes. The shared context stays open.
+   * @param {string} name
+   */
+  removeVoice(name) {
+    const voice = this._voices.get(name);
+    if (!voice) return;
+    voice.unsubscribe();
+    voice.engine.destroy();
+    try { voice.output.disconnect(); } catch {}
+    this._voices.delete(name);
+    this.emit('voiceRemoved', { name });
+  }
+
+  /**
+   * Engine for a voice.
+   * @param {string} name
+   * @returns {LipSyncEngine|undefined}
+   */
+  voice(name) {
+    return this._voices.get(name)?.engine;
+  }
+
+  /** Names of all voices. */
+  get voices() {
+    return [...this._voices.keys()];
+  }
+
+  // ════════════════════════════════════════════════════════════════
+  //  GAIN / MUTE
+  // ════════════════════════════════════════════════════════════════
+
+  /**
+   * Set a voice's output gain, applied after the engine's own volume.
+   * Analysis is unaffected.
+   * @param {string} name
+   * @param {number} value - Gain [0, 1].
+   */
+  setGain(name, value) {
+    const voice = this._getVoice(name);
+    voice.gain = Math.max(0, Math.min(1, value));
+    if (!voice.muted) this._applyGain(voice, voice.gain);
+  }
+
+  /**
+   * Get a voice's gain (as set, regardless of mute).
+   * @param {string} name
+   * @returns {number}
+   */
+  getGain(name) {
+    return this._getVoice(name).gain;
+  }
+
+  /**
+   * Mute or unmute a voice's audio. Its mouth keeps following the audio.
+   * @param {string} name
+   * @param {boolean} [muted=true]
+   */
+  mute(name, muted = true) {
+    const voice = this._getVoice(name);
+    voice.muted = muted;
+    this._applyGain(voice, muted ? 0 : voice.gain);
+  }
+
+  /** @param {string} name */
+  unmute(name) {
+    this.mute(name, false);
+  }
+
+  /**
+   * @param {string} name
+   * @returns {boolean}
+   */
+  isMuted(name) {
+    return this._getVoice(name).muted;
+  }
+
+  /**
+   * Set the master gain applied to all voices.
+   * @param {number} value - Gain [0, 1].
+   */
+  setMasterGain(value) {
+    const v = Math.max(0, Math.min(1, value));
+    this.masterGain?.gain.setTargetAtTime(v, this.audioContext.currentTime, 0.02);
+  }
+
+  /** @private */
+  _applyGain(voice, value) {
+    voice.output.gain.setTargetAtTime(value, this.audioContext.currentTime, 0.02);
+  }
+
+  /** @private */
+  _getVoice(name) {
+    const voice = this._voices.get(name);
+    if (!voice) throw new Error(`Unknown voice "${name}"`);
+    return voice;
+  }
+
+  // ════════════════════════════════════════════════════════════════
+  //  ANALYSIS LOOP
+  // ════════════════════════════════════════════════════════════════
+
+  /** Start the shared analysis loop (one tick analyzes every voice). */
+  start() {
+    if (this._running) return;
+    this._ensureInitialized();
+    this._running = true;
+
+    if (this.opts.analysisMode === 'raf') {
+      const loop = () => {
+        if (!this._running) return;
+        this.tick();
+        this._animFrameId = requestAnimationFrame(loop);
+      };
+      this._animFrameId = requestAnimationFrame(loop);
+    } else {
+      this._intervalId = setInterval(() => this.tick(), this.opts.analysisIntervalMs);
+    }
+    this.emit('analysisStarted');
+  }
+
+  /** Stop the shared analysis loop. */
+  stop() {
+    this._running = false;
+    if (this._animFrameId !== null) {
+      cancelAnimationFrame(this._animFrameId);
+      this._animFrameId = null;
+    }
+    if (this._intervalId !== null) {
+      clearInterval(this._intervalId);
+      this._intervalId = null;
+    }
+    this.emit('analysisStopped');
+  }
+
+  /** Analyze every voice once. Called by the loop; call it yourself to drive manually. */
+  tick() {
+    for (const { engine } of this._voices.values()) {
+      engine.tick();
+    }
+  }
+
+  /** Whether the shared loop is running. */
+  get running() {
+    return this._running;
+  }
+
+  // ════════════════════════════════════════════════════════════════
+  //  LIFECYCLE
+  // ════════════════════════════════════════════════════════════════
+
+  /** Destroy all voices; closes the context only if the manager created it. */
+  destroy() {
+    this.stop();
+    for (const name of this.voices) this.removeVoice(name);
+
+    try { this.masterGain?.disconnect(); } catch {}
+    if (this._ownsContext && this.audioContext?.state !== 'closed') {
+      this.audioContext?.close().catch(() => {});
+    }
+
+    this.masterGain = null;
+    this.audioContext = null;
+    this._initialized = false;
+
+    this.emit('destroyed');
+    this.removeAllListeners();
+  }
+
+  /** @private */
+  _ensureInitialized() {
+    if (!this._initialized) {
+      throw new Error('VoiceManager not initialized. Call init() first.');
+    }
+  }
+}
@@ -0,0 +1,124 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { VoiceManager } from './VoiceManager.js';
+
+class FakeNode {
+  constructor() {
+    this.outputs = new Set();
+  }
+  connect(node) {
+    this.outputs.add(node);
+    return node;
+  }
+  disconnect() {
+    this.outputs.clear();
+  }
+}
+
+class FakeGain extends FakeNode {
+  constructor() {
+    super();
+    this.gain = {
+      value: 1,
+      setTargetAtTime(value) { this.value = value; },
+    };
+  }
+}
+
+class FakeAnalyser extends FakeNode {
+  fftSize = 2048;
+  smoothingTimeConstant = 0.8;
+  get frequencyBinCount() { return this.fftSize / 2; }
+  getByteFrequencyData(array) { array.fill(0); }
+  getByteTimeDomainData(array) { array.fill(128); }
+  getFloatTimeDomainData(array) { array.fill(0); }
+}
+
+class FakeAudioContext {
+  state = 'running';
+  sampleRate = 48000;
+  currentTime = 0;
+  outputLatency = 0;
+  baseLatency = 0;
+  destination = new FakeNode();
+  audioWorklet = { addModule: async () => {} };
+  createGain() { return new FakeGain(); }
+  createAnalyser() { return new FakeAnalyser(); }
+  async resume() {}
+  async close() { this.state = 'closed'; }
+}
+
+class FakeWorkletNode extends FakeNode {
+  constructor() {
+    super();
+    this.port = { postMessage() {}, onmessage: null };
+  }
+}
+
+describe('VoiceManager', () => {
+  beforeEach(() => {
+    vi.stubGlobal('AudioWorkletNode', FakeWorkletNode);
+  });
+
+  afterEach(() => {
+    vi.unstubAllGlobals();
+  });
+
+  async function setup() {
+    const ctx = new FakeAudioContext();
+    const voices = new VoiceManager({ voiceDefaults: { workletUrl: 'streaming-processor.js' } });
+    await voices.init(ctx);
+    return { ctx, voices };
+  }
+
+  it('routes every voice through its own gain into the master gain', async () => {
+    const { ctx, voices } = await setup();
+    const alice = await voices.addVoice('alice');
+    const output = voices._voices.get('alice').output;
+
+    expect(alice.gainNode.outputs.has(output)).toBe(true);
+    expect(output.outputs.has(voices.masterGain)).toBe(true);
+    expect(voices.masterGain.outputs.has(ctx.destination)).toBe(true);
+    expect(voices.voices).toEqual(['alice']);
+    await expect(voices.addVoice('alice')).rejects.toThrow('already exists');
+    voices.destroy();
+  });
+
+  it('keeps a voice muted when its engine volume changes', async () => {
+    const { voices } = await setup();
+    const bob = await voices.addVoice('bob');
+    const output = voices._voices.get('bob').output;
+
+    voices.setGain('bob', 0.7);
+    expect(output.gain.value).toBe(0.7);
+    voices.mute('bob');
+    expect(output.gain.value).toBe(0);
+
+    bob.setVolume(1);
+    expect(output.gain.value).toBe(0);
+    expect(voices.isMuted('bob')).toBe(true);
+
+    voices.unmute('bob');
+    expect(output.gain.value).toBe(0.7);
+    expect(voices.getGain('bob')).toBe(0.7);
+    voices.destroy();
+  });
+
+  it('re-emits visemes by voice name and releases voices on removal', async () => {
+    const { ctx, voices } = await setup();
+    const alice = await voices.addVoice('alice');
+    const output = voices._voices.get('alice').output;
+    const seen = [];
+    voices.on('viseme', (name, frame) => seen.push([name, frame.viseme]));
+
+    alice.emit('viseme', { viseme: 'aa' });
+    expect(seen).toEqual([['alice', 'aa']]);
+
+    voices.removeVoice('alice');
+    expect(output.outputs.size).toBe(0);
+    expect(voices.voice('alice')).toBeUndefined();
+    expect(() => voices.mute('alice')).toThrow('Unknown voice');
+
+    voices.destroy();
+    expect(ctx.state).toBe('running'); // adopted contexts stay open
+  });
+});
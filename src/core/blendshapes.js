@@ -0,0 +1,216 @@
+/**
+ * Blendshape output — maps VisemeFrames to named morph-target weights.
+ *
+ * Ships presets for:
+ *   - ARKIT  (52 ARFaceAnchor blend shapes: jawOpen, mouthFunnel, mouthSmile_L, …)
+ *   - OCULUS (15 OVRLipSync `viseme_*` morph targets)
+ *
+ * A mapping table has the shape:
+ *   {
+ *     targets: string[],                                  // every output key
+ *     visemes: { [viseme]: { [target]: weight } },        // per-viseme pose
+ *     shape?:  { open|width|round: { [target]: weight } } // per unit of frame.shape
+ *   }
+ * Custom tables use the same structure.
+ *
+ * @module blendshapes
+ *
+ * @example
+ *   const mapper = new BlendshapeMapper({ preset: 'arkit' });
+ *   engine.on('viseme', (frame) => {
+ *     const weights = mapper.map(frame); // { jawOpen: 0.42, mouthFunnel: 0.1, … }
+ *     for (const [name, w] of Object.entries(weights)) {
+ *       mesh.morphTargetInfluences[mesh.morphTargetDictionary[name]] = w;
+ *     }
+ *   });
+ */
+
+import { EXTENDED_VISEME_KEYS } from './visemes.js';
+
+// ─── Target name lists ──────────────────────────────────────────────────────
+
+/** @type {string[]} The 52 ARKit face blend shapes (ARFaceAnchor raw values). */
+export const ARKIT_BLENDSHAPES = [
+  'eyeBlink_L', 'eyeLookDown_L', 'eyeLookIn_L', 'eyeLookOut_L', 'eyeLookUp_L',
+  'eyeSquint_L', 'eyeWide_L',
+  'eyeBlink_R', 'eyeLookDown_R', 'eyeLookIn_R', 'eyeLookOut_R', 'eyeLookUp_R',
+  'eyeSquint_R', 'eyeWide_R',
+  'jawForward', 'jawLeft', 'jawRight', 'jawOpen',
+  'mouthClose', 'mouthFunnel', 'mouthPucker', 'mouthLeft', 'mouthRight',
+  'mouthSmile_L', 'mouthSmile_R', 'mouthFrown_L', 'mouthFrown_R',
+  'mouthDimple_L', 'mouthDimple_R', 'mouthStretch_L', 'mouthStretch_R',
+  'mouthRollLower', 'mouthRollUpper', 'mouthShrugLower', 'mouthShrugUpper',
+  'mouthPress_L', 'mouthPress_R', 'mouthLowerDown_L', 'mouthLowerDown_R',
+  'mouthUpperUp_L', 'mouthUpperUp_R',
+  'browDown_L', 'browDown_R', 'browInnerUp', 'browOuterUp_L', 'browOuterUp_R',
+  'cheekPuff', 'cheekSquint_L', 'cheekSquint_R',
+  'noseSneer_L', 'noseSneer_R',
+  'tongueOut',
+];
+
+/** @type {string[]} The 15 Oculus/OVRLipSync viseme morph targets. */
+export const OCULUS_VISEME_TARGETS = EXTENDED_VISEME_KEYS.map((v) => `viseme_${v}`);
+
+// ─── Presets ────────────────────────────────────────────────────────────────
+
+/** Mirror a weight onto both _L and _R targets. */
+function both(name, weight) {
+  return { [`${name}_L`]: weight, [`${name}_R`]: weight };
+}
+
+/**
+ * ARKit preset. Jaw opening follows `frame.shape.open` (so it tracks
+ * transitions, coarticulation and hybrid loudness); lip poses come from
+ * the per-viseme table.
+ */
+const ARKIT_MAPPING = {
+  targets: ARKIT_BLENDSHAPES,
+  visemes: {
+    sil: {},
+    PP:  { mouthClose: 0.6, mouthRollLower: 0.3, mouthRollUpper: 0.2, ...both('mouthPress', 0.5) },
+    FF:  { mouthRollLower: 0.6, mouthFunnel: 0.1, ...both('mouthUpperUp', 0.3) },
+    TH:  { tongueOut: 0.4, ...both('mouthUpperUp', 0.1), ...both('mouthLowerDown', 0.1) },
+    DD:  { ...both('mouthStretch', 0.1), ...both('mouthLowerDown', 0.2) },
+    kk:  { ...both('mouthStretch', 0.2), ...both('mouthLowerDown', 0.1) },
+    CH:  { mouthFunnel: 0.5, mouthPucker: 0.4, ...both('mouthUpperUp', 0.2) },
+    SS:  { ...both('mouthStretch', 0.3), ...both('mouthSmile', 0.3), ...both('mouthUpperUp', 0.2), ...both('mouthLowerDown', 0.2) },
+    nn:  { mouthClose: 0.1, ...both('mouthStretch', 0.1) },
+    RR:  { mouthPucker: 0.4, mouthFunnel: 0.3 },
+    aa:  { ...both('mouthLowerDown', 0.3), ...both('mouthUpperUp', 0.1) },
+    E:   { ...both('mouthSmile', 0.3), ...both('mouthStretch', 0.3), ...both('mouthLowerDown', 0.2), ...both('mouthUpperUp', 0.2) },
+    I:   { ...both('mouthSmile', 0.5), ...both('mouthStretch', 0.4) },
+    O:   { mouthFunnel: 0.6, mouthPucker: 0.3 },
+    U:   { mouthPucker: 0.8, mouthFunnel: 0.4 },
+  },
+  shape: {
+    open: { jawOpen: 0.8 },
+  },
+};
+
+/** Oculus preset: one morph target per viseme. */
+const OCULUS_MAPPING = {
+  targets: OCULUS_VISEME_TARGETS,
+  visemes: Object.fromEntries(
+    EXTENDED_VISEME_KEYS.map((v) => [v, { [`viseme_${v}`]: 1 }])
+  ),
+};
+
+/** @type {Object<string, BlendshapeMapping>} Built-in mapping tables. */
+export const BLENDSHAPE_PRESETS = {
+  arkit: ARKIT_MAPPING,
+  oculus: OCULUS_MAPPING,
+};
+
+// ─── Mapper ─────────────────────────────────────────────────────────────────
+
+/**
+ * Per-viseme weights for a frame: its coarticulation `weights` when present,
+ * otherwise the transition pair (from → to by progress).
+ * @param {import('../analyzers/FrequencyAnalyzer.js').VisemeFrame} frame
+ * @returns {Object<string, number>}
+ */
+export function frameVisemeWeights(frame) {
+  if (frame.weights) return frame.weights;
+  const { transition } = frame;
+  if (!transition || transition.from === transition.to) {
+    return { [frame.viseme]: 1 };
+  }
+  const t = Math.max(0, Math.min(1, transition.progress));
+  return { [transition.from]: 1 - t, [transition.to]: t };
+}
+
+export class BlendshapeMapper {
+  /**
+   * @param {Object} [options]
+   * @param {'arkit'|'oculus'|BlendshapeMapping} [options.preset='arkit'] - Preset name or custom table.
+   * @param {number} [options.intensityInfluence=0.5] - How much frame.intensity scales the output
+   *   (0 = ignore intensity, 1 = multiply by intensity).
+   * @param {number} [options.gain=1] - Overall output multiplier.
+   */
+  constructor(options = {}) {
+    this.opts = {
+      preset: 'arkit',
+      intensityInfluence: 0.5,
+      gain: 1,
+      ...options,
+    };
+
+    const mapping = typeof this.opts.preset === 'string'
+      ? BLENDSHAPE_PRESETS[this.opts.preset]
+      : this.opts.preset;
+    if (!mapping || !mapping.visemes) {
+      throw new Error(`Unknown blendshape preset: ${this.opts.preset}`);
+    }
+
+    /** @type {BlendshapeMapping} */
+    this.mapping = mapping;
+
+    /** @type {string[]} Every target this mapper writes. */
+    this.targets = mapping.targets || collectTargets(mapping);
+  }
+
+  /**
+   * Convert a viseme frame to blendshape weights. Every target is present
+   * in the result (unused ones are 0), so it can be applied without
+   * resetting stale values.
+   *
+   * @param {import('../analyzers/FrequencyAnalyzer.js').VisemeFrame} frame
+   * @returns {Object<string, number>}
+   */
+  map(frame) {
+    const out = {};
+    for (const name of this.targets) out[name] = 0;
+
+    const influence = this.opts.intensityInfluence;
+    const scale = this.opts.gain * (1 - influence + influence * (frame.intensity ?? 1));
+
+    // Per-viseme poses
+    const visemeWeights = frameVisemeWeights(frame);
+    for (const [viseme, w] of Object.entries(visemeWeights)) {
+      if (!w) continue;
+      const pose = this.mapping.visemes[viseme];
+      if (!pose) continue;
+      for (const [name, value] of Object.entries(pose)) {
+        out[name] = (out[name] ?? 0) + value * w;
+      }
+    }
+
+    // Continuous shape drivers
+    if (this.mapping.shape && frame.shape) {
+      for (const [param, drivers] of Object.entries(this.mapping.shape)) {
+        const amount = frame.shape[param] ?? 0;
+        for (const [name, value] of Object.entries(drivers)) {
+          out[name] = (out[name] ?? 0) + value * amount;
+        }
+      }
+    }
+
+    for (const name of Object.keys(out)) {
+      out[name] = Math.max(0, Math.min(1, out[name] * scale));
+    }
+    return out;
+  }
+}
+
+/**
+ * Collect every target name referenced by a mapping table.
+ * @param {BlendshapeMapping} mapping
+ * @returns {string[]}
+ */
+function collectTargets(mapping) {
+  const names = new Set();
+  for (const pose of Object.values(mapping.visemes)) {
+    for (const name of Object.keys(pose)) names.add(name);
+  }
+  for (const drivers of Object.values(mapping.shape || {})) {
+    for (const name of Object.keys(drivers)) names.add(name);
+  }
+  return [...names];
+}
+
+/**
+ * @typedef {Object} BlendshapeMapping
+ * @property {string[]} [targets] - All output target names (derived if omitted).
+ * @property {Object<string, Object<string, number>>} visemes - Viseme → target weights.
+ * @property {Object<string, Object<string, number>>} [shape] - Shape param → target weights per unit.
+ */
@@ -0,0 +1,78 @@
+import { describe, it, expect } from 'vitest';
+import {
+  BlendshapeMapper,
+  ARKIT_BLENDSHAPES,
+  OCULUS_VISEME_TARGETS,
+  frameVisemeWeights,
+} from './blendshapes.js';
+
+function frame(viseme, extra = {}) {
+  return {
+    viseme,
+    intensity: 1,
+    shape: { open: 0, width: 0.5, round: 0 },
+    transition: { from: viseme, to: viseme, progress: 1 },
+    ...extra,
+  };
+}
+
+describe('frameVisemeWeights', () => {
+  it('prefers coarticulation weights', () => {
+    const weights = { aa: 0.7, O: 0.3 };
+    expect(frameVisemeWeights(frame('aa', { weights }))).toBe(weights);
+  });
+
+  it('splits a transition by its progress', () => {
+    const weights = frameVisemeWeights(frame('O', { transition: { from: 'aa', to: 'O', progress: 0.25 } }));
+    expect(weights).toEqual({ aa: 0.75, O: 0.25 });
+  });
+
+  it('gives a settled viseme full weight', () => {
+    expect(frameVisemeWeights(frame('PP'))).toEqual({ PP: 1 });
+  });
+});
+
+describe('BlendshapeMapper', () => {
+  it('writes every ARKit target, unused ones at 0', () => {
+    const out = new BlendshapeMapper().map(frame('sil'));
+    expect(Object.keys(out)).toEqual(ARKIT_BLENDSHAPES);
+    expect(ARKIT_BLENDSHAPES).toHaveLength(52);
+    expect(Object.values(out).every((w) => w === 0)).toBe(true);
+  });
+
+  it('drives jawOpen from shape.open and lip poses from the viseme', () => {
+    const out = new BlendshapeMapper({ intensityInfluence: 0 }).map(frame('U', { shape: { open: 0.5, width: 0.3, round: 0.9 } }));
+    expect(out.jawOpen).toBeCloseTo(0.4);
+    expect(out.mouthPucker).toBeCloseTo(0.8);
+    expect(out.mouthSmile_L).toBe(0);
+  });
+
+  it('scales by intensity according to intensityInfluence', () => {
+    const quiet = frame('U', { intensity: 0.5 });
+    expect(new BlendshapeMapper({ intensityInfluence: 1 }).map(quiet).mouthPucker).toBeCloseTo(0.4);
+    expect(new BlendshapeMapper({ intensityInfluence: 0.5 }).map(quiet).mouthPucker).toBeCloseTo(0.6);
+    expect(new BlendshapeMapper({ intensityInfluence: 0, gain: 2 }).map(quiet).mouthPucker).toBe(1);
+  });
+
+  it('maps the Oculus preset one target per viseme', () => {
+    const mapper = new BlendshapeMapper({ preset: 'oculus', intensityInfluence: 0 });
+    expect(mapper.targets).toEqual(OCULUS_VISEME_TARGETS);
+    const out = mapper.map(frame('O', { transition: { from: 'aa', to: 'O', progress: 0.5 } }));
+    expect(out.viseme_aa).toBeCloseTo(0.5);
+    expect(out.viseme_O).toBeCloseTo(0.5);
+    expect(out.viseme_PP).toBe(0);
+  });
+
+  it('accepts custom tables and derives their targets', () => {
+    const mapper = new BlendshapeMapper({
+      preset: { visemes: { aa: { open: 1 }, PP: { closed: 1 } }, shape: { round: { pucker: 1 } } },
+      intensityInfluence: 0,
+    });
+    expect(mapper.targets.sort()).toEqual(['closed', 'open', 'pucker']);
+    expect(mapper.map(frame('aa', { shape: { open: 1, width: 0.5, round: 0.2 } }))).toEqual({ open: 1, closed: 0, pucker: 0.2 });
+  });
+
+  it('rejects unknown presets', () => {
+    expect(() => new BlendshapeMapper({ preset: 'maya' })).toThrow(/Unknown blendshape preset/);
+  });
+});
@@ -0,0 +1,162 @@
+/**
+ * Coarticulation model — per-viseme blend weights from a dominance function.
+ *
+ * Implements the Cohen–Massaro dominance model: every viseme segment exerts
+ * a dominance over time that peaks inside the segment and decays
+ * exponentially before it (anticipatory) and after it (carryover):
+ *
+ *   D(τ) = α · exp(−θ · |τ|^c)
+ *
+ * where τ is the distance in ms from the segment's edges. The weight of each
+ * viseme at time t is its dominance divided by the total dominance of all
+ * nearby segments, so the weights always sum to 1. The decay rate θ is
+ * stretched by the transition table: pairs with a higher transition weight
+ * (more blending) spread their dominance further into each other.
+ *
+ * @module coarticulation
+ *
+ * @example
+ *   const model = new CoarticulationModel();
+ *   const weights = model.weightsAt([
+ *     { viseme: 'PP', startMs: 0,   endMs: 80  },
+ *     { viseme: 'aa', startMs: 80,  endMs: 220 },
+ *     { viseme: 'U',  startMs: 220, endMs: 360 },
+ *   ], 200);
+ *   // weights.aa ≈ 0.6, weights.U ≈ 0.3 (anticipatory rounding), …
+ */
+
+import {
+  EXTENDED_VISEME_KEYS,
+  VISEME_SHAPES,
+  createTransitionTable,
+  getTransitionWeight,
+} from './visemes.js';
+
+/**
+ * Per-viseme dominance parameters.
+ *   alpha       — peak dominance (how strongly the viseme imposes its shape)
+ *   thetaBefore — anticipatory decay rate per ms (lower = starts earlier)
+ *   thetaAfter  — carryover decay rate per ms (lower = lingers longer)
+ *
+ * Lip closure (PP) and labiodentals (FF) must be reached exactly, so they
+ * dominate strongly; lip rounding (U, O, CH) is anticipated well in advance.
+ *
+ * @type {Object<string, {alpha: number, thetaBefore: number, thetaAfter: number}>}
+ */
+export const VISEME_DOMINANCE = {
+  sil: { alpha: 0.5, thetaBefore: 0.030, thetaAfter: 0.030 },
+  PP:  { alpha: 1.0, thetaBefore: 0.035, thetaAfter: 0.045 },
+  FF:  { alpha: 0.9, thetaBefore: 0.035, thetaAfter: 0.045 },
+  TH:  { alpha: 0.6, thetaBefore: 0.040, thetaAfter: 0.045 },
+  DD:  { alpha: 0.5, thetaBefore: 0.040, thetaAfter: 0.045 },
+  kk:  { alpha: 0.4, thetaBefore: 0.040, thetaAfter: 0.045 },
+  CH:  { alpha: 0.8, thetaBefore: 0.020, thetaAfter: 0.035 },
+  SS:  { alpha: 0.7, thetaBefore: 0.035, thetaAfter: 0.040 },
+  nn:  { alpha: 0.4, thetaBefore: 0.040, thetaAfter: 0.045 },
+  RR:  { alpha: 0.6, thetaBefore: 0.025, thetaAfter: 0.035 },
+  aa:  { alpha: 0.7, thetaBefore: 0.025, thetaAfter: 0.030 },
+  E:   { alpha: 0.6, thetaBefore: 0.025, thetaAfter: 0.030 },
+  I:   { alpha: 0.6, thetaBefore: 0.025, thetaAfter: 0.030 },
+  O:   { alpha: 0.8, thetaBefore: 0.015, thetaAfter: 0.030 },
+  U:   { alpha: 0.9, thetaBefore: 0.015, thetaAfter: 0.030 },
+};
+
+/** Default model configuration. */
+const DEFAULTS = {
+  dominance: VISEME_DOMINANCE,     // Per-viseme overrides are merged over defaults
+  transitionTable: null,            // Partial from → to overrides of TRANSITION_TABLE
+  exponent: 1,                      // c in D(τ) = α·exp(−θ·|τ|^c)
+  referenceWeight: 0.35,            // Transition weight at which θ is unscaled
+};
+
+export class CoarticulationModel {
+  /**
+   * @param {Partial<typeof DEFAULTS>} [options]
+   */
+  constructor(options = {}) {
+    this.opts = { ...DEFAULTS, ...options };
+    this.dominance = { ...VISEME_DOMINANCE };
+    for (const [key, params] of Object.entries(options.dominance || {})) {
+      this.dominance[key] = { ...VISEME_DOMINANCE[key], ...params };
+    }
+    // Complete table: missing pairs fall back to the defaults, never undefined
+    this.transitionTable = createTransitionTable(options.transitionTable || {});
+  }
+
+  /**
+   * Dominance of one segment at time t.
+   * @param {{viseme: string, startMs: number, endMs: number|null}} segment
+   * @param {number} timeMs
+   * @param {string} activeViseme - Viseme of the segment containing timeMs.
+   * @returns {number}
+   */
+  dominanceAt(segment, timeMs, activeViseme) {
+    const params = this.dominance[segment.viseme] || this.dominance.sil;
+    const end = segment.endMs ?? Infinity;
+
+    let tau;
+    let theta;
+    let pairWeight;
+    if (timeMs < segment.startMs) {
+      tau = segment.startMs - timeMs;
+      theta = params.thetaBefore;
+      pairWeight = getTransitionWeight(activeViseme, segment.viseme, this.transitionTable);
+    } else if (timeMs >= end) {
+      tau = timeMs - end;
+      theta = params.thetaAfter;
+      pairWeight = getTransitionWeight(segment.viseme, activeViseme, this.transitionTable);
+    } else {
+      return params.alpha;
+    }
+
+    // Slower transitions (higher weight) → smaller θ → wider spread
+    const scale = this.opts.referenceWeight / Math.max(pairWeight, 0.05);
+    return params.alpha * Math.exp(-theta * scale * Math.pow(tau, this.opts.exponent));
+  }
+
+  /**
+   * Normalized weight per extended viseme at time t.
+   * @param {Array<{viseme: string, startMs: number, endMs: number|null}>} segments -
+   *   Previous, current and upcoming segments, sorted by start time.
+   * @param {number} timeMs
+   * @returns {Object<string, number>} Weight for every extended viseme, summing to 1.
+   */
+  weightsAt(segments, timeMs) {
+    const weights = {};
+    for (const key of EXTENDED_VISEME_KEYS) weights[key] = 0;
+
+    const active = segments.find((s) => timeMs >= s.startMs && timeMs < (s.endMs ?? Infinity));
+    const activeViseme = active?.viseme ?? 'sil';
+
+    let total = 0;
+    for (const segment of segments) {
+      const d = this.dominanceAt(segment, timeMs, activeViseme);
+      weights[segment.viseme] = (weights[segment.viseme] ?? 0) + d;
+      total += d;
+    }
+
+    if (total <= 0) {
+      weights.sil = 1;
+      return weights;
+    }
+    for (const key of Object.keys(weights)) weights[key] /= total;
+    return weights;
+  }
+}
+
+/**
+ * Blend mouth shapes by a weight vector.
+ * @param {Object<string, number>} weights - Normalized per-viseme weights.
+ * @returns {{open: number, width: number, round: number}}
+ */
+export function blendShapes(weights) {
+  const shape = { open: 0, width: 0, round: 0 };
+  for (const [viseme, w] of Object.entries(weights)) {
+    if (w === 0) continue;
+    const s = VISEME_SHAPES[viseme] || VISEME_SHAPES.sil;
+    shape.open += s.open * w;
+    shape.width += s.width * w;
+    shape.round += s.round * w;
+  }
+  return shape;
+}
@@ -0,0 +1,65 @@
+import { describe, it, expect } from 'vitest';
+import { CoarticulationModel, VISEME_DOMINANCE, blendShapes } from './coarticulation.js';
+import { EXTENDED_VISEME_KEYS, TRANSITION_TABLE, VISEME_SHAPES } from './visemes.js';
+
+const SEGMENTS = [
+  { viseme: 'PP', startMs: 0, endMs: 80 },
+  { viseme: 'aa', startMs: 80, endMs: 220 },
+  { viseme: 'U', startMs: 220, endMs: 360 },
+];
+
+function sum(weights) {
+  return Object.values(weights).reduce((a, b) => a + b, 0);
+}
+
+describe('CoarticulationModel', () => {
+  it('returns a weight for every viseme, summing to 1', () => {
+    const weights = new CoarticulationModel().weightsAt(SEGMENTS, 150);
+    expect(Object.keys(weights).sort()).toEqual([...EXTENDED_VISEME_KEYS].sort());
+    expect(sum(weights)).toBeCloseTo(1);
+    expect(weights.aa).toBeGreaterThan(weights.U);
+    expect(weights.aa).toBeGreaterThan(weights.PP);
+  });
+
+  it('anticipates the upcoming viseme as its segment approaches', () => {
+    const model = new CoarticulationModel();
+    const early = model.weightsAt(SEGMENTS, 100).U;
+    const late = model.weightsAt(SEGMENTS, 210).U;
+    expect(late).toBeGreaterThan(early);
+  });
+
+  it('falls back to silence when nothing is near', () => {
+    const weights = new CoarticulationModel().weightsAt([], 0);
+    expect(weights.sil).toBe(1);
+  });
+
+  it('merges dominance overrides over the defaults', () => {
+    const model = new CoarticulationModel({ dominance: { U: { thetaBefore: 0.001 } } });
+    expect(model.dominance.U).toEqual({ ...VISEME_DOMINANCE.U, thetaBefore: 0.001 });
+    expect(model.weightsAt(SEGMENTS, 100).U).toBeGreaterThan(new CoarticulationModel().weightsAt(SEGMENTS, 100).U);
+  });
+
+  it('completes a partial transition table from the defaults', () => {
+    const model = new CoarticulationModel({ transitionTable: { aa: { U: 0.9 } } });
+    expect(model.transitionTable.aa.U).toBe(0.9);
+    expect(model.transitionTable.PP.aa).toBe(TRANSITION_TABLE.PP.aa);
+    expect(model.transitionTable.U.aa).toBe(TRANSITION_TABLE.U.aa);
+
+    const weights = model.weightsAt(SEGMENTS, 100);
+    for (const w of Object.values(weights)) expect(Number.isFinite(w)).toBe(true);
+    expect(sum(weights)).toBeCloseTo(1);
+    expect(weights.U).toBeGreaterThan(new CoarticulationModel().weightsAt(SEGMENTS, 100).U);
+  });
+});
+
+describe('blendShapes', () => {
+  it('returns the viseme shape for a single full weight', () => {
+    expect(blendShapes({ aa: 1, O: 0 })).toEqual(VISEME_SHAPES.aa);
+  });
+
+  it('mixes shapes linearly', () => {
+    const shape = blendShapes({ aa: 0.5, U: 0.5 });
+    expect(shape.open).toBeCloseTo((VISEME_SHAPES.aa.open + VISEME_SHAPES.U.open) / 2);
+    expect(shape.round).toBeCloseTo((VISEME_SHAPES.aa.round + VISEME_SHAPES.U.round) / 2);
+  });
+});
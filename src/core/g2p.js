@@ -0,0 +1,256 @@
+/**
+ * Grapheme-to-phoneme fallback for plain text transcripts.
+ *
+ * Converts English words to ARPABET phonemes using, in order:
+ *   1. A user-supplied pronunciation dictionary (object or lookup function)
+ *   2. A small built-in table of common irregular words
+ *   3. Letter-to-sound rules (greedy longest-grapheme match with context)
+ *
+ * The rules are intentionally small: they only need to be good enough to
+ * pick plausible mouth shapes, not to drive a speech synthesizer. Plug in a
+ * real dictionary (e.g. CMUdict) for better results.
+ *
+ * @module g2p
+ *
+ * @example
+ *   wordToPhonemes('hello');             // ['HH', 'AH', 'L', 'OW']
+ *   wordToVisemeEvents('hello', 0, 400); // [{ viseme: 'aa', startMs: 0, endMs: 100 }, ...]
+ */
+
+import { PHONEME_TO_VISEME } from './visemes.js';
+
+// ─── Built-in irregular words ───────────────────────────────────────────────
+
+/** @type {Object<string, string>} Lowercase word → space-separated ARPABET. */
+export const BUILTIN_PRONUNCIATIONS = {
+  a: 'AH', the: 'DH AH', of: 'AH V', to: 'T UW', too: 'T UW', two: 'T UW',
+  you: 'Y UW', your: 'Y AO R', i: 'AY', is: 'IH Z', was: 'W AA Z',
+  are: 'AA R', have: 'HH AE V', has: 'HH AE Z', do: 'D UW', does: 'D AH Z',
+  done: 'D AH N', one: 'W AH N', once: 'W AH N S', said: 'S EH D',
+  says: 'S EH Z', what: 'W AH T', who: 'HH UW', where: 'W EH R',
+  there: 'DH EH R', their: 'DH EH R', they: 'DH EY', be: 'B IY', he: 'HH IY',
+  she: 'SH IY', we: 'W IY', me: 'M IY', my: 'M AY', by: 'B AY', hi: 'HH AY',
+  hello: 'HH AH L OW', some: 'S AH M', come: 'K AH M', give: 'G IH V',
+  live: 'L IH V', love: 'L AH V', know: 'N OW', any: 'EH N IY',
+  many: 'M EH N IY', could: 'K UH D', would: 'W UH D', should: 'SH UH D',
+  get: 'G EH T', again: 'AH G EH N', want: 'W AA N T',
+  okay: 'OW K EY', ok: 'OW K EY', yes: 'Y EH S', no: 'N OW', so: 'S OW',
+  go: 'G OW', eye: 'AY', people: 'P IY P AH L', today: 'T AH D EY',
+};
+
+// ─── Letter-to-sound rules ──────────────────────────────────────────────────
+
+const VOWELS = 'aeiouy';
+
+/** @param {string} ch */
+function isVowel(ch) {
+  return ch !== undefined && VOWELS.includes(ch);
+}
+
+/**
+ * Multi-letter graphemes, longest first. Each entry is
+ * [grapheme, phonemes, condition?] where condition(word, index) must hold.
+ * @type {Array<[string, string, ((w: string, i: number) => boolean)?]>}
+ */
+const GRAPHEME_RULES = [
+  ['tion', 'SH AH N'],
+  ['sion', 'ZH AH N'],
+  ['ough', 'AO'],
+  ['augh', 'AO'],
+  ['eigh', 'EY'],
+  ['tch', 'CH'],
+  ['dge', 'JH'],
+  ['igh', 'AY'],
+  ['sch', 'S K'],
+  ['kn', 'N', (w, i) => i === 0],
+  ['wr', 'R', (w, i) => i === 0],
+  ['mb', 'M', (w, i) => i + 2 === w.length],
+  ['th', 'TH'],
+  ['sh', 'SH'],
+  ['ch', 'CH'],
+  ['ph', 'F'],
+  ['wh', 'W'],
+  ['ck', 'K'],
+  ['ng', 'NG'],
+  ['qu', 'K W'],
+  ['gh', ''],
+  ['ee', 'IY'],
+  ['ea', 'IY'],
+  ['oo', 'UW'],
+  ['ou', 'AW'],
+  ['ow', 'OW', (w, i) => i + 2 === w.length],
+  ['ow', 'AW'],
+  ['oi', 'OY'],
+  ['oy', 'OY'],
+  ['ai', 'EY'],
+  ['ay', 'EY'],
+  ['au', 'AO'],
+  ['aw', 'AO'],
+  ['ie', 'IY'],
+  ['ei', 'EY'],
+  ['ey', 'IY', (w, i) => i + 2 === w.length],
+  ['oa', 'OW'],
+  ['ue', 'UW'],
+  ['ew', 'UW'],
+  ['ar', 'AA R'],
+  ['er', 'ER'],
+  ['ir', 'ER'],
+  ['ur', 'ER'],
+  ['or', 'AO R'],
+];
+
+/** Long ("magic e") and short vowel sounds. */
+const LONG_VOWEL = { a: 'EY', e: 'IY', i: 'AY', o: 'OW', u: 'UW', y: 'AY' };
+const SHORT_VOWEL = { a: 'AE', e: 'EH', i: 'IH', o: 'AA', u: 'AH', y: 'IH' };
+
+/** Single consonant letters with no context rule. */
+const CONSONANTS = {
+  b: 'B', d: 'D', f: 'F', h: 'HH', j: 'JH', k: 'K', l: 'L', m: 'M',
+  n: 'N', p: 'P', q: 'K', r: 'R', s: 'S', t: 'T', v: 'V', w: 'W',
+  x: 'K S', z: 'Z',
+};
+
+/**
+ * Apply the letter-to-sound rules to a normalized (lowercase a–z) word.
+ * @param {string} w
+ * @returns {string[]}
+ */
+function applyRules(w) {
+  const out = [];
+  let i = 0;
+
+  outer:
+  while (i < w.length) {
+    for (const [grapheme, phonemes, condition] of GRAPHEME_RULES) {
+      if (w.startsWith(grapheme, i) && (!condition || condition(w, i))) {
+        if (phonemes) out.push(...phonemes.split(' '));
+        i += grapheme.length;
+        continue outer;
+      }
+    }
+
+    const ch = w[i];
+    const next = w[i + 1];
+
+    // Doubled consonants sound once
+    if (!isVowel(ch) && ch === next) {
+      i++;
+      continue;
+    }
+
+    if (ch === 'e' && i === w.length - 1 && w.length > 2) {
+      // Silent final e
+    } else if (ch === 'y') {
+      if (i === 0) {
+        out.push('Y');
+      } else if (i === w.length - 1) {
+        // "my" / "fly" vs "happy"
+        const hasOtherVowel = [...w.slice(0, i)].some((c) => 'aeiou'.includes(c));
+        out.push(hasOtherVowel ? 'IY' : 'AY');
+      } else {
+        out.push('IH');
+      }
+    } else if (isVowel(ch)) {
+      // Magic e: vowel + single consonant + final e
+      const magicE = next !== undefined && !isVowel(next) &&
+        i + 2 === w.length - 1 && w[i + 2] === 'e';
+      if (magicE || i === w.length - 1) {
+        out.push(LONG_VOWEL[ch]);
+      } else {
+        out.push(SHORT_VOWEL[ch]);
+      }
+    } else if (ch === 'c') {
+      out.push('eiy'.includes(next) ? 'S' : 'K');
+    } else if (ch === 'g') {
+      out.push('eiy'.includes(next) && i + 1 !== w.length - 1 ? 'JH' : 'G');
+    } else if (ch === 's' && i === w.length - 1 && i > 0 && !'ptkf'.includes(w[i - 1])) {
+      out.push('Z');
+    } else if (CONSONANTS[ch]) {
+      out.push(...CONSONANTS[ch].split(' '));
+    }
+    i++;
+  }
+
+  return out;
+}
+
+// ─── Public API ─────────────────────────────────────────────────────────────
+
+/**
+ * Normalize a pronunciation entry (string or array) to ARPABET without
+ * stress markers.
+ * @param {string|string[]} entry
+ * @returns {string[]}
+ */
+function parsePronunciation(entry) {
+  const list = Array.isArray(entry) ? entry : String(entry).trim().split(/\s+/);
+  return list.map((p) => String(p).toUpperCase().replace(/[0-9]/g, '')).filter(Boolean);
+}
+
+/**
+ * Convert a word to ARPABET phonemes (stress markers removed).
+ *
+ * @param {string} word
+ * @param {Object} [options]
+ * @param {Object<string, string|string[]>|((word: string) => string|string[]|null|undefined)} [options.dictionary]
+ *   Pronunciation dictionary hook. Objects are looked up by lowercase word;
+ *   functions receive the lowercase word and may return null to defer to
+ *   the built-in table and letter-to-sound rules.
+ * @returns {string[]}
+ */
+export function wordToPhonemes(word, options = {}) {
+  const normalized = String(word).toLowerCase().replace(/[^a-z']/g, '');
+  const key = normalized.replace(/'/g, '');
+  if (!key) return [];
+
+  const { dictionary } = options;
+  const custom = typeof dictionary === 'function'
+    ? dictionary(normalized)
+    : dictionary?.[normalized] ?? dictionary?.[key];
+  if (custom) return parsePronunciation(custom);
+
+  if (BUILTIN_PRONUNCIATIONS[key]) {
+    return parsePronunciation(BUILTIN_PRONUNCIATIONS[key]);
+  }
+
+  return applyRules(key);
+}
+
+/**
+ * Spread a word's phonemes evenly across its time span.
+ *
+ * @param {string} word
+ * @param {number} startMs
+ * @param {number} endMs
+ * @param {Object} [options] - See wordToPhonemes().
+ * @returns {Array<{phoneme: string, startMs: number, endMs: number}>}
+ */
+export function wordToPhonemeEvents(word, startMs, endMs, options = {}) {
+  const phonemes = wordToPhonemes(word, options);
+  if (phonemes.length === 0 || endMs <= startMs) return [];
+
+  const step = (endMs - startMs) / phonemes.length;
+  return phonemes.map((phoneme, i) => ({
+    phoneme,
+    startMs: startMs + i * step,
+    endMs: startMs + (i + 1) * step,
+  }));
+}
+
+/**
+ * Convert a timed word to viseme events via PHONEME_TO_VISEME.
+ *
+ * @param {string} word
+ * @param {number} startMs
+ * @param {number} endMs
+ * @param {Object} [options] - See wordToPhonemes().
+ * @returns {Array<{viseme: string, startMs: number, endMs: number, source: string}>}
+ */
+export function wordToVisemeEvents(word, startMs, endMs, options = {}) {
+  return wordToPhonemeEvents(word, startMs, endMs, options).map((e) => ({
+    viseme: PHONEME_TO_VISEME[e.phoneme] || 'sil',
+    startMs: e.startMs,
+    endMs: e.endMs,
+    source: e.phoneme,
+  }));
+}
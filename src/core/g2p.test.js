@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { wordToPhonemes, wordToPhonemeEvents, wordToVisemeEvents } from './g2p.js';
+import { VisemeTimeline } from '../analyzers/VisemeTimeline.js';
+
+describe('wordToPhonemes', () => {
+  it('uses the built-in table for irregular words', () => {
+    expect(wordToPhonemes('Hello!')).toEqual(['HH', 'AH', 'L', 'OW']);
+    expect(wordToPhonemes('the')).toEqual(['DH', 'AH']);
+  });
+
+  it.each([
+    ['cat', 'K AE T'],
+    ['make', 'M EY K'],
+    ['night', 'N AY T'],
+    ['phone', 'F OW N'],
+    ['knife', 'N AY F'],
+    ['ship', 'SH IH P'],
+    ['happy', 'HH AE P IY'],
+    ['fly', 'F L AY'],
+    ['dogs', 'D AA G Z'],
+    ['cats', 'K AE T S'],
+    ['city', 'S IH T IY'],
+    ['quick', 'K W IH K'],
+    ["don't", 'D AA N T'],
+  ])('applies letter-to-sound rules: %s', (word, expected) => {
+    expect(wordToPhonemes(word)).toEqual(expected.split(' '));
+  });
+
+  it('returns nothing for words without letters', () => {
+    expect(wordToPhonemes('123')).toEqual([]);
+    expect(wordToPhonemes('')).toEqual([]);
+  });
+
+  it('prefers a dictionary object or function, stripping stress', () => {
+    expect(wordToPhonemes('tomato', { dictionary: { tomato: 'T AH0 M EY1 T OW2' } }))
+      .toEqual(['T', 'AH', 'M', 'EY', 'T', 'OW']);
+    expect(wordToPhonemes('Cat', { dictionary: (w) => (w === 'cat' ? ['k', 'ae1', 't'] : null) }))
+      .toEqual(['K', 'AE', 'T']);
+    expect(wordToPhonemes('dog', { dictionary: () => null })).toEqual(['D', 'AA', 'G']);
+  });
+});
+
+describe('word events', () => {
+  it('spreads phonemes evenly across the word', () => {
+    expect(wordToPhonemeEvents('cat', 100, 400)).toEqual([
+      { phoneme: 'K', startMs: 100, endMs: 200 },
+      { phoneme: 'AE', startMs: 200, endMs: 300 },
+      { phoneme: 'T', startMs: 300, endMs: 400 },
+    ]);
+    expect(wordToPhonemeEvents('cat', 400, 400)).toEqual([]);
+  });
+
+  it('maps phonemes to visemes', () => {
+    expect(wordToVisemeEvents('map', 0, 300).map((e) => e.viseme)).toEqual(['PP', 'E', 'PP']);
+  });
+
+  it('feeds VisemeTimeline.addWords with its dictionary', () => {
+    const timeline = new VisemeTimeline({ dictionary: { ok: 'OW K EY' } });
+    timeline.addWords([{ word: 'ok', startMs: 0, endMs: 300 }, { word: 'cat', startMs: 400, endMs: 700 }], 1000);
+    expect(timeline.cues.map((c) => c.viseme)).toEqual(['O', 'kk', 'E', 'kk', 'E', 'DD']);
+    expect(timeline.cues[3].startMs).toBe(1400);
+    expect(timeline.cueAt(1350)).toBeNull();
+  });
+});
@@ -0,0 +1,43 @@
+/**
+ * Engine option presets for common input sources.
+ *
+ * Pass a preset by name (`new LipSyncEngine({ preset: 'telephony' })`) or
+ * spread it into the options; explicit options always win.
+ *
+ * @module presets
+ */
+
+/**
+ * Analysis bands for 8 kHz narrowband speech (300–3400 Hz channel).
+ *
+ * Nothing above 4 kHz survives the phone line, so with the default bands
+ * `veryHigh` is always empty and sibilants read as CH/FF. These bands keep
+ * the classifier's names but fit them inside the telephone channel, with
+ * `high`/`veryHigh` covering the upper part where fricative noise remains.
+ * @type {Array<{name: string, min: number, max: number}>}
+ */
+export const TELEPHONY_BANDS = [
+  { name: 'sub',      min: 100,  max: 300  },  // Line high-pass skirt, voicing
+  { name: 'low',      min: 300,  max: 800  },  // First formant
+  { name: 'mid',      min: 800,  max: 1800 },  // Second formant
+  { name: 'high',     min: 1800, max: 2800 },  // Upper formants, fricative onset
+  { name: 'veryHigh', min: 2800, max: 3400 },  // Sibilant residue below the cutoff
+];
+
+/** @type {Object<string, Object>} Named LipSyncEngine option sets. */
+export const PRESETS = {
+  /**
+   * Phone-bot audio: 8 kHz G.711 μ-law (Twilio Media Streams, SIP gateways).
+   * Frames arrive every 20 ms with network jitter, so playback waits for a
+   * little more audio before starting.
+   */
+  telephony: {
+    sampleRate: 8000,
+    inputEncoding: 'mulaw',
+    startThresholdMs: 120,
+    bands: TELEPHONY_BANDS,
+    silenceThreshold: 0.02,    // Line noise and comfort noise sit above the default
+    smoothingFactor: 0.3,
+    holdFrames: 2,
+  },
+};
@@ -0,0 +1,25 @@
+import { describe, it, expect } from 'vitest';
+import { PRESETS, TELEPHONY_BANDS } from './presets.js';
+import { LipSyncEngine } from './LipSyncEngine.js';
+
+describe('presets', () => {
+  it('keeps every telephony band inside the 4 kHz Nyquist limit', () => {
+    const nyquist = PRESETS.telephony.sampleRate / 2;
+    for (const band of TELEPHONY_BANDS) {
+      expect(band.min).toBeLessThan(band.max);
+      expect(band.max).toBeLessThanOrEqual(nyquist);
+    }
+    expect(TELEPHONY_BANDS.map((b) => b.name)).toEqual(['sub', 'low', 'mid', 'high', 'veryHigh']);
+  });
+
+  it('applies a preset under explicit options', () => {
+    const engine = new LipSyncEngine({ preset: 'telephony', startThresholdMs: 200 });
+    expect(engine.opts).toMatchObject({ sampleRate: 8000, inputEncoding: 'mulaw', startThresholdMs: 200 });
+    expect(engine.opts.bands).toBe(TELEPHONY_BANDS);
+    engine.destroy();
+  });
+
+  it('rejects unknown presets', () => {
+    expect(() => new LipSyncEngine({ preset: 'radio' })).toThrow('Unknown preset: radio');
+  });
+});
@@ -73,6 +73,44 @@ export const PHONEME_TO_VISEME = /** @type {const} */ ({
 /** @type {string[]} All known ARPABET phonemes. */
 export const ARPABET_PHONEMES = Object.keys(PHONEME_TO_VISEME);
 
+// ─── Rhubarb Lip Sync shapes (A–H, X) ───────────────────────────────────────
+// A closed (M/B/P), B clenched teeth (most consonants, EE), C open (EH/AE),
+// D wide open (AA), E slightly rounded (AO/ER), F puckered (UW/OW/W),
+// G upper teeth on lower lip (F/V), H tongue raised (long L), X idle.
+
+/** @type {string[]} Rhubarb mouth shape letters. */
+export const RHUBARB_SHAPES = ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'X'];
+
+/** @type {Object<string, string>} Extended viseme → Rhubarb shape. */
+export const EXTENDED_TO_RHUBARB = {
+  sil: 'X', PP: 'A', FF: 'G', TH: 'B', DD: 'B', kk: 'B', CH: 'B', SS: 'B',
+  nn: 'B', RR: 'E', aa: 'D', E: 'C', I: 'B', O: 'E', U: 'F',
+};
+
+/** @type {Object<string, string>} Simple (Preston Blair) viseme → Rhubarb shape. */
+export const SIMPLE_TO_RHUBARB = {
+  A: 'X', B: 'A', C: 'B', D: 'D', E: 'E', F: 'F',
+};
+
+/** @type {Object<string, string>} Rhubarb shape → representative extended viseme. */
+export const RHUBARB_TO_EXTENDED = {
+  A: 'PP', B: 'SS', C: 'E', D: 'aa', E: 'O', F: 'U', G: 'FF', H: 'DD', X: 'sil',
+};
+
+// ─── Papagayo / Moho (Preston Blair phoneme set) ────────────────────────────
+
+/** @type {Object<string, string>} Extended viseme → Papagayo mouth name. */
+export const EXTENDED_TO_PAPAGAYO = {
+  sil: 'rest', PP: 'MBP', FF: 'FV', TH: 'etc', DD: 'etc', kk: 'etc', CH: 'etc',
+  SS: 'etc', nn: 'etc', RR: 'etc', aa: 'AI', E: 'E', I: 'E', O: 'O', U: 'U',
+};
+
+/** @type {Object<string, string>} Papagayo mouth name → representative extended viseme. */
+export const PAPAGAYO_TO_EXTENDED = {
+  AI: 'aa', E: 'E', etc: 'DD', FV: 'FF', L: 'DD', MBP: 'PP', O: 'O', rest: 'sil',
+  U: 'U', WQ: 'U',
+};
+
 // ─── Viseme transition weights (coarticulation hints) ───────────────────────
 // Higher weight = slower transition (more blending needed)
 
@@ -89,10 +127,11 @@ export const TRANSITION_WEIGHTS = {
  * Get the transition weight between two visemes.
  * @param {string} from
  * @param {string} to
+ * @param {Object<string, Object<string, number>>} [table=TRANSITION_WEIGHTS]
  * @returns {number} Weight 0..1 (higher = more blending).
  */
-export function getTransitionWeight(from, to) {
-  return TRANSITION_WEIGHTS[from]?.[to] ?? 0.35; // sensible default
+export function getTransitionWeight(from, to, table = TRANSITION_WEIGHTS) {
+  return table[from]?.[to] ?? 0.35; // sensible default
 }
 
 // ─── Mouth shape parameters for procedural rendering ────────────────────────
@@ -117,6 +156,34 @@ export const VISEME_SHAPES = {
   U:   { open: 0.20, width: 0.30, round: 0.9 },
 };
 
+// ─── Complete transition table ──────────────────────────────────────────────
+// Every from → to pair. Pairs missing from TRANSITION_WEIGHTS are derived from
+// the articulatory distance between the two mouth shapes: the further the
+// mouth has to travel, the more blending the transition gets.
+
+/**
+ * Build a full 15×15 transition table.
+ * @param {Object<string, Object<string, number>>} [overrides] - Partial from → to weights.
+ * @returns {Object<string, Object<string, number>>}
+ */
+export function createTransitionTable(overrides = {}) {
+  const table = {};
+  for (const from of EXTENDED_VISEME_KEYS) {
+    table[from] = {};
+    const a = VISEME_SHAPES[from];
+    for (const to of EXTENDED_VISEME_KEYS) {
+      const b = VISEME_SHAPES[to];
+      const distance = Math.hypot(a.open - b.open, a.width - b.width, a.round - b.round) / Math.sqrt(3);
+      const derived = from === to ? 0 : 0.2 + 0.4 * distance;
+      table[from][to] = overrides[from]?.[to] ?? TRANSITION_WEIGHTS[from]?.[to] ?? derived;
+    }
+  }
+  return table;
+}
+
+/** @type {Object<string, Object<string, number>>} Default complete transition table. */
+export const TRANSITION_TABLE = createTransitionTable();
+
 /**
  * Get interpolated mouth shape between two visemes.
  * @param {string} fromViseme
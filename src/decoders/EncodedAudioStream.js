@@ -0,0 +1,152 @@
+/**
+ * EncodedAudioStream — Incremental demux + decode of one compressed stream.
+ *
+ * Bytes go in as they arrive from the network; mono Float32 PCM comes out
+ * through `onOutput`. One demuxer and one decoder live for the whole
+ * stream, so codec state carries across chunk boundaries and the output
+ * is gapless (no per-chunk priming silence or padding). Opus pre-skip is
+ * trimmed from the start of the output.
+ *
+ * @module EncodedAudioStream
+ *
+ * @example
+ *   const stream = new EncodedAudioStream('mp3', {
+ *     onOutput: (pcm, sampleRate) => engine.feedAudio(pcm, { sampleRate }),
+ *   });
+ *   for await (const chunk of response.body) stream.push(chunk);
+ *   await stream.flush();
+ *   stream.close();
+ */
+
+import { createDemuxer, toBytes } from './demuxers.js';
+import { createWebCodecsDecoder, webCodecsSupported } from './WebCodecsDecoder.js';
+
+export class EncodedAudioStream {
+  /**
+   * @param {'mp3'|'aac'|'opus'} codec - Container/codec: MP3 frames, ADTS AAC, or Ogg/Opus.
+   * @param {Object} options
+   * @param {(pcm: Float32Array, sampleRate: number) => void} options.onOutput - Mono PCM output.
+   * @param {(error: Error) => void} [options.onError] - Called when decoding fails. The
+   *   error is also thrown by the next flush(); the next push() opens a new decoder.
+   * @param {Function} [options.decoder] - Decoder backend factory (see WebCodecsDecoder.js).
+   *   Defaults to WebCodecs.
+   */
+  constructor(codec, options) {
+    this.codec = codec;
+    this.demuxer = createDemuxer(codec);
+
+    this._factory = options.decoder || null;
+    if (!this._factory && !webCodecsSupported()) {
+      throw new Error(
+        `Cannot decode ${codec}: WebCodecs AudioDecoder is not available. ` +
+        'Pass an `audioDecoder` factory (e.g. a WASM decoder) or decode to PCM and use feedAudio().'
+      );
+    }
+
+    this._onOutput = options.onOutput;
+    this._onError = options.onError || null;
+
+    /** @type {import('./WebCodecsDecoder.js').DecoderBackend|null} */
+    this._decoder = null;
+    this._samplesQueued = 0; // Samples per channel sent to the decoder
+    this._trim = 0;          // Output samples still to drop (Opus pre-skip)
+    this._error = null;      // Decode error not yet thrown by flush()
+    this._closed = false;
+  }
+
+  /**
+   * Demux and queue a chunk for decoding.
+   * @param {ArrayBuffer|ArrayBufferView} chunk
+   */
+  push(chunk) {
+    if (this._closed) throw new Error('EncodedAudioStream is closed');
+
+    const frames = this.demuxer.push(toBytes(chunk));
+    if (frames.length === 0) return;
+
+    if (!this._decoder) this._openDecoder();
+    const { sampleRate } = this.demuxer.config;
+
+    for (const frame of frames) {
+      // Continuous timestamps keep the decoder's output contiguous
+      const timestamp = Math.round((this._samplesQueued / sampleRate) * 1e6);
+      this._samplesQueued += frame.samples;
+      const end = Math.round((this._samplesQueued / sampleRate) * 1e6);
+      this._decoder.decode({ data: frame.data, timestamp, duration: end - timestamp });
+    }
+  }
+
+  /**
+   * Wait until every pushed frame has been decoded and output.
+   * @returns {Promise<void>} Rejects with the first decode error since the last flush.
+   */
+  async flush() {
+    if (this._decoder) {
+      await this._decoder.flush().catch((e) => { this._error ??= e; });
+    }
+    const error = this._error;
+    this._error = null;
+    if (error) throw error;
+  }
+
+  /** Release the decoder. Pending output is dropped. */
+  close() {
+    this._closed = true;
+    this._decoder?.close();
+    this._decoder = null;
+  }
+
+  /** Duration of audio pushed so far, in ms. */
+  get durationMs() {
+    const rate = this.demuxer.config?.sampleRate;
+    return rate ? (this._samplesQueued / rate) * 1000 : 0;
+  }
+
+  /** @private */
+  _openDecoder() {
+    const config = this.demuxer.config;
+    // Pre-skip only applies to the start of the stream, not to a reopen
+    this._trim = this._samplesQueued === 0 ? config.preSkip || 0 : 0;
+    const factory = this._factory || createWebCodecsDecoder;
+    let decoder = null;
+    decoder = factory(config, {
+      onOutput: (channels, sampleRate) => this._output(channels, sampleRate),
+      onError: (e) => this._decodeError(decoder, e),
+    });
+    this._decoder = decoder;
+  }
+
+  /**
+   * A failed WebCodecs decoder is closed for good: drop it so the next
+   * push() opens a new one, and keep the error for flush().
+   * @private
+   */
+  _decodeError(decoder, error) {
+    decoder?.close();
+    if (this._decoder === decoder) this._decoder = null;
+    this._error ??= error;
+    this._onError?.(error);
+  }
+
+  /** @private */
+  _output(channels, sampleRate) {
+    if (this._closed || channels.length === 0) return;
+
+    // Downmix to mono
+    let pcm = channels[0];
+    if (channels.length > 1) {
+      pcm = new Float32Array(channels[0].length);
+      for (const ch of channels) {
+        for (let i = 0; i < pcm.length; i++) pcm[i] += ch[i];
+      }
+      for (let i = 0; i < pcm.length; i++) pcm[i] /= channels.length;
+    }
+
+    if (this._trim > 0) {
+      const drop = Math.min(this._trim, pcm.length);
+      this._trim -= drop;
+      pcm = pcm.slice(drop);
+    }
+    if (pcm.length > 0) this._onOutput(pcm, sampleRate);
+  }
+}
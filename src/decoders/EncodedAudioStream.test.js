@@ -0,0 +1,115 @@
+import { describe, it, expect } from 'vitest';
+import { EncodedAudioStream } from './EncodedAudioStream.js';
+
+/** MPEG-1 Layer III, 128 kbps, 44.1 kHz, stereo: 417-byte frames. */
+function mp3Frames(count) {
+  const bytes = new Uint8Array(417 * count);
+  for (let i = 0; i < count; i++) bytes.set([0xff, 0xfb, 0x90, 0x00], i * 417);
+  return bytes;
+}
+
+/**
+ * Decoder backend that outputs a stereo buffer per frame on flush(), or
+ * fails like WebCodecs (error callback, then closed) when told to.
+ */
+function fakeDecoderFactory() {
+  const created = [];
+  const factory = (config, { onOutput, onError }) => {
+    const decoder = {
+      config,
+      frames: [],
+      closed: false,
+      decode(frame) {
+        if (decoder.closed) throw new Error('InvalidStateError: decoder closed');
+        decoder.frames.push(frame);
+      },
+      async flush() {
+        if (decoder.closed) throw new Error('InvalidStateError: decoder closed');
+        for (const frame of decoder.frames.splice(0)) {
+          const n = frame.data.length;
+          onOutput([new Float32Array(n).fill(1), new Float32Array(n).fill(0)], config.sampleRate);
+        }
+      },
+      close() { decoder.closed = true; },
+      fail(error) {
+        decoder.closed = true;
+        onError(error);
+      },
+    };
+    created.push(decoder);
+    return decoder;
+  };
+  return { factory, created };
+}
+
+describe('EncodedAudioStream', () => {
+  it('sends frames with contiguous timestamps and downmixes the output', async () => {
+    const { factory, created } = fakeDecoderFactory();
+    const outputs = [];
+    const stream = new EncodedAudioStream('mp3', {
+      decoder: factory,
+      onOutput: (pcm, sampleRate) => outputs.push([pcm, sampleRate]),
+    });
+
+    stream.push(mp3Frames(2).subarray(0, 600));
+    stream.push(mp3Frames(2).subarray(600));
+    expect(created).toHaveLength(1);
+    const [a, b] = created[0].frames;
+    expect(a.timestamp).toBe(0);
+    expect(b.timestamp).toBe(a.timestamp + a.duration);
+    expect(stream.durationMs).toBeCloseTo((2 * 1152 / 44100) * 1000);
+
+    await stream.flush();
+    expect(outputs).toHaveLength(2);
+    expect(outputs[0][1]).toBe(44100);
+    expect(outputs[0][0].every((v) => v === 0.5)).toBe(true);
+  });
+
+  it('reopens the decoder after a decode error and rejects the next flush', async () => {
+    const { factory, created } = fakeDecoderFactory();
+    const errors = [];
+    const stream = new EncodedAudioStream('mp3', {
+      decoder: factory,
+      onOutput: () => {},
+      onError: (e) => errors.push(e),
+    });
+    const failure = new Error('EncodingError');
+
+    stream.push(mp3Frames(1));
+    created[0].fail(failure);
+    expect(errors).toEqual([failure]);
+
+    stream.push(mp3Frames(1));
+    expect(created).toHaveLength(2);
+    expect(created[1].frames[0].timestamp).toBeGreaterThan(0);
+
+    await expect(stream.flush()).rejects.toBe(failure);
+    await expect(stream.flush()).resolves.toBeUndefined();
+  });
+
+  it('does not throw from the error callback without an onError handler', async () => {
+    const { factory, created } = fakeDecoderFactory();
+    const stream = new EncodedAudioStream('mp3', { decoder: factory, onOutput: () => {} });
+    const failure = new Error('EncodingError');
+
+    stream.push(mp3Frames(1));
+    expect(() => created[0].fail(failure)).not.toThrow();
+    await expect(stream.flush()).rejects.toBe(failure);
+  });
+
+  it('refuses pushes after close and drops late output', async () => {
+    const { factory, created } = fakeDecoderFactory();
+    const outputs = [];
+    const stream = new EncodedAudioStream('mp3', { decoder: factory, onOutput: (pcm) => outputs.push(pcm) });
+    stream.push(mp3Frames(1));
+    stream.close();
+    expect(created[0].closed).toBe(true);
+    expect(() => stream.push(mp3Frames(1))).toThrow('closed');
+    await stream.flush();
+    expect(outputs).toHaveLength(0);
+  });
+
+  it('requires WebCodecs when no decoder factory is given', () => {
+    expect(() => new EncodedAudioStream('mp3', { onOutput: () => {} })).toThrow('WebCodecs');
+  });
+});
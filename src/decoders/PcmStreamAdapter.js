@@ -0,0 +1,190 @@
+/**
+ * PcmStreamAdapter — Raw PCM byte stream → mono Float32.
+ *
+ * WebSocket binary frames and fetch() chunks are cut wherever the transport
+ * pleases: a 16-bit sample, a 24-bit sample or a stereo frame can straddle
+ * two chunks. The adapter decodes every complete frame in a chunk and
+ * carries the leftover bytes into the next push(), so the stream decodes
+ * exactly as if it had arrived in one piece.
+ *
+ * A format descriptor says how to read the bytes:
+ *
+ *   encoding    'pcm8' (unsigned) | 'pcm16' | 'pcm24' | 'pcm32' | 'float32' | 'mulaw' | 'alaw'
+ *   endianness  'little' | 'big'
+ *   channels    interleaved channel count
+ *   channel     'mix' to average all channels, or the index of one to keep
+ *   sampleRate  informational; the engine resamples from it
+ *
+ * @module PcmStreamAdapter
+ *
+ * @example
+ *   const pcm = new PcmStreamAdapter({ encoding: 'pcm24', endianness: 'big', channels: 2 });
+ *   ws.onmessage = (e) => play(pcm.push(e.data));
+ */
+
+import { mulawToInt16, alawToInt16 } from '../utils/audio-utils.js';
+import { toBytes } from './demuxers.js';
+
+/** @type {Object<string, number>} Bytes per sample for each PCM encoding. */
+export const PCM_ENCODINGS = {
+  pcm8: 1,
+  pcm16: 2,
+  pcm24: 3,
+  pcm32: 4,
+  float32: 4,
+  mulaw: 1,
+  alaw: 1,
+};
+
+/**
+ * Fill in and validate a format descriptor.
+ * @param {PcmFormat} [format]
+ * @returns {Required<PcmFormat>}
+ */
+export function normalizePcmFormat(format = {}) {
+  const {
+    encoding = 'pcm16',
+    endianness = 'little',
+    channels = 1,
+    channel = 'mix',
+    sampleRate = null,
+  } = format;
+
+  if (!PCM_ENCODINGS[encoding]) {
+    throw new TypeError(`Unknown input encoding: ${encoding}`);
+  }
+  if (endianness !== 'little' && endianness !== 'big') {
+    throw new TypeError(`Unknown endianness: ${endianness} (expected 'little' or 'big')`);
+  }
+  if (!Number.isInteger(channels) || channels < 1) {
+    throw new RangeError(`channels must be a positive integer, got ${channels}`);
+  }
+  if (channel !== 'mix' && !(Number.isInteger(channel) && channel >= 0 && channel < channels)) {
+    throw new RangeError(`channel must be 'mix' or an index below ${channels}, got ${channel}`);
+  }
+  return { encoding, endianness, channels, channel, sampleRate };
+}
+
+/**
+ * Decode whole frames of interleaved PCM to mono Float32 (-1..1).
+ * Trailing bytes that don't make up a full frame are ignored.
+ *
+ * @param {Uint8Array} bytes
+ * @param {PcmFormat} format
+ * @returns {Float32Array}
+ */
+export function decodePcm(bytes, format) {
+  const { encoding, endianness, channels, channel } = normalizePcmFormat(format);
+  const width = PCM_ENCODINGS[encoding];
+  const frames = Math.floor(bytes.length / (width * channels));
+  const count = frames * channels;
+
+  // Interleaved samples first, then down to one channel
+  let interleaved;
+  if (encoding === 'mulaw' || encoding === 'alaw') {
+    const int16 = (encoding === 'mulaw' ? mulawToInt16 : alawToInt16)(bytes.subarray(0, count));
+    interleaved = new Float32Array(count);
+    for (let i = 0; i < count; i++) interleaved[i] = int16[i] / 32768.0;
+  } else {
+    interleaved = readSamples(bytes, encoding, endianness === 'little', count);
+  }
+
+  if (channels === 1) return interleaved;
+
+  const out = new Float32Array(frames);
+  if (channel === 'mix') {
+    for (let f = 0; f < frames; f++) {
+      let sum = 0;
+      for (let c = 0; c < channels; c++) sum += interleaved[f * channels + c];
+      out[f] = sum / channels;
+    }
+  } else {
+    for (let f = 0; f < frames; f++) out[f] = interleaved[f * channels + channel];
+  }
+  return out;
+}
+
+/** @private */
+function readSamples(bytes, encoding, little, count) {
+  const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+  const out = new Float32Array(count);
+
+  switch (encoding) {
+    case 'pcm8': // WAV convention: unsigned, 128 = silence
+      for (let i = 0; i < count; i++) out[i] = (bytes[i] - 128) / 128;
+      break;
+    case 'pcm16':
+      for (let i = 0; i < count; i++) out[i] = view.getInt16(i * 2, little) / 32768.0;
+      break;
+    case 'pcm24':
+      for (let i = 0, o = 0; i < count; i++, o += 3) {
+        const v = little
+          ? bytes[o] | (bytes[o + 1] << 8) | (bytes[o + 2] << 16)
+          : (bytes[o] << 16) | (bytes[o + 1] << 8) | bytes[o + 2];
+        out[i] = ((v << 8) >> 8) / 8388608.0; // sign-extend 24 → 32 bits
+      }
+      break;
+    case 'pcm32':
+      for (let i = 0; i < count; i++) out[i] = view.getInt32(i * 4, little) / 2147483648.0;
+      break;
+    case 'float32':
+      for (let i = 0; i < count; i++) out[i] = view.getFloat32(i * 4, little);
+      break;
+  }
+  return out;
+}
+
+export class PcmStreamAdapter {
+  /**
+   * @param {PcmFormat} [format]
+   */
+  constructor(format) {
+    this.format = normalizePcmFormat(format);
+    this.frameBytes = PCM_ENCODINGS[this.format.encoding] * this.format.channels;
+
+    /** @type {Uint8Array|null} Bytes of an incomplete frame from the last push */
+    this._pending = null;
+  }
+
+  /**
+   * Decode the complete frames in a chunk; keep any partial frame for later.
+   * @param {ArrayBuffer|ArrayBufferView} chunk
+   * @returns {Float32Array} Mono samples (possibly empty)
+   */
+  push(chunk) {
+    let bytes = toBytes(chunk);
+    if (this._pending) {
+      const joined = new Uint8Array(this._pending.length + bytes.length);
+      joined.set(this._pending, 0);
+      joined.set(bytes, this._pending.length);
+      bytes = joined;
+      this._pending = null;
+    }
+
+    const usable = bytes.length - (bytes.length % this.frameBytes);
+    if (usable < bytes.length) {
+      // Copy: the caller may reuse or transfer the chunk's buffer
+      this._pending = bytes.slice(usable);
+    }
+    return decodePcm(bytes.subarray(0, usable), this.format);
+  }
+
+  /** Bytes held back waiting for the rest of a frame. */
+  get pendingBytes() {
+    return this._pending ? this._pending.length : 0;
+  }
+
+  /** Drop any partial frame (start of a new stream). */
+  reset() {
+    this._pending = null;
+  }
+}
+
+/**
+ * @typedef {Object} PcmFormat
+ * @property {'pcm8'|'pcm16'|'pcm24'|'pcm32'|'float32'|'mulaw'|'alaw'} [encoding='pcm16']
+ * @property {'little'|'big'} [endianness='little']
+ * @property {number} [channels=1] - Interleaved channel count.
+ * @property {'mix'|number} [channel='mix'] - Average all channels, or keep one by index.
+ * @property {number|null} [sampleRate] - Sample rate of the stream.
+ */
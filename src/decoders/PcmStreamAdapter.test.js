@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest';
+import { PcmStreamAdapter, decodePcm, normalizePcmFormat } from './PcmStreamAdapter.js';
+
+describe('decodePcm', () => {
+  it.each([
+    ['pcm8', 'little', [0x80, 0xc0, 0x00], [0, 0.5, -1]],
+    ['pcm16', 'little', [0x00, 0x40, 0x00, 0x80], [0.5, -1]],
+    ['pcm16', 'big', [0x40, 0x00, 0x80, 0x00], [0.5, -1]],
+    ['pcm24', 'little', [0x00, 0x00, 0x40, 0x00, 0x00, 0xc0], [0.5, -0.5]],
+    ['pcm24', 'big', [0x40, 0x00, 0x00, 0xc0, 0x00, 0x00], [0.5, -0.5]],
+    ['pcm32', 'big', [0x40, 0, 0, 0, 0x80, 0, 0, 0], [0.5, -1]],
+    ['float32', 'little', [0, 0, 0, 0x3f, 0, 0, 0x80, 0xbe], [0.5, -0.25]],
+    ['mulaw', 'little', [0xff, 0x80], [0, 32124 / 32768]],
+  ])('decodes %s (%s endian)', (encoding, endianness, bytes, expected) => {
+    const out = decodePcm(Uint8Array.from(bytes), { encoding, endianness });
+    expect([...out]).toEqual(expected.map((v) => expect.closeTo(v, 6)));
+  });
+
+  it('mixes or picks interleaved channels', () => {
+    const bytes = new Uint8Array(Int16Array.of(16384, -16384, 8192, 0).buffer);
+    expect([...decodePcm(bytes, { channels: 2 })]).toEqual([0, 0.125]);
+    expect([...decodePcm(bytes, { channels: 2, channel: 1 })]).toEqual([-0.5, 0]);
+  });
+
+  it('ignores a trailing partial frame', () => {
+    expect(decodePcm(Uint8Array.of(0, 0x40, 0), { encoding: 'pcm16' })).toHaveLength(1);
+  });
+});
+
+describe('normalizePcmFormat', () => {
+  it('fills in defaults and validates fields', () => {
+    expect(normalizePcmFormat()).toEqual({
+      encoding: 'pcm16', endianness: 'little', channels: 1, channel: 'mix', sampleRate: null,
+    });
+    expect(() => normalizePcmFormat({ encoding: 'pcm12' })).toThrow(TypeError);
+    expect(() => normalizePcmFormat({ endianness: 'middle' })).toThrow(TypeError);
+    expect(() => normalizePcmFormat({ channels: 0 })).toThrow(RangeError);
+    expect(() => normalizePcmFormat({ channels: 2, channel: 2 })).toThrow(RangeError);
+  });
+});
+
+describe('PcmStreamAdapter', () => {
+  it('decodes a stream cut mid-sample exactly like the whole buffer', () => {
+    const format = { encoding: 'pcm24', endianness: 'big', channels: 2 };
+    const bytes = Uint8Array.from({ length: 6 * 50 }, (_, i) => (i * 37) & 0xff);
+    const whole = decodePcm(bytes, format);
+
+    const adapter = new PcmStreamAdapter(format);
+    const parts = [];
+    for (let i = 0; i < bytes.length; i += 7) parts.push(...adapter.push(bytes.subarray(i, i + 7)));
+    expect(parts).toEqual([...whole]);
+    expect(adapter.pendingBytes).toBe(0);
+  });
+
+  it('holds a partial frame until the rest arrives, or drops it on reset', () => {
+    const adapter = new PcmStreamAdapter({ encoding: 'pcm16' });
+    const chunk = Uint8Array.of(0x00, 0x40, 0x00);
+    expect([...adapter.push(chunk)]).toEqual([0.5]);
+    expect(adapter.pendingBytes).toBe(1);
+
+    chunk.fill(0xff); // the caller reuses its buffer
+    expect([...adapter.push(Uint8Array.of(0xc0))]).toEqual([-0.5]);
+
+    adapter.push(Uint8Array.of(1));
+    adapter.reset();
+    expect(adapter.pendingBytes).toBe(0);
+  });
+});
@@ -0,0 +1,83 @@
+/**
+ * WebCodecs decoder backend for EncodedAudioStream.
+ *
+ * A decoder backend is any object created by a factory
+ *   (config, { onOutput, onError }) => { decode(frame), flush(), close() }
+ * where `config` is a demuxer config ({ codec, sampleRate, numberOfChannels,
+ * description? }), `frame` is { data, timestamp, duration } (µs), and
+ * onOutput receives planar Float32 channels plus their sample rate.
+ *
+ * This module implements it on top of `AudioDecoder`. Pass another factory
+ * (e.g. a WASM decoder) as the engine's `audioDecoder` option where
+ * WebCodecs is unavailable.
+ *
+ * @module WebCodecsDecoder
+ */
+
+/** Whether WebCodecs audio decoding exists in this environment. */
+export function webCodecsSupported() {
+  return typeof AudioDecoder !== 'undefined' && typeof EncodedAudioChunk !== 'undefined';
+}
+
+/**
+ * Create a decoder backend using WebCodecs `AudioDecoder`.
+ *
+ * @param {{codec: string, sampleRate: number, numberOfChannels: number, description?: Uint8Array}} config
+ * @param {Object} handlers
+ * @param {(channels: Float32Array[], sampleRate: number) => void} handlers.onOutput
+ * @param {(error: Error) => void} handlers.onError
+ * @returns {DecoderBackend}
+ */
+export function createWebCodecsDecoder(config, { onOutput, onError }) {
+  if (!webCodecsSupported()) {
+    throw new Error('WebCodecs AudioDecoder is not available in this environment');
+  }
+
+  const decoder = new AudioDecoder({
+    output: (audioData) => {
+      try {
+        const channels = [];
+        for (let ch = 0; ch < audioData.numberOfChannels; ch++) {
+          const plane = new Float32Array(audioData.numberOfFrames);
+          audioData.copyTo(plane, { planeIndex: ch, format: 'f32-planar' });
+          channels.push(plane);
+        }
+        onOutput(channels, audioData.sampleRate);
+      } finally {
+        audioData.close();
+      }
+    },
+    error: (e) => onError(e),
+  });
+
+  decoder.configure({
+    codec: config.codec,
+    sampleRate: config.sampleRate,
+    numberOfChannels: config.numberOfChannels,
+    ...(config.description ? { description: config.description } : {}),
+  });
+
+  return {
+    decode(frame) {
+      decoder.decode(new EncodedAudioChunk({
+        type: 'key', // every audio frame is independently decodable
+        timestamp: frame.timestamp,
+        duration: frame.duration,
+        data: frame.data,
+      }));
+    },
+    flush() {
+      return decoder.state === 'configured' ? decoder.flush() : Promise.resolve();
+    },
+    close() {
+      if (decoder.state !== 'closed') decoder.close();
+    },
+  };
+}
+
+/**
+ * @typedef {Object} DecoderBackend
+ * @property {(frame: {data: Uint8Array, timestamp: number, duration: number}) => void} decode
+ * @property {() => Promise<void>} flush - Emit all pending output.
+ * @property {() => void} close
+ */
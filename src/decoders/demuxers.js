@@ -0,0 +1,354 @@
+/**
+ * Incremental demuxers for streamed compressed audio.
+ *
+ * Each demuxer accepts arbitrary byte chunks (a network read can end in the
+ * middle of a frame or page) and returns the complete encoded frames found
+ * so far; partial data is carried over to the next push().
+ *
+ *   - Mp3FrameParser  MPEG-1/2/2.5 Layer III frames (ID3v2 tags and the
+ *                     Xing/Info header frame are skipped)
+ *   - AdtsFrameParser AAC in ADTS framing
+ *   - OggOpusDemuxer  Opus packets from an Ogg stream (OpusHead → config)
+ *
+ * Every demuxer exposes `config` once the stream parameters are known:
+ *   { codec, sampleRate, numberOfChannels, description?, preSkip? }
+ * where `codec` is the WebCodecs codec string.
+ *
+ * @module demuxers
+ */
+
+/**
+ * Join carried-over bytes with a new chunk.
+ * @param {Uint8Array|null} pending
+ * @param {Uint8Array} chunk
+ * @returns {Uint8Array}
+ */
+function concatBytes(pending, chunk) {
+  if (!pending || pending.length === 0) return chunk;
+  const out = new Uint8Array(pending.length + chunk.length);
+  out.set(pending, 0);
+  out.set(chunk, pending.length);
+  return out;
+}
+
+/**
+ * Normalize input to a Uint8Array view.
+ * @param {ArrayBuffer|ArrayBufferView} chunk
+ * @returns {Uint8Array}
+ */
+export function toBytes(chunk) {
+  if (chunk instanceof Uint8Array) return chunk;
+  if (chunk instanceof ArrayBuffer) return new Uint8Array(chunk);
+  if (ArrayBuffer.isView(chunk)) {
+    return new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.byteLength);
+  }
+  throw new TypeError('Encoded audio must be an ArrayBuffer or typed array');
+}
+
+// ─── MP3 ────────────────────────────────────────────────────────────────────
+
+const MP3_BITRATES_V1 = [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320];
+const MP3_BITRATES_V2 = [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160];
+const MP3_SAMPLE_RATES = {
+  3: [44100, 48000, 32000], // MPEG-1
+  2: [22050, 24000, 16000], // MPEG-2
+  0: [11025, 12000, 8000],  // MPEG-2.5
+};
+
+/**
+ * Parse a Layer III frame header at offset.
+ * @returns {{length: number, sampleRate: number, channels: number, samples: number, sideInfo: number}|null}
+ */
+function parseMp3Header(b, i) {
+  if (b[i] !== 0xff || (b[i + 1] & 0xe0) !== 0xe0) return null;
+  const version = (b[i + 1] >> 3) & 0x03;
+  const layer = (b[i + 1] >> 1) & 0x03;
+  if (version === 1 || layer !== 1) return null; // reserved version / not Layer III
+
+  const bitrateIndex = b[i + 2] >> 4;
+  const rateIndex = (b[i + 2] >> 2) & 0x03;
+  if (bitrateIndex === 0 || bitrateIndex === 15 || rateIndex === 3) return null;
+
+  const v1 = version === 3;
+  const bitrate = (v1 ? MP3_BITRATES_V1 : MP3_BITRATES_V2)[bitrateIndex] * 1000;
+  const sampleRate = MP3_SAMPLE_RATES[version][rateIndex];
+  const padding = (b[i + 2] >> 1) & 0x01;
+  const mono = b[i + 3] >> 6 === 3;
+  const samples = v1 ? 1152 : 576;
+
+  return {
+    length: Math.floor(((samples / 8) * bitrate) / sampleRate) + padding,
+    sampleRate,
+    channels: mono ? 1 : 2,
+    samples,
+    // Side information size: where a Xing/Info tag would start
+    sideInfo: v1 ? (mono ? 17 : 32) : (mono ? 9 : 17),
+  };
+}
+
+export class Mp3FrameParser {
+  constructor() {
+    this.config = null;
+    this._pending = null;
+    this._first = true;
+  }
+
+  /**
+   * @param {ArrayBuffer|ArrayBufferView} chunk
+   * @returns {EncodedFrame[]}
+   */
+  push(chunk) {
+    const b = concatBytes(this._pending, toBytes(chunk));
+    const frames = [];
+    let i = 0;
+
+    while (i + 10 <= b.length) {
+      // ID3v2 tag: "ID3", version, flags, 28-bit syncsafe size
+      if (b[i] === 0x49 && b[i + 1] === 0x44 && b[i + 2] === 0x33) {
+        const size = ((b[i + 6] & 0x7f) << 21) | ((b[i + 7] & 0x7f) << 14)
+          | ((b[i + 8] & 0x7f) << 7) | (b[i + 9] & 0x7f);
+        const total = 10 + size + (b[i + 5] & 0x10 ? 10 : 0);
+        if (i + total > b.length) break;
+        i += total;
+        continue;
+      }
+
+      const header = parseMp3Header(b, i);
+      if (!header) {
+        i++; // resync
+        continue;
+      }
+      if (i + header.length > b.length) break;
+
+      const data = b.slice(i, i + header.length);
+      i += header.length;
+
+      if (!this.config) {
+        this.config = {
+          codec: 'mp3',
+          sampleRate: header.sampleRate,
+          numberOfChannels: header.channels,
+        };
+      }
+
+      // The Xing/Info frame carries stream metadata and decodes to silence
+      if (this._first) {
+        this._first = false;
+        const tag = String.fromCharCode(...data.subarray(4 + header.sideInfo, 8 + header.sideInfo));
+        if (tag === 'Xing' || tag === 'Info') continue;
+      }
+
+      frames.push({ data, samples: header.samples });
+    }
+
+    this._pending = b.slice(i);
+    return frames;
+  }
+}
+
+// ─── AAC (ADTS) ─────────────────────────────────────────────────────────────
+
+const ADTS_SAMPLE_RATES = [
+  96000, 88200, 64000, 48000, 44100, 32000, 24000, 22050, 16000, 12000, 11025, 8000, 7350,
+];
+
+/**
+ * Frames keep their ADTS headers: WebCodecs treats AAC without a
+ * `description` as ADTS.
+ */
+export class AdtsFrameParser {
+  constructor() {
+    this.config = null;
+    this._pending = null;
+  }
+
+  /**
+   * @param {ArrayBuffer|ArrayBufferView} chunk
+   * @returns {EncodedFrame[]}
+   */
+  push(chunk) {
+    const b = concatBytes(this._pending, toBytes(chunk));
+    const frames = [];
+    let i = 0;
+
+    while (i + 7 <= b.length) {
+      if (b[i] !== 0xff || (b[i + 1] & 0xf6) !== 0xf0) {
+        i++; // resync
+        continue;
+      }
+      const objectType = (b[i + 2] >> 6) + 1;
+      const rateIndex = (b[i + 2] >> 2) & 0x0f;
+      const channels = ((b[i + 2] & 0x01) << 2) | (b[i + 3] >> 6);
+      const length = ((b[i + 3] & 0x03) << 11) | (b[i + 4] << 3) | (b[i + 5] >> 5);
+      const blocks = (b[i + 6] & 0x03) + 1;
+      if (rateIndex >= ADTS_SAMPLE_RATES.length || length < 7) {
+        i++;
+        continue;
+      }
+      if (i + length > b.length) break;
+
+      if (!this.config) {
+        this.config = {
+          codec: `mp4a.40.${objectType}`,
+          sampleRate: ADTS_SAMPLE_RATES[rateIndex],
+          numberOfChannels: channels || 2,
+        };
+      }
+      frames.push({ data: b.slice(i, i + length), samples: 1024 * blocks });
+      i += length;
+    }
+
+    this._pending = b.slice(i);
+    return frames;
+  }
+}
+
+// ─── Ogg / Opus ─────────────────────────────────────────────────────────────
+
+/**
+ * Samples (at 48 kHz) in an Opus packet, from its TOC byte (RFC 6716 §3.1).
+ * @param {Uint8Array} packet
+ * @returns {number}
+ */
+export function opusPacketSamples(packet) {
+  if (packet.length === 0) return 0;
+  const toc = packet[0];
+  const config = toc >> 3;
+  let frameSize;
+  if (config < 12) frameSize = [480, 960, 1920, 2880][config & 0x03];      // SILK
+  else if (config < 16) frameSize = [480, 960][config & 0x01];             // Hybrid
+  else frameSize = [120, 240, 480, 960][config & 0x03];                    // CELT
+
+  const code = toc & 0x03;
+  let count = 1;
+  if (code === 1 || code === 2) count = 2;
+  else if (code === 3) count = packet.length > 1 ? packet[1] & 0x3f : 0;
+  return frameSize * count;
+}
+
+export class OggOpusDemuxer {
+  constructor() {
+    this.config = null;
+    this._pending = null;
+    this._packetParts = [];
+    this._headerPackets = 0;
+  }
+
+  /**
+   * @param {ArrayBuffer|ArrayBufferView} chunk
+   * @returns {EncodedFrame[]}
+   */
+  push(chunk) {
+    const b = concatBytes(this._pending, toBytes(chunk));
+    const frames = [];
+    let i = 0;
+
+    while (i + 27 <= b.length) {
+      // "OggS" capture pattern
+      if (b[i] !== 0x4f || b[i + 1] !== 0x67 || b[i + 2] !== 0x67 || b[i + 3] !== 0x53) {
+        i++;
+        continue;
+      }
+      const headerType = b[i + 5];
+      const segments = b[i + 26];
+      if (i + 27 + segments > b.length) break;
+
+      let bodyLength = 0;
+      for (let s = 0; s < segments; s++) bodyLength += b[i + 27 + s];
+      const bodyStart = i + 27 + segments;
+      if (bodyStart + bodyLength > b.length) break;
+
+      // A page that doesn't continue a packet discards any stale partial
+      if (!(headerType & 0x01)) this._packetParts = [];
+
+      let offset = bodyStart;
+      for (let s = 0; s < segments; s++) {
+        const size = b[i + 27 + s];
+        this._packetParts.push(b.subarray(offset, offset + size));
+        offset += size;
+        if (size < 255) {
+          this._onPacket(concatParts(this._packetParts), frames);
+          this._packetParts = [];
+        }
+      }
+      // Keep continued packet data alive past this buffer
+      this._packetParts = this._packetParts.map((p) => p.slice());
+
+      i = bodyStart + bodyLength;
+    }
+
+    this._pending = b.slice(i);
+    return frames;
+  }
+
+  /** @private */
+  _onPacket(packet, frames) {
+    if (isTag(packet, 'OpusHead')) {
+      this.config = {
+        codec: 'opus',
+        sampleRate: 48000,
+        numberOfChannels: packet[9],
+        description: packet,
+        preSkip: packet[10] | (packet[11] << 8),
+      };
+      this._headerPackets = 1;
+      return;
+    }
+    if (this._headerPackets === 1 && isTag(packet, 'OpusTags')) {
+      this._headerPackets = 2;
+      return;
+    }
+    if (!this.config || packet.length === 0) return;
+    frames.push({ data: packet, samples: opusPacketSamples(packet) });
+  }
+}
+
+/** @param {Uint8Array[]} parts */
+function concatParts(parts) {
+  if (parts.length === 1) return parts[0].slice();
+  let length = 0;
+  for (const p of parts) length += p.length;
+  const out = new Uint8Array(length);
+  let offset = 0;
+  for (const p of parts) {
+    out.set(p, offset);
+    offset += p.length;
+  }
+  return out;
+}
+
+/** @param {Uint8Array} packet @param {string} tag */
+function isTag(packet, tag) {
+  if (packet.length < tag.length) return false;
+  for (let i = 0; i < tag.length; i++) {
+    if (packet[i] !== tag.charCodeAt(i)) return false;
+  }
+  return true;
+}
+
+// ─── Factory ────────────────────────────────────────────────────────────────
+
+/** @type {Object<string, Function>} Demuxer per feedEncoded() codec name. */
+export const DEMUXERS = {
+  mp3: Mp3FrameParser,
+  aac: AdtsFrameParser,
+  opus: OggOpusDemuxer,
+};
+
+/**
+ * Create a demuxer for a codec name.
+ * @param {'mp3'|'aac'|'opus'} codec
+ */
+export function createDemuxer(codec) {
+  const Demuxer = DEMUXERS[codec];
+  if (!Demuxer) {
+    throw new TypeError(`Unsupported codec: ${codec} (expected ${Object.keys(DEMUXERS).join(', ')})`);
+  }
+  return new Demuxer();
+}
+
+/**
+ * @typedef {Object} EncodedFrame
+ * @property {Uint8Array} data - One encoded frame / packet.
+ * @property {number} samples - Decoded samples per channel at config.sampleRate.
+ */
@@ -0,0 +1,148 @@
+import { describe, it, expect } from 'vitest';
+import {
+  Mp3FrameParser, AdtsFrameParser, OggOpusDemuxer, opusPacketSamples, createDemuxer, toBytes,
+} from './demuxers.js';
+
+/** MPEG-1 Layer III, 128 kbps, 44.1 kHz, stereo: 417-byte frames. */
+function mp3Frame(fill = 0) {
+  const frame = new Uint8Array(417).fill(fill);
+  frame.set([0xff, 0xfb, 0x90, 0x00]);
+  return frame;
+}
+
+/** ADTS AAC-LC, 44.1 kHz, stereo, one raw block. */
+function adtsFrame(length = 100) {
+  const frame = new Uint8Array(length);
+  frame.set([0xff, 0xf1, 0x50, 0x80 | (length >> 11), (length >> 3) & 0xff, ((length & 7) << 5) | 0x1f, 0xfc]);
+  return frame;
+}
+
+/** One Ogg page holding whole packets (or the start/end of one, via headerType). */
+function oggPage(packets, headerType = 0, { open = false } = {}) {
+  const lacing = [];
+  packets.forEach((p, n) => {
+    let size = p.length;
+    while (size >= 255) { lacing.push(255); size -= 255; }
+    if (!(open && n === packets.length - 1)) lacing.push(size);
+  });
+  const body = concat(...packets);
+  const header = new Uint8Array(27 + lacing.length);
+  header.set([0x4f, 0x67, 0x67, 0x53, 0, headerType]);
+  header[26] = lacing.length;
+  header.set(lacing, 27);
+  return concat(header, body);
+}
+
+function concat(...parts) {
+  const out = new Uint8Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  for (const p of parts) { out.set(p, offset); offset += p.length; }
+  return out;
+}
+
+function ascii(text) {
+  return Uint8Array.from(text, (c) => c.charCodeAt(0));
+}
+
+function opusHead(channels = 1, preSkip = 312) {
+  const head = new Uint8Array(19);
+  head.set(ascii('OpusHead'));
+  head[8] = 1;
+  head[9] = channels;
+  head[10] = preSkip & 0xff;
+  head[11] = preSkip >> 8;
+  return head;
+}
+
+/** Push bytes in fixed-size chunks and collect the frames. */
+function pushInChunks(demuxer, bytes, size) {
+  const frames = [];
+  for (let i = 0; i < bytes.length; i += size) frames.push(...demuxer.push(bytes.subarray(i, i + size)));
+  return frames;
+}
+
+describe('toBytes', () => {
+  it('views buffers and typed arrays as bytes', () => {
+    const int16 = Int16Array.of(1, 2);
+    expect(toBytes(int16)).toHaveLength(4);
+    expect(toBytes(int16.buffer)).toHaveLength(4);
+    expect(toBytes(new DataView(int16.buffer, 2))).toHaveLength(2);
+    expect(() => toBytes('abc')).toThrow(TypeError);
+  });
+});
+
+describe('Mp3FrameParser', () => {
+  it('skips ID3v2 tags and reassembles frames split across chunks', () => {
+    const id3 = concat(ascii('ID3'), Uint8Array.of(4, 0, 0, 0, 0, 0, 5), new Uint8Array(5));
+    const bytes = concat(id3, mp3Frame(1), mp3Frame(2), mp3Frame(3));
+    const parser = new Mp3FrameParser();
+    const frames = pushInChunks(parser, bytes, 100);
+
+    expect(parser.config).toEqual({ codec: 'mp3', sampleRate: 44100, numberOfChannels: 2 });
+    expect(frames.map((f) => [f.data.length, f.data[5], f.samples])).toEqual([
+      [417, 1, 1152], [417, 2, 1152], [417, 3, 1152],
+    ]);
+  });
+
+  it('drops the Xing/Info header frame and resyncs past junk', () => {
+    const info = mp3Frame();
+    info.set(ascii('Info'), 4 + 32);
+    const parser = new Mp3FrameParser();
+    const frames = parser.push(concat(info, Uint8Array.of(0xff, 0x00, 0x12), mp3Frame(7), new Uint8Array(10)));
+    expect(frames).toHaveLength(1);
+    expect(frames[0].data[5]).toBe(7);
+  });
+});
+
+describe('AdtsFrameParser', () => {
+  it('reads the config from the first header and keeps headers on frames', () => {
+    const parser = new AdtsFrameParser();
+    const frames = pushInChunks(parser, concat(adtsFrame(), adtsFrame(120)), 33);
+    expect(parser.config).toEqual({ codec: 'mp4a.40.2', sampleRate: 44100, numberOfChannels: 2 });
+    expect(frames.map((f) => [f.data.length, f.samples])).toEqual([[100, 1024], [120, 1024]]);
+    expect(frames[0].data[0]).toBe(0xff);
+  });
+});
+
+describe('OggOpusDemuxer', () => {
+  it('reads OpusHead, skips OpusTags and emits audio packets', () => {
+    const audio = Uint8Array.of(0xf8, 1, 2, 3); // CELT 20 ms, one frame
+    const bytes = concat(oggPage([opusHead(2, 312)], 0x02), oggPage([ascii('OpusTags')]), oggPage([audio, audio]));
+    const demuxer = new OggOpusDemuxer();
+    const frames = pushInChunks(demuxer, bytes, 7);
+
+    expect(demuxer.config).toMatchObject({ codec: 'opus', sampleRate: 48000, numberOfChannels: 2, preSkip: 312 });
+    expect(demuxer.config.description).toHaveLength(19);
+    expect(frames.map((f) => f.samples)).toEqual([960, 960]);
+    expect([...frames[1].data]).toEqual([...audio]);
+  });
+
+  it('joins a packet continued on the next page', () => {
+    const long = new Uint8Array(600).fill(9);
+    long[0] = 0xf8;
+    const demuxer = new OggOpusDemuxer();
+    demuxer.push(oggPage([opusHead()], 0x02));
+    const first = demuxer.push(oggPage([long.subarray(0, 510)], 0, { open: true }));
+    const rest = demuxer.push(oggPage([long.subarray(510)], 0x01));
+
+    expect(first).toHaveLength(0);
+    expect(rest).toHaveLength(1);
+    expect(rest[0].data).toEqual(long);
+  });
+
+  it('counts samples from the TOC byte', () => {
+    expect(opusPacketSamples(Uint8Array.of(0x78))).toBe(960);        // Hybrid 20 ms
+    expect(opusPacketSamples(Uint8Array.of(0x01))).toBe(960);        // SILK 10 ms, two frames
+    expect(opusPacketSamples(Uint8Array.of(0xfb, 3))).toBe(2880);    // CELT 20 ms, three frames
+    expect(opusPacketSamples(new Uint8Array(0))).toBe(0);
+  });
+});
+
+describe('createDemuxer', () => {
+  it('creates a demuxer per codec name and rejects others', () => {
+    expect(createDemuxer('mp3')).toBeInstanceOf(Mp3FrameParser);
+    expect(createDemuxer('aac')).toBeInstanceOf(AdtsFrameParser);
+    expect(createDemuxer('opus')).toBeInstanceOf(OggOpusDemuxer);
+    expect(() => createDemuxer('flac')).toThrow(TypeError);
+  });
+});
@@ -27,9 +27,87 @@
 
 // ── Core ─────────────────────────────────────────────────────────
 export { LipSyncEngine } from './core/LipSyncEngine.js';
+export { VoiceManager } from './core/VoiceManager.js';
+export { MetricsCollector } from './core/MetricsCollector.js';
+export { PRESETS, TELEPHONY_BANDS } from './core/presets.js';
 
 // ── Analyzers ────────────────────────────────────────────────────
 export { FrequencyAnalyzer } from './analyzers/FrequencyAnalyzer.js';
+export { OfflineAnalyserNode, analyzeOffline } from './analyzers/OfflineAnalyzer.js';
+export {
+  VisemeTimeline,
+  AZURE_VISEME_TO_VISEME,
+  CHARACTER_TO_VISEME,
+} from './analyzers/VisemeTimeline.js';
+export { HybridAnalyzer } from './analyzers/HybridAnalyzer.js';
+export {
+  FormantTracker,
+  VOWEL_SPACE,
+  lpc,
+  levinsonDurbin,
+  polynomialRoots,
+} from './analyzers/FormantTracker.js';
+export {
+  SoftmaxClassifier,
+  SOFTMAX_MODEL_VERSION,
+  DEFAULT_FEATURE_SPEC,
+  featureVector,
+  featureVectorSize,
+  trainSoftmax,
+  loadClassifier,
+  BUILTIN_MODELS,
+} from './analyzers/SoftmaxClassifier.js';
+export {
+  FeatureExtractor,
+  spectralCentroid,
+  spectralFlatness,
+  spectralRolloff,
+} from './analyzers/FeatureExtractor.js';
+export {
+  VoiceCalibrator,
+  calibrateFromClip,
+  toVoiceProfileJSON,
+  parseVoiceProfile,
+  VOICE_PROFILE_FORMAT,
+  VOICE_PROFILE_VERSION,
+} from './analyzers/VoiceCalibrator.js';
+export { VoiceActivityDetector } from './analyzers/VoiceActivityDetector.js';
+
+// ── Tracks ───────────────────────────────────────────────────────
+export { VisemeRecorder } from './tracks/VisemeRecorder.js';
+export { TrackPlayer } from './tracks/TrackPlayer.js';
+export {
+  toRhubarbTSV,
+  toRhubarbJSON,
+  toPapagayoDat,
+  toNativeJSON,
+  parseRhubarbJSON,
+  parseRhubarbTSV,
+  parsePapagayoDat,
+  parseNativeJSON,
+  parseTrack,
+  detectTrackFormat,
+  NATIVE_TRACK_FORMAT,
+  NATIVE_TRACK_VERSION,
+} from './tracks/formats.js';
+
+// ── Decoders ─────────────────────────────────────────────────────
+export { EncodedAudioStream } from './decoders/EncodedAudioStream.js';
+export {
+  PcmStreamAdapter,
+  PCM_ENCODINGS,
+  decodePcm,
+  normalizePcmFormat,
+} from './decoders/PcmStreamAdapter.js';
+export { createWebCodecsDecoder, webCodecsSupported } from './decoders/WebCodecsDecoder.js';
+export {
+  Mp3FrameParser,
+  AdtsFrameParser,
+  OggOpusDemuxer,
+  DEMUXERS,
+  createDemuxer,
+  opusPacketSamples,
+} from './decoders/demuxers.js';
 
 // ── Renderers ────────────────────────────────────────────────────
 export { SVGMouthRenderer } from './renderers/SVGMouthRenderer.js';
@@ -45,29 +123,80 @@ export {
   EXTENDED_TO_SIMPLE,
   PHONEME_TO_VISEME,
   ARPABET_PHONEMES,
+  RHUBARB_SHAPES,
+  EXTENDED_TO_RHUBARB,
+  SIMPLE_TO_RHUBARB,
+  EXTENDED_TO_PAPAGAYO,
+  RHUBARB_TO_EXTENDED,
+  PAPAGAYO_TO_EXTENDED,
   VISEME_SHAPES,
   TRANSITION_WEIGHTS,
+  TRANSITION_TABLE,
+  createTransitionTable,
   getTransitionWeight,
   interpolateShapes,
 } from './core/visemes.js';
 
+export {
+  CoarticulationModel,
+  VISEME_DOMINANCE,
+  blendShapes,
+} from './core/coarticulation.js';
+
+export {
+  BlendshapeMapper,
+  BLENDSHAPE_PRESETS,
+  ARKIT_BLENDSHAPES,
+  OCULUS_VISEME_TARGETS,
+  frameVisemeWeights,
+} from './core/blendshapes.js';
+
+export {
+  BUILTIN_PRONUNCIATIONS,
+  wordToPhonemes,
+  wordToPhonemeEvents,
+  wordToVisemeEvents,
+} from './core/g2p.js';
+
 // ── Utilities ────────────────────────────────────────────────────
 export {
   int16ToFloat32,
   float32ToInt16,
   base64ToInt16,
+  base64ToUint8,
   int16ToBase64,
+  mulawToInt16,
+  alawToInt16,
   calculateRMS,
   zeroCrossingRate,
   extractBandEnergies,
+  DEFAULT_BANDS,
   smoothValue,
   lerp,
   clamp,
   resample,
 } from './utils/audio-utils.js';
 
+export {
+  fft,
+  blackmanWindow,
+  hannWindow,
+  magnitudeSpectrum,
+} from './utils/fft.js';
+
+export {
+  hzToMel,
+  melToHz,
+  createMelFilterbank,
+  bytePower,
+  melEnergies,
+  mfcc,
+} from './utils/mel.js';
+
 export { EventEmitter } from './utils/EventEmitter.js';
 export { RingBuffer } from './utils/RingBuffer.js';
+export { FeatureRing, FEATURE_STRIDE } from './utils/FeatureRing.js';
+export { StreamingResampler, RESAMPLER_QUALITY } from './utils/StreamingResampler.js';
 
 // ── Version ──────────────────────────────────────────────────────
 export const VERSION = '1.0.0';
@@ -0,0 +1,195 @@
+/**
+ * TrackPlayer — Plays precomputed viseme tracks in sync with audio.
+ *
+ * Loads a Rhubarb JSON/TSV, Papagayo .dat or native JSON track and emits
+ * `viseme` frames (same shape as live analysis) driven by either:
+ *   - a LipSyncEngine: the worklet-reported playback position (`timeMs`)
+ *   - an HTMLMediaElement: its `currentTime`
+ *
+ * Mouth shapes are interpolated between cues with interpolateShapes(), so
+ * hand-corrected tracks go through the same renderer pipeline as live TTS.
+ *
+ * @module TrackPlayer
+ *
+ * @example
+ *   const player = new TrackPlayer();
+ *   player.load(await (await fetch('/voice/line01.json')).text());
+ *   player.on('viseme', (frame) => mouth.render(frame));
+ *
+ *   player.attachElement(audioElement);
+ *   audioElement.play();
+ */
+
+import { EventEmitter } from '../utils/EventEmitter.js';
+import { VisemeTimeline } from '../analyzers/VisemeTimeline.js';
+import { parseTrack } from './formats.js';
+
+/** Default player configuration. */
+const DEFAULTS = {
+  transitionMs: 60,          // Blend time into each cue
+  defaultIntensity: 0.8,     // Intensity for cues that carry none (Rhubarb, Papagayo)
+  intensitySmoothing: 0.2,
+  visemeWeights: false,      // Attach coarticulation weights
+  coarticulation: null,
+};
+
+export class TrackPlayer extends EventEmitter {
+  /**
+   * @param {Partial<typeof DEFAULTS>} [options]
+   */
+  constructor(options = {}) {
+    super();
+    this.opts = { ...DEFAULTS, ...options };
+
+    this.timeline = new VisemeTimeline({
+      transitionMs: this.opts.transitionMs,
+      defaultIntensity: this.opts.defaultIntensity,
+      intensitySmoothing: this.opts.intensitySmoothing,
+      visemeWeights: this.opts.visemeWeights,
+      coarticulation: this.opts.coarticulation,
+      retentionMs: Infinity, // media elements can seek backwards
+    });
+
+    /** @type {import('./formats.js').TrackCue[]} */
+    this.cues = [];
+
+    // Clock source
+    this._readTime = null;
+    this._unsubscribe = null;
+    this._animFrameId = null;
+    this._intervalId = null;
+    this._lastTimeMs = null;
+    this._ended = false;
+  }
+
+  // ════════════════════════════════════════════════════════════════
+  //  LOADING
+  // ════════════════════════════════════════════════════════════════
+
+  /**
+   * Load a track, replacing any previous one.
+   * @param {string|Object|import('./formats.js').TrackCue[]} track - Serialized track,
+   *   parsed JSON object, or an array of cues.
+   * @param {Object} [options] - Passed to parseTrack() (format, fps).
+   * @returns {this}
+   */
+  load(track, options = {}) {
+    this.cues = Array.isArray(track) ? track.map((c) => ({ ...c })) : parseTrack(track, options);
+    this.timeline.reset();
+    this.timeline.addVisemes(this.cues);
+    this._ended = false;
+    this._lastTimeMs = null;
+    this.emit('loaded', { cues: this.cues.length, durationMs: this.durationMs });
+    return this;
+  }
+
+  /** Track duration in ms. */
+  get durationMs() {
+    return this.cues.length ? this.cues[this.cues.length - 1].endMs : 0;
+  }
+
+  // ════════════════════════════════════════════════════════════════
+  //  CLOCK SOURCES
+  // ════════════════════════════════════════════════════════════════
+
+  /**
+   * Drive playback from a LipSyncEngine's worklet position.
+   * @param {import('../core/LipSyncEngine.js').LipSyncEngine} engine
+   * @param {Object} [options]
+   * @param {number} [options.offsetMs] - Engine playback time at which the track starts.
+   *   Defaults to the engine's current playback position.
+   * @returns {this}
+   */
+  attachEngine(engine, options = {}) {
+    this.detach();
+    const offsetMs = options.offsetMs ?? engine.playbackTimeMs;
+    this._readTime = () => engine.playbackTimeMs - offsetMs;
+    this._unsubscribe = engine.on('destroyed', () => this.detach());
+    this._startLoop();
+    return this;
+  }
+
+  /**
+   * Drive playback from an audio/video element's currentTime.
+   * @param {HTMLMediaElement} element
+   * @param {Object} [options]
+   * @param {number} [options.offsetMs=0] - Media time (ms) at which the track starts.
+   * @returns {this}
+   */
+  attachElement(element, options = {}) {
+    this.detach();
+    const offsetMs = options.offsetMs ?? 0;
+    this._readTime = () => element.currentTime * 1000 - offsetMs;
+    this._startLoop();
+    return this;
+  }
+
+  /** Stop following the current clock source. */
+  detach() {
+    if (this._animFrameId !== null) {
+      cancelAnimationFrame(this._animFrameId);
+      this._animFrameId = null;
+    }
+    if (this._intervalId !== null) {
+      clearInterval(this._intervalId);
+      this._intervalId = null;
+    }
+    if (this._unsubscribe) {
+      this._unsubscribe();
+      this._unsubscribe = null;
+    }
+    this._readTime = null;
+  }
+
+  /** @private */
+  _startLoop() {
+    if (typeof requestAnimationFrame === 'function') {
+      const tick = () => {
+        if (!this._readTime) return;
+        this.update(this._readTime());
+        this._animFrameId = requestAnimationFrame(tick);
+      };
+      this._animFrameId = requestAnimationFrame(tick);
+    } else {
+      this._intervalId = setInterval(() => {
+        if (this._readTime) this.update(this._readTime());
+      }, 16);
+    }
+  }
+
+  // ════════════════════════════════════════════════════════════════
+  //  PLAYBACK
+  // ════════════════════════════════════════════════════════════════
+
+  /**
+   * Produce and emit the frame for a track position. Called automatically
+   * when attached to a clock source; call it yourself to drive manually.
+   *
+   * @param {number} timeMs - Position within the track (ms).
+   * @returns {import('../analyzers/FrequencyAnalyzer.js').VisemeFrame}
+   */
+  update(timeMs) {
+    if (this._lastTimeMs !== null && timeMs < this._lastTimeMs) {
+      // Seek backwards: allow 'ended' to fire again
+      this._ended = false;
+    }
+    this._lastTimeMs = timeMs;
+
+    const frame = this.timeline.analyze(timeMs);
+    frame.timeMs = timeMs;
+    frame.bufferLevel = 0;
+    this.emit('viseme', frame);
+
+    if (!this._ended && this.cues.length > 0 && timeMs >= this.durationMs) {
+      this._ended = true;
+      this.emit('ended');
+    }
+    return frame;
+  }
+
+  /** Detach and drop all listeners. */
+  destroy() {
+    this.detach();
+    this.removeAllListeners();
+  }
+}
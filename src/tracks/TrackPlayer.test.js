@@ -0,0 +1,79 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { TrackPlayer } from './TrackPlayer.js';
+import { toRhubarbTSV } from './formats.js';
+import { LipSyncEngine } from '../core/LipSyncEngine.js';
+
+const CUES = [
+  { viseme: 'PP', startMs: 0, endMs: 100 },
+  { viseme: 'aa', startMs: 100, endMs: 300 },
+  { viseme: 'sil', startMs: 300, endMs: 400 },
+];
+
+afterEach(() => {
+  vi.useRealTimers();
+});
+
+describe('TrackPlayer', () => {
+  it('loads serialized tracks and cue arrays', () => {
+    const player = new TrackPlayer();
+    const loaded = vi.fn();
+    player.on('loaded', loaded);
+    player.load(toRhubarbTSV(CUES));
+    // Rhubarb's final X line only marks the end of the track
+    expect(player.cues.map((c) => c.viseme)).toEqual(['PP', 'aa']);
+    expect(loaded).toHaveBeenCalledWith({ cues: 2, durationMs: 300 });
+
+    player.load(CUES);
+    expect(player.cues).not.toBe(CUES);
+    expect(player.durationMs).toBe(400);
+  });
+
+  it('emits frames for a track position and ended once', () => {
+    const player = new TrackPlayer({ intensitySmoothing: 0 }).load(CUES);
+    const ended = vi.fn();
+    player.on('ended', ended);
+
+    const frame = player.update(150);
+    expect(frame).toMatchObject({ viseme: 'aa', timeMs: 150, bufferLevel: 0, intensity: 0.8 });
+    player.update(400);
+    player.update(450);
+    expect(ended).toHaveBeenCalledTimes(1);
+
+    // Seeking back lets it end again
+    expect(player.update(50).viseme).toBe('PP');
+    player.update(500);
+    expect(ended).toHaveBeenCalledTimes(2);
+  });
+
+  it('follows an element clock', () => {
+    vi.useFakeTimers();
+    const element = { currentTime: 0 };
+    const player = new TrackPlayer().load(CUES).attachElement(element, { offsetMs: 1000 });
+    const frames = [];
+    player.on('viseme', (f) => frames.push(f));
+
+    element.currentTime = 1.15;
+    vi.advanceTimersByTime(16);
+    expect(frames.at(-1)).toMatchObject({ viseme: 'aa', timeMs: expect.closeTo(150) });
+
+    player.detach();
+    vi.advanceTimersByTime(100);
+    expect(frames).toHaveLength(1);
+  });
+
+  it('follows an engine and detaches when it is destroyed', () => {
+    vi.useFakeTimers();
+    const engine = new LipSyncEngine();
+    const player = new TrackPlayer().load(CUES).attachEngine(engine, { offsetMs: 0 });
+    const onFrame = vi.fn();
+    player.on('viseme', onFrame);
+
+    vi.advanceTimersByTime(16);
+    expect(onFrame).toHaveBeenCalledTimes(1);
+
+    engine.destroy();
+    vi.advanceTimersByTime(100);
+    expect(onFrame).toHaveBeenCalledTimes(1);
+    expect(player._readTime).toBeNull();
+  });
+});
@@ -0,0 +1,199 @@
+/**
+ * VisemeRecorder — Collapses viseme frames into timed cues for export.
+ *
+ * Records either live `viseme` events from an engine or the output of
+ * analyzeOffline(), merges consecutive frames with the same viseme into
+ * cues, and serializes them to Rhubarb, Papagayo or native JSON tracks.
+ *
+ * @module VisemeRecorder
+ *
+ * @example
+ *   const recorder = new VisemeRecorder();
+ *   recorder.start(engine);
+ *   // ... play audio ...
+ *   recorder.stop();
+ *   download('line01.tsv', recorder.toRhubarbTSV());
+ *
+ *   // Offline
+ *   const cues = new VisemeRecorder().addFrames(analyzeOffline(pcm, 24000)).getCues();
+ */
+
+import {
+  toRhubarbTSV,
+  toRhubarbJSON,
+  toPapagayoDat,
+  toNativeJSON,
+} from './formats.js';
+
+export class VisemeRecorder {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.minCueMs=0] - Cues shorter than this are merged into the previous cue.
+   * @param {number} [options.frameMs] - Duration of the final frame (defaults to the median frame spacing).
+   */
+  constructor(options = {}) {
+    this.opts = {
+      minCueMs: 0,
+      frameMs: null,
+      ...options,
+    };
+
+    /** @type {Array<{viseme: string, timeMs: number, intensity: number, confidence: number}>} */
+    this.frames = [];
+
+    this._unsubscribe = null;
+  }
+
+  /**
+   * Start recording `viseme` events from an engine (or any emitter).
+   * @param {{on: Function}} source
+   * @returns {this}
+   */
+  start(source) {
+    this.stop();
+    this._unsubscribe = source.on('viseme', (frame) => this.addFrame(frame));
+    return this;
+  }
+
+  /** Stop recording live events. Recorded frames are kept. */
+  stop() {
+    if (this._unsubscribe) {
+      this._unsubscribe();
+      this._unsubscribe = null;
+    }
+  }
+
+  /** Whether the recorder is subscribed to a live source. */
+  get recording() {
+    return this._unsubscribe !== null;
+  }
+
+  /**
+   * Record a single frame. Frames whose time does not advance (e.g. while
+   * playback is stalled) only update the current cue.
+   * @param {import('../analyzers/FrequencyAnalyzer.js').VisemeFrame} frame
+   * @returns {this}
+   */
+  addFrame(frame) {
+    const last = this.frames[this.frames.length - 1];
+    const timeMs = frame.timeMs ?? 0;
+    if (last && timeMs <= last.timeMs) return this;
+    this.frames.push({
+      viseme: frame.viseme,
+      timeMs,
+      intensity: frame.intensity ?? 0,
+      confidence: frame.confidence ?? 1,
+    });
+    return this;
+  }
+
+  /**
+   * Record many frames (e.g. analyzeOffline() output).
+   * @param {Iterable<import('../analyzers/FrequencyAnalyzer.js').VisemeFrame>} frames
+   * @returns {this}
+   */
+  addFrames(frames) {
+    for (const frame of frames) this.addFrame(frame);
+    return this;
+  }
+
+  /** Discard all recorded frames. */
+  clear() {
+    this.frames = [];
+  }
+
+  /**
+   * Collapse recorded frames into cues.
+   * @returns {import('./formats.js').TrackCue[]}
+   */
+  getCues() {
+    const frames = this.frames;
+    if (frames.length === 0) return [];
+
+    const frameMs = this.opts.frameMs ?? medianSpacing(frames);
+    const cues = [];
+    let sumIntensity = 0;
+    let sumConfidence = 0;
+    let count = 0;
+
+    for (let i = 0; i < frames.length; i++) {
+      const f = frames[i];
+      const current = cues[cues.length - 1];
+      if (current && current.viseme === f.viseme) {
+        sumIntensity += f.intensity;
+        sumConfidence += f.confidence;
+        count++;
+      } else {
+        if (current) {
+          current.intensity = sumIntensity / count;
+          current.confidence = sumConfidence / count;
+        }
+        cues.push({ viseme: f.viseme, startMs: f.timeMs, endMs: f.timeMs });
+        sumIntensity = f.intensity;
+        sumConfidence = f.confidence;
+        count = 1;
+      }
+      const next = frames[i + 1];
+      cues[cues.length - 1].endMs = next ? next.timeMs : f.timeMs + frameMs;
+    }
+    const tail = cues[cues.length - 1];
+    tail.intensity = sumIntensity / count;
+    tail.confidence = sumConfidence / count;
+
+    return mergeShortCues(cues, this.opts.minCueMs);
+  }
+
+  /** @param {Object} [options] - See toRhubarbTSV(). */
+  toRhubarbTSV(options) {
+    return toRhubarbTSV(this.getCues(), options);
+  }
+
+  /** @param {Object} [options] - See toRhubarbJSON(). */
+  toRhubarbJSON(options) {
+    return toRhubarbJSON(this.getCues(), options);
+  }
+
+  /** @param {Object} [options] - See toPapagayoDat(). */
+  toPapagayoDat(options) {
+    return toPapagayoDat(this.getCues(), options);
+  }
+
+  /** @param {Object} [metadata] - See toNativeJSON(). */
+  toNativeJSON(metadata) {
+    return toNativeJSON(this.getCues(), metadata);
+  }
+}
+
+/**
+ * Median spacing between consecutive frames (ms), 1000/60 when unknown.
+ * @param {Array<{timeMs: number}>} frames
+ */
+function medianSpacing(frames) {
+  if (frames.length < 2) return 1000 / 60;
+  const deltas = [];
+  for (let i = 1; i < frames.length; i++) {
+    deltas.push(frames[i].timeMs - frames[i - 1].timeMs);
+  }
+  deltas.sort((a, b) => a - b);
+  return deltas[deltas.length >> 1];
+}
+
+/**
+ * Fold cues shorter than minMs into their predecessor, then re-merge
+ * neighbours that end up with the same viseme.
+ * @param {import('./formats.js').TrackCue[]} cues
+ * @param {number} minMs
+ */
+function mergeShortCues(cues, minMs) {
+  if (!(minMs > 0) || cues.length < 2) return cues;
+  const out = [];
+  for (const cue of cues) {
+    const prev = out[out.length - 1];
+    if (prev && (cue.endMs - cue.startMs < minMs || prev.viseme === cue.viseme)) {
+      prev.endMs = cue.endMs;
+    } else {
+      out.push({ ...cue });
+    }
+  }
+  return out;
+}
@@ -0,0 +1,60 @@
+import { describe, it, expect } from 'vitest';
+import { VisemeRecorder } from './VisemeRecorder.js';
+import { EventEmitter } from '../utils/EventEmitter.js';
+
+function frames(visemes, frameMs = 100) {
+  return visemes.map((viseme, i) => ({ viseme, timeMs: i * frameMs, intensity: viseme === 'sil' ? 0 : 0.8, confidence: 1 }));
+}
+
+describe('VisemeRecorder', () => {
+  it('collapses runs of equal visemes into cues', () => {
+    const recorder = new VisemeRecorder().addFrames(frames(['sil', 'PP', 'PP', 'aa', 'aa', 'aa', 'sil']));
+    const cues = recorder.getCues();
+    expect(cues.map((c) => [c.viseme, c.startMs, c.endMs])).toEqual([
+      ['sil', 0, 100],
+      ['PP', 100, 300],
+      ['aa', 300, 600],
+      ['sil', 600, 700],
+    ]);
+    expect(cues[2].intensity).toBeCloseTo(0.8);
+    expect(cues[3].intensity).toBe(0);
+    expect(cues.every((c) => c.confidence === 1)).toBe(true);
+  });
+
+  it('ignores frames whose time does not advance', () => {
+    const recorder = new VisemeRecorder();
+    recorder.addFrame({ viseme: 'aa', timeMs: 0 });
+    recorder.addFrame({ viseme: 'O', timeMs: 0 });
+    recorder.addFrame({ viseme: 'O', timeMs: 50 });
+    expect(recorder.frames.map((f) => f.viseme)).toEqual(['aa', 'O']);
+  });
+
+  it('folds cues shorter than minCueMs into their predecessor', () => {
+    const recorder = new VisemeRecorder({ minCueMs: 150 })
+      .addFrames(frames(['aa', 'aa', 'E', 'aa', 'aa', 'O', 'O']));
+    expect(recorder.getCues().map((c) => [c.viseme, c.startMs, c.endMs])).toEqual([
+      ['aa', 0, 500],
+      ['O', 500, 700],
+    ]);
+  });
+
+  it('records live viseme events until stopped', () => {
+    const engine = new EventEmitter();
+    const recorder = new VisemeRecorder().start(engine);
+    expect(recorder.recording).toBe(true);
+    engine.emit('viseme', { viseme: 'PP', timeMs: 0 });
+    engine.emit('viseme', { viseme: 'aa', timeMs: 16 });
+    recorder.stop();
+    engine.emit('viseme', { viseme: 'O', timeMs: 32 });
+    expect(recorder.recording).toBe(false);
+    expect(recorder.frames).toHaveLength(2);
+  });
+
+  it('exports the recorded cues', () => {
+    const recorder = new VisemeRecorder().addFrames(frames(['sil', 'PP', 'aa', 'aa']));
+    expect(recorder.toRhubarbTSV()).toBe('0.00\tX\n0.10\tA\n0.20\tD\n0.40\tX\n');
+    expect(JSON.parse(recorder.toNativeJSON({ voice: 'alloy' })).metadata).toEqual({ voice: 'alloy' });
+    recorder.clear();
+    expect(recorder.getCues()).toEqual([]);
+  });
+});
@@ -0,0 +1,323 @@
+/**
+ * Viseme track serialization and parsing.
+ *
+ * A track is a list of timed cues:
+ *   { viseme, startMs, endMs, intensity?, confidence? }
+ *
+ * Supported formats:
+ *   - Rhubarb Lip Sync TSV   ("0.00\tX" per line, A–H/X shapes)
+ *   - Rhubarb Lip Sync JSON  ({ metadata, mouthCues: [{ start, end, value }] })
+ *   - Papagayo / Moho .dat   ("MohoSwitch1" + "frame mouth" lines, 1-based frames)
+ *   - Native JSON track      (see toNativeJSON)
+ *
+ * Every format can be read back with the matching parse function (or
+ * parseTrack(), which detects the format).
+ *
+ * @module formats
+ */
+
+import {
+  EXTENDED_TO_RHUBARB,
+  EXTENDED_TO_PAPAGAYO,
+  RHUBARB_TO_EXTENDED,
+  PAPAGAYO_TO_EXTENDED,
+} from '../core/visemes.js';
+
+/** Identifier written to native JSON tracks. */
+export const NATIVE_TRACK_FORMAT = 'lipsync-engine-track';
+
+/** Current native JSON track version. */
+export const NATIVE_TRACK_VERSION = 1;
+
+/**
+ * Map cues through a viseme → label table and merge adjacent equal labels.
+ * @param {TrackCue[]} cues
+ * @param {Object<string, string>} table
+ * @param {string} fallback
+ * @returns {Array<{label: string, startMs: number, endMs: number}>}
+ */
+function mapCues(cues, table, fallback) {
+  const out = [];
+  for (const cue of cues) {
+    const label = table[cue.viseme] ?? fallback;
+    const last = out[out.length - 1];
+    if (last && last.label === label && Math.abs(last.endMs - cue.startMs) < 1e-6) {
+      last.endMs = cue.endMs;
+    } else {
+      out.push({ label, startMs: cue.startMs, endMs: cue.endMs });
+    }
+  }
+  return out;
+}
+
+/** @param {number} ms */
+function seconds(ms) {
+  return Math.round(ms) / 1000;
+}
+
+/**
+ * Serialize cues as Rhubarb Lip Sync TSV. The final line marks the end of
+ * the track with the idle shape, as Rhubarb does.
+ *
+ * @param {TrackCue[]} cues
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.shapeMap=EXTENDED_TO_RHUBARB]
+ * @returns {string}
+ */
+export function toRhubarbTSV(cues, options = {}) {
+  const mapped = mapCues(cues, options.shapeMap || EXTENDED_TO_RHUBARB, 'X');
+  const lines = mapped.map((c) => `${seconds(c.startMs).toFixed(2)}\t${c.label}`);
+  const last = mapped[mapped.length - 1];
+  if (last && last.label !== 'X') {
+    lines.push(`${seconds(last.endMs).toFixed(2)}\tX`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Serialize cues as Rhubarb Lip Sync JSON.
+ *
+ * @param {TrackCue[]} cues
+ * @param {Object} [options]
+ * @param {string} [options.soundFile] - Written to metadata.soundFile.
+ * @param {Object<string, string>} [options.shapeMap=EXTENDED_TO_RHUBARB]
+ * @returns {string}
+ */
+export function toRhubarbJSON(cues, options = {}) {
+  const mapped = mapCues(cues, options.shapeMap || EXTENDED_TO_RHUBARB, 'X');
+  const duration = mapped.length ? seconds(mapped[mapped.length - 1].endMs) : 0;
+  return JSON.stringify({
+    metadata: {
+      soundFile: options.soundFile ?? '',
+      duration,
+    },
+    mouthCues: mapped.map((c) => ({
+      start: seconds(c.startMs),
+      end: seconds(c.endMs),
+      value: c.label,
+    })),
+  }, null, 2);
+}
+
+/**
+ * Serialize cues as a Papagayo / Moho switch data (.dat) file.
+ *
+ * @param {TrackCue[]} cues
+ * @param {Object} [options]
+ * @param {number} [options.fps=24] - Animation frame rate.
+ * @param {Object<string, string>} [options.mouthMap=EXTENDED_TO_PAPAGAYO]
+ * @returns {string}
+ */
+export function toPapagayoDat(cues, options = {}) {
+  const fps = options.fps ?? 24;
+  const mapped = mapCues(cues, options.mouthMap || EXTENDED_TO_PAPAGAYO, 'rest');
+  const lines = ['MohoSwitch1'];
+  let lastFrame = 0;
+  for (const c of mapped) {
+    const frame = Math.round((c.startMs / 1000) * fps) + 1;
+    // Two cues rounding onto one frame: the later one wins
+    if (frame === lastFrame) lines.pop();
+    lines.push(`${frame} ${c.label}`);
+    lastFrame = frame;
+  }
+  const last = mapped[mapped.length - 1];
+  if (last && last.label !== 'rest') {
+    const frame = Math.max(lastFrame + 1, Math.round((last.endMs / 1000) * fps) + 1);
+    lines.push(`${frame} rest`);
+  }
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Serialize cues as a native JSON track:
+ *
+ *   {
+ *     "format": "lipsync-engine-track",
+ *     "version": 1,
+ *     "durationMs": 1840,
+ *     "metadata": { ... },
+ *     "cues": [
+ *       { "startMs": 0, "endMs": 120, "viseme": "sil", "intensity": 0, "confidence": 0.9 },
+ *       ...
+ *     ]
+ *   }
+ *
+ * Times are milliseconds of playback; visemes use the extended set.
+ *
+ * @param {TrackCue[]} cues
+ * @param {Object} [metadata] - Free-form metadata (voice, text, source file, …).
+ * @returns {string}
+ */
+export function toNativeJSON(cues, metadata = {}) {
+  return JSON.stringify({
+    format: NATIVE_TRACK_FORMAT,
+    version: NATIVE_TRACK_VERSION,
+    durationMs: cues.length ? Math.round(cues[cues.length - 1].endMs * 100) / 100 : 0,
+    metadata,
+    cues: cues.map((c) => ({
+      startMs: Math.round(c.startMs * 100) / 100,
+      endMs: Math.round(c.endMs * 100) / 100,
+      viseme: c.viseme,
+      intensity: round3(c.intensity ?? 1),
+      confidence: round3(c.confidence ?? 1),
+    })),
+  }, null, 2);
+}
+
+/** @param {number} x */
+function round3(x) {
+  return Math.round(x * 1000) / 1000;
+}
+
+// ════════════════════════════════════════════════════════════════
+//  PARSING
+// ════════════════════════════════════════════════════════════════
+
+/** @param {string|Object} input */
+function toObject(input) {
+  return typeof input === 'string' ? JSON.parse(input) : input;
+}
+
+/**
+ * Parse Rhubarb Lip Sync JSON output.
+ * @param {string|Object} input
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.visemeMap=RHUBARB_TO_EXTENDED]
+ * @returns {TrackCue[]}
+ */
+export function parseRhubarbJSON(input, options = {}) {
+  const data = toObject(input);
+  if (!Array.isArray(data?.mouthCues)) {
+    throw new TypeError('Rhubarb JSON must contain a mouthCues array');
+  }
+  const map = options.visemeMap || RHUBARB_TO_EXTENDED;
+  return data.mouthCues.map((c) => ({
+    viseme: map[c.value] ?? 'sil',
+    startMs: c.start * 1000,
+    endMs: c.end * 1000,
+  }));
+}
+
+/**
+ * Parse Rhubarb Lip Sync TSV output. Each cue lasts until the next line;
+ * the final line only marks the end of the track.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {Object<string, string>} [options.visemeMap=RHUBARB_TO_EXTENDED]
+ * @returns {TrackCue[]}
+ */
+export function parseRhubarbTSV(text, options = {}) {
+  const map = options.visemeMap || RHUBARB_TO_EXTENDED;
+  const rows = text.split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .map((line) => {
+      const [time, value] = line.split(/\s+/);
+      return { startMs: parseFloat(time) * 1000, value };
+    });
+
+  const cues = [];
+  for (let i = 0; i < rows.length - 1; i++) {
+    cues.push({
+      viseme: map[rows[i].value] ?? 'sil',
+      startMs: rows[i].startMs,
+      endMs: rows[i + 1].startMs,
+    });
+  }
+  return cues;
+}
+
+/**
+ * Parse a Papagayo / Moho switch data (.dat) file.
+ * @param {string} text
+ * @param {Object} [options]
+ * @param {number} [options.fps=24] - Frame rate the file was exported at.
+ * @param {Object<string, string>} [options.visemeMap=PAPAGAYO_TO_EXTENDED]
+ * @returns {TrackCue[]}
+ */
+export function parsePapagayoDat(text, options = {}) {
+  const fps = options.fps ?? 24;
+  const map = options.visemeMap || PAPAGAYO_TO_EXTENDED;
+  const lines = text.split(/\r?\n/).map((l) => l.trim()).filter(Boolean);
+  if (lines[0] !== 'MohoSwitch1') {
+    throw new TypeError('Papagayo .dat files must start with "MohoSwitch1"');
+  }
+
+  const rows = lines.slice(1).map((line) => {
+    const [frame, mouth] = line.split(/\s+/);
+    return { startMs: ((parseInt(frame, 10) - 1) / fps) * 1000, mouth };
+  });
+
+  const frameMs = 1000 / fps;
+  return rows.map((row, i) => ({
+    viseme: map[row.mouth] ?? map[row.mouth?.toUpperCase()] ?? 'sil',
+    startMs: row.startMs,
+    endMs: rows[i + 1] ? rows[i + 1].startMs : row.startMs + frameMs,
+  }));
+}
+
+/**
+ * Parse a native JSON track (see toNativeJSON()).
+ * @param {string|Object} input
+ * @returns {TrackCue[]}
+ */
+export function parseNativeJSON(input) {
+  const data = toObject(input);
+  if (data?.format !== NATIVE_TRACK_FORMAT || !Array.isArray(data.cues)) {
+    throw new TypeError(`Not a ${NATIVE_TRACK_FORMAT} document`);
+  }
+  if (data.version > NATIVE_TRACK_VERSION) {
+    throw new RangeError(`Unsupported track version ${data.version}`);
+  }
+  return data.cues.map((c) => ({ ...c }));
+}
+
+/**
+ * Parse a track in any supported format.
+ * @param {string|Object} input
+ * @param {Object} [options]
+ * @param {'native'|'rhubarb-json'|'rhubarb-tsv'|'papagayo'} [options.format] - Detected if omitted.
+ * @param {number} [options.fps] - Papagayo frame rate.
+ * @returns {TrackCue[]}
+ */
+export function parseTrack(input, options = {}) {
+  const format = options.format || detectTrackFormat(input);
+  switch (format) {
+    case 'native':
+      return parseNativeJSON(input);
+    case 'rhubarb-json':
+      return parseRhubarbJSON(input, options);
+    case 'rhubarb-tsv':
+      return parseRhubarbTSV(input, options);
+    case 'papagayo':
+      return parsePapagayoDat(input, options);
+    default:
+      throw new TypeError(`Unknown track format: ${format}`);
+  }
+}
+
+/**
+ * Guess the format of a serialized track.
+ * @param {string|Object} input
+ * @returns {'native'|'rhubarb-json'|'rhubarb-tsv'|'papagayo'}
+ */
+export function detectTrackFormat(input) {
+  if (typeof input === 'string') {
+    const text = input.trimStart();
+    if (text.startsWith('MohoSwitch1')) return 'papagayo';
+    if (!text.startsWith('{')) return 'rhubarb-tsv';
+    input = JSON.parse(text);
+  }
+  if (input?.format === NATIVE_TRACK_FORMAT) return 'native';
+  if (Array.isArray(input?.mouthCues)) return 'rhubarb-json';
+  throw new TypeError('Unrecognized viseme track format');
+}
+
+/**
+ * @typedef {Object} TrackCue
+ * @property {string} viseme - Extended viseme key.
+ * @property {number} startMs - Cue start (ms).
+ * @property {number} endMs - Cue end (ms).
+ * @property {number} [intensity] - Mean intensity over the cue [0, 1].
+ * @property {number} [confidence] - Mean confidence over the cue [0, 1].
+ */
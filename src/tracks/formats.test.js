@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest';
+import {
+  toRhubarbTSV,
+  toRhubarbJSON,
+  toPapagayoDat,
+  toNativeJSON,
+  parseRhubarbTSV,
+  parseRhubarbJSON,
+  parsePapagayoDat,
+  parseNativeJSON,
+  parseTrack,
+  detectTrackFormat,
+  NATIVE_TRACK_FORMAT,
+} from './formats.js';
+
+const CUES = [
+  { viseme: 'sil', startMs: 0, endMs: 120, intensity: 0, confidence: 0.9 },
+  { viseme: 'PP', startMs: 120, endMs: 200, intensity: 0.5, confidence: 0.8 },
+  { viseme: 'aa', startMs: 200, endMs: 350, intensity: 0.9, confidence: 1 },
+  { viseme: 'aa', startMs: 350, endMs: 420, intensity: 0.7, confidence: 1 },
+  { viseme: 'O', startMs: 420, endMs: 600, intensity: 0.6, confidence: 1 },
+];
+
+describe('track export', () => {
+  it('writes Rhubarb TSV with merged shapes and a closing X', () => {
+    expect(toRhubarbTSV(CUES)).toBe('0.00\tX\n0.12\tA\n0.20\tD\n0.42\tE\n0.60\tX\n');
+  });
+
+  it('writes Rhubarb JSON', () => {
+    const data = JSON.parse(toRhubarbJSON(CUES, { soundFile: 'line.wav' }));
+    expect(data.metadata).toEqual({ soundFile: 'line.wav', duration: 0.6 });
+    expect(data.mouthCues).toEqual([
+      { start: 0, end: 0.12, value: 'X' },
+      { start: 0.12, end: 0.2, value: 'A' },
+      { start: 0.2, end: 0.42, value: 'D' },
+      { start: 0.42, end: 0.6, value: 'E' },
+    ]);
+  });
+
+  it('writes Papagayo .dat with 1-based frames and a final rest', () => {
+    expect(toPapagayoDat(CUES, { fps: 10 })).toBe('MohoSwitch1\n1 rest\n2 MBP\n3 AI\n5 O\n7 rest\n');
+  });
+
+  it('keeps the later cue when two round onto one frame', () => {
+    const cues = [
+      { viseme: 'PP', startMs: 0, endMs: 10 },
+      { viseme: 'aa', startMs: 10, endMs: 200 },
+    ];
+    expect(toPapagayoDat(cues, { fps: 24 })).toBe('MohoSwitch1\n1 AI\n6 rest\n');
+  });
+
+  it('writes native JSON with rounded values', () => {
+    const data = JSON.parse(toNativeJSON([{ viseme: 'E', startMs: 1.234, endMs: 99.999, intensity: 0.12345 }], { text: 'eh' }));
+    expect(data).toEqual({
+      format: NATIVE_TRACK_FORMAT,
+      version: 1,
+      durationMs: 100,
+      metadata: { text: 'eh' },
+      cues: [{ startMs: 1.23, endMs: 100, viseme: 'E', intensity: 0.123, confidence: 1 }],
+    });
+  });
+
+  it('handles empty tracks', () => {
+    expect(toRhubarbTSV([])).toBe('\n');
+    expect(JSON.parse(toNativeJSON([])).durationMs).toBe(0);
+  });
+});
+
+describe('track import', () => {
+  it('round-trips Rhubarb TSV and JSON', () => {
+    const tsv = parseRhubarbTSV(toRhubarbTSV(CUES));
+    expect(tsv.map((c) => [c.viseme, c.startMs, c.endMs])).toEqual([
+      ['sil', 0, 120], ['PP', 120, 200], ['aa', 200, 420], ['O', 420, 600],
+    ]);
+    expect(parseRhubarbJSON(toRhubarbJSON(CUES))).toEqual(tsv);
+  });
+
+  it('reads Papagayo .dat at the given frame rate', () => {
+    const cues = parsePapagayoDat('MohoSwitch1\n1 rest\n3 MBP\n5 AI\n9 rest\n', { fps: 10 });
+    expect(cues.map((c) => [c.viseme, c.startMs, c.endMs])).toEqual([
+      ['sil', 0, 200], ['PP', 200, 400], ['aa', 400, 800], ['sil', 800, 900],
+    ]);
+    expect(() => parsePapagayoDat('1 rest\n')).toThrow(TypeError);
+  });
+
+  it('round-trips native JSON and rejects newer versions', () => {
+    const cues = parseNativeJSON(toNativeJSON(CUES));
+    expect(cues).toEqual(CUES);
+    const newer = JSON.stringify({ format: NATIVE_TRACK_FORMAT, version: 99, cues: [] });
+    expect(() => parseNativeJSON(newer)).toThrow(RangeError);
+    expect(() => parseNativeJSON({ cues: [] })).toThrow(TypeError);
+  });
+
+  it('detects the format', () => {
+    expect(detectTrackFormat(toNativeJSON(CUES))).toBe('native');
+    expect(detectTrackFormat(toRhubarbJSON(CUES))).toBe('rhubarb-json');
+    expect(detectTrackFormat(JSON.parse(toRhubarbJSON(CUES)))).toBe('rhubarb-json');
+    expect(detectTrackFormat(toRhubarbTSV(CUES))).toBe('rhubarb-tsv');
+    expect(detectTrackFormat('  MohoSwitch1\n1 rest\n')).toBe('papagayo');
+    expect(() => detectTrackFormat({ foo: 1 })).toThrow(TypeError);
+    expect(parseTrack(toPapagayoDat(CUES, { fps: 10 }), { fps: 10 })[1].viseme).toBe('PP');
+  });
+});
@@ -10,6 +10,10 @@ export type ExtendedViseme =
 
 export type SimpleViseme = 'A' | 'B' | 'C' | 'D' | 'E' | 'F';
 
+export type RhubarbShape = 'A' | 'B' | 'C' | 'D' | 'E' | 'F' | 'G' | 'H' | 'X';
+
+export type PapagayoMouth = 'AI' | 'E' | 'etc' | 'FV' | 'L' | 'MBP' | 'O' | 'rest' | 'U' | 'WQ';
+
 export type ARPABETPhoneme =
   | 'AA' | 'AE' | 'AH' | 'AO' | 'AW' | 'AY'
   | 'B' | 'CH' | 'D' | 'DH'
@@ -44,6 +48,41 @@ export interface VisemeFrame {
   frame: number;
   timeMs: number;
   bufferLevel: number;
+  /** Normalized weight per extended viseme (with `visemeWeights: true`). */
+  weights?: VisemeWeights;
+  /** Which source picked the viseme (hybrid mode only). */
+  source?: 'alignment' | 'audio';
+  /** Tracked F1/F2 in Hz (`vowelMode: 'formants'`; null when unvoiced or silent). */
+  formants?: Formants | null;
+  /** Classifier output (with a `classifier`; null when the rules decided the frame). */
+  probabilities?: Record<string, number> | null;
+  /** Spectral features (`spectralFeatures: true`; null for worklet-side analysis). */
+  features?: SpectralFeatures | null;
+  /** Inside detected speech (with `vad`). */
+  speaking?: boolean;
+}
+
+export type VisemeWeights = Record<ExtendedViseme, number>;
+
+export type TransitionTable = Record<string, Record<string, number>>;
+
+export interface DominanceParams {
+  alpha: number;
+  thetaBefore: number;
+  thetaAfter: number;
+}
+
+export interface CoarticulationOptions {
+  dominance?: Partial<Record<ExtendedViseme, Partial<DominanceParams>>>;
+  transitionTable?: TransitionTable;
+  exponent?: number;
+  referenceWeight?: number;
+}
+
+export interface VisemeSegment {
+  viseme: ExtendedViseme;
+  startMs: number;
+  endMs: number | null;
 }
 
 export interface BandEnergies {
@@ -63,7 +102,19 @@ export interface LipSyncEngineEvents {
   playbackStarted: () => void;
   playbackEnded: () => void;
   bufferUnderrun: (data: { timeMs: number }) => void;
+  buffering: (data: { timeMs: number; targetMs: number; jitterMs: number }) => void;
+  resumed: (data: { timeMs: number; waitedMs: number; targetMs: number }) => void;
+  metrics: (metrics: Metrics) => void;
+  calibrated: (profile: VoiceProfile) => void;
+  speechStart: (data: { timeMs: number; contextTime: number }) => void;
+  speechEnd: (data: { timeMs: number; contextTime: number; durationMs: number }) => void;
   bufferOverflow: (data: { dropped: number }) => void;
+  latency: (data: LatencyData) => void;
+  decodeError: (data: { codec: EncodedCodec; error: Error }) => void;
+  utteranceStart: (data: UtteranceEvent) => void;
+  utteranceEnd: (data: UtteranceEvent) => void;
+  utteranceCancelled: (data: UtteranceEvent) => void;
+  interrupted: (result: InterruptResult) => void;
   workletReady: () => void;
   sourceAttached: (data: { type: 'stream' | 'media' | 'element' }) => void;
   analysisStarted: () => void;
@@ -72,8 +123,19 @@ export interface LipSyncEngineEvents {
   destroyed: () => void;
 }
 
+export interface LatencyData {
+  latencyMs: number;
+  outputLatencyMs: number;
+  baseLatencyMs: number;
+  manual: boolean;
+}
+
 export interface PositionData {
+  /** Media time played (ms of source audio). */
   timeMs: number;
+  /** Output time played (ms of wall clock); differs from timeMs when playbackRate ≠ 1. */
+  wallTimeMs: number;
+  playbackRate: number;
   bufferLevel: number;
   bufferMs: number;
   isPlaying: boolean;
@@ -82,22 +144,114 @@ export interface PositionData {
 // ── Engine Options ───────────────────────────────────────────────
 
 export interface LipSyncEngineOptions {
+  preset?: 'telephony' | null;
   sampleRate?: number;
+  inputEncoding?: InputEncoding;
+  inputEndianness?: Endianness;
+  inputChannels?: number;
+  inputChannel?: 'mix' | number;
+  audioDecoder?: DecoderFactory | null;
+  resamplerQuality?: ResamplerQuality;
+  bands?: AnalysisBand[] | null;
+  vowelMode?: VowelMode;
+  vowelSpace?: VowelSpaceName | VowelSpace;
+  lpcOrder?: number | null;
+  classifier?: VisemeClassifier | SoftmaxModel | string | null;
+  spectralFeatures?: boolean;
+  voiceProfile?: VoiceProfile | string | null;
+  calibration?: 'off' | 'auto';
+  calibrationMs?: number;
+  vad?: boolean | VadOptions;
   fftSize?: number;
   analyserSmoothing?: number;
   silenceThreshold?: number;
   smoothingFactor?: number;
   holdFrames?: number;
   intensitySmoothing?: number;
+  visemeWeights?: boolean;
+  coarticulation?: CoarticulationOptions | null;
   volume?: number;
   startThresholdMs?: number;
   bufferSeconds?: number;
+  playbackRate?: number;
+  jitterBuffer?: JitterBufferMode;
+  jitterMinMs?: number;
+  jitterMaxMs?: number;
+  metricsIntervalMs?: number;
   analysisMode?: 'raf' | 'interval';
   analysisIntervalMs?: number;
+  analysisSource?: AnalysisSource;
+  featureRingSlots?: number;
+  latencyOffsetMs?: number | null;
   workletUrl?: string | null;
   disablePlayback?: boolean;
+  destination?: AudioNode | null;
+  visemeSource?: VisemeSource;
+  alignmentTransitionMs?: number;
+  pronunciationDictionary?: PronunciationDictionary | null;
+  hybridLagToleranceMs?: number;
+  hybridOpenReference?: number;
+}
+
+export type VisemeSource = 'audio' | 'alignment' | 'hybrid';
+
+export type AnalysisSource = 'analyser' | 'worklet';
+
+export type JitterBufferMode = 'fixed' | 'adaptive';
+
+export type InputEncoding = 'pcm8' | 'pcm16' | 'pcm24' | 'pcm32' | 'float32' | 'mulaw' | 'alaw';
+
+export type Endianness = 'little' | 'big';
+
+export interface InputFormat {
+  encoding?: InputEncoding;
+  endianness?: Endianness;
+  channels?: number;
+  channel?: 'mix' | number;
+  sampleRate?: number;
+  utteranceId?: UtteranceId;
+}
+
+export type UtteranceId = string | number;
+
+export interface InterruptResult {
+  /** Playback position where audio stopped (ms). */
+  timeMs: number;
+  /** Rate of the sample counts (AudioContext rate). */
+  sampleRate: number;
+  /** Pending utterances at the cut; `id: null` sums untagged audio. */
+  utterances: Array<{
+    id: UtteranceId | null;
+    playedSamples: number;
+    receivedSamples: number;
+    playedMs: number;
+    receivedMs: number;
+  }>;
+}
+
+export interface UtteranceEvent {
+  id: UtteranceId;
+  /** AudioContext time of the sample where the utterance starts / stops playing. */
+  contextTime: number;
+  /** Position on the playback timeline (ms). */
+  timeMs: number;
+}
+
+export interface AnalysisBand {
+  name: 'sub' | 'low' | 'mid' | 'high' | 'veryHigh';
+  min: number;
+  max: number;
 }
 
+export const PRESETS: { telephony: LipSyncEngineOptions };
+export const TELEPHONY_BANDS: AnalysisBand[];
+
+export type AlignmentFormat = 'phonemes' | 'visemes' | 'characters' | 'words' | 'elevenlabs' | 'azure';
+
+export type PronunciationDictionary =
+  | Record<string, string | string[]>
+  | ((word: string) => string | string[] | null | undefined);
+
 // ── Core Classes ─────────────────────────────────────────────────
 
 export class EventEmitter {
@@ -115,29 +269,69 @@ export class LipSyncEngine extends EventEmitter {
   readonly audioContext: AudioContext | null;
   readonly analyserNode: AnalyserNode | null;
   readonly analyzer: FrequencyAnalyzer | null;
+  readonly timeline: VisemeTimeline | null;
+  readonly hybrid: HybridAnalyzer | null;
+  readonly featureRing: FeatureRing | null;
+  readonly metrics: MetricsCollector;
   readonly initialized: boolean;
   readonly analyzing: boolean;
   readonly playbackTimeMs: number;
   readonly bufferLevel: number;
+  readonly latencyMs: number;
+  readonly playbackRate: number;
   readonly inputMode: 'stream' | 'media' | 'element' | null;
+  readonly utterances: UtteranceId[];
 
   init(existingContext?: AudioContext): Promise<void>;
-  feedAudio(samples: Int16Array | Float32Array | ArrayBuffer, inputSampleRate?: number): void;
+  feedAudio(
+    samples: Int16Array | Float32Array | ArrayBuffer | ArrayBufferView | string,
+    format?: number | InputFormat
+  ): void;
+  endAudio(): void;
+  feedEncoded(chunk: ArrayBuffer | ArrayBufferView | string, options: { codec: EncodedCodec }): void;
+  endEncoded(): Promise<void>;
+  beginUtterance(id?: UtteranceId): UtteranceId;
+  endUtterance(id: UtteranceId): void;
+  cancelUtterance(id: UtteranceId): void;
+  interrupt(options?: { fadeMs?: number }): Promise<InterruptResult | null>;
+  addAlignment(data: any, options?: { format?: AlignmentFormat; offsetMs?: number }): void;
   attachStream(stream: MediaStream): void;
   attachElement(element: HTMLMediaElement): void;
   startAnalysis(): void;
   stopAnalysis(): void;
   setVolume(value: number): void;
+  setPlaybackRate(rate: number): void;
+  setLatencyOffset(ms: number | null): void;
   clearBuffer(): void;
   play(): void;
   pause(): void;
   reset(): void;
+  tick(): void;
+  getFeaturesAt(contextTime: number): FeatureRecord | null;
+  getMetrics(): Metrics;
+  calibrate(options?: { name?: string; durationMs?: number }): Promise<VoiceProfile | null>;
+  calibrateFromClip(
+    samples: Float32Array | Int16Array,
+    sampleRate: number,
+    options?: { name?: string; frameRate?: number }
+  ): VoiceProfile | null;
+  setVoiceProfile(profile: VoiceProfile | string | null): void;
+  getVoiceProfile(): VoiceProfile | null;
   getState(): {
     initialized: boolean;
     analyzing: boolean;
     inputMode: string | null;
+    visemeSource: VisemeSource;
+    analysisSource: AnalysisSource;
     playbackTimeMs: number;
     bufferLevel: number;
+    latencyMs: number;
+    playbackRate: number;
+    buffering: boolean;
+    speaking: boolean;
+    voiceProfile: string | null;
+    calibrating: boolean;
+    utterances: UtteranceId[];
     sampleRate: number | undefined;
     volume: number | undefined;
   };
@@ -148,6 +342,97 @@ export class LipSyncEngine extends EventEmitter {
   once<K extends keyof LipSyncEngineEvents>(event: K, fn: LipSyncEngineEvents[K]): () => void;
 }
 
+export interface VoiceManagerOptions {
+  sampleRate?: number | null;
+  volume?: number;
+  analysisMode?: 'raf' | 'interval';
+  analysisIntervalMs?: number;
+  voiceDefaults?: LipSyncEngineOptions;
+}
+
+export interface WorkletStats {
+  /** Media samples played since the last reset. */
+  totalSamplesPlayed: number;
+  /** Samples written to the ring buffer since the last reset. */
+  totalSamplesReceived: number;
+  /** Output samples while playing (wall time). */
+  totalSamplesOutput: number;
+  /** Times the buffer ran dry while playing. */
+  underruns: number;
+  /** Silent output samples while starved or re-buffering. */
+  underrunSamples: number;
+  /** Samples overwritten by buffer overflow. */
+  droppedSamples: number;
+  /** Adaptive jitter buffer stalls. */
+  rebuffers: number;
+  bufferMs: number;
+}
+
+export interface Metrics {
+  /** Time since the collector was created or reset. */
+  windowMs: number;
+  /** Latest worklet report; its counters run from worklet creation. */
+  worklet: WorkletStats | null;
+  timeToFirstAudio: {
+    lastMs: number | null;
+    meanMs: number | null;
+    maxMs: number | null;
+    count: number;
+  };
+  analysis: {
+    frames: number;
+    intervalMs: number | null;
+    maxIntervalMs: number | null;
+    /** Standard deviation of the interval between analysis frames. */
+    jitterMs: number;
+    processingMs: number | null;
+    maxProcessingMs: number | null;
+  };
+  visemes: {
+    frames: number;
+    histogram: Record<ExtendedViseme, number>;
+    /** Mean confidence per viseme (null if never emitted). */
+    confidence: Record<ExtendedViseme, number | null>;
+    meanConfidence: number | null;
+  };
+}
+
+export class MetricsCollector {
+  constructor();
+  reset(): void;
+  workletStats(stats: WorkletStats & { type?: string }): void;
+  audioFed(): void;
+  playbackStarted(latencyMs?: number): void;
+  playbackStopped(): void;
+  audioDropped(): void;
+  analysisFrame(startMs: number, durationMs: number): void;
+  analysisStopped(): void;
+  viseme(frame: VisemeFrame): void;
+  snapshot(): Metrics;
+}
+
+export class VoiceManager extends EventEmitter {
+  constructor(options?: VoiceManagerOptions);
+  readonly audioContext: AudioContext | null;
+  readonly masterGain: GainNode | null;
+  readonly voices: string[];
+  readonly running: boolean;
+  init(existingContext?: AudioContext): Promise<void>;
+  addVoice(name: string, options?: LipSyncEngineOptions): Promise<LipSyncEngine>;
+  removeVoice(name: string): void;
+  voice(name: string): LipSyncEngine | undefined;
+  setGain(name: string, value: number): void;
+  getGain(name: string): number;
+  mute(name: string, muted?: boolean): void;
+  unmute(name: string): void;
+  isMuted(name: string): boolean;
+  setMasterGain(value: number): void;
+  start(): void;
+  stop(): void;
+  tick(): void;
+  destroy(): void;
+}
+
 // ── Analyzers ────────────────────────────────────────────────────
 
 export interface FrequencyAnalyzerOptions {
@@ -157,11 +442,593 @@ export interface FrequencyAnalyzerOptions {
   holdFrames?: number;
   intensitySmoothing?: number;
   energySmoothing?: number;
+  visemeWeights?: boolean;
+  coarticulation?: CoarticulationOptions | null;
+  bands?: AnalysisBand[] | null;
+  vowelMode?: VowelMode;
+  vowelSpace?: VowelSpaceName | VowelSpace;
+  lpcOrder?: number | null;
+  classifier?: VisemeClassifier | SoftmaxModel | string | null;
+  spectralFeatures?: boolean;
+  voiceProfile?: VoiceProfile | string | null;
+  vad?: boolean | VadOptions;
 }
 
 export class FrequencyAnalyzer {
-  constructor(analyserNode: AnalyserNode, sampleRate: number, options?: FrequencyAnalyzerOptions);
-  analyze(): VisemeFrame;
+  constructor(analyserNode: AnalyserNode | OfflineAnalyserNode, sampleRate: number, options?: FrequencyAnalyzerOptions);
+  readonly formantTracker: FormantTracker | null;
+  readonly classifier: VisemeClassifier | null;
+  readonly featureExtractor: FeatureExtractor | null;
+  readonly voiceProfile: VoiceProfile | null;
+  readonly calibrating: boolean;
+  readonly vad: VoiceActivityDetector | null;
+  readonly clockMs: number;
+  setVoiceProfile(profile: VoiceProfile | string | null): void;
+  calibrate(options?: VoiceCalibratorOptions): Promise<VoiceProfile | null>;
+  cancelCalibration(): void;
+  analyze(timeMs?: number): VisemeFrame;
+  processFeatures(features: AudioFeatures, timeMs?: number): VisemeFrame;
+  readonly rate: number;
+  setRate(rate: number): void;
+  release(): void;
+  reset(): void;
+}
+
+export interface AudioFeatures {
+  rms: number;
+  bands: Record<string, number>;
+  formants?: Formants | null;
+  spectral?: SpectralFeatures | null;
+}
+
+/** Features passed to a classifier plugin for each voiced frame. */
+export interface ClassifierFeatures {
+  rms: number;
+  /** Smoothed RMS (what the silence gate sees). */
+  amplitude: number;
+  intensity: number;
+  /** Smoothed band energies. */
+  bands: Record<string, number>;
+  /** Null for worklet-side analysis. */
+  zcr: number | null;
+  /** MFCCs, c0 first; null for worklet-side analysis. */
+  mfcc: Float32Array | null;
+  /** All FeatureExtractor values; null for worklet-side analysis. */
+  spectral: SpectralFeatures | null;
+  formants: Formants | null;
+}
+
+export interface SpectralFeatures {
+  /** Log mel filterbank energies. */
+  mel: Float32Array;
+  /** Cepstral coefficients, c0 first. */
+  mfcc: Float32Array;
+  /** MFCC change per frame (causal regression). */
+  deltaMfcc: Float32Array;
+  /** Hz */
+  centroid: number;
+  /** 0 (tonal) .. 1 (noise) */
+  flatness: number;
+  /** Hz */
+  rolloff: number;
+  /** 0 .. 1 */
+  flux: number;
+  rms: number | null;
+  zcr: number | null;
+}
+
+export interface FeatureExtractorOptions {
+  sampleRate: number;
+  fftSize: number;
+  melBands?: number;
+  mfccCount?: number;
+  /** Past frames in the MFCC delta regression (0 = no deltas). */
+  deltaWidth?: number;
+  rolloffPercent?: number;
+  minHz?: number;
+  maxHz?: number | null;
+  minDecibels?: number;
+  maxDecibels?: number;
+}
+
+export class FeatureExtractor {
+  constructor(options: FeatureExtractorOptions);
+  readonly sampleRate: number;
+  readonly fftSize: number;
+  readonly binHz: number;
+  readonly melBank: MelFilterbank;
+  fromAnalyser(analyser: AnalyserNode | OfflineAnalyserNode): SpectralFeatures;
+  fromBytes(
+    bytes: Uint8Array,
+    samples?: Float32Array | null,
+    minDecibels?: number,
+    maxDecibels?: number
+  ): SpectralFeatures;
+  fromSamples(samples: Float32Array): SpectralFeatures;
+  fromPower(power: Float32Array, samples?: Float32Array | null): SpectralFeatures;
+  reset(): void;
+}
+
+export interface VoiceProfile {
+  name: string;
+  noiseFloor: number;
+  speechLevel: number;
+  speechPeak: number;
+  /** Smoothed RMS below which the mouth closes. */
+  silenceThreshold: number;
+  /** Intensity = RMS × gain (clamped to 1). */
+  intensityGain: number;
+  /** Band energies subtracted before classification. */
+  noiseBands: Record<string, number>;
+  speechBands: Record<string, number>;
+  durationMs: number;
+  speechMs: number;
+}
+
+export interface VoiceCalibratorOptions {
+  name?: string;
+  /** Speech to observe before the profile is ready. */
+  durationMs?: number;
+  minRms?: number;
+  maxFrames?: number;
+}
+
+export const VOICE_PROFILE_FORMAT: 'lipsync-engine-voice-profile';
+export const VOICE_PROFILE_VERSION: number;
+
+export class VoiceCalibrator {
+  constructor(options?: VoiceCalibratorOptions);
+  readonly speechMs: number;
+  readonly done: boolean;
+  observe(features: { rms: number; bands: Record<string, number> }, frameMs: number): void;
+  profile(): VoiceProfile | null;
+  reset(): void;
+}
+
+export function calibrateFromClip(
+  samples: Float32Array | Int16Array,
+  sampleRate: number,
+  options?: VoiceCalibratorOptions & {
+    fftSize?: number;
+    analyserSmoothing?: number;
+    frameRate?: number;
+    bands?: AnalysisBand[] | null;
+  }
+): VoiceProfile | null;
+export function toVoiceProfileJSON(profile: VoiceProfile): string;
+export function parseVoiceProfile(input: string | object): VoiceProfile;
+
+export interface VadOptions {
+  /** Energy above the noise floor for a tonal speech candidate. */
+  thresholdDb?: number;
+  /** Energy above the noise floor that counts regardless of flatness. */
+  strongDb?: number;
+  flatnessThreshold?: number;
+  onsetMs?: number;
+  hangoverMs?: number;
+  /** Noise floor = minimum RMS over this much history. */
+  noiseWindowMs?: number;
+  /** Fastest the noise floor can rise while speech goes on. */
+  noiseRiseDbPerSec?: number;
+  minNoiseRms?: number;
+}
+
+export interface VadResult {
+  speaking: boolean;
+  changed: boolean;
+  candidate: boolean;
+  snrDb: number;
+  noiseFloor: number;
+}
+
+export class VoiceActivityDetector {
+  constructor(options?: VadOptions);
+  readonly speaking: boolean;
+  readonly noiseFloor: number | null;
+  readonly speechMs: number;
+  update(features: { rms: number; flatness?: number | null }, frameMs: number): VadResult;
+  reset(): void;
+}
+
+export function spectralCentroid(power: Float32Array, binHz: number): number;
+export function spectralFlatness(power: Float32Array): number;
+export function spectralRolloff(power: Float32Array, binHz: number, percent?: number): number;
+
+/** Viseme classifier plugin: probability per viseme, or null to use the built-in rules. */
+export interface VisemeClassifier {
+  classify(features: ClassifierFeatures): Record<string, number> | null;
+}
+
+export interface FeatureSpec {
+  bands?: string[];
+  rms?: boolean;
+  zcr?: boolean;
+  mfcc?: number;
+}
+
+export interface SoftmaxModel {
+  type: 'softmax';
+  version: number;
+  labels: string[];
+  features: FeatureSpec;
+  mean: number[];
+  scale: number[];
+  /** labels × inputs */
+  weights: number[][];
+  bias: number[];
+  metadata?: Record<string, unknown>;
+}
+
+export const SOFTMAX_MODEL_VERSION: number;
+export const DEFAULT_FEATURE_SPEC: Required<FeatureSpec>;
+/** Models bundled with the package, by name (`classifier: 'default'`). */
+export const BUILTIN_MODELS: Record<'default', SoftmaxModel>;
+
+export class SoftmaxClassifier implements VisemeClassifier {
+  constructor(model: SoftmaxModel);
+  static fromJSON(json: SoftmaxModel | string): SoftmaxClassifier;
+  readonly model: SoftmaxModel;
+  readonly labels: string[];
+  readonly features: FeatureSpec;
+  classify(features: ClassifierFeatures): Record<string, number> | null;
+  classifyVector(vector: ArrayLike<number>): Record<string, number>;
+  toJSON(): SoftmaxModel;
+}
+
+export function featureVector(features: Partial<ClassifierFeatures>, spec: FeatureSpec): Float64Array | null;
+export function featureVectorSize(spec: FeatureSpec): number;
+export function trainSoftmax(
+  inputs: ArrayLike<number>[],
+  targets: string[],
+  options?: {
+    features?: FeatureSpec;
+    epochs?: number;
+    learningRate?: number;
+    l2?: number;
+    balance?: boolean;
+    metadata?: Record<string, unknown>;
+  }
+): SoftmaxModel;
+export function loadClassifier(spec: VisemeClassifier | SoftmaxModel | string | null): VisemeClassifier | null;
+
+export type VowelMode = 'bands' | 'formants';
+
+export type VowelSpaceName = 'male' | 'female' | 'child';
+
+export interface Formants {
+  f1: number;
+  f2: number;
+}
+
+export interface VowelSpace {
+  /** Highest formant to search for (Hz). */
+  maxFormantHz?: number;
+  /** [F1, F2] in Hz per ARPABET vowel or extended viseme key. */
+  vowels: Record<string, [number, number]>;
+}
+
+export const VOWEL_SPACE: Record<VowelSpaceName, VowelSpace>;
+
+export interface FormantTrackerOptions {
+  vowelSpace?: VowelSpaceName | VowelSpace;
+  /** Highest formant searched (default: from the vowel space). */
+  maxFormantHz?: number | null;
+  /** LPC order (default: 2 + analysis rate in kHz). */
+  order?: number | null;
+  /** EMA retention of log-formants between frames. */
+  smoothing?: number;
+  /** Log-distance at which confidence falls to 1/e. */
+  tolerance?: number;
+}
+
+export class FormantTracker {
+  constructor(sampleRate: number, options?: FormantTrackerOptions);
+  readonly sampleRate: number;
+  readonly vowelSpace: VowelSpace;
+  readonly maxFormantHz: number;
+  readonly analysisRate: number;
+  readonly order: number;
+  track(samples: Float32Array): Formants | null;
+  classify(formants: Formants): { viseme: ExtendedViseme; phoneme: string; confidence: number } | null;
+  reset(): void;
+}
+
+export function lpc(
+  frame: Float32Array | Float64Array,
+  order: number
+): { coefficients: Float64Array; error: number } | null;
+export function levinsonDurbin(
+  r: ArrayLike<number>,
+  order: number
+): { coefficients: Float64Array; error: number } | null;
+export function polynomialRoots(coefficients: ArrayLike<number>): { re: Float64Array; im: Float64Array };
+
+export interface OfflineAnalysisOptions {
+  frameRate?: number;
+  fftSize?: number;
+  analyserSmoothing?: number;
+  analysisSampleRate?: number | null;
+  silenceThreshold?: number;
+  smoothingFactor?: number;
+  holdFrames?: number;
+  intensitySmoothing?: number;
+  visemeWeights?: boolean;
+  coarticulation?: CoarticulationOptions | null;
+  bands?: AnalysisBand[] | null;
+  vowelMode?: VowelMode;
+  vowelSpace?: VowelSpaceName | VowelSpace;
+  lpcOrder?: number | null;
+  classifier?: VisemeClassifier | SoftmaxModel | string | null;
+  spectralFeatures?: boolean;
+  voiceProfile?: VoiceProfile | string | null;
+  vad?: boolean | VadOptions;
+}
+
+export class OfflineAnalyserNode {
+  constructor(
+    samples: Float32Array,
+    options?: { fftSize?: number; smoothingTimeConstant?: number; minDecibels?: number; maxDecibels?: number }
+  );
+  samples: Float32Array;
+  position: number;
+  fftSize: number;
+  smoothingTimeConstant: number;
+  minDecibels: number;
+  maxDecibels: number;
+  readonly frequencyBinCount: number;
+  seek(position: number): void;
+  reset(): void;
+  getFloatTimeDomainData(array: Float32Array): void;
+  getByteTimeDomainData(array: Uint8Array): void;
+  getFloatFrequencyData(array: Float32Array): void;
+  getByteFrequencyData(array: Uint8Array): void;
+}
+
+export function analyzeOffline(
+  samples: Float32Array | Int16Array,
+  sampleRate: number,
+  options?: OfflineAnalysisOptions
+): VisemeFrame[];
+
+// ── Alignment Timeline ───────────────────────────────────────────
+
+export interface TimelineCue {
+  viseme: ExtendedViseme;
+  startMs: number;
+  endMs: number | null;
+  intensity: number | null;
+  source: string | null;
+}
+
+export interface VisemeTimelineOptions {
+  transitionMs?: number;
+  defaultDurationMs?: number;
+  defaultIntensity?: number;
+  intensitySmoothing?: number;
+  retentionMs?: number;
+  dictionary?: PronunciationDictionary | null;
+  visemeWeights?: boolean;
+  coarticulation?: CoarticulationOptions | null;
+}
+
+export interface ElevenLabsAlignment {
+  chars?: string[];
+  charStartTimesMs?: number[];
+  charDurationsMs?: number[];
+  characters?: string[];
+  character_start_times_seconds?: number[];
+  character_end_times_seconds?: number[];
+}
+
+export class VisemeTimeline {
+  constructor(options?: VisemeTimelineOptions);
+  cues: TimelineCue[];
+  readonly endMs: number;
+  addVisemes(
+    events: Array<{ viseme: ExtendedViseme; startMs: number; endMs?: number; intensity?: number }>,
+    offsetMs?: number
+  ): void;
+  addPhonemes(
+    events: Array<{ phoneme: string; startMs: number; endMs?: number; intensity?: number }>,
+    offsetMs?: number
+  ): void;
+  addCharacters(events: Array<{ char: string; startMs: number; endMs?: number }>, offsetMs?: number): void;
+  addWords(events: Array<{ word: string; startMs: number; endMs: number }>, offsetMs?: number): void;
+  addElevenLabsAlignment(alignment: ElevenLabsAlignment, offsetMs?: number): void;
+  addAzureVisemes(
+    events: Array<{ visemeId: number; audioOffset?: number; audioOffsetMs?: number }>,
+    offsetMs?: number
+  ): void;
+  cueAt(timeMs: number): TimelineCue | null;
+  covers(timeMs: number): boolean;
+  analyze(timeMs: number): VisemeFrame;
+  clear(): void;
+  reset(): void;
+}
+
+export interface HybridAnalyzerOptions {
+  lagToleranceMs?: number;
+  openReference?: number;
+}
+
+export class HybridAnalyzer {
+  constructor(analyzer: FrequencyAnalyzer, timeline: VisemeTimeline, options?: HybridAnalyzerOptions);
+  hasAlignment(timeMs: number): boolean;
+  analyze(timeMs: number, features?: AudioFeatures | null): VisemeFrame;
+  reset(): void;
+}
+
+export const AZURE_VISEME_TO_VISEME: ExtendedViseme[];
+export const CHARACTER_TO_VISEME: Record<string, ExtendedViseme>;
+
+// ── Tracks ───────────────────────────────────────────────────────
+
+export interface TrackCue {
+  viseme: ExtendedViseme;
+  startMs: number;
+  endMs: number;
+  intensity?: number;
+  confidence?: number;
+}
+
+export interface NativeTrack {
+  format: 'lipsync-engine-track';
+  version: number;
+  durationMs: number;
+  metadata: Record<string, any>;
+  cues: Required<TrackCue>[];
+}
+
+export class VisemeRecorder {
+  constructor(options?: { minCueMs?: number; frameMs?: number | null });
+  frames: Array<{ viseme: ExtendedViseme; timeMs: number; intensity: number; confidence: number }>;
+  readonly recording: boolean;
+  start(source: { on: EventEmitter['on'] }): this;
+  stop(): void;
+  addFrame(frame: VisemeFrame): this;
+  addFrames(frames: Iterable<VisemeFrame>): this;
+  clear(): void;
+  getCues(): TrackCue[];
+  toRhubarbTSV(options?: { shapeMap?: Record<string, string> }): string;
+  toRhubarbJSON(options?: { soundFile?: string; shapeMap?: Record<string, string> }): string;
+  toPapagayoDat(options?: { fps?: number; mouthMap?: Record<string, string> }): string;
+  toNativeJSON(metadata?: Record<string, any>): string;
+}
+
+export function toRhubarbTSV(cues: TrackCue[], options?: { shapeMap?: Record<string, string> }): string;
+export function toRhubarbJSON(
+  cues: TrackCue[],
+  options?: { soundFile?: string; shapeMap?: Record<string, string> }
+): string;
+export function toPapagayoDat(cues: TrackCue[], options?: { fps?: number; mouthMap?: Record<string, string> }): string;
+export function toNativeJSON(cues: TrackCue[], metadata?: Record<string, any>): string;
+export const NATIVE_TRACK_FORMAT: 'lipsync-engine-track';
+export const NATIVE_TRACK_VERSION: number;
+
+export type TrackFormat = 'native' | 'rhubarb-json' | 'rhubarb-tsv' | 'papagayo';
+
+export function parseRhubarbJSON(input: string | object, options?: { visemeMap?: Record<string, string> }): TrackCue[];
+export function parseRhubarbTSV(text: string, options?: { visemeMap?: Record<string, string> }): TrackCue[];
+export function parsePapagayoDat(text: string, options?: { fps?: number; visemeMap?: Record<string, string> }): TrackCue[];
+export function parseNativeJSON(input: string | object): TrackCue[];
+export function parseTrack(
+  input: string | object,
+  options?: { format?: TrackFormat; fps?: number; visemeMap?: Record<string, string> }
+): TrackCue[];
+export function detectTrackFormat(input: string | object): TrackFormat;
+
+export interface TrackPlayerOptions {
+  transitionMs?: number;
+  defaultIntensity?: number;
+  intensitySmoothing?: number;
+  visemeWeights?: boolean;
+  coarticulation?: CoarticulationOptions | null;
+}
+
+export class TrackPlayer extends EventEmitter {
+  constructor(options?: TrackPlayerOptions);
+  opts: Required<TrackPlayerOptions>;
+  timeline: VisemeTimeline;
+  cues: TrackCue[];
+  readonly durationMs: number;
+  load(track: string | object | TrackCue[], options?: { format?: TrackFormat; fps?: number }): this;
+  attachEngine(engine: LipSyncEngine, options?: { offsetMs?: number }): this;
+  attachElement(element: HTMLMediaElement, options?: { offsetMs?: number }): this;
+  detach(): void;
+  update(timeMs: number): VisemeFrame;
+  destroy(): void;
+}
+
+// ── Decoders ─────────────────────────────────────────────────────
+
+export type EncodedCodec = 'mp3' | 'aac' | 'opus';
+
+export interface DemuxerConfig {
+  codec: string;
+  sampleRate: number;
+  numberOfChannels: number;
+  description?: Uint8Array;
+  preSkip?: number;
+}
+
+export interface EncodedFrame {
+  data: Uint8Array;
+  samples: number;
+}
+
+export interface Demuxer {
+  readonly config: DemuxerConfig | null;
+  push(chunk: ArrayBuffer | ArrayBufferView): EncodedFrame[];
+}
+
+export interface DecoderBackend {
+  decode(frame: { data: Uint8Array; timestamp: number; duration: number }): void;
+  flush(): Promise<void>;
+  close(): void;
+}
+
+export type DecoderFactory = (
+  config: DemuxerConfig,
+  handlers: {
+    onOutput: (channels: Float32Array[], sampleRate: number) => void;
+    onError: (error: Error) => void;
+  }
+) => DecoderBackend;
+
+export class Mp3FrameParser implements Demuxer {
+  readonly config: DemuxerConfig | null;
+  push(chunk: ArrayBuffer | ArrayBufferView): EncodedFrame[];
+}
+export class AdtsFrameParser implements Demuxer {
+  readonly config: DemuxerConfig | null;
+  push(chunk: ArrayBuffer | ArrayBufferView): EncodedFrame[];
+}
+export class OggOpusDemuxer implements Demuxer {
+  readonly config: DemuxerConfig | null;
+  push(chunk: ArrayBuffer | ArrayBufferView): EncodedFrame[];
+}
+export const DEMUXERS: Record<EncodedCodec, new () => Demuxer>;
+export function createDemuxer(codec: EncodedCodec): Demuxer;
+export function opusPacketSamples(packet: Uint8Array): number;
+
+export function webCodecsSupported(): boolean;
+export const createWebCodecsDecoder: DecoderFactory;
+
+export class EncodedAudioStream {
+  constructor(
+    codec: EncodedCodec,
+    options: {
+      onOutput: (pcm: Float32Array, sampleRate: number) => void;
+      onError?: (error: Error) => void;
+      decoder?: DecoderFactory | null;
+    }
+  );
+  readonly codec: EncodedCodec;
+  readonly demuxer: Demuxer;
+  readonly durationMs: number;
+  push(chunk: ArrayBuffer | ArrayBufferView): void;
+  flush(): Promise<void>;
+  close(): void;
+}
+
+export interface PcmFormat {
+  encoding?: InputEncoding;
+  endianness?: Endianness;
+  channels?: number;
+  channel?: 'mix' | number;
+  sampleRate?: number | null;
+}
+
+export const PCM_ENCODINGS: Record<InputEncoding, number>;
+export function normalizePcmFormat(format?: PcmFormat): Required<PcmFormat>;
+export function decodePcm(bytes: Uint8Array, format: PcmFormat): Float32Array;
+
+export class PcmStreamAdapter {
+  constructor(format?: PcmFormat);
+  readonly format: Required<PcmFormat>;
+  readonly frameBytes: number;
+  readonly pendingBytes: number;
+  push(chunk: ArrayBuffer | ArrayBufferView): Float32Array;
   reset(): void;
 }
 
@@ -217,6 +1084,33 @@ export class CSSClassRenderer {
   destroy(): void;
 }
 
+// ── Blendshapes ──────────────────────────────────────────────────
+
+export interface BlendshapeMapping {
+  targets?: string[];
+  visemes: Partial<Record<ExtendedViseme, Record<string, number>>>;
+  shape?: Partial<Record<keyof MouthShape, Record<string, number>>>;
+}
+
+export interface BlendshapeMapperOptions {
+  preset?: 'arkit' | 'oculus' | BlendshapeMapping;
+  intensityInfluence?: number;
+  gain?: number;
+}
+
+export class BlendshapeMapper {
+  constructor(options?: BlendshapeMapperOptions);
+  readonly mapping: BlendshapeMapping;
+  readonly targets: string[];
+  map(frame: VisemeFrame): Record<string, number>;
+}
+
+export function frameVisemeWeights(frame: VisemeFrame): Partial<VisemeWeights>;
+
+export const ARKIT_BLENDSHAPES: string[];
+export const OCULUS_VISEME_TARGETS: string[];
+export const BLENDSHAPE_PRESETS: { arkit: BlendshapeMapping; oculus: BlendshapeMapping };
+
 // ── Utilities ────────────────────────────────────────────────────
 
 export class RingBuffer {
@@ -234,9 +1128,47 @@ export class RingBuffer {
   clear(): void;
 }
 
+export interface FeatureRecord extends AudioFeatures {
+  contextTime: number;
+  timeMs: number;
+}
+
+export const FEATURE_STRIDE: number;
+
+export class FeatureRing {
+  constructor(slots?: number, options?: { shared?: boolean });
+  static sharedSupported(): boolean;
+  static nextCount(count: number, slots: number): number;
+  readonly buffer: SharedArrayBuffer | ArrayBuffer;
+  readonly shared: boolean;
+  readonly slots: number;
+  readonly count: number;
+  write(records: Float64Array | number[]): void;
+  at(contextTime: number): FeatureRecord | null;
+  latest(): FeatureRecord | null;
+}
+
+export type ResamplerQuality = 'low' | 'medium' | 'high';
+
+export const RESAMPLER_QUALITY: Record<ResamplerQuality, { halfTaps: number; phases: number }>;
+
+export class StreamingResampler {
+  constructor(fromRate: number, toRate: number, options?: { quality?: ResamplerQuality; rolloff?: number });
+  readonly fromRate: number;
+  readonly toRate: number;
+  readonly quality: ResamplerQuality;
+  reset(): void;
+  process(input: Float32Array): Float32Array;
+  flush(): Float32Array;
+}
+
 export function int16ToFloat32(int16: Int16Array): Float32Array;
 export function float32ToInt16(float32: Float32Array): Int16Array;
 export function base64ToInt16(base64: string): Int16Array;
+export function base64ToUint8(base64: string): Uint8Array;
+export function mulawToInt16(bytes: Uint8Array): Int16Array;
+export function alawToInt16(bytes: Uint8Array): Int16Array;
+export const DEFAULT_BANDS: AnalysisBand[];
 export function int16ToBase64(int16: Int16Array): string;
 export function calculateRMS(data: Float32Array | Uint8Array, isByte?: boolean): number;
 export function zeroCrossingRate(data: Float32Array): number;
@@ -249,8 +1181,56 @@ export function smoothValue(current: number, target: number, factor: number): nu
 export function lerp(a: number, b: number, t: number): number;
 export function clamp(value: number, min: number, max: number): number;
 export function resample(input: Float32Array, fromRate: number, toRate: number): Float32Array;
+export function fft(re: Float32Array | Float64Array, im: Float32Array | Float64Array): void;
+export function blackmanWindow(size: number): Float32Array;
+export function hannWindow(size: number): Float32Array;
+export function magnitudeSpectrum(frame: Float32Array, window?: Float32Array): Float32Array;
+
+export interface MelFilterbank {
+  sampleRate: number;
+  fftSize: number;
+  bands: number;
+  filters: Array<{ start: number; weights: Float32Array }>;
+}
+
+export function hzToMel(hz: number): number;
+export function melToHz(mel: number): number;
+export function createMelFilterbank(options: {
+  sampleRate: number;
+  fftSize: number;
+  bands?: number;
+  minHz?: number;
+  maxHz?: number;
+}): MelFilterbank;
+export function bytePower(bytes: Uint8Array, minDecibels?: number, maxDecibels?: number, out?: Float32Array): Float32Array;
+export function melEnergies(power: Float32Array, bank: MelFilterbank, out?: Float32Array): Float32Array;
+export function mfcc(energies: Float32Array, count?: number): Float32Array;
+export function wordToPhonemes(word: string, options?: { dictionary?: PronunciationDictionary }): ARPABETPhoneme[];
+export function wordToPhonemeEvents(
+  word: string,
+  startMs: number,
+  endMs: number,
+  options?: { dictionary?: PronunciationDictionary }
+): Array<{ phoneme: ARPABETPhoneme; startMs: number; endMs: number }>;
+export function wordToVisemeEvents(
+  word: string,
+  startMs: number,
+  endMs: number,
+  options?: { dictionary?: PronunciationDictionary }
+): Array<{ viseme: ExtendedViseme; startMs: number; endMs: number; source: string }>;
 export function interpolateShapes(from: ExtendedViseme, to: ExtendedViseme, t: number): MouthShape;
-export function getTransitionWeight(from: string, to: string): number;
+export function getTransitionWeight(from: string, to: string, table?: TransitionTable): number;
+export function createTransitionTable(overrides?: TransitionTable): TransitionTable;
+export function blendShapes(weights: Partial<VisemeWeights>): MouthShape;
+
+export class CoarticulationModel {
+  constructor(options?: CoarticulationOptions);
+  dominance: Record<ExtendedViseme, DominanceParams>;
+  /** Complete table: the `transitionTable` option merged over TRANSITION_TABLE. */
+  transitionTable: TransitionTable;
+  dominanceAt(segment: VisemeSegment, timeMs: number, activeViseme: ExtendedViseme): number;
+  weightsAt(segments: VisemeSegment[], timeMs: number): VisemeWeights;
+}
 
 // ── Constants ────────────────────────────────────────────────────
 
@@ -262,5 +1242,14 @@ export const SIMPLE_VISEME_KEYS: SimpleViseme[];
 export const EXTENDED_TO_SIMPLE: Record<ExtendedViseme, SimpleViseme>;
 export const PHONEME_TO_VISEME: Record<ARPABETPhoneme, ExtendedViseme>;
 export const ARPABET_PHONEMES: ARPABETPhoneme[];
+export const RHUBARB_SHAPES: RhubarbShape[];
+export const EXTENDED_TO_RHUBARB: Record<ExtendedViseme, RhubarbShape>;
+export const SIMPLE_TO_RHUBARB: Record<SimpleViseme, RhubarbShape>;
+export const EXTENDED_TO_PAPAGAYO: Record<ExtendedViseme, PapagayoMouth>;
+export const RHUBARB_TO_EXTENDED: Record<RhubarbShape, ExtendedViseme>;
+export const PAPAGAYO_TO_EXTENDED: Record<PapagayoMouth, ExtendedViseme>;
 export const VISEME_SHAPES: Record<ExtendedViseme, MouthShape>;
-export const TRANSITION_WEIGHTS: Record<string, Record<string, number>>;
+export const BUILTIN_PRONUNCIATIONS: Record<string, string>;
+export const TRANSITION_WEIGHTS: TransitionTable;
+export const TRANSITION_TABLE: TransitionTable;
+export const VISEME_DOMINANCE: Record<ExtendedViseme, DominanceParams>;
@@ -0,0 +1,136 @@
+/**
+ * Timestamped ring of audio feature records written by the AudioWorklet.
+ *
+ * Backed by a SharedArrayBuffer when the page is cross-origin isolated, so
+ * the worklet writes and the main thread reads without messages. Otherwise
+ * it is a plain buffer filled from `features` messages (see write()).
+ *
+ * Layout (must match streaming-processor.js):
+ *   Int32[0]        records written; once past 2^31 − 1 it drops back by a
+ *                   multiple of the slot count (see nextCount()), so it stays
+ *                   positive, keeps its slot and still reads as a full ring
+ *   Int32[1]        slot count
+ *   Float64[1 + n]  records, FEATURE_STRIDE values each:
+ *                   contextTime, timeMs, rms, sub, low, mid, high, veryHigh
+ *
+ * `contextTime` is the AudioContext time (s) at which the last sample of the
+ * analysis window reaches the output, so it can be compared directly with
+ * `audioContext.getOutputTimestamp().contextTime`.
+ *
+ * @module FeatureRing
+ */
+
+/** Values per record. */
+export const FEATURE_STRIDE = 8;
+
+/** Band names in record order (after contextTime, timeMs, rms). */
+const BAND_KEYS = ['sub', 'low', 'mid', 'high', 'veryHigh'];
+
+/** Bytes before the first record (two Int32 header slots). */
+const HEADER_BYTES = 8;
+
+export class FeatureRing {
+  /**
+   * @param {number} [slots=256] - Records kept (256 ≈ 680ms at 128-sample hops, 48 kHz).
+   * @param {Object} [options]
+   * @param {boolean} [options.shared] - Use a SharedArrayBuffer. Defaults to
+   *   true when available and the page is cross-origin isolated.
+   */
+  constructor(slots = 256, options = {}) {
+    const shared = options.shared ?? FeatureRing.sharedSupported();
+    const bytes = HEADER_BYTES + slots * FEATURE_STRIDE * 8;
+
+    /** @type {SharedArrayBuffer|ArrayBuffer} Pass to the worklet via processorOptions. */
+    this.buffer = shared ? new SharedArrayBuffer(bytes) : new ArrayBuffer(bytes);
+    this.shared = shared;
+    this.slots = slots;
+
+    this._header = new Int32Array(this.buffer, 0, 2);
+    this._data = new Float64Array(this.buffer, HEADER_BYTES, slots * FEATURE_STRIDE);
+    this._header[1] = slots;
+  }
+
+  /** Whether SharedArrayBuffer can be used in this context. */
+  static sharedSupported() {
+    return typeof SharedArrayBuffer !== 'undefined' && globalThis.crossOriginIsolated === true;
+  }
+
+  /**
+   * Record count after one more write. Wraps below 2^31 by a whole number
+   * of rings, never to less than `slots`, so `count % slots` stays the
+   * write slot and a wrapped ring still reads as full.
+   * @param {number} count
+   * @param {number} slots
+   * @returns {number}
+   */
+  static nextCount(count, slots) {
+    const next = count + 1;
+    const wrap = slots * Math.floor(0x7fffffff / slots);
+    return next >= wrap ? next - wrap + slots : next;
+  }
+
+  /** Total records written so far. */
+  get count() {
+    return Atomics.load(this._header, 0);
+  }
+
+  /**
+   * Append records (postMessage fallback path).
+   * @param {Float64Array|number[]} records - One or more records, FEATURE_STRIDE values each.
+   */
+  write(records) {
+    let count = this._header[0];
+    for (let off = 0; off + FEATURE_STRIDE <= records.length; off += FEATURE_STRIDE) {
+      const base = (count % this.slots) * FEATURE_STRIDE;
+      for (let i = 0; i < FEATURE_STRIDE; i++) this._data[base + i] = records[off + i];
+      count = FeatureRing.nextCount(count, this.slots);
+    }
+    Atomics.store(this._header, 0, count);
+  }
+
+  /**
+   * Latest record whose contextTime is at or before the given time. When
+   * every stored record is newer (e.g. output latency exceeds the ring),
+   * the oldest one is returned.
+   *
+   * @param {number} contextTime - AudioContext time in seconds.
+   * @returns {FeatureRecord|null} Null when nothing has been written yet.
+   */
+  at(contextTime) {
+    const count = this.count;
+    if (count <= 0) return null;
+    // Skip the slot the writer may be overwriting right now
+    const oldest = Math.max(0, count - this.slots + 1);
+    let index = count - 1;
+    for (; index > oldest; index--) {
+      if (this._data[(index % this.slots) * FEATURE_STRIDE] <= contextTime) break;
+    }
+    return this._read(index);
+  }
+
+  /**
+   * Most recently written record.
+   * @returns {FeatureRecord|null}
+   */
+  latest() {
+    const count = this.count;
+    return count > 0 ? this._read(count - 1) : null;
+  }
+
+  /** @private */
+  _read(index) {
+    const base = (index % this.slots) * FEATURE_STRIDE;
+    const d = this._data;
+    const bands = {};
+    for (let i = 0; i < BAND_KEYS.length; i++) bands[BAND_KEYS[i]] = d[base + 3 + i];
+    return { contextTime: d[base], timeMs: d[base + 1], rms: d[base + 2], bands };
+  }
+}
+
+/**
+ * @typedef {Object} FeatureRecord
+ * @property {number} contextTime - AudioContext time (s) the window ends at the output.
+ * @property {number} timeMs - Playback position (ms of streamed audio).
+ * @property {number} rms - RMS amplitude of the analysis window.
+ * @property {Object<string, number>} bands - Band energies [0, 1], as extractBandEnergies().
+ */
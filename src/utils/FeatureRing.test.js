@@ -0,0 +1,96 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { FeatureRing, FEATURE_STRIDE } from './FeatureRing.js';
+
+function record(contextTime, rms = 0.1) {
+  return [contextTime, contextTime * 1000, rms, 0.1, 0.2, 0.3, 0.4, 0.5];
+}
+
+function records(times) {
+  return Float64Array.from(times.flatMap((t) => record(t)));
+}
+
+const isolated = Object.getOwnPropertyDescriptor(globalThis, 'crossOriginIsolated');
+
+afterEach(() => {
+  if (isolated) Object.defineProperty(globalThis, 'crossOriginIsolated', isolated);
+  else delete globalThis.crossOriginIsolated;
+});
+
+describe('FeatureRing', () => {
+  it('is empty until written', () => {
+    const ring = new FeatureRing(4, { shared: false });
+    expect(ring.count).toBe(0);
+    expect(ring.latest()).toBeNull();
+    expect(ring.at(1)).toBeNull();
+  });
+
+  it('reads records back by context time', () => {
+    const ring = new FeatureRing(8, { shared: false });
+    ring.write(records([0.1, 0.2, 0.3]));
+    expect(ring.count).toBe(3);
+    expect(ring.latest()).toEqual({
+      contextTime: 0.3,
+      timeMs: 300,
+      rms: 0.1,
+      bands: { sub: 0.1, low: 0.2, mid: 0.3, high: 0.4, veryHigh: 0.5 },
+    });
+    expect(ring.at(0.25).contextTime).toBe(0.2);
+    expect(ring.at(5).contextTime).toBe(0.3);
+    expect(ring.at(0).contextTime).toBe(0.1); // all newer: oldest
+  });
+
+  it('keeps the newest records once full, skipping the slot being written', () => {
+    const ring = new FeatureRing(4, { shared: false });
+    ring.write(records([1, 2, 3, 4, 5, 6]));
+    expect(ring.latest().contextTime).toBe(6);
+    expect(ring.at(0).contextTime).toBe(4);
+    expect(ring.at(4.5).contextTime).toBe(4);
+  });
+
+  it('ignores a trailing partial record', () => {
+    const ring = new FeatureRing(4, { shared: false });
+    ring.write([...record(1), 0, 0, 0]);
+    expect(ring.count).toBe(1);
+    expect(FEATURE_STRIDE).toBe(8);
+  });
+
+  it('wraps the count below 2^31 without losing its place', () => {
+    const ring = new FeatureRing(6, { shared: false });
+    const wrap = 6 * Math.floor(0x7fffffff / 6);
+    ring._header[0] = wrap - 2;
+    ring.write(records([1, 2, 3, 4]));
+
+    expect(ring.count).toBe(6 + 2);
+    expect(ring.count).toBeGreaterThan(0);
+    expect(ring.latest().contextTime).toBe(4);
+    expect(ring.at(2.5).contextTime).toBe(2);
+  });
+
+  it('nextCount keeps count % slots consistent across the wrap', () => {
+    for (const slots of [1, 3, 256, 1000]) {
+      const wrap = slots * Math.floor(0x7fffffff / slots);
+      let count = wrap - 3;
+      for (let i = 0; i < 6; i++) {
+        const next = FeatureRing.nextCount(count, slots);
+        expect(next % slots).toBe((count + 1) % slots);
+        expect(next).toBeGreaterThanOrEqual(slots);
+        expect(next).toBeLessThanOrEqual(0x7fffffff);
+        count = next;
+      }
+    }
+  });
+
+  it('uses shared memory only when the page is cross-origin isolated', () => {
+    delete globalThis.crossOriginIsolated;
+    expect(FeatureRing.sharedSupported()).toBe(false);
+    globalThis.crossOriginIsolated = false;
+    expect(FeatureRing.sharedSupported()).toBe(false);
+    globalThis.crossOriginIsolated = true;
+    expect(FeatureRing.sharedSupported()).toBe(true);
+
+    const ring = new FeatureRing(4);
+    expect(ring.shared).toBe(true);
+    expect(ring.buffer).toBeInstanceOf(SharedArrayBuffer);
+    expect(new Int32Array(ring.buffer, 0, 2)[1]).toBe(4);
+  });
+});
@@ -0,0 +1,154 @@
+/**
+ * Stateful polyphase windowed-sinc resampler for chunked audio.
+ *
+ * Unlike resample(), which interpolates each chunk on its own, this keeps
+ * the filter history and fractional read position between process() calls,
+ * so a stream cut into arbitrary chunks resamples exactly as if it were one
+ * buffer: no boundary clicks, and the low-pass cutoff prevents aliasing
+ * when downsampling.
+ *
+ * The filter is a Blackman-windowed sinc tabulated at `phases` fractional
+ * offsets (linearly interpolated between them), so any rate ratio works,
+ * including 22050 → 48000.
+ *
+ * @module StreamingResampler
+ *
+ * @example
+ *   const rs = new StreamingResampler(22050, 48000, { quality: 'high' });
+ *   ws.onmessage = (e) => engineInput(rs.process(decode(e.data)));
+ */
+
+/** Filter sizes per quality level: taps on each side of the centre, table phases. */
+export const RESAMPLER_QUALITY = {
+  low:    { halfTaps: 8,  phases: 64 },
+  medium: { halfTaps: 16, phases: 128 },
+  high:   { halfTaps: 32, phases: 256 },
+};
+
+export class StreamingResampler {
+  /**
+   * @param {number} fromRate - Input sample rate.
+   * @param {number} toRate - Output sample rate.
+   * @param {Object} [options]
+   * @param {'low'|'medium'|'high'} [options.quality='medium'] - Filter length (CPU vs fidelity).
+   * @param {number} [options.rolloff=0.95] - Cutoff as a fraction of the lower Nyquist.
+   */
+  constructor(fromRate, toRate, options = {}) {
+    if (!(fromRate > 0) || !(toRate > 0)) {
+      throw new RangeError('StreamingResampler requires positive sample rates');
+    }
+    const quality = options.quality ?? 'medium';
+    const params = RESAMPLER_QUALITY[quality];
+    if (!params) throw new Error(`Unknown resampler quality: ${quality}`);
+
+    this.fromRate = fromRate;
+    this.toRate = toRate;
+    this.quality = quality;
+
+    this._half = params.halfTaps;
+    this._taps = params.halfTaps * 2;
+    this._phases = params.phases;
+    this._step = fromRate / toRate;
+    this._table = buildTable(
+      this._half,
+      this._phases,
+      Math.min(1, toRate / fromRate) * (options.rolloff ?? 0.95)
+    );
+
+    this.reset();
+  }
+
+  /** Drop history and start a new stream. */
+  reset() {
+    // Pre-roll so the first output sample lines up with input sample 0
+    this._history = new Float32Array(this._half - 1);
+    this._t = this._half - 1;
+  }
+
+  /**
+   * Resample the next chunk of the stream. The last `halfTaps` input samples
+   * are held back until more input (or flush()) arrives.
+   * @param {Float32Array} input
+   * @returns {Float32Array}
+   */
+  process(input) {
+    const buf = new Float32Array(this._history.length + input.length);
+    buf.set(this._history, 0);
+    buf.set(input, this._history.length);
+
+    const half = this._half;
+    const taps = this._taps;
+    const phases = this._phases;
+    const table = this._table;
+    const step = this._step;
+
+    const maxOut = Math.max(0, Math.ceil((buf.length - half - this._t) / step) + 1);
+    const out = new Float32Array(maxOut);
+    let n = 0;
+    let t = this._t;
+
+    while (Math.floor(t) + half < buf.length && n < maxOut) {
+      const i0 = Math.floor(t);
+      const pf = (t - i0) * phases;
+      const p = pf | 0;
+      const w = pf - p;
+      const rowA = p * taps;
+      const rowB = rowA + taps;
+      const base = i0 - half + 1;
+
+      let acc = 0;
+      for (let k = 0; k < taps; k++) {
+        const a = table[rowA + k];
+        acc += buf[base + k] * (a + (table[rowB + k] - a) * w);
+      }
+      out[n++] = acc;
+      t += step;
+    }
+
+    // Keep what the next output still needs
+    const keepFrom = Math.max(0, Math.min(buf.length, Math.floor(t) - half + 1));
+    this._history = buf.slice(keepFrom);
+    this._t = t - keepFrom;
+
+    return n === maxOut ? out : out.slice(0, n);
+  }
+
+  /**
+   * Drain the held-back tail (end of stream) and reset.
+   * @returns {Float32Array}
+   */
+  flush() {
+    const out = this.process(new Float32Array(this._half));
+    this.reset();
+    return out;
+  }
+}
+
+/**
+ * Tabulate the windowed-sinc filter at phases + 1 fractional offsets.
+ * Row p holds the taps for a read position p/phases past an input sample;
+ * each row is normalized to unity DC gain.
+ * @returns {Float32Array}
+ */
+function buildTable(half, phases, cutoff) {
+  const taps = half * 2;
+  const table = new Float32Array((phases + 1) * taps);
+  for (let p = 0; p <= phases; p++) {
+    const frac = p / phases;
+    let sum = 0;
+    for (let k = 0; k < taps; k++) {
+      const d = k - half + 1 - frac; // distance from the read position
+      const x = Math.PI * cutoff * d;
+      const sinc = d === 0 ? 1 : Math.sin(x) / x;
+      const r = d / half;
+      const win = Math.abs(r) >= 1
+        ? 0
+        : 0.42 + 0.5 * Math.cos(Math.PI * r) + 0.08 * Math.cos(2 * Math.PI * r);
+      const h = cutoff * sinc * win;
+      table[p * taps + k] = h;
+      sum += h;
+    }
+    for (let k = 0; k < taps; k++) table[p * taps + k] /= sum;
+  }
+  return table;
+}
@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest';
+import { StreamingResampler } from './StreamingResampler.js';
+import { calculateRMS } from './audio-utils.js';
+
+function sine(freq, sampleRate, length) {
+  return Float32Array.from({ length }, (_, i) => 0.5 * Math.sin((2 * Math.PI * freq * i) / sampleRate));
+}
+
+function runAll(resampler, input, chunkSize) {
+  const parts = [];
+  for (let i = 0; i < input.length; i += chunkSize) parts.push(resampler.process(input.subarray(i, i + chunkSize)));
+  parts.push(resampler.flush());
+  const out = new Float32Array(parts.reduce((n, p) => n + p.length, 0));
+  let offset = 0;
+  for (const p of parts) { out.set(p, offset); offset += p.length; }
+  return out;
+}
+
+describe('StreamingResampler', () => {
+  it('gives the same output however the stream is chunked', () => {
+    const input = sine(440, 22050, 4410);
+    const whole = runAll(new StreamingResampler(22050, 48000), input, input.length);
+    const chunked = runAll(new StreamingResampler(22050, 48000), input, 137);
+    expect(chunked).toHaveLength(whole.length);
+    for (let i = 0; i < whole.length; i++) expect(chunked[i]).toBeCloseTo(whole[i], 5);
+  });
+
+  it('produces input length × rate ratio samples', () => {
+    const out = runAll(new StreamingResampler(22050, 48000), new Float32Array(22050), 1000);
+    expect(Math.abs(out.length - 48000)).toBeLessThanOrEqual(1);
+    const down = runAll(new StreamingResampler(48000, 16000), new Float32Array(4800), 480);
+    expect(Math.abs(down.length - 1600)).toBeLessThanOrEqual(1);
+  });
+
+  it('passes DC at unity gain and lines the first sample up with the input', () => {
+    const out = runAll(new StreamingResampler(16000, 24000), new Float32Array(1600).fill(0.25), 160);
+    for (let i = 100; i < out.length - 100; i++) expect(out[i]).toBeCloseTo(0.25, 3);
+
+    const impulse = new Float32Array(64);
+    impulse[0] = 1;
+    const same = runAll(new StreamingResampler(16000, 16000), impulse, 64);
+    const peak = same.reduce((best, v, i) => (v > same[best] ? i : best), 0);
+    expect(peak).toBe(0);
+  });
+
+  it('filters content above the output Nyquist when downsampling', () => {
+    const passband = runAll(new StreamingResampler(48000, 16000, { quality: 'high' }), sine(1000, 48000, 9600), 960);
+    const aliased = runAll(new StreamingResampler(48000, 16000, { quality: 'high' }), sine(12000, 48000, 9600), 960);
+    expect(calculateRMS(passband.subarray(100, -100))).toBeGreaterThan(0.3);
+    expect(calculateRMS(aliased.subarray(100, -100))).toBeLessThan(0.01);
+  });
+
+  it('rejects bad rates and unknown qualities', () => {
+    expect(() => new StreamingResampler(0, 48000)).toThrow(RangeError);
+    expect(() => new StreamingResampler(16000, 48000, { quality: 'ultra' })).toThrow('Unknown resampler quality');
+  });
+});
@@ -45,6 +45,60 @@ export function base64ToInt16(base64) {
   return new Int16Array(bytes.buffer);
 }
 
+/**
+ * Decode a base64 string to raw bytes (e.g. G.711 payloads from Twilio Media Streams).
+ * @param {string} base64
+ * @returns {Uint8Array}
+ */
+export function base64ToUint8(base64) {
+  const binary = atob(base64);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+/** G.711 decode tables (byte → 16-bit linear), built once. */
+const MULAW_TABLE = new Int16Array(256);
+const ALAW_TABLE = new Int16Array(256);
+for (let i = 0; i < 256; i++) {
+  // μ-law: bits are inverted; segment (exponent) + 4-bit mantissa, bias 0x84
+  const u = ~i & 0xff;
+  const uExp = (u >> 4) & 0x07;
+  const uMag = (((u & 0x0f) << 3) + 0x84) << uExp;
+  MULAW_TABLE[i] = u & 0x80 ? 0x84 - uMag : uMag - 0x84;
+
+  // A-law: even bits inverted (XOR 0x55); sign bit set = positive
+  const a = i ^ 0x55;
+  const aExp = (a >> 4) & 0x07;
+  const aMant = a & 0x0f;
+  const aMag = aExp === 0 ? (aMant << 4) + 8 : ((aMant << 4) + 0x108) << (aExp - 1);
+  ALAW_TABLE[i] = a & 0x80 ? aMag : -aMag;
+}
+
+/**
+ * Decode G.711 μ-law bytes to Int16 PCM.
+ * @param {Uint8Array} bytes
+ * @returns {Int16Array}
+ */
+export function mulawToInt16(bytes) {
+  const out = new Int16Array(bytes.length);
+  for (let i = 0; i < bytes.length; i++) out[i] = MULAW_TABLE[bytes[i]];
+  return out;
+}
+
+/**
+ * Decode G.711 A-law bytes to Int16 PCM.
+ * @param {Uint8Array} bytes
+ * @returns {Int16Array}
+ */
+export function alawToInt16(bytes) {
+  const out = new Int16Array(bytes.length);
+  for (let i = 0; i < bytes.length; i++) out[i] = ALAW_TABLE[bytes[i]];
+  return out;
+}
+
 /**
  * Encode Int16Array to base64 string.
  * @param {Int16Array} int16
@@ -93,6 +147,19 @@ export function zeroCrossingRate(data) {
   return crossings / (data.length - 1);
 }
 
+/**
+ * Default analysis bands for wideband speech. Custom band sets must use the
+ * same names; the viseme classifier reads them.
+ * @type {Array<{name: string, min: number, max: number}>}
+ */
+export const DEFAULT_BANDS = [
+  { name: 'sub',      min: 20,   max: 200  },  // Fundamental freq, voiced sounds
+  { name: 'low',      min: 200,  max: 800  },  // First formant region
+  { name: 'mid',      min: 800,  max: 2500 },  // Second formant region
+  { name: 'high',     min: 2500, max: 5500 },  // Fricatives, sibilants
+  { name: 'veryHigh', min: 5500, max: 12000 }, // Plosive bursts, high sibilants
+];
+
 /**
  * Extract frequency band energies from FFT data.
  * @param {Uint8Array} frequencyData - From AnalyserNode.getByteFrequencyData().
@@ -101,13 +168,7 @@ export function zeroCrossingRate(data) {
  * @returns {Object<string, number>} Band energies normalized 0..1.
  */
 export function extractBandEnergies(frequencyData, sampleRate, bands) {
-  const defaultBands = bands || [
-    { name: 'sub',      min: 20,   max: 200  },  // Fundamental freq, voiced sounds
-    { name: 'low',      min: 200,  max: 800  },  // First formant region
-    { name: 'mid',      min: 800,  max: 2500 },  // Second formant region
-    { name: 'high',     min: 2500, max: 5500 },  // Fricatives, sibilants
-    { name: 'veryHigh', min: 5500, max: 12000 }, // Plosive bursts, high sibilants
-  ];
+  const defaultBands = bands || DEFAULT_BANDS;
 
   const binCount = frequencyData.length;
   const nyquist = sampleRate / 2;
@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+import { mulawToInt16, alawToInt16 } from './audio-utils.js';
+
+const ALL_BYTES = Uint8Array.from({ length: 256 }, (_, i) => i);
+
+describe('G.711 decoding', () => {
+  it('decodes μ-law reference values', () => {
+    const out = mulawToInt16(Uint8Array.of(0xff, 0x7f, 0x80, 0x00, 0xfe, 0x7e));
+    expect([...out]).toEqual([0, 0, 32124, -32124, 8, -8]);
+  });
+
+  it('decodes A-law reference values', () => {
+    const out = alawToInt16(Uint8Array.of(0xd5, 0x55, 0xaa, 0x2a));
+    expect([...out]).toEqual([8, -8, 32256, -32256]);
+  });
+
+  it.each([
+    ['μ-law', mulawToInt16],
+    ['A-law', alawToInt16],
+  ])('maps %s positive and negative halves symmetrically', (_, decode) => {
+    const out = decode(ALL_BYTES);
+    expect(out).toBeInstanceOf(Int16Array);
+    expect(out).toHaveLength(256);
+    for (let i = 0; i < 128; i++) {
+      expect(out[i] + out[i + 128]).toBe(0);
+    }
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Pure-JS FFT and window functions.
+ *
+ * Used wherever spectra must be computed without an AnalyserNode
+ * (offline analysis, Node build servers, tests).
+ *
+ * @module fft
+ */
+
+/**
+ * In-place iterative radix-2 FFT.
+ * @param {Float32Array|Float64Array} re - Real part (length must be a power of 2).
+ * @param {Float32Array|Float64Array} im - Imaginary part (same length as re).
+ */
+export function fft(re, im) {
+  const n = re.length;
+  if (n !== im.length) throw new RangeError('fft: re and im must have equal length');
+  if (n === 0 || (n & (n - 1)) !== 0) throw new RangeError('fft: length must be a power of 2');
+
+  // Bit-reversal permutation
+  for (let i = 1, j = 0; i < n; i++) {
+    let bit = n >> 1;
+    for (; j & bit; bit >>= 1) j ^= bit;
+    j ^= bit;
+    if (i < j) {
+      let tmp = re[i]; re[i] = re[j]; re[j] = tmp;
+      tmp = im[i]; im[i] = im[j]; im[j] = tmp;
+    }
+  }
+
+  // Butterflies
+  for (let size = 2; size <= n; size <<= 1) {
+    const half = size >> 1;
+    const step = (-2 * Math.PI) / size;
+    for (let start = 0; start < n; start += size) {
+      for (let k = 0; k < half; k++) {
+        const angle = step * k;
+        const wr = Math.cos(angle);
+        const wi = Math.sin(angle);
+        const a = start + k;
+        const b = a + half;
+        const tr = re[b] * wr - im[b] * wi;
+        const ti = re[b] * wi + im[b] * wr;
+        re[b] = re[a] - tr;
+        im[b] = im[a] - ti;
+        re[a] += tr;
+        im[a] += ti;
+      }
+    }
+  }
+}
+
+/**
+ * Blackman window, as applied by the Web Audio AnalyserNode (alpha = 0.16).
+ * @param {number} size
+ * @returns {Float32Array}
+ */
+export function blackmanWindow(size) {
+  const a0 = 0.42;
+  const a1 = 0.5;
+  const a2 = 0.08;
+  const w = new Float32Array(size);
+  for (let i = 0; i < size; i++) {
+    const x = (2 * Math.PI * i) / size;
+    w[i] = a0 - a1 * Math.cos(x) + a2 * Math.cos(2 * x);
+  }
+  return w;
+}
+
+/**
+ * Hann window.
+ * @param {number} size
+ * @returns {Float32Array}
+ */
+export function hannWindow(size) {
+  const w = new Float32Array(size);
+  for (let i = 0; i < size; i++) {
+    w[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / size);
+  }
+  return w;
+}
+
+/**
+ * Compute the magnitude spectrum of a real frame.
+ * @param {Float32Array} frame - Time-domain samples (power-of-2 length).
+ * @param {Float32Array} [window] - Optional window (same length as frame).
+ * @returns {Float32Array} Magnitudes for bins 0..N/2-1, scaled by 1/N.
+ */
+export function magnitudeSpectrum(frame, window) {
+  const n = frame.length;
+  const re = new Float64Array(n);
+  const im = new Float64Array(n);
+  for (let i = 0; i < n; i++) {
+    re[i] = window ? frame[i] * window[i] : frame[i];
+  }
+  fft(re, im);
+  const half = n >> 1;
+  const mags = new Float32Array(half);
+  for (let k = 0; k < half; k++) {
+    mags[k] = Math.sqrt(re[k] * re[k] + im[k] * im[k]) / n;
+  }
+  return mags;
+}
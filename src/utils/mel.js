@@ -0,0 +1,136 @@
+/**
+ * Mel filterbank and MFCCs from magnitude spectra.
+ *
+ * Works on the byte spectra of an AnalyserNode (or OfflineAnalyserNode),
+ * which are already dB-scaled: bytes are mapped back to power between
+ * minDecibels and maxDecibels, pooled through triangular mel filters, and
+ * the log filter energies are decorrelated with a DCT-II.
+ *
+ * @module mel
+ *
+ * @example
+ *   const bank = createMelFilterbank({ sampleRate: 24000, fftSize: 512 });
+ *   analyser.getByteFrequencyData(bytes);
+ *   const coeffs = mfcc(melEnergies(bytePower(bytes, -100, -30), bank), 13);
+ */
+
+/** @param {number} hz */
+export function hzToMel(hz) {
+  return 2595 * Math.log10(1 + hz / 700);
+}
+
+/** @param {number} mel */
+export function melToHz(mel) {
+  return 700 * (Math.pow(10, mel / 2595) - 1);
+}
+
+/**
+ * Triangular filters evenly spaced on the mel scale, each normalized to
+ * unit area so wide high-frequency filters don't dominate.
+ *
+ * @param {Object} options
+ * @param {number} options.sampleRate
+ * @param {number} options.fftSize - FFT size (binCount = fftSize / 2).
+ * @param {number} [options.bands=26] - Number of filters.
+ * @param {number} [options.minHz=20]
+ * @param {number} [options.maxHz] - Defaults to Nyquist.
+ * @returns {MelFilterbank}
+ */
+export function createMelFilterbank({ sampleRate, fftSize, bands = 26, minHz = 20, maxHz }) {
+  const binCount = fftSize / 2;
+  const nyquist = sampleRate / 2;
+  const top = Math.min(maxHz ?? nyquist, nyquist);
+  const binHz = nyquist / binCount;
+
+  const lo = hzToMel(minHz);
+  const hi = hzToMel(top);
+  const edges = [];
+  for (let i = 0; i < bands + 2; i++) edges.push(melToHz(lo + ((hi - lo) * i) / (bands + 1)));
+
+  const filters = [];
+  for (let b = 0; b < bands; b++) {
+    const [left, center, right] = [edges[b], edges[b + 1], edges[b + 2]];
+    const start = Math.max(0, Math.floor(left / binHz));
+    const end = Math.min(binCount - 1, Math.ceil(right / binHz));
+    const weights = new Float32Array(Math.max(0, end - start + 1));
+    let area = 0;
+    for (let k = start; k <= end; k++) {
+      const f = k * binHz;
+      const w = f <= center
+        ? (f - left) / (center - left)
+        : (right - f) / (right - center);
+      weights[k - start] = Math.max(0, w);
+      area += weights[k - start];
+    }
+    if (area > 0) {
+      for (let i = 0; i < weights.length; i++) weights[i] /= area;
+      filters.push({ start, weights });
+    } else {
+      // Narrower than a bin (small FFTs): take the bin nearest the centre
+      filters.push({ start: Math.min(binCount - 1, Math.round(center / binHz)), weights: Float32Array.of(1) });
+    }
+  }
+  return { sampleRate, fftSize, bands, filters };
+}
+
+/**
+ * AnalyserNode byte spectrum → linear power per bin.
+ * @param {Uint8Array} bytes - From getByteFrequencyData().
+ * @param {number} [minDecibels=-100]
+ * @param {number} [maxDecibels=-30]
+ * @param {Float32Array} [out]
+ * @returns {Float32Array}
+ */
+export function bytePower(bytes, minDecibels = -100, maxDecibels = -30, out = new Float32Array(bytes.length)) {
+  const range = maxDecibels - minDecibels;
+  for (let k = 0; k < bytes.length; k++) {
+    const db = minDecibels + (bytes[k] / 255) * range;
+    out[k] = Math.pow(10, db / 10);
+  }
+  return out;
+}
+
+/**
+ * Pool a power spectrum through the filterbank.
+ * @param {Float32Array} power - Power per bin (fftSize / 2 values).
+ * @param {MelFilterbank} bank
+ * @param {Float32Array} [out]
+ * @returns {Float32Array} Energy per mel band.
+ */
+export function melEnergies(power, bank, out = new Float32Array(bank.bands)) {
+  for (let b = 0; b < bank.bands; b++) {
+    const { start, weights } = bank.filters[b];
+    let sum = 0;
+    for (let i = 0; i < weights.length; i++) sum += power[start + i] * weights[i];
+    out[b] = sum;
+  }
+  return out;
+}
+
+/**
+ * Mel-frequency cepstral coefficients: DCT-II (orthonormal) of log mel energies.
+ * @param {Float32Array} energies - From melEnergies().
+ * @param {number} [count=13] - Coefficients to keep (c0 first).
+ * @returns {Float32Array}
+ */
+export function mfcc(energies, count = 13) {
+  const n = energies.length;
+  const out = new Float32Array(count);
+  const logs = new Float32Array(n);
+  for (let i = 0; i < n; i++) logs[i] = Math.log(energies[i] + 1e-12);
+
+  for (let c = 0; c < count; c++) {
+    let sum = 0;
+    for (let i = 0; i < n; i++) sum += logs[i] * Math.cos((Math.PI * c * (i + 0.5)) / n);
+    out[c] = sum * Math.sqrt((c === 0 ? 1 : 2) / n);
+  }
+  return out;
+}
+
+/**
+ * @typedef {Object} MelFilterbank
+ * @property {number} sampleRate
+ * @property {number} fftSize
+ * @property {number} bands
+ * @property {Array<{start: number, weights: Float32Array}>} filters - First bin and weights of each filter.
+ */
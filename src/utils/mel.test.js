@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { hzToMel, melToHz, createMelFilterbank, bytePower, melEnergies, mfcc } from './mel.js';
+
+describe('mel scale', () => {
+  it('maps 1000 Hz to about 1000 mel and inverts', () => {
+    expect(hzToMel(1000)).toBeCloseTo(1000, 0);
+    for (const hz of [20, 440, 3000, 12000]) expect(melToHz(hzToMel(hz))).toBeCloseTo(hz, 6);
+  });
+});
+
+describe('createMelFilterbank', () => {
+  it('builds unit-area filters ordered up to Nyquist', () => {
+    const bank = createMelFilterbank({ sampleRate: 24000, fftSize: 512, bands: 26 });
+    expect(bank.filters).toHaveLength(26);
+    let lastStart = -1;
+    for (const { start, weights } of bank.filters) {
+      expect(weights.reduce((a, b) => a + b, 0)).toBeCloseTo(1, 5);
+      expect(start).toBeGreaterThanOrEqual(lastStart);
+      expect(start + weights.length).toBeLessThanOrEqual(256);
+      lastStart = start;
+    }
+  });
+
+  it('falls back to single bins when filters are narrower than a bin', () => {
+    const bank = createMelFilterbank({ sampleRate: 48000, fftSize: 64, bands: 40 });
+    expect(bank.filters).toHaveLength(40);
+    expect(bank.filters.every((f) => f.weights.length >= 1)).toBe(true);
+  });
+});
+
+describe('bytePower / melEnergies / mfcc', () => {
+  it('maps bytes back to power between min/maxDecibels', () => {
+    const power = bytePower(Uint8Array.of(0, 255), -100, -30);
+    expect(power[0]).toBeCloseTo(1e-10, 15);
+    expect(power[1]).toBeCloseTo(1e-3, 8);
+  });
+
+  it('keeps a flat spectrum flat through the filterbank', () => {
+    const bank = createMelFilterbank({ sampleRate: 16000, fftSize: 256, bands: 20 });
+    const energies = melEnergies(new Float32Array(128).fill(2), bank);
+    expect([...energies].every((e) => Math.abs(e - 2) < 1e-5)).toBe(true);
+  });
+
+  it('puts a flat log spectrum entirely in c0', () => {
+    const n = 26;
+    const coeffs = mfcc(new Float32Array(n).fill(Math.E), 13);
+    expect(coeffs[0]).toBeCloseTo(Math.sqrt(n), 4);
+    for (let c = 1; c < 13; c++) expect(coeffs[c]).toBeCloseTo(0, 4);
+  });
+});
@@ -12,9 +12,23 @@
  *   - Buffer underrun detection + recovery
  *   - Fade-in/out to prevent clicks
  *   - Configurable via messages from main thread
+ *   - Optional feature extraction (RMS + band energies) on the exact samples
+ *     being played, timestamped in AudioContext time
+ *   - Utterance segments: queued in order, individually cancellable, with
+ *     start/end reported at the exact sample
+ *   - Barge-in: fade out, flush, and report what each utterance played
+ *   - Playback rate with pitch-preserving WSOLA time-stretch
+ *   - Optional adaptive jitter buffer: start/resume thresholds sized from
+ *     measured chunk arrival jitter, re-buffering after underruns
+ *   - Periodic pipeline stats (underruns, overflow drops, buffer level)
  *
  * Message protocol (main → worklet):
- *   { type: 'audio',     samples: Float32Array }
+ *   { type: 'audio',     samples: Float32Array, utteranceId?: string|number }
+ *   { type: 'beginUtterance',  id }
+ *   { type: 'endUtterance',    id }
+ *   { type: 'cancelUtterance', id }
+ *   { type: 'interrupt',       id, fadeSamples }
+ *   { type: 'setPlaybackRate', value: number }
  *   { type: 'config',    sampleRate?: number, bufferSeconds?: number, startThresholdMs?: number }
  *   { type: 'start' }
  *   { type: 'stop' }
@@ -24,12 +38,66 @@
  *
  * Message protocol (worklet → main):
  *   { type: 'ready' }
- *   { type: 'position',        timeMs, bufferLevel, isPlaying, bufferMs }
+ *   { type: 'position',        timeMs, wallTimeMs, playbackRate, bufferLevel, isPlaying, bufferMs }
  *   { type: 'playbackStarted' }
  *   { type: 'playbackEnded' }
  *   { type: 'bufferUnderrun',  timeMs }
  *   { type: 'bufferOverflow',  dropped }
- *   { type: 'stats',           totalSamplesPlayed, totalSamplesReceived }
+ *   { type: 'stats',           totalSamplesPlayed, totalSamplesReceived, totalSamplesOutput,
+ *                              underruns, underrunSamples, droppedSamples, rebuffers, bufferMs }
+ *   { type: 'features',        records: Float64Array }   (only without a shared feature buffer)
+ *   { type: 'utterance',       event: 'start'|'end'|'cancelled', id, contextTime, timeMs }
+ *   { type: 'interrupted',     ids, timeMs, utterances: [{ id, played, received }] }
+ *   { type: 'buffering',       timeMs, targetMs, jitterMs }       (adaptive jitter buffer)
+ *   { type: 'resumed',         timeMs, waitedMs, targetMs }
+ *
+ * Stats are posted every processorOptions.statsIntervalMs (default 1000,
+ * 0 = never) of context time, playing or not. The counters run from
+ * processor creation and are not cleared by `reset`; totalSamplesPlayed /
+ * totalSamplesReceived are the stream position and are.
+ *
+ * Feature analysis (processorOptions.analysis):
+ *   { fftSize, smoothingTimeConstant, minDecibels, maxDecibels, hopSize, bands, featureBuffer }
+ *
+ * Every hopSize output samples the last fftSize samples are analyzed the way
+ * an AnalyserNode would (Blackman window, FFT, smoothing, dB → byte scale)
+ * and reduced to RMS + the five FrequencyAnalyzer bands, so the main-thread
+ * thresholds apply unchanged. Records are written to featureBuffer when it
+ * is a SharedArrayBuffer (layout documented in src/utils/FeatureRing.js),
+ * otherwise batched into `features` messages with the same layout.
+ *
+ * Utterances: the ring buffer holds segments back to back, in the order
+ * they were begun. Only the oldest open utterance writes into it; audio for
+ * later ones waits in its segment until every earlier utterance has ended.
+ * So each segment is one contiguous run of the ring and can be cut out on
+ * cancel. Audio without an utteranceId forms anonymous segments that queue
+ * the same way but report no events. Event times are those of the sample
+ * where the segment starts or stops playing.
+ *
+ * Interrupt: the next `fadeSamples` are ramped to zero, then everything
+ * buffered is dropped and the played / received sample counts of each
+ * pending segment are reported (anonymous segments summed under id null).
+ * Messages that arrive during the fade are applied after the flush, so
+ * audio for the next reply can be sent right after the interrupt.
+ *
+ * Playback rate: away from 1, output comes from a WSOLA time-stretch that
+ * reads the ring buffer in place. Each output hop overlap-adds a Hann
+ * frame taken near the nominal media position, shifted within ±5 ms to the
+ * offset that best continues the previous frame's waveform, so pitch is
+ * unchanged. Media samples are consumed at `rate` per output sample, which
+ * keeps segment bookkeeping, `timeMs` and feature timestamps in media
+ * time; `wallTimeMs` counts output time.
+ *
+ * Adaptive jitter buffer (processorOptions.jitter = { minMs, maxMs }): each
+ * chunk's arrival time is compared with where it sits on the stream's own
+ * timeline; the lateness relative to the earliest chunk of the talk spurt
+ * is the delay variation the buffer must absorb. A decaying peak of it
+ * (half-life 10 s) sizes the threshold: minMs + 1.25 × peak, capped at
+ * maxMs. Playback starts, and after an underrun resumes, only once that
+ * much audio is buffered (or no chunk has arrived for maxMs). Audio fades
+ * out into a gap and back in on resume. An utterance that has ended is not
+ * an underrun; untagged audio that stops for maxMs ends with playbackEnded
+ * instead of resumed.
  */
 class StreamingProcessor extends AudioWorkletProcessor {
   constructor(options) {
@@ -58,10 +126,50 @@ class StreamingProcessor extends AudioWorkletProcessor {
     this._fadeCounter = 0;
     this._fadingIn = false;
     this._fadingOut = false;
+    this._totalOutput = 0; // output samples while playing (wall time)
+
+    // ── Adaptive jitter buffer ───────────────────────────────────
+    this._jitter = opts.jitter ? {
+      minMs: opts.jitter.minMs ?? 40,
+      maxMs: opts.jitter.maxMs ?? 500,
+      peakMs: 0,          // decaying peak of chunk lateness
+      minTransit: null,   // earliest (arrival − stream position) this spurt, s
+      streamSec: 0,       // playback seconds received this spurt
+      lastArrival: null,  // currentTime of the last chunk
+    } : null;
+    this._buffering = false;
+    this._bufferingSince = 0;
+    this._lastRetiredId = null; // id of the last segment that finished playing
+
+    // ── Playback rate (WSOLA) ────────────────────────────────────
+    this._rate = 1;
+    this._stretch = null;
+
+    // ── Utterance segments (ring order) ──────────────────────────
+    /** @type {Array<{id: *, queued: Float32Array[], inRing: number, played: number, received: number, ended: boolean, cancelled: boolean, drained: number[]|null}>} */
+    this._segments = [];
+
+    // ── Interrupt in progress ────────────────────────────────────
+    /** @type {{ids: number[], remaining: number, total: number, deferred: Object[]}|null} */
+    this._interrupt = null;
 
     // ── Reporting ────────────────────────────────────────────────
     this._reportInterval = 128; // samples between position reports
     this._samplesSinceReport = 0;
+    const statsMs = opts.statsIntervalMs ?? 1000;
+    this._statsInterval = statsMs > 0 ? Math.round((statsMs / 1000) * sampleRate) : 0;
+    this._samplesSinceStats = 0;
+    this._stats = {
+      underruns: 0,       // times the ring ran dry while playing
+      underrunSamples: 0, // silent output samples while starved
+      droppedSamples: 0,  // overwritten by overflow
+      rebuffers: 0,       // adaptive jitter buffer stalls
+    };
+    this._starved = false; // ran dry and not yet refilled
+
+    // ── Feature analysis ─────────────────────────────────────────
+    this._analysis = opts.analysis ? this._initAnalysis(opts.analysis) : null;
+    if (opts.playbackRate && opts.playbackRate !== 1) this._setRate(opts.playbackRate);
 
     // ── Message handling ─────────────────────────────────────────
     this.port.onmessage = (e) => this._handleMessage(e.data);
@@ -73,14 +181,46 @@ class StreamingProcessor extends AudioWorkletProcessor {
   // ════════════════════════════════════════════════════════════════
 
   _handleMessage(data) {
+    if (this._interrupt && DEFERRED_DURING_INTERRUPT.has(data.type)) {
+      this._interrupt.deferred.push(data);
+      return;
+    }
+
     switch (data.type) {
       case 'audio':
-        this._enqueue(data.samples);
+        this._receive(data.samples, data.utteranceId ?? null);
+        break;
+
+      case 'beginUtterance':
+        if (!this._findSegment(data.id)) this._addSegment(data.id, false);
+        break;
+
+      case 'endUtterance': {
+        const seg = this._findSegment(data.id);
+        if (seg && !seg.ended) {
+          seg.ended = true;
+          this._pump();
+          this._retireSegments();
+        }
+        break;
+      }
+
+      case 'cancelUtterance':
+        this._cancelSegment(data.id);
+        break;
+
+      case 'interrupt':
+        this._startInterrupt(data.id, data.fadeSamples || 0);
+        break;
+
+      case 'setPlaybackRate':
+        this._setRate(data.value);
         break;
 
       case 'start':
         this._isPlaying = true;
         this._autoStartPending = false;
+        this._buffering = false;
         this._startFadeIn();
         break;
 
@@ -89,15 +229,27 @@ class StreamingProcessor extends AudioWorkletProcessor {
         break;
 
       case 'clear':
+        if (this._interrupt) this._finishInterrupt();
+        this._dropSegments();
         this._clearBuffer();
+        if (this._jitter) {
+          // The next audio is a new stream: buffer it up like the first
+          const wasPlaying = this._isPlaying;
+          this._rebufferFromIdle();
+          if (wasPlaying) this.port.postMessage({ type: 'playbackEnded' });
+        }
         break;
 
       case 'reset':
+        if (this._interrupt) this._finishInterrupt();
+        this._dropSegments();
         this._clearBuffer();
         this._totalPlayed = 0;
         this._totalReceived = 0;
+        this._totalOutput = 0;
         this._autoStartPending = true;
         this._isPlaying = false;
+        this._buffering = false;
         break;
 
       case 'setVolume':
@@ -115,7 +267,7 @@ class StreamingProcessor extends AudioWorkletProcessor {
   //  BUFFER MANAGEMENT
   // ════════════════════════════════════════════════════════════════
 
-  _enqueue(samples) {
+  _enqueue(seg, samples) {
     let dropped = 0;
     for (let i = 0; i < samples.length; i++) {
       if (this._available >= this._capacity) {
@@ -130,13 +282,17 @@ class StreamingProcessor extends AudioWorkletProcessor {
     }
 
     this._totalReceived += samples.length;
+    seg.inRing += samples.length;
 
     if (dropped > 0) {
+      this._stats.droppedSamples += dropped;
+      this._discardHead(dropped);
+      this._retireSegments(); // ended segments the overflow emptied
       this.port.postMessage({ type: 'bufferOverflow', dropped });
     }
 
-    // Auto-start on first fill
-    if (this._autoStartPending) {
+    // Auto-start on first fill (the adaptive buffer decides in process())
+    if (this._autoStartPending && !this._jitter) {
       const bufferedMs = (this._available / this._sampleRate) * 1000;
       if (bufferedMs >= this._startThresholdMs) {
         this._autoStartPending = false;
@@ -151,6 +307,214 @@ class StreamingProcessor extends AudioWorkletProcessor {
     this._readPtr = 0;
     this._writePtr = 0;
     this._available = 0;
+    if (this._stretch) this._resetStretch();
+  }
+
+  /**
+   * Take the next sample off the ring, with segment bookkeeping.
+   * @param {number} i - Sample index within the current block.
+   */
+  _readSample(i) {
+    const seg = this._segments[0];
+    if (seg.played++ === 0 && seg.id !== null) {
+      this._postUtterance('start', seg.id, currentFrame + i, this._totalPlayed);
+    }
+
+    const sample = this._buffer[this._readPtr];
+    this._readPtr = (this._readPtr + 1) % this._capacity;
+    this._available--;
+    this._totalPlayed++;
+
+    if (--seg.inRing === 0) {
+      seg.drained = [currentFrame + i + 1, this._totalPlayed];
+      this._retireSegments();
+    }
+    return sample;
+  }
+
+  // ════════════════════════════════════════════════════════════════
+  //  UTTERANCE SEGMENTS
+  // ════════════════════════════════════════════════════════════════
+
+  _findSegment(id) {
+    return this._segments.find((s) => s.id === id && !s.cancelled);
+  }
+
+  _addSegment(id, ended) {
+    const seg = { id, queued: [], inRing: 0, played: 0, received: 0, ended, cancelled: false, drained: null };
+    this._segments.push(seg);
+    return seg;
+  }
+
+  _receive(samples, id) {
+    let seg;
+    if (id === null) {
+      // Anonymous audio is complete on arrival; consecutive chunks share a segment
+      const tail = this._segments[this._segments.length - 1];
+      seg = tail && tail.id === null && !tail.cancelled ? tail : this._addSegment(null, true);
+    } else {
+      seg = this._findSegment(id) || this._addSegment(id, false);
+      if (seg.ended) return; // late audio after endUtterance
+    }
+    seg.received += samples.length;
+    seg.queued.push(samples);
+    if (this._jitter) this._onArrival(samples.length);
+    this._pump();
+  }
+
+  /** Move queued audio into the ring, in segment order, up to the first open utterance. */
+  _pump() {
+    for (const seg of this._segments) {
+      while (seg.queued.length > 0) this._enqueue(seg, seg.queued.shift());
+      if (!seg.ended) break;
+    }
+  }
+
+  /** Overflow dropped the oldest samples: take them off the head segments. */
+  _discardHead(count) {
+    for (const seg of this._segments) {
+      if (count === 0) break;
+      const n = Math.min(count, seg.inRing);
+      seg.inRing -= n;
+      count -= n;
+    }
+  }
+
+  /**
+   * Remove finished segments from the head, reporting their end at the
+   * sample after their last one played (or now, if none ever played).
+   */
+  _retireSegments() {
+    while (this._segments.length > 0) {
+      const seg = this._segments[0];
+      if (!seg.ended || seg.inRing > 0 || seg.queued.length > 0) break;
+      this._segments.shift();
+      this._lastRetiredId = seg.id;
+      if (seg.id === null) continue;
+      const [frame, played] = seg.drained || [currentFrame, this._totalPlayed];
+      if (seg.played === 0 && !seg.cancelled) this._postUtterance('start', seg.id, frame, played);
+      this._postUtterance(seg.cancelled ? 'cancelled' : 'end', seg.id, frame, played);
+    }
+  }
+
+  _cancelSegment(id) {
+    const index = this._segments.findIndex((s) => s.id === id && !s.cancelled);
+    if (index < 0) return;
+    const seg = this._segments[index];
+    seg.queued = [];
+
+    // Ring offset of this segment's run
+    let start = 0;
+    for (let i = 0; i < index; i++) start += this._segments[i].inRing;
+
+    if (index === 0 && seg.played > 0 && seg.inRing > 0 && this._isPlaying) {
+      // Audible: ramp the next few samples down instead of cutting mid-wave
+      const keep = Math.min(this._fadeFrames, seg.inRing);
+      for (let i = 0; i < keep; i++) {
+        const p = (this._readPtr + i) % this._capacity;
+        this._buffer[p] *= 1 - (i + 1) / keep;
+      }
+      this._removeRun(keep, seg.inRing - keep);
+      if (this._stretch) this._stretch.prev = null; // samples ahead have moved
+      seg.inRing = keep;
+      seg.ended = true;
+      seg.cancelled = true; // reported when the ramp has played
+    } else {
+      this._removeRun(start, seg.inRing);
+      this._segments.splice(index, 1);
+      this._postUtterance('cancelled', id, currentFrame, this._totalPlayed);
+    }
+    // A cancelled open utterance no longer holds back the ones after it
+    this._pump();
+    this._retireSegments();
+  }
+
+  /** Cut `length` samples out of the ring starting `start` samples after the read pointer. */
+  _removeRun(start, length) {
+    if (length <= 0) return;
+    const tail = this._available - start - length;
+    for (let i = 0; i < tail; i++) {
+      const to = (this._readPtr + start + i) % this._capacity;
+      const from = (this._readPtr + start + length + i) % this._capacity;
+      this._buffer[to] = this._buffer[from];
+    }
+    this._writePtr = (this._writePtr - length + this._capacity) % this._capacity;
+    this._available -= length;
+  }
+
+  /** Report every pending utterance as cancelled (clear / reset). */
+  _dropSegments() {
+    for (const seg of this._segments) {
+      if (seg.id !== null) this._postUtterance('cancelled', seg.id, currentFrame, this._totalPlayed);
+    }
+    this._segments = [];
+  }
+
+  // ════════════════════════════════════════════════════════════════
+  //  INTERRUPT (BARGE-IN)
+  // ════════════════════════════════════════════════════════════════
+
+  _startInterrupt(id, fadeSamples) {
+    if (this._interrupt) {
+      // Already fading out: answer both requests with the same report
+      this._interrupt.ids.push(id);
+      return;
+    }
+    this._interrupt = { ids: [id], remaining: fadeSamples, total: fadeSamples, deferred: [] };
+    if (!this._isPlaying || this._available === 0 || fadeSamples <= 0) {
+      this._finishInterrupt();
+    }
+  }
+
+  _finishInterrupt() {
+    const { ids, deferred } = this._interrupt;
+    this._interrupt = null;
+
+    const utterances = [];
+    let anonymous = null;
+    for (const seg of this._segments) {
+      if (seg.id !== null) {
+        utterances.push({ id: seg.id, played: seg.played, received: seg.received });
+      } else {
+        anonymous = anonymous || { id: null, played: 0, received: 0 };
+        anonymous.played += seg.played;
+        anonymous.received += seg.received;
+      }
+    }
+    if (anonymous) utterances.push(anonymous);
+
+    this.port.postMessage({
+      type: 'interrupted',
+      ids,
+      timeMs: (this._totalPlayed / this._sampleRate) * 1000,
+      utterances,
+    });
+
+    const wasPlaying = this._isPlaying;
+    this._dropSegments();
+    this._clearBuffer();
+    this._isPlaying = false;
+    this._buffering = false;
+    this._autoStartPending = true; // the next reply starts like the first one
+    this._fadingIn = false;
+    this._fadingOut = false;
+    if (wasPlaying) this.port.postMessage({ type: 'playbackEnded' });
+
+    for (const data of deferred) this._handleMessage(data);
+  }
+
+  /**
+   * @param {number} frame - AudioContext frame of the event.
+   * @param {number} played - Samples played before it (playback timeline).
+   */
+  _postUtterance(event, id, frame, played) {
+    this.port.postMessage({
+      type: 'utterance',
+      event,
+      id,
+      contextTime: frame / sampleRate,
+      timeMs: (played / this._sampleRate) * 1000,
+    });
   }
 
   // ════════════════════════════════════════════════════════════════
@@ -200,41 +564,87 @@ class StreamingProcessor extends AudioWorkletProcessor {
     const channel = output[0]; // mono output
     const blockSize = channel.length;
 
-    if (!this._isPlaying) {
+    if (this._statsInterval > 0) {
+      this._samplesSinceStats += blockSize;
+      if (this._samplesSinceStats >= this._statsInterval) {
+        this._samplesSinceStats = 0;
+        this._postStats();
+      }
+    }
+
+    if (this._jitter) this._updateJitterState();
+
+    if (!this._isPlaying || this._buffering) {
       // Output silence
       channel.fill(0);
+      if (this._buffering) this._stats.underrunSamples += blockSize;
+      if (this._interrupt) this._finishInterrupt();
+      if (this._analysis) {
+        this._analyzeBlock(channel);
+        this._flushFeatures();
+      }
       return true;
     }
 
     let underrun = false;
 
+    this._totalOutput += blockSize;
+
     for (let i = 0; i < blockSize; i++) {
-      if (this._available > 0) {
-        const sample = this._buffer[this._readPtr];
-        this._readPtr = (this._readPtr + 1) % this._capacity;
-        this._available--;
-        this._totalPlayed++;
+      if (this._interrupt && this._interrupt.remaining <= 0) {
+        channel[i] = 0; // faded out; the rest is flushed after this block
+        continue;
+      }
+      if (this._available > 0 || (this._stretch && this._stretch.outPos < this._stretch.hop)) {
+        // The stretch plays out its last computed hop after the ring empties
+        const head = this._segments[0]; // before the read retires it
+        const sample = this._stretch ? this._stretchSample(i) : this._readSample(i);
+        this._starved = false;
 
-        const fadeGain = this._getFadeGain();
-        channel[i] = sample * this._volume * fadeGain;
+        let gain = this._getFadeGain();
+        if (this._jitter && this._available < this._fadeFrames && head && (head.id === null || !head.ended)) {
+          // About to run dry mid-stream (untagged audio has no end to reach):
+          // fade into the gap rather than cut
+          const r = this._available / this._fadeFrames;
+          gain *= r * r;
+        }
+        if (this._interrupt) {
+          const r = this._interrupt.remaining-- / this._interrupt.total;
+          gain *= r * r; // ease-out
+        }
+        channel[i] = sample * this._volume * gain;
       } else {
         // Buffer underrun
         channel[i] = 0;
-        if (!underrun) {
+        if (!this._interrupt) {
+          this._stats.underrunSamples++;
+          if (!this._starved) this._stats.underruns++;
+          this._starved = true;
+        }
+        if (!underrun && this._stretch) this._resetStretch(); // start clean on new audio
+        if (!underrun && !this._interrupt) {
           underrun = true;
-          this.port.postMessage({
-            type: 'bufferUnderrun',
-            timeMs: (this._totalPlayed / this._sampleRate) * 1000
-          });
+          if (!this._jitter || this._onStall()) {
+            this.port.postMessage({
+              type: 'bufferUnderrun',
+              timeMs: (this._totalPlayed / this._sampleRate) * 1000
+            });
+          }
         }
       }
     }
 
+    if (this._interrupt && (this._interrupt.remaining <= 0 || this._available === 0)) {
+      this._finishInterrupt();
+    }
+
     // Copy mono to other channels if present
     for (let ch = 1; ch < output.length; ch++) {
       output[ch].set(channel);
     }
 
+    if (this._analysis) this._analyzeBlock(channel);
+
     // Report position periodically
     this._samplesSinceReport += blockSize;
     if (this._samplesSinceReport >= this._reportInterval) {
@@ -242,14 +652,469 @@ class StreamingProcessor extends AudioWorkletProcessor {
       this.port.postMessage({
         type: 'position',
         timeMs: (this._totalPlayed / this._sampleRate) * 1000,
+        wallTimeMs: (this._totalOutput / this._sampleRate) * 1000,
+        playbackRate: this._rate,
         bufferLevel: this._available / this._capacity,
         bufferMs: (this._available / this._sampleRate) * 1000,
         isPlaying: this._isPlaying,
       });
+      this._flushFeatures();
     }
 
     return true; // keep processor alive
   }
+
+  _postStats() {
+    this.port.postMessage({
+      type: 'stats',
+      totalSamplesPlayed: this._totalPlayed,
+      totalSamplesReceived: this._totalReceived,
+      totalSamplesOutput: this._totalOutput,
+      ...this._stats,
+      bufferMs: (this._available / this._sampleRate) * 1000,
+    });
+  }
+
+  // ════════════════════════════════════════════════════════════════
+  //  ADAPTIVE JITTER BUFFER
+  // ════════════════════════════════════════════════════════════════
+
+  /** Update the lateness estimate with a chunk that just arrived. */
+  _onArrival(length) {
+    const j = this._jitter;
+    const now = currentTime;
+
+    // A pause longer than we would ever wait starts a new talk spurt
+    const gapMs = j.lastArrival === null ? Infinity : (now - j.lastArrival) * 1000;
+    if (gapMs > j.maxMs) {
+      j.minTransit = null;
+      j.streamSec = 0;
+    }
+
+    const transit = now - j.streamSec;
+    if (j.minTransit === null || transit < j.minTransit) j.minTransit = transit;
+    const lateMs = (transit - j.minTransit) * 1000;
+
+    const decay = Number.isFinite(gapMs) ? Math.pow(0.5, gapMs / 10000) : 1;
+    j.peakMs = Math.max(lateMs, j.peakMs * decay);
+    j.lastArrival = now;
+    j.streamSec += length / this._sampleRate / this._rate;
+  }
+
+  /** Buffered audio needed before starting or resuming, in ms of playback. */
+  _jitterTargetMs() {
+    const j = this._jitter;
+    return Math.min(j.maxMs, j.minMs + j.peakMs * 1.25);
+  }
+
+  /** Buffered playback time in ms. */
+  _bufferedMs() {
+    return (this._available / this._sampleRate / this._rate) * 1000;
+  }
+
+  /** Start or resume once enough audio is buffered; give up on a stream that stopped. */
+  _updateJitterState() {
+    if (!this._buffering && !this._autoStartPending) return;
+    const j = this._jitter;
+    const idleMs = j.lastArrival === null ? 0 : (currentTime - j.lastArrival) * 1000;
+    const targetMs = this._jitterTargetMs();
+
+    if (this._available > 0 && (this._bufferedMs() >= targetMs || idleMs > j.maxMs)) {
+      if (this._buffering) {
+        this._buffering = false;
+        this.port.postMessage({
+          type: 'resumed',
+          timeMs: (this._totalPlayed / this._sampleRate) * 1000,
+          waitedMs: (currentTime - this._bufferingSince) * 1000,
+          targetMs,
+        });
+      } else {
+        this._autoStartPending = false;
+        this._isPlaying = true;
+        this.port.postMessage({ type: 'playbackStarted' });
+      }
+      this._startFadeIn();
+    } else if (this._buffering && this._available === 0 && idleMs > j.maxMs) {
+      // Nothing came: the stream ended rather than stalled
+      this._rebufferFromIdle();
+      this.port.postMessage({ type: 'playbackEnded' });
+    }
+  }
+
+  /**
+   * The ring ran dry while playing.
+   * @returns {boolean} Whether this is a stall (not the end of an utterance).
+   */
+  _onStall() {
+    if (this._segments.length === 0 && this._lastRetiredId !== null) {
+      // The last utterance finished: idle until the next one
+      this._rebufferFromIdle();
+      this.port.postMessage({ type: 'playbackEnded' });
+      return false;
+    }
+    this._buffering = true;
+    this._bufferingSince = currentTime;
+    this._stats.rebuffers++;
+    this.port.postMessage({
+      type: 'buffering',
+      timeMs: (this._totalPlayed / this._sampleRate) * 1000,
+      targetMs: this._jitterTargetMs(),
+      jitterMs: this._jitter.peakMs,
+    });
+    return true;
+  }
+
+  /** Next audio starts like the first: after the jitter threshold. */
+  _rebufferFromIdle() {
+    this._isPlaying = false;
+    this._autoStartPending = true;
+    this._buffering = false;
+  }
+
+  // ════════════════════════════════════════════════════════════════
+  //  PLAYBACK RATE (WSOLA TIME-STRETCH)
+  // ════════════════════════════════════════════════════════════════
+
+  _setRate(rate) {
+    this._rate = rate;
+    if (this._analysis) {
+      // Smoothing runs per hop of output; scale it to media time
+      this._analysis.tau = Math.pow(this._analysis.baseTau, rate);
+    }
+    if (rate === 1) {
+      this._stretch = null;
+      return;
+    }
+    if (this._stretch) return;
+
+    const sr = this._sampleRate;
+    const hop = Math.round(sr * 0.01);       // 10 ms synthesis hop
+    const n = hop * 2;                       // 20 ms frames, 50% overlap
+    const tol = Math.round(sr * 0.005);      // ±5 ms search
+    const win = new Float32Array(n);
+    for (let k = 0; k < n; k++) win[k] = 0.5 - 0.5 * Math.cos((2 * Math.PI * k) / n);
+
+    this._stretch = {
+      n,
+      hop,
+      tol,
+      win,
+      acc: new Float32Array(n),    // overlap-add accumulator
+      out: new Float32Array(hop),  // finished output hop
+      ref: new Float32Array(hop),  // natural continuation of the previous frame
+      region: new Float32Array(hop + 2 * tol),
+      outPos: hop,
+      media: 0,                    // fractional media samples owed
+      prev: null,                  // media index of the previous frame
+      fresh: true,                 // next frame starts from silence
+      floor: this._totalPlayed,    // nothing valid before this index
+    };
+  }
+
+  _resetStretch() {
+    const st = this._stretch;
+    st.acc.fill(0);
+    st.outPos = st.hop;
+    st.media = 0;
+    st.prev = null;
+    st.fresh = true;
+    st.floor = this._totalPlayed;
+  }
+
+  /** Ring sample at an absolute media index (0 outside the valid window). */
+  _peek(index) {
+    const offset = index - this._totalPlayed;
+    if (offset >= this._available || index < this._stretch.floor) return 0;
+    if (offset < this._available - this._capacity) return 0; // overwritten history
+    return this._buffer[(this._readPtr + offset + this._capacity) % this._capacity];
+  }
+
+  /**
+   * Next time-stretched output sample; consumes `rate` media samples.
+   * @param {number} i - Sample index within the current block.
+   */
+  _stretchSample(i) {
+    const st = this._stretch;
+    if (st.outPos >= st.hop) this._stretchHop();
+    const sample = st.out[st.outPos++];
+
+    st.media += this._rate;
+    while (st.media >= 1 && this._available > 0) {
+      this._readSample(i);
+      st.media -= 1;
+    }
+    return sample;
+  }
+
+  _stretchHop() {
+    const st = this._stretch;
+    const { n, hop, win, acc } = st;
+    const nominal = this._totalPlayed + Math.round(st.media);
+    const pos = st.prev === null ? nominal : this._bestOffset(nominal, st.prev + hop);
+    st.prev = pos;
+
+    for (let k = 0; k < n; k++) {
+      // A fresh start has no previous frame to cross-fade with
+      const w = st.fresh && k < hop ? 1 : win[k];
+      acc[k] += w * this._peek(pos + k);
+    }
+    st.fresh = false;
+    st.out.set(acc.subarray(0, hop));
+    acc.copyWithin(0, hop);
+    acc.fill(0, n - hop);
+    st.outPos = 0;
+  }
+
+  /**
+   * Frame start within ±tol of `nominal` whose first hop best matches the
+   * waveform at `target` (normalized cross-correlation; coarse pass on every
+   * 4th lag and sample, then refined around the winner).
+   */
+  _bestOffset(nominal, target) {
+    const st = this._stretch;
+    const { hop, tol, ref, region } = st;
+    for (let k = 0; k < hop; k++) ref[k] = this._peek(target + k);
+    const base = nominal - tol;
+    for (let k = 0; k < region.length; k++) region[k] = this._peek(base + k);
+
+    const score = (lag, step) => {
+      let xy = 0;
+      let yy = 0;
+      for (let k = 0; k < hop; k += step) {
+        const y = region[lag + k];
+        xy += y * ref[k];
+        yy += y * y;
+      }
+      return yy > 0 ? xy / Math.sqrt(yy) : 0;
+    };
+
+    let best = tol;
+    let bestScore = -Infinity;
+    for (let lag = 0; lag <= 2 * tol; lag += 4) {
+      const s = score(lag, 4);
+      if (s > bestScore) {
+        bestScore = s;
+        best = lag;
+      }
+    }
+    const coarse = best;
+    bestScore = -Infinity;
+    for (let lag = Math.max(0, coarse - 3); lag <= Math.min(2 * tol, coarse + 3); lag++) {
+      const s = score(lag, 1);
+      if (s > bestScore) {
+        bestScore = s;
+        best = lag;
+      }
+    }
+    return base + best;
+  }
+
+  // ════════════════════════════════════════════════════════════════
+  //  FEATURE ANALYSIS
+  // ════════════════════════════════════════════════════════════════
+
+  _initAnalysis(config) {
+    const n = config.fftSize || 256;
+    const hopSize = config.hopSize || 128;
+    const tau = config.smoothingTimeConstant ?? 0.5;
+
+    // Blackman window + twiddle tables (no trig in the hot path)
+    const win = new Float32Array(n);
+    for (let i = 0; i < n; i++) {
+      const x = (2 * Math.PI * i) / n;
+      win[i] = 0.42 - 0.5 * Math.cos(x) + 0.08 * Math.cos(2 * x);
+    }
+    const cos = new Float64Array(n / 2);
+    const sin = new Float64Array(n / 2);
+    for (let k = 0; k < n / 2; k++) {
+      cos[k] = Math.cos((-2 * Math.PI * k) / n);
+      sin[k] = Math.sin((-2 * Math.PI * k) / n);
+    }
+
+    // Band bin ranges in record order, computed as extractBandEnergies() does
+    const bandDefs = config.bands || [
+      { name: 'sub', min: 20, max: 200 },
+      { name: 'low', min: 200, max: 800 },
+      { name: 'mid', min: 800, max: 2500 },
+      { name: 'high', min: 2500, max: 5500 },
+      { name: 'veryHigh', min: 5500, max: 12000 },
+    ];
+    const binWidth = sampleRate / 2 / (n / 2);
+    const bands = ['sub', 'low', 'mid', 'high', 'veryHigh'].map((name) => {
+      const band = bandDefs.find((b) => b.name === name);
+      if (!band) return [0, 0];
+      return [
+        Math.max(0, Math.floor(band.min / binWidth)),
+        Math.min(n / 2 - 1, Math.floor(band.max / binWidth)),
+      ];
+    });
+
+    let shared = null;
+    const buf = config.featureBuffer;
+    if (typeof SharedArrayBuffer !== 'undefined' && buf instanceof SharedArrayBuffer) {
+      shared = {
+        header: new Int32Array(buf, 0, 2),
+        data: new Float64Array(buf, 8),
+      };
+    }
+
+    return {
+      n,
+      hopSize,
+      // The AnalyserNode smooths once per read (~60 Hz); scale the constant
+      // so smoothing over time matches at our hop rate.
+      tau: Math.pow(tau, hopSize / (sampleRate / 60)),
+      baseTau: Math.pow(tau, hopSize / (sampleRate / 60)),
+      minDb: config.minDecibels ?? -100,
+      maxDb: config.maxDecibels ?? -30,
+      win,
+      cos,
+      sin,
+      bands,
+      history: new Float32Array(n),
+      historyPtr: 0,
+      re: new Float64Array(n),
+      im: new Float64Array(n),
+      smoothed: new Float64Array(n / 2),
+      quiet: true,     // smoothed spectrum is below minDecibels everywhere
+      silent: false,   // last record written was the silent one
+      sinceHop: 0,
+      shared,
+      pending: shared ? null : [],
+      record: new Float64Array(8),
+    };
+  }
+
+  _analyzeBlock(channel) {
+    const a = this._analysis;
+    const n = a.n;
+    for (let i = 0; i < channel.length; i++) {
+      a.history[a.historyPtr] = channel[i];
+      a.historyPtr = (a.historyPtr + 1) % n;
+    }
+    a.sinceHop += channel.length;
+    if (a.sinceHop < a.hopSize) return;
+    a.sinceHop = 0;
+
+    const rec = a.record;
+    rec[0] = (currentFrame + channel.length) / sampleRate;
+    rec[1] = (this._totalPlayed / this._sampleRate) * 1000;
+
+    // Time domain: oldest → newest
+    let sumSquares = 0;
+    for (let i = 0; i < n; i++) {
+      const x = a.history[(a.historyPtr + i) % n];
+      sumSquares += x * x;
+      a.re[i] = x * a.win[i];
+      a.im[i] = 0;
+    }
+    rec[2] = Math.sqrt(sumSquares / n);
+
+    if (sumSquares === 0 && a.quiet) {
+      // Silent and fully decayed: one zero record covers the whole gap
+      if (a.silent) return;
+      a.silent = true;
+      for (let b = 3; b < 8; b++) rec[b] = 0;
+    } else {
+      a.silent = false;
+      this._computeBands(rec);
+    }
+    this._writeFeatures(rec);
+  }
+
+  _computeBands(rec) {
+    const a = this._analysis;
+    const n = a.n;
+    const re = a.re;
+    const im = a.im;
+
+    // In-place radix-2 FFT
+    for (let i = 1, j = 0; i < n; i++) {
+      let bit = n >> 1;
+      for (; j & bit; bit >>= 1) j ^= bit;
+      j ^= bit;
+      if (i < j) {
+        let t = re[i]; re[i] = re[j]; re[j] = t;
+        t = im[i]; im[i] = im[j]; im[j] = t;
+      }
+    }
+    for (let size = 2; size <= n; size <<= 1) {
+      const half = size >> 1;
+      const stride = n / size;
+      for (let start = 0; start < n; start += size) {
+        for (let k = 0; k < half; k++) {
+          const wr = a.cos[k * stride];
+          const wi = a.sin[k * stride];
+          const p = start + k;
+          const q = p + half;
+          const tr = re[q] * wr - im[q] * wi;
+          const ti = re[q] * wi + im[q] * wr;
+          re[q] = re[p] - tr;
+          im[q] = im[p] - ti;
+          re[p] += tr;
+          im[p] += ti;
+        }
+      }
+    }
+
+    // Smoothed magnitude → dB → byte scale, averaged per band (as /255)
+    const range = a.maxDb - a.minDb;
+    const floor = Math.pow(10, a.minDb / 20);
+    let quiet = true;
+    for (let k = 0; k < n / 2; k++) {
+      const mag = Math.sqrt(re[k] * re[k] + im[k] * im[k]) / n;
+      a.smoothed[k] = a.tau * a.smoothed[k] + (1 - a.tau) * mag;
+      if (a.smoothed[k] > floor) quiet = false;
+    }
+    a.quiet = quiet;
+
+    for (let b = 0; b < a.bands.length; b++) {
+      const [start, end] = a.bands[b];
+      if (start >= end) {
+        rec[3 + b] = 0;
+        continue;
+      }
+      let sum = 0;
+      for (let k = start; k <= end; k++) {
+        const db = 20 * Math.log10(a.smoothed[k]);
+        const scaled = Math.floor((255 / range) * (db - a.minDb));
+        sum += Number.isFinite(scaled) ? Math.max(0, Math.min(255, scaled)) : 0;
+      }
+      rec[3 + b] = sum / 255 / (end - start + 1);
+    }
+  }
+
+  _writeFeatures(rec) {
+    const a = this._analysis;
+    if (a.shared) {
+      const { header, data } = a.shared;
+      const count = Atomics.load(header, 0);
+      const slots = header[1];
+      const base = (count % slots) * 8;
+      for (let i = 0; i < 8; i++) data[base + i] = rec[i];
+      // Same wrap as FeatureRing.nextCount(): stays positive and on its slot
+      const wrap = slots * Math.floor(0x7fffffff / slots);
+      Atomics.store(header, 0, count + 1 >= wrap ? count + 1 - wrap + slots : count + 1);
+    } else {
+      for (let i = 0; i < 8; i++) a.pending.push(rec[i]);
+    }
+  }
+
+  _flushFeatures() {
+    const a = this._analysis;
+    if (!a || a.shared || a.pending.length === 0) return;
+    const records = new Float64Array(a.pending);
+    a.pending.length = 0;
+    this.port.postMessage({ type: 'features', records }, [records.buffer]);
+  }
 }
 
+/** Messages held back while an interrupt fades out, then applied in order. */
+const DEFERRED_DURING_INTERRUPT = new Set([
+  'audio',
+  'beginUtterance',
+  'endUtterance',
+  'cancelUtterance',
+]);
+
 registerProcessor('streaming-processor', StreamingProcessor);
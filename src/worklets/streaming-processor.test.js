@@ -0,0 +1,319 @@
+import { describe, it, expect, beforeAll, beforeEach, afterAll, vi } from 'vitest';
+
+const SAMPLE_RATE = 1000;
+const BLOCK = 128;
+
+let StreamingProcessor;
+
+beforeAll(async () => {
+  vi.stubGlobal('sampleRate', SAMPLE_RATE);
+  vi.stubGlobal('currentFrame', 0);
+  vi.stubGlobal('currentTime', 0);
+  vi.stubGlobal('AudioWorkletProcessor', class {
+    constructor() {
+      this.port = {
+        messages: [],
+        onmessage: null,
+        postMessage(message) { this.messages.push(message); },
+      };
+    }
+  });
+  vi.stubGlobal('registerProcessor', (name, processor) => { StreamingProcessor = processor; });
+  await import('./streaming-processor.js');
+});
+
+afterAll(() => {
+  vi.unstubAllGlobals();
+});
+
+beforeEach(() => {
+  globalThis.currentFrame = 0;
+  globalThis.currentTime = 0;
+});
+
+/** Processor with a 1 s ring at 1 kHz that starts after 50 ms of audio. */
+function create(options = {}) {
+  return new StreamingProcessor({
+    processorOptions: { sampleRate: SAMPLE_RATE, bufferSeconds: 1, startThresholdMs: 50, statsIntervalMs: 0, ...options },
+  });
+}
+
+function send(processor, data) {
+  processor.port.onmessage({ data });
+}
+
+function audio(processor, length, utteranceId, value = 0.5) {
+  send(processor, { type: 'audio', samples: new Float32Array(length).fill(value), utteranceId });
+}
+
+/** Render blocks, advancing the context clock; returns the concatenated output. */
+function render(processor, blocks = 1) {
+  const out = new Float32Array(blocks * BLOCK);
+  for (let b = 0; b < blocks; b++) {
+    const channel = new Float32Array(BLOCK);
+    processor.process([], [[channel]]);
+    out.set(channel, b * BLOCK);
+    globalThis.currentFrame += BLOCK;
+    globalThis.currentTime = globalThis.currentFrame / SAMPLE_RATE;
+  }
+  return out;
+}
+
+function utteranceEvents(processor) {
+  return processor.port.messages
+    .filter((m) => m.type === 'utterance')
+    .map((m) => [m.event, m.id, m.timeMs]);
+}
+
+describe('streaming-processor utterances', () => {
+  it('plays utterances in the order they began and reports sample-exact start/end', () => {
+    const p = create();
+    send(p, { type: 'beginUtterance', id: 'a' });
+    send(p, { type: 'beginUtterance', id: 'b' });
+    audio(p, 100, 'b');
+    audio(p, 200, 'a');
+    send(p, { type: 'endUtterance', id: 'a' });
+    send(p, { type: 'endUtterance', id: 'b' });
+
+    render(p, 3);
+    expect(utteranceEvents(p)).toEqual([
+      ['start', 'a', 0],
+      ['end', 'a', 200],
+      ['start', 'b', 200],
+      ['end', 'b', 300],
+    ]);
+    const startB = p.port.messages.find((m) => m.event === 'start' && m.id === 'b');
+    expect(startB.contextTime).toBeCloseTo(0.2);
+  });
+
+  it('cancels a queued utterance without touching the others', () => {
+    const p = create();
+    audio(p, 100, 'a');
+    audio(p, 100, 'b');
+    send(p, { type: 'cancelUtterance', id: 'b' });
+    send(p, { type: 'endUtterance', id: 'a' });
+
+    render(p, 2);
+    expect(utteranceEvents(p)).toEqual([
+      ['cancelled', 'b', 0],
+      ['start', 'a', 0],
+      ['end', 'a', 100],
+    ]);
+  });
+
+  it('ramps an audible utterance down on cancel before reporting it', () => {
+    const p = create({ fadeFrames: 16 });
+    audio(p, 500, 'a');
+    render(p, 1);
+    send(p, { type: 'cancelUtterance', id: 'a' });
+    const out = render(p, 1);
+
+    expect(out[0]).toBeGreaterThan(0);
+    expect(out[15]).toBe(0);
+    expect(out.subarray(16).every((v) => v === 0)).toBe(true);
+    expect(utteranceEvents(p).at(-1)).toEqual(['cancelled', 'a', 144]);
+  });
+
+  it('retires an ended utterance whose samples were all dropped by an overflow', () => {
+    const p = create();
+    audio(p, 300, 'a');
+    send(p, { type: 'endUtterance', id: 'a' });
+    audio(p, 1000, 'b');
+
+    expect(p.port.messages.find((m) => m.type === 'bufferOverflow').dropped).toBe(300);
+    expect(utteranceEvents(p)).toEqual([['start', 'a', 0], ['end', 'a', 0]]);
+    expect(p._segments.map((s) => s.id)).toEqual(['b']);
+
+    render(p, 1);
+    expect(utteranceEvents(p).at(-1)).toEqual(['start', 'b', 0]);
+
+    send(p, { type: 'endUtterance', id: 'b' });
+    render(p, 8);
+    expect(utteranceEvents(p).at(-1)).toEqual(['end', 'b', 1000]);
+    expect(p._segments).toHaveLength(0);
+  });
+
+  it('reports pending utterances as cancelled on clear', () => {
+    const p = create();
+    audio(p, 100, 'a');
+    audio(p, 100, 'b');
+    send(p, { type: 'clear' });
+    expect(utteranceEvents(p)).toEqual([['cancelled', 'a', 0], ['cancelled', 'b', 0]]);
+    expect(p._available).toBe(0);
+  });
+});
+
+describe('streaming-processor interrupt', () => {
+  it('fades out, flushes and reports what each utterance played', () => {
+    const p = create();
+    audio(p, 300, 'a');
+    send(p, { type: 'endUtterance', id: 'a' });
+    audio(p, 200, 'b');
+    audio(p, 50);
+    render(p, 2);
+
+    send(p, { type: 'interrupt', id: 7, fadeSamples: 32 });
+    const out = render(p, 1);
+    expect(out[0]).toBeGreaterThan(0);
+    expect(out.subarray(32).every((v) => v === 0)).toBe(true);
+
+    const report = p.port.messages.find((m) => m.type === 'interrupted');
+    expect(report.ids).toEqual([7]);
+    expect(report.timeMs).toBe(288);
+    expect(report.utterances).toEqual([
+      { id: 'a', played: 288, received: 300 },
+      { id: 'b', played: 0, received: 200 },
+      { id: null, played: 0, received: 50 },
+    ]);
+    expect(utteranceEvents(p).slice(-2)).toEqual([['cancelled', 'a', 288], ['cancelled', 'b', 288]]);
+    expect(p._available).toBe(0);
+    expect(p.port.messages.some((m) => m.type === 'playbackEnded')).toBe(true);
+    expect(p._isPlaying).toBe(false);
+  });
+
+  it('applies audio sent during the fade after the flush', () => {
+    const p = create();
+    audio(p, 300, 'a');
+    render(p, 1);
+    send(p, { type: 'interrupt', id: 1, fadeSamples: 64 });
+    audio(p, 100, 'next');
+    expect(p._interrupt.deferred).toHaveLength(1);
+
+    render(p, 1);
+    expect(p._interrupt).toBeNull();
+    expect(p._segments.map((s) => s.id)).toEqual(['next']);
+    expect(p._available).toBe(100);
+  });
+
+  it('answers at once when nothing is playing', () => {
+    const p = create();
+    audio(p, 20, 'a'); // below the start threshold
+    send(p, { type: 'interrupt', id: 3, fadeSamples: 64 });
+    const report = p.port.messages.find((m) => m.type === 'interrupted');
+    expect(report.utterances).toEqual([{ id: 'a', played: 0, received: 20 }]);
+    expect(p._interrupt).toBeNull();
+  });
+});
+
+describe('streaming-processor playback rate', () => {
+  const RATE = 16000;
+
+  function tone(p, seconds, freq = 200) {
+    const samples = Float32Array.from({ length: RATE * seconds }, (_, i) => 0.5 * Math.sin((2 * Math.PI * freq * i) / RATE));
+    send(p, { type: 'audio', samples });
+  }
+
+  function crossings(signal) {
+    let n = 0;
+    for (let i = 1; i < signal.length; i++) if ((signal[i - 1] < 0) !== (signal[i] < 0)) n++;
+    return n;
+  }
+
+  it('consumes media at the rate and reports media and wall time', () => {
+    const p = create({ sampleRate: RATE, playbackRate: 2 });
+    tone(p, 0.5);
+    render(p, 25);
+
+    expect(p._totalPlayed).toBe(2 * 25 * BLOCK);
+    const position = p.port.messages.filter((m) => m.type === 'position').at(-1);
+    expect(position.playbackRate).toBe(2);
+    expect(position.timeMs).toBeCloseTo((2 * 25 * BLOCK * 1000) / RATE);
+    expect(position.wallTimeMs).toBeCloseTo((25 * BLOCK * 1000) / RATE);
+  });
+
+  it.each([0.75, 1.5])('keeps the pitch at rate %s', (rate) => {
+    const p = create({ sampleRate: RATE });
+    send(p, { type: 'setPlaybackRate', value: rate });
+    tone(p, 0.9);
+    const out = render(p, 50).subarray(2 * BLOCK); // skip the fade-in
+    const hz = crossings(out) / 2 / (out.length / RATE);
+    expect(hz).toBeGreaterThan(190);
+    expect(hz).toBeLessThan(210);
+  });
+
+  it('reads the ring directly again at rate 1', () => {
+    const p = create({ sampleRate: RATE, playbackRate: 0.5 });
+    expect(p._stretch).not.toBeNull();
+    send(p, { type: 'setPlaybackRate', value: 1 });
+    expect(p._stretch).toBeNull();
+    audio(p, 2000);
+    render(p, 2);
+    expect(p._totalPlayed).toBe(2 * BLOCK);
+  });
+});
+
+describe('streaming-processor jitter buffer', () => {
+  const jitter = { minMs: 40, maxMs: 1000 };
+
+  function types(p) {
+    return p.port.messages.map((m) => m.type).filter((t) => t !== 'position');
+  }
+
+  it('starts once minMs of audio is buffered', () => {
+    const p = create({ jitter });
+    audio(p, 30, 'a');
+    render(p, 1);
+    expect(p._isPlaying).toBe(false);
+
+    audio(p, 200, 'a'); // late arrival: the threshold has grown past 50 ms
+    render(p, 1);
+    expect(types(p)).toContain('playbackStarted');
+  });
+
+  it('rebuffers after an underrun, waiting longer once chunks arrive late', () => {
+    const p = create({ jitter });
+    audio(p, 200, 'a');
+    render(p, 2); // plays 200 ms of audio over 256 ms
+    expect(types(p)).toEqual(['ready', 'playbackStarted', 'utterance', 'buffering', 'bufferUnderrun']);
+    expect(p._stats.rebuffers).toBe(1);
+
+    audio(p, 100, 'a'); // 56 ms late against the stream timeline
+    expect(p._jitterTargetMs()).toBeCloseTo(40 + 56 * 1.25);
+    render(p, 1);
+    expect(p._buffering).toBe(true);
+
+    audio(p, 50, 'a'); // 84 ms late
+    render(p, 1);
+    const resumed = p.port.messages.find((m) => m.type === 'resumed');
+    expect(resumed.targetMs).toBeCloseTo(40 + 84 * 1.25);
+    expect(resumed.waitedMs).toBeGreaterThan(0);
+    expect(p._buffering).toBe(false);
+  });
+
+  it('fades untagged audio into an underrun and back in on resume', () => {
+    const p = create({ jitter });
+    audio(p, 200);
+    const out = render(p, 2);
+    expect(types(p)).toContain('buffering');
+    expect(out[120]).toBeCloseTo(0.5);
+    expect(out[170]).toBeLessThan(out[150]);
+    expect(out[199]).toBeLessThan(0.001);
+    expect(out[200]).toBe(0);
+
+    audio(p, 200);
+    const resumed = render(p, 1);
+    expect(resumed[0]).toBeLessThan(0.05);
+    expect(resumed[100]).toBeCloseTo(0.5);
+  });
+
+  it('ends playback instead of buffering when the utterance is over', () => {
+    const p = create({ jitter });
+    audio(p, 100, 'a');
+    send(p, { type: 'endUtterance', id: 'a' });
+    const out = render(p, 2);
+    expect(out[99]).toBeCloseTo(0.5); // the utterance's own end, not a gap
+    expect(types(p)).not.toContain('buffering');
+    expect(types(p)).toContain('playbackEnded');
+    expect(p._autoStartPending).toBe(true);
+  });
+
+  it('gives up on untagged audio that stops for maxMs', () => {
+    const p = create({ jitter: { minMs: 40, maxMs: 300 } });
+    audio(p, 100);
+    render(p, 2);
+    expect(p._buffering).toBe(true);
+    render(p, 3);
+    expect(types(p).slice(-1)).toEqual(['playbackEnded']);
+    expect(p._buffering).toBe(false);
+  });
+});